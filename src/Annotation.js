@@ -257,6 +257,12 @@ class Annotation extends CGObject {
 
   // Called from Viewer.add/removeFeatures() and Sequence.updateContigs(), Viewer.updateFeatures(), Viewer.updateTracks()
   refresh() {
+    // Deferred until the end of a batch (see Viewer.batch)
+    const batch = this.viewer._batch;
+    if (batch && !batch.flushing) {
+      batch.annotation = true;
+      return;
+    }
     // Remove labels that are on invisible contigs
     // const labels = this._labels.filter( (l) => l.feature.contig.visible);
 
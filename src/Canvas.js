@@ -47,15 +47,21 @@ class Canvas {
    * Create the Canvas object.
    * @param {Viewer} viewer - The viewer
    * @param {d3Element} container - D3 Element where canvas layers will be added
-   * @param {Object} options - Possible properties: width [Default: 600], height [Default: 600]
+   * @param {Object} options - Possible properties: width [Default: 600], height [Default: 600],
+   *   contextFactory (function (width, height) returning a 2D context for each layer instead of creating canvas elements)
    */
   constructor(viewer, container, options = {}) {
     this._viewer = viewer;
     this.width = utils.defaultFor(options.width, 600);
     this.height = utils.defaultFor(options.height, 600);
+    this._contextFactory = options.contextFactory;
 
     // Create layers
-    this.determinePixelRatio(container);
+    if (this._contextFactory) {
+      this._pixelRatio = 1;
+    } else {
+      this.determinePixelRatio(container);
+    }
     this._layerNames = ['background', 'map', 'foreground', 'canvas', 'debug', 'ui'];
     this._layers = this.createLayers(container, this._layerNames, this._width, this._height);
 
@@ -95,6 +101,7 @@ class Canvas {
 
   /**
    * Creates a layer for each element in layerNames.
+   * If the canvas has a contextFactory, the layers are created with it and the container is ignored.
    * @param {d3Element} container - D3 Element
    * @param {Array} layerNames - Array of layer names
    * @param {Number} width - Width of each layer
@@ -107,6 +114,13 @@ class Canvas {
 
     for (let i = 0, len = layerNames.length; i < len; i++) {
       const layerName = layerNames[i];
+      if (this._contextFactory) {
+        const ctx = this._contextFactory(width, height);
+        // Contexts without a canvas (e.g. SVG contexts) get a placeholder node with the size
+        const node = ctx.canvas || { width, height };
+        layers[layerName] = { ctx, node };
+        continue;
+      }
       const zIndex = (i + 1) * 10;
       const node = container.append('canvas')
         .classed('cgv-layer', true)
@@ -140,6 +154,11 @@ class Canvas {
     this.height = height;
     for (const layerName of this.layerNames) {
       const layerNode = this.layers(layerName).node;
+      if (this._contextFactory) {
+        layerNode.width = this.width;
+        layerNode.height = this.height;
+        continue;
+      }
       // Note, here the width/height will take into account the pixelRatio
       layerNode.width = this.width;
       layerNode.height = this.height;
@@ -206,11 +225,13 @@ class Canvas {
    * @member {String} - Get or set the cursor style for the mouse when it's on the canvas.
    */
   get cursor() {
-    return d3.select(this.node('ui')).style('cursor');
+    return this._contextFactory ? undefined : d3.select(this.node('ui')).style('cursor');
   }
 
   set cursor(value) {
-    d3.select(this.node('ui')).style('cursor', value);
+    if (!this._contextFactory) {
+      d3.select(this.node('ui')).style('cursor', value);
+    }
   }
 
   /**
@@ -579,6 +600,34 @@ class Canvas {
     }
   }
 
+  /**
+   * Start a group on the layer context if the context supports groups (e.g. [SVGContext](SVGContext.html)).
+   * Canvas contexts do not have groups, so nothing happens when drawing to the screen.
+   * @param {String} layer - Name of layer
+   * @param {String} id - ID for the group
+   * @param {Object} attributes - Other group attributes (e.g. data-*)
+   * @param {Object} options - Options passed to [SVGContext.openGroup](SVGContext.html#openGroup)
+   * @private
+   */
+  openGroup(layer, id, attributes, options) {
+    const ctx = this.context(layer);
+    if (ctx.openGroup) {
+      ctx.openGroup(id, attributes, options);
+    }
+  }
+
+  /**
+   * End the last group on the layer context if the context supports groups.
+   * @param {String} layer - Name of layer
+   * @private
+   */
+  closeGroup(layer) {
+    const ctx = this.context(layer);
+    if (ctx.closeGroup) {
+      ctx.closeGroup();
+    }
+  }
+
   /**
    * This test method reduces the canvas width and height so
    * you can see how the features are reduced (not drawn) as
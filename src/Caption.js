@@ -391,6 +391,9 @@ class Caption extends CGObject {
     // Update the box origin if relative to the map
     box.refresh();
 
+    const layer = (this.onMap) ? 'foreground' : 'canvas';
+    const index = this.viewer.captions().indexOf(this);
+    this.canvas.openGroup(layer, `caption-${index + 1}`, {'data-name': this.name, 'data-position': this.position.name}, {layer: true});
     this.fillBackground();
     // ctx.textBaseline = 'top';
     ctx.textBaseline = 'alphabetic'; // The default baseline works best across canvas and svg
@@ -407,6 +410,7 @@ class Caption extends CGObject {
       ctx.fillText(this.lines[i], this.textX(), lineY);
       lineY += lineHeight;
     }
+    this.canvas.closeGroup(layer);
   }
 
 
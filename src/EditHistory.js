@@ -0,0 +1,500 @@
+//////////////////////////////////////////////////////////////////////////////
+// EditHistory
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import utils from './Utils';
+
+// How to list, add, remove, update and move the records of each collection
+const COLLECTIONS = {
+  features: {
+    className: 'Feature',
+    records: v => v.features(),
+    add: (v, data) => v.addFeatures(data),
+    remove: (v, records) => v.removeFeatures(records),
+    update: (v, updates) => v.updateFeatures(updates)
+  },
+  plots: {
+    className: 'Plot',
+    records: v => v.plots(),
+    add: (v, data) => v.addPlots(data),
+    remove: (v, records) => v.removePlots(records),
+    update: (v, updates) => v.updatePlots(updates)
+  },
+  tracks: {
+    className: 'Track',
+    records: v => v.tracks(),
+    add: (v, data) => v.addTracks(data),
+    remove: (v, records) => v.removeTracks(records),
+    update: (v, updates) => v.updateTracks(updates),
+    move: (v, oldIndex, newIndex) => v.moveTrack(oldIndex, newIndex)
+  },
+  legendItems: {
+    className: 'LegendItem',
+    records: v => v.legend.items(),
+    add: (v, data) => v.legend.addItems(data),
+    remove: (v, records) => v.legend.removeItems(records),
+    update: (v, updates) => v.legend.updateItems(updates),
+    move: (v, oldIndex, newIndex) => v.legend.moveItem(oldIndex, newIndex)
+  },
+  captions: {
+    className: 'Caption',
+    records: v => v.captions(),
+    add: (v, data) => v.addCaptions(data),
+    remove: (v, records) => v.removeCaptions(records),
+    update: (v, updates) => v.updateCaptions(updates),
+    move: (v, oldIndex, newIndex) => v.moveCaption(oldIndex, newIndex)
+  },
+  contigs: {
+    className: 'Contig',
+    records: v => v.sequence.contigs(),
+    add: (v, data) => v.sequence.addContigs(data),
+    remove: (v, records) => v.sequence.removeContigs(records),
+    update: (v, updates) => v.sequence.updateContigs(updates),
+    move: (v, oldIndex, newIndex) => v.sequence.moveContig(oldIndex, newIndex)
+  },
+  bookmarks: {
+    className: 'Bookmark',
+    records: v => v.bookmarks(),
+    add: (v, data) => v.addBookmarks(data),
+    remove: (v, records) => v.removeBookmarks(records),
+    update: (v, updates) => v.updateBookmarks(updates)
+  }
+};
+
+/**
+ * EditHistory records changes made with the data API so they can be undone and redone.
+ * It is created by the viewer and is accessible via [Viewer.editHistory](Viewer.html#editHistory).
+ * Use [Viewer.undo()](Viewer.html#undo) and [Viewer.redo()](Viewer.html#redo) to step through the history.
+ *
+ * The following operations are recorded for features, plots, tracks, legendItems, captions, contigs and bookmarks:
+ * - add (e.g. [Viewer.addFeatures()](Viewer.html#addFeatures))
+ * - remove (e.g. [Viewer.removeTracks()](Viewer.html#removeTracks))
+ * - update (e.g. [Legend.updateItems()](Legend.html#updateItems))
+ * - move (e.g. [Viewer.moveTrack()](Viewer.html#moveTrack))
+ *
+ * Updates to map components (e.g. [Settings.update()](Settings.html#update), [Ruler.update()](Ruler.html#update)) are also recorded.
+ * Each call is one step in the history; all the changes made in a [Viewer.batch()](Viewer.html#batch) are a single step.
+ * Features and plots extracted from the sequence are not recorded and loading a map clears the history.
+ *
+ * Removed records are added back from their JSON, so undoing a removal creates new records (with new cgvIDs).
+ * Later steps in the history that refer to the removed records will use the new ones.
+ *
+ * Action                                    | Event
+ * ------------------------------------------|-----------------------------------------
+ * Record, undo, redo or clear a step        | [history-update](Events.html)
+ *
+ * The 'history-update' event returns an object with the *action* ('record', 'undo', 'redo', 'clear'), *canUndo* and *canRedo*.
+ *
+ * ### Example
+ * ```js
+ * cgv.updateTracks(cgv.tracks(1), {visible: false});
+ * cgv.canUndo;
+ * // => true
+ * cgv.undo();
+ * cgv.tracks(1).visible;
+ * // => true
+ * cgv.redo();
+ * ```
+ */
+class EditHistory {
+
+  /**
+   * Create a new EditHistory.
+   * @param {Viewer} viewer - The viewer
+   * @param {Object} options - Options
+   *   - maxSize: Maximum number of steps that can be undone [Default: 100]
+   */
+  constructor(viewer, options = {}) {
+    this._viewer = viewer;
+    this.maxSize = utils.defaultFor(options.maxSize, 100);
+    this._undoStack = [];
+    this._redoStack = [];
+    // Records that were added back after being removed (old record => new record)
+    this._replacements = new Map();
+    // JSON and index of records that are about to be removed
+    this._removing = new WeakMap();
+    this._applying = false;
+  }
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'EditHistory'
+   */
+  toString() {
+    return 'EditHistory';
+  }
+
+  /**
+   * How to list, add, remove, update and move the records of each collection (also used by OperationLog).
+   * @private
+   */
+  static get collections() {
+    return COLLECTIONS;
+  }
+
+  /**
+   * @member {Viewer} - Get the viewer.
+   */
+  get viewer() {
+    return this._viewer;
+  }
+
+  /**
+   * @member {Boolean} - Returns true if there is a step to undo.
+   */
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  /**
+   * @member {Boolean} - Returns true if there is a step to redo.
+   */
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /**
+   * @member {Number} - Get the number of steps that can be undone.
+   */
+  get undoLength() {
+    return this._undoStack.length;
+  }
+
+  /**
+   * @member {Number} - Get the number of steps that can be redone.
+   */
+  get redoLength() {
+    return this._redoStack.length;
+  }
+
+  /**
+   * @member {Boolean} - Returns true if changes are being recorded.
+   * Changes are not recorded while loading, while undoing/redoing or while features/plots are extracted from the sequence.
+   */
+  get recording() {
+    return !this._applying && !this.viewer.loading && !this.viewer._untrackedDepth;
+  }
+
+  /**
+   * Undo the last step.
+   * @return {Boolean} True if a step was undone
+   */
+  undo() {
+    const step = this._undoStack.pop();
+    if (!step) { return false; }
+    this._apply(step, 'undo');
+    this._redoStack.push(step);
+    this._changed('undo');
+    return true;
+  }
+
+  /**
+   * Redo the last undone step.
+   * @return {Boolean} True if a step was redone
+   */
+  redo() {
+    const step = this._redoStack.pop();
+    if (!step) { return false; }
+    this._apply(step, 'redo');
+    this._undoStack.push(step);
+    this._changed('redo');
+    return true;
+  }
+
+  /**
+   * Remove all the steps from the history.
+   */
+  clear() {
+    this._undoStack = [];
+    this._redoStack = [];
+    this._replacements = new Map();
+    this._changed('clear');
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // RECORDING (called by the Viewer and the remove methods)
+  //////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Record add, remove and move operations from their events.
+   * Called from Viewer.trigger().
+   * @private
+   */
+  _handleEvent(event, data) {
+    if (event === 'cgv-json-load') {
+      if (this.canUndo || this.canRedo) { this.clear(); }
+      return;
+    }
+    if (!this.recording) { return; }
+    const [collection, action] = event.split('-');
+    const config = COLLECTIONS[collection];
+    if (!config) { return; }
+    if (action === 'add' || action === 'remove') {
+      const records = Array.from(data).filter( r => !r.extractedFromSequence );
+      if (records.length === 0) { return; }
+      const operation = { type: action, collection, records };
+      if (action === 'remove') {
+        const removing = records.map( r => this._removing.get(r) || { json: EditHistory._json(r) } );
+        operation.json = removing.map( r => r.json );
+        operation.indexes = removing.map( r => r.index );
+      }
+      this._push(operation);
+    } else if (action === 'moved' && config.move) {
+      this._push({ type: 'move', collection, oldIndex: data.oldIndex, newIndex: data.newIndex });
+    }
+  }
+
+  /**
+   * Keep the JSON and index of records before they are removed.
+   * Called at the start of the remove methods (e.g. Viewer.removeFeatures()).
+   * @param {String} collection - Collection name (e.g. 'features')
+   * @param {Array} records - Records that will be removed
+   * @private
+   */
+  _willRemove(collection, records) {
+    if (!this.recording) { return; }
+    const config = COLLECTIONS[collection];
+    records = records.filter( r => !r.extractedFromSequence );
+    if (records.length === 0) { return; }
+    const indexes = config.move && new Map(config.records(this.viewer).map( (r, i) => [r, i] ));
+    for (const record of records) {
+      this._removing.set(record, { json: EditHistory._json(record), index: indexes && indexes.get(record) });
+    }
+  }
+
+  /**
+   * Return the current values of the attributes about to be updated.
+   * Called from Viewer.updateRecords() before the records are changed.
+   * @param {Object|Array} recordsOrUpdates - Record(s) or object of updates keyed by cgvID
+   * @param {Object} attributes - Attributes to change when records are given
+   * @return {Array} Changes: [{record, before}]
+   * @private
+   */
+  _capture(recordsOrUpdates, attributes = {}) {
+    if (!this.recording) { return; }
+    let changes;
+    if (recordsOrUpdates.toString() === '[object Object]') {
+      changes = Object.keys(recordsOrUpdates).map( id => ({ record: this.viewer.objects(id), keys: Object.keys(recordsOrUpdates[id]) }) );
+    } else {
+      const keys = Object.keys(attributes);
+      changes = [].concat(recordsOrUpdates).map( record => ({ record, keys }) );
+    }
+    // Track loading progress is not an edit
+    changes = changes.filter( c => c.record && !c.record.extractedFromSequence && !(c.keys.length === 1 && c.keys[0] === 'loadProgress') );
+    for (const change of changes) {
+      change.before = EditHistory._values(change.record, change.keys);
+    }
+    return changes;
+  }
+
+  /**
+   * Record an update using the changes from _capture().
+   * Called from Viewer.updateRecords() after the records are changed.
+   * @private
+   */
+  _recordUpdate(changes) {
+    if (!changes || !this.recording) { return; }
+    changes = changes.filter( change => {
+      change.after = EditHistory._values(change.record, change.keys);
+      return JSON.stringify(change.before) !== JSON.stringify(change.after);
+    });
+    if (changes.length === 0) { return; }
+    this._push({ type: 'update', changes: changes.map( ({ record, before, after }) => ({ record, before, after }) ) });
+  }
+
+  /**
+   * Add an operation to the history. Operations in the same batch are added to the same step.
+   * @private
+   */
+  _push(operation) {
+    const batch = this.viewer._batch;
+    if (batch && batch.historyStep) {
+      batch.historyStep.operations.push(operation);
+      return;
+    }
+    const step = { operations: [operation] };
+    if (batch) { batch.historyStep = step; }
+    this._undoStack.push(step);
+    if (this._undoStack.length > this.maxSize) {
+      this._undoStack.shift();
+    }
+    this._redoStack = [];
+    this._changed('record');
+  }
+
+  _changed(action) {
+    this.viewer.trigger('history-update', { action, canUndo: this.canUndo, canRedo: this.canRedo });
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // UNDO/REDO
+  //////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Undo or redo a step. The operations are reversed for undo.
+   * @private
+   */
+  _apply(step, direction) {
+    const operations = (direction === 'undo') ? step.operations.slice().reverse() : step.operations;
+    this._applying = true;
+    try {
+      this.viewer.batch( () => {
+        for (const operation of operations) {
+          const undo = (direction === 'undo');
+          switch (operation.type) {
+            case 'add':
+              undo ? this._removeRecords(operation) : this._addRecords(operation);
+              break;
+            case 'remove':
+              undo ? this._addRecords(operation) : this._removeRecords(operation);
+              break;
+            case 'update':
+              this._updateRecords(operation.changes, undo ? 'before' : 'after');
+              break;
+            case 'move':
+              undo ? this._move(operation, operation.newIndex, operation.oldIndex) : this._move(operation, operation.oldIndex, operation.newIndex);
+          }
+        }
+      });
+    } finally {
+      this._applying = false;
+    }
+  }
+
+  // Remove the (current) records of an operation, keeping their JSON and index to add them back
+  _removeRecords(operation) {
+    const config = COLLECTIONS[operation.collection];
+    const existing = new Map(config.records(this.viewer).map( (r, i) => [r, i] ));
+    const records = operation.records.map( r => this._resolve(r) ).filter( r => existing.has(r) );
+    operation.records = records;
+    operation.json = records.map( r => EditHistory._json(r) );
+    operation.indexes = records.map( r => existing.get(r) );
+    config.remove(this.viewer, records);
+  }
+
+  // Add the records of an operation back from their JSON (at their original index if the collection is ordered)
+  _addRecords(operation) {
+    const config = COLLECTIONS[operation.collection];
+    const added = config.add(this.viewer, JSON.parse(JSON.stringify(operation.json)));
+    if (config.move) {
+      const positions = operation.indexes.map( (index, i) => [index, added[i]] ).filter( ([index]) => index !== undefined );
+      positions.sort( (a, b) => a[0] - b[0] );
+      for (const [index, record] of positions) {
+        const records = config.records(this.viewer);
+        config.move(this.viewer, records.indexOf(record), Math.min(index, records.length - 1));
+      }
+    }
+    const replaced = new Map(operation.records.map( (record, i) => [this._resolve(record), added[i]] ));
+    replaced.forEach( (record, removed) => this._replacements.set(removed, record) );
+    if (operation.collection === 'legendItems') {
+      this._relinkLegendItems(replaced);
+    }
+    operation.records = Array.from(added);
+  }
+
+  // Features and plots still refer to removed legend items, so they are pointed to the items added back in their place
+  _relinkLegendItems(replaced) {
+    for (const feature of this.viewer.features()) {
+      if (replaced.has(feature.legendItem)) {
+        feature.legendItem = replaced.get(feature.legendItem);
+      }
+    }
+    for (const plot of this.viewer.plots()) {
+      if (replaced.has(plot.legendItemPositive)) {
+        plot.legendItemPositive = replaced.get(plot.legendItemPositive);
+      }
+      if (replaced.has(plot.legendItemNegative)) {
+        plot.legendItemNegative = replaced.get(plot.legendItemNegative);
+      }
+    }
+  }
+
+  // Set the 'before' or 'after' values of each change
+  _updateRecords(changes, values) {
+    const updates = {};
+    for (const change of changes) {
+      const record = this._resolve(change.record);
+      const collection = Object.keys(COLLECTIONS).find( c => COLLECTIONS[c].className === record.toString() );
+      if (collection) {
+        updates[collection] = updates[collection] || {};
+        updates[collection][record.cgvID] = change[values];
+      } else if (typeof record.update === 'function') {
+        // Map components (e.g. Settings, Ruler)
+        record.update(change[values]);
+      }
+    }
+    for (const [collection, collectionUpdates] of Object.entries(updates)) {
+      COLLECTIONS[collection].update(this.viewer, collectionUpdates);
+    }
+  }
+
+  _move(operation, oldIndex, newIndex) {
+    COLLECTIONS[operation.collection].move(this.viewer, oldIndex, newIndex);
+  }
+
+  // Return the record that replaced a removed record
+  _resolve(record) {
+    while (this._replacements.has(record)) {
+      record = this._replacements.get(record);
+    }
+    return record;
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // VALUES
+  //////////////////////////////////////////////////////////////////////////
+
+  // JSON copy of a record
+  static _json(record) {
+    return JSON.parse(JSON.stringify(record.toJSON()));
+  }
+
+  // Current values of the attributes as they would be passed to an update
+  static _values(record, keys) {
+    const values = {};
+    for (const key of keys) {
+      // Attributes that are not set (e.g. a legend item font that uses the legend default) stay undefined
+      const privateKey = `_${key}`;
+      const value = (privateKey in record && record[privateKey] === undefined) ? undefined : record[key];
+      values[key] = EditHistory._snapshot(value);
+    }
+    return values;
+  }
+
+  // Copy of a value that will not change when the record is updated
+  static _snapshot(value) {
+    if (value === null || typeof value !== 'object') { return value; }
+    if (Array.isArray(value)) { return Array.from(value); }
+    switch (value.toString()) {
+      case 'Color': return value.rgbaString;
+      case 'Font': return value.string;
+      case 'Position':
+      case 'Anchor': return value.toJSON();
+    }
+    if (value.constructor === Object) {
+      return JSON.parse(JSON.stringify(value));
+    }
+    // Other records (e.g. a feature's contig or legendItem)
+    return value;
+  }
+
+}
+
+export default EditHistory;
@@ -38,6 +38,13 @@
  * click             | Called when a click occurs in the viewer
  * mousemove         | Calleed when the mouse moves in the viewer
  * bookmarks-shortcut | Called when a bookmark shortcut key is clicked
+ * image-export-start | Called before a tiled image export starts (see [IO.getTiledImage()](IO.html#getTiledImage))
+ * image-export-progress | Called after each tile of a tiled image export is drawn
+ * image-export-end  | Called when a tiled image export is complete
+ * drop              | Called after files dropped on the viewer are loaded. Returns the *loaded* and *failed* files (see [IO.loadFiles()](IO.html#loadFiles))
+ * history-update    | Called when a change is recorded, undone or redone (see [EditHistory](EditHistory.html)). Returns the *action*, *canUndo* and *canRedo*
+ * navigation-update | Called when a position is added to the navigation history or the map goes back or forward (see [NavigationHistory](NavigationHistory.html))
+ * operation         | Called for each data change with a serializable operation (see [OperationLog](OperationLog.html))
  */
 class Events {
 
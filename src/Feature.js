@@ -878,7 +878,7 @@ class Feature extends CGObject {
     } else {
       const code = geneticCode || this.geneticCode || this.viewer.geneticCode;
       const table = this.viewer.codonTables.byID(code);
-      return table && table.translate(this.seq, this.start_codon);
+      return table && table.translate(this.seq, this.codonStart);
     }
   }
 
@@ -0,0 +1,267 @@
+//////////////////////////////////////////////////////////////////////////////
+// FormatBED
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import utils from './Utils';
+
+/**
+ * FormatBED reads BED (BED3 to BED12) and bedGraph files. BED rows become
+ * CGView features and bedGraph rows become a single CGView plot.
+ * It is used by [IO.loadBED()](IO.html#loadBED) and [IO.loadBedGraph()](IO.html#loadBedGraph).
+ *
+ * BED coordinates are 0-based and half-open. They are converted to the 1-based,
+ * fully closed coordinates used by CGView.
+ *
+ * BED                          | CGView Feature
+ * -----------------------------|---------------
+ * chrom                        | contig
+ * chromStart, chromEnd, strand | start, stop, strand
+ * name                         | name
+ * score (0-1000)               | score (0-1)
+ * blockSizes, blockStarts      | locations
+ *
+ * bedGraph                     | CGView Plot
+ * -----------------------------|---------------
+ * chrom, chromStart            | positions (map positions)
+ * dataValue                    | scores
+ *
+ * Regions not covered by a bedGraph are given a score of 0.
+ *
+ * ### Example
+ * ```js
+ * const bed = FormatBED.parse(text);
+ * // => {name: 'My Track', rows: [{chrom: 'chr1', start: 1, stop: 100, name: 'peak1', score: 500, strand: 1, blocks: [[1, 100]]}]}
+ * const features = FormatBED.toFeatures(bed.rows, {source: 'bed'});
+ * ```
+ */
+class FormatBED {
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'FormatBED'
+   */
+  toString() {
+    return 'FormatBED';
+  }
+
+  /**
+   * Parse BED text. Header lines (track, browser, #) are skipped, although
+   * the name from a track line is returned.
+   * @param {String} text - BED file contents
+   * @return {Object} Object with name (from the track line) and rows
+   *   ({chrom, start, stop, name, score, strand, blocks}). Positions are 1-based.
+   */
+  static parse(text) {
+    return FormatBED._parseLines(text, (columns, lineNumber) => {
+      const row = FormatBED._parseRange(columns, 3, lineNumber);
+      if (!row) { return; }
+      row.name = (columns[3] !== undefined && columns[3] !== '.') ? columns[3] : '';
+      if (columns[4] !== undefined && columns[4] !== '.') {
+        row.score = Number(columns[4]);
+      }
+      row.strand = (columns[5] === '-') ? -1 : 1;
+      row.blocks = FormatBED._parseBlocks(row, columns, lineNumber);
+      return row;
+    });
+  }
+
+  /**
+   * Parse bedGraph text. Header lines (track, browser, #) are skipped, although
+   * the name from a track line is returned.
+   * @param {String} text - bedGraph file contents
+   * @return {Object} Object with name (from the track line) and rows
+   *   ({chrom, start, stop, score}). Positions are 1-based.
+   */
+  static parseBedGraph(text) {
+    return FormatBED._parseLines(text, (columns, lineNumber) => {
+      const row = FormatBED._parseRange(columns, 4, lineNumber);
+      if (!row) { return; }
+      row.score = Number(columns[3]);
+      if (isNaN(row.score)) {
+        console.error(`bedGraph line ${lineNumber}: score '${columns[3]}' is not a number.`);
+        return;
+      }
+      return row;
+    });
+  }
+
+  /**
+   * Convert BED rows to CGView feature JSON.
+   * @param {Array} rows - Rows from [parse](#parse)
+   * @param {Object} options - Options for the conversion:
+   * <br />
+   * Name         | Type     | Description
+   * -------------|----------|------------
+   * source       | String   | Source given to every feature [Default: 'bed']
+   * type         | String   | Type given to every feature [Default: '']
+   * legend       | String   | Legend given to every feature [Default: source]
+   * contigFor    | Function | Function that returns the contig name for a BED chrom. Returning undefined places the feature on the map (i.e. no contig). [Default: chrom]
+   * @return {Array} Array of feature JSON
+   */
+  static toFeatures(rows, options = {}) {
+    const source = utils.defaultFor(options.source, 'bed');
+    const type = utils.defaultFor(options.type, '');
+    const legend = utils.defaultFor(options.legend, source);
+    const contigFor = options.contigFor || (chrom => chrom);
+    return rows.map( (row) => {
+      const feature = {
+        name: row.name,
+        type,
+        legend,
+        source,
+        strand: row.strand,
+        start: row.start,
+        stop: row.stop
+      };
+      const contig = contigFor(row.chrom);
+      if (contig !== undefined) {
+        feature.contig = contig;
+      }
+      if (row.score !== undefined && !isNaN(row.score)) {
+        feature.score = utils.constrain(row.score / 1000, 0, 1);
+      }
+      if (row.blocks && row.blocks.length > 1) {
+        feature.locations = row.blocks;
+      }
+      return feature;
+    });
+  }
+
+  /**
+   * Convert bedGraph rows to CGView plot JSON.
+   * @param {Array} rows - Rows from [parseBedGraph](#parseBedGraph)
+   * @param {Object} options - Options for the conversion:
+   * <br />
+   * Name         | Type     | Description
+   * -------------|----------|------------
+   * name         | String   | Name of the plot
+   * source       | String   | Source of the plot [Default: 'bedgraph']
+   * legend       | String   | Legend for the plot
+   * mapPosition  | Function | Function (chrom, bp) that returns the map position for a position on a chrom. Returning undefined skips the row. [Default: bp]
+   * length       | Number   | Length of the map. Used to avoid adding a 0 score past the end of the map.
+   * @return {Object} Plot JSON
+   */
+  static toPlot(rows, options = {}) {
+    const mapPosition = options.mapPosition || ((chrom, bp) => bp);
+    const intervals = [];
+    for (const row of rows) {
+      const start = mapPosition(row.chrom, row.start);
+      if (start === undefined) { continue; }
+      intervals.push({ start, stop: start + row.stop - row.start, score: row.score });
+    }
+    intervals.sort( (a, b) => a.start - b.start );
+
+    const positions = [];
+    const scores = [];
+    let lastStop;
+    for (const interval of intervals) {
+      // Fill gaps with 0
+      if ( (lastStop === undefined && interval.start > 1) || (lastStop !== undefined && interval.start > lastStop + 1) ) {
+        positions.push((lastStop === undefined) ? 1 : lastStop + 1);
+        scores.push(0);
+      }
+      positions.push(interval.start);
+      scores.push(interval.score);
+      lastStop = interval.stop;
+    }
+    if (lastStop !== undefined && (options.length === undefined || lastStop < options.length)) {
+      positions.push(lastStop + 1);
+      scores.push(0);
+    }
+
+    const plot = {
+      name: options.name,
+      source: utils.defaultFor(options.source, 'bedgraph'),
+      positions,
+      scores
+    };
+    if (options.legend) {
+      plot.legend = options.legend;
+    }
+    return plot;
+  }
+
+  /**
+   * Read the non-header lines with the provided row parser.
+   * @private
+   */
+  static _parseLines(text, parseRow) {
+    const rows = [];
+    let name;
+    const lines = text.split(/\r?\n/);
+    for (let i = 0, len = lines.length; i < len; i++) {
+      const line = lines[i];
+      if (line.trim() === '' || line.startsWith('#') || line.startsWith('browser')) {
+        continue;
+      }
+      if (/^track(\s|$)/.test(line)) {
+        const match = line.match(/\sname=("[^"]*"|\S+)/);
+        if (match) {
+          name = match[1].replace(/^"|"$/g, '');
+        }
+        continue;
+      }
+      const columns = line.includes('\t') ? line.split('\t') : line.trim().split(/\s+/);
+      const row = parseRow(columns, i + 1);
+      if (row) {
+        rows.push(row);
+      }
+    }
+    return { name, rows };
+  }
+
+  /**
+   * Read the chrom, start and stop columns and convert to 1-based positions.
+   * @private
+   */
+  static _parseRange(columns, minColumns, lineNumber) {
+    if (columns.length < minColumns) {
+      console.error(`Line ${lineNumber}: expected at least ${minColumns} columns.`);
+      return;
+    }
+    const start = Number(columns[1]);
+    const end = Number(columns[2]);
+    if (!Number.isInteger(start) || !Number.isInteger(end) || end <= start) {
+      console.error(`Line ${lineNumber}: invalid start/end '${columns[1]}'/'${columns[2]}'.`);
+      return;
+    }
+    return { chrom: columns[0], start: start + 1, stop: end };
+  }
+
+  /**
+   * Convert BED12 blocks to locations. Returns undefined if there are no blocks.
+   * @private
+   */
+  static _parseBlocks(row, columns, lineNumber) {
+    const blockCount = Number(columns[9]);
+    if (columns.length < 12 || !blockCount) { return; }
+    const sizes = columns[10].split(',').filter( s => s !== '' ).map(Number);
+    const starts = columns[11].split(',').filter( s => s !== '' ).map(Number);
+    if (sizes.length !== blockCount || starts.length !== blockCount) {
+      console.error(`Line ${lineNumber}: blockCount does not match blockSizes/blockStarts.`);
+      return;
+    }
+    const blocks = starts.map( (start, i) => [row.start + start, row.start + start + sizes[i] - 1] );
+    return blocks.sort( (a, b) => a[0] - b[0] );
+  }
+
+}
+
+export default FormatBED;
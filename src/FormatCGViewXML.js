@@ -0,0 +1,400 @@
+//////////////////////////////////////////////////////////////////////////////
+// FormatCGViewXML
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { version as currentVersion } from '../package.json';
+
+/**
+ * FormatCGViewXML converts maps in the XML format of the original CGView (Java)
+ * to CGView JSON. It is used by [IO.loadCGViewXML()](IO.html#loadCGViewXML) and
+ * [IO.convertCGViewXML()](IO.html#convertCGViewXML).
+ *
+ * XML                                  | CGView JSON
+ * -------------------------------------|------------
+ * &lt;cgview&gt;                       | sequence length, name, settings, backbone, ruler and annotation
+ * &lt;cgview title&gt;                 | name and a caption in the middle of the map
+ * &lt;featureSlot&gt;                  | Track (dataMethod: 'source'). Direct strand slots are drawn outside the backbone and reverse strand slots inside.
+ * &lt;feature&gt;/&lt;featureRange&gt; | Feature. Ranges that share the same attributes become the locations of a single feature.
+ * feature color and decoration         | LegendItem. Legend items with a matching swatchColor are used, otherwise a hidden legend item is created.
+ * &lt;legend&gt; with swatches         | Legend and LegendItems
+ * &lt;legend&gt; without swatches      | Caption (one line per legendItem)
+ *
+ * Attributes that can not be converted are counted in the conversion report.
+ *
+ * ### Example
+ * ```js
+ * const { json, report } = FormatCGViewXML.convert(xmlText);
+ * report.unmapped
+ * // => [{element: 'feature', attribute: 'font', count: 12}]
+ * report.messages
+ * // => ['Legend settings were only taken from the first legend with swatches.']
+ * ```
+ */
+class FormatCGViewXML {
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'FormatCGViewXML'
+   */
+  toString() {
+    return 'FormatCGViewXML';
+  }
+
+  /**
+   * Legend positions in CGView (Java) and their CGView.js equivalent.
+   */
+  static get positions() {
+    return {
+      'upper-left': 'top-left',
+      'upper-center': 'top-center',
+      'upper-right': 'top-right',
+      'middle-left': 'middle-left',
+      'middle-left-of-center': 'middle-left',
+      'middle-center': 'middle-center',
+      'middle-right-of-center': 'middle-right',
+      'middle-right': 'middle-right',
+      'lower-left': 'bottom-left',
+      'lower-center': 'bottom-center',
+      'lower-right': 'bottom-right'
+    };
+  }
+
+  /**
+   * Convert CGView XML to CGView JSON.
+   * @param {String} text - CGView XML
+   * @return {Object} CGView JSON
+   */
+  static toCGViewJSON(text) {
+    return FormatCGViewXML.convert(text).json;
+  }
+
+  /**
+   * Convert CGView XML to CGView JSON and create a report of what could not be converted.
+   * @param {String} text - CGView XML
+   * @return {Object} Object with the CGView JSON (json) and the conversion report
+   *   (report). The report contains *unmapped* (array of {element, attribute, count})
+   *   and *messages* (array of strings).
+   */
+  static convert(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+      throw new Error('Could not read the CGView XML.');
+    }
+    const root = doc.documentElement;
+    if (root.nodeName !== 'cgview') {
+      throw new Error(`Expected a <cgview> element but found <${root.nodeName}>.`);
+    }
+    const converter = new XMLConverter();
+    const json = converter.convertRoot(root);
+    return { json: { cgview: json }, report: converter.report() };
+  }
+
+}
+
+/**
+ * Keeps track of the conversion state (legend items and unmapped attributes).
+ * @private
+ */
+class XMLConverter {
+
+  constructor() {
+    this._unmapped = {};
+    this._messages = [];
+    // Legend items from the XML with swatches, keyed by color
+    this._legendItemsByColor = {};
+    // Legend items used by features, keyed by color and decoration
+    this._legendItemsByStyle = {};
+    this._legendItems = [];
+  }
+
+  report() {
+    const unmapped = Object.keys(this._unmapped).map( (key) => {
+      const [element, attribute] = key.split('@');
+      return { element, attribute, count: this._unmapped[key] };
+    });
+    return { unmapped, messages: this._messages };
+  }
+
+  // Returns an object of the element attributes. Attributes not in mapped are added to the report.
+  attributes(element, mapped) {
+    const attributes = {};
+    for (const attr of Array.from(element.attributes)) {
+      attributes[attr.name] = attr.value;
+      if (!mapped.includes(attr.name)) {
+        const key = `${element.nodeName}@${attr.name}`;
+        this._unmapped[key] = (this._unmapped[key] || 0) + 1;
+      }
+    }
+    return attributes;
+  }
+
+  unknownElement(element) {
+    const key = `${element.nodeName}@`;
+    this._unmapped[key] = (this._unmapped[key] || 0) + 1;
+  }
+
+  convertRoot(root) {
+    const attrs = this.attributes(root, ['sequenceLength', 'title', 'titleFont', 'titleFontColor', 'backgroundColor',
+      'backboneColor', 'backboneThickness', 'showShading', 'rulerFont', 'rulerFontColor', 'tickColor', 'labelFont', 'globalLabel']);
+    const length = Number(attrs.sequenceLength);
+    if (!(length > 0)) {
+      throw new Error('The <cgview> element must have a sequenceLength.');
+    }
+    const json = {
+      version: currentVersion,
+      name: attrs.title || 'CGView Map',
+      settings: {},
+      sequence: { length },
+      legend: { items: [] },
+      captions: [],
+      features: [],
+      tracks: []
+    };
+    if (attrs.backgroundColor) { json.settings.backgroundColor = attrs.backgroundColor; }
+    if (attrs.showShading) { json.settings.showShading = attrs.showShading === 'true'; }
+    if (attrs.backboneColor || attrs.backboneThickness) {
+      json.backbone = {};
+      if (attrs.backboneColor) { json.backbone.color = attrs.backboneColor; }
+      if (attrs.backboneThickness) { json.backbone.thickness = Number(attrs.backboneThickness); }
+    }
+    if (attrs.rulerFont || attrs.rulerFontColor || attrs.tickColor) {
+      json.ruler = {};
+      if (attrs.rulerFont) { json.ruler.font = attrs.rulerFont; }
+      if (attrs.rulerFontColor || attrs.tickColor) { json.ruler.color = attrs.rulerFontColor || attrs.tickColor; }
+    }
+    if (attrs.labelFont || attrs.globalLabel === 'false') {
+      json.annotation = {};
+      if (attrs.labelFont) { json.annotation.font = attrs.labelFont; }
+      if (attrs.globalLabel === 'false') { json.annotation.visible = false; }
+    }
+    if (attrs.title) {
+      const caption = { name: attrs.title, position: 'middle-center' };
+      if (attrs.titleFont) { caption.font = attrs.titleFont; }
+      if (attrs.titleFontColor) { caption.fontColor = attrs.titleFontColor; }
+      json.captions.push(caption);
+    }
+
+    const children = Array.from(root.children);
+    // Legends are read first so features can use their items
+    for (const element of children.filter( e => e.nodeName === 'legend' )) {
+      this.convertLegend(element, json);
+    }
+    let slotNumber = 0;
+    for (const element of children) {
+      if (element.nodeName === 'featureSlot') {
+        slotNumber++;
+        this.convertFeatureSlot(element, slotNumber, json);
+      } else if (element.nodeName !== 'legend') {
+        this.unknownElement(element);
+      }
+    }
+    json.legend.items = this._legendItems;
+    return json;
+  }
+
+  convertLegend(element, json) {
+    const attrs = this.attributes(element, ['position', 'font', 'fontColor', 'backgroundColor', 'textAlignment']);
+    const items = Array.from(element.children).filter( (e) => {
+      if (e.nodeName === 'legendItem') { return true; }
+      this.unknownElement(e);
+      return false;
+    });
+    const position = FormatCGViewXML.positions[attrs.position] || 'top-right';
+    const itemAttrs = items.map( i => this.attributes(i, ['text', 'drawSwatch', 'swatchColor', 'font', 'fontColor']) );
+    const hasSwatches = itemAttrs.some( i => i.drawSwatch === 'true' );
+
+    if (!hasSwatches) {
+      // Legends without swatches are text boxes
+      if (itemAttrs.length === 0) { return; }
+      const caption = {
+        name: itemAttrs.map( i => i.text || '' ).join('\n'),
+        position
+      };
+      const font = attrs.font || itemAttrs[0].font;
+      const fontColor = attrs.fontColor || itemAttrs[0].fontColor;
+      if (font) { caption.font = font; }
+      if (fontColor) { caption.fontColor = fontColor; }
+      if (attrs.backgroundColor) { caption.backgroundColor = attrs.backgroundColor; }
+      if (attrs.textAlignment) { caption.textAlignment = attrs.textAlignment; }
+      json.captions.push(caption);
+      return;
+    }
+
+    if (this._legendSettingsRead) {
+      this._messages.push('Legend settings were only taken from the first legend with swatches.');
+    } else {
+      this._legendSettingsRead = true;
+      json.legend.position = position;
+      if (attrs.font) { json.legend.defaultFont = attrs.font; }
+      if (attrs.fontColor) { json.legend.defaultFontColor = attrs.fontColor; }
+      if (attrs.backgroundColor) { json.legend.backgroundColor = attrs.backgroundColor; }
+      if (attrs.textAlignment) { json.legend.textAlignment = attrs.textAlignment; }
+    }
+    for (const item of itemAttrs) {
+      const legendItem = {
+        name: this.uniqueLegendName(item.text || 'Unknown'),
+        swatchColor: item.swatchColor || 'black',
+        drawSwatch: item.drawSwatch === 'true'
+      };
+      if (item.font) { legendItem.font = item.font; }
+      if (item.fontColor) { legendItem.fontColor = item.fontColor; }
+      this._legendItems.push(legendItem);
+      if (legendItem.drawSwatch && item.swatchColor) {
+        const color = XMLConverter.normalizeColor(item.swatchColor);
+        this._legendItemsByColor[color] = this._legendItemsByColor[color] || legendItem;
+      }
+    }
+  }
+
+  convertFeatureSlot(element, slotNumber, json) {
+    const attrs = this.attributes(element, ['strand']);
+    const strand = (attrs.strand === 'reverse') ? -1 : 1;
+    const source = `cgview-xml-slot-${slotNumber}`;
+    let features = 0;
+    for (const featureElement of Array.from(element.children)) {
+      if (featureElement.nodeName !== 'feature') {
+        this.unknownElement(featureElement);
+        continue;
+      }
+      const converted = this.convertFeature(featureElement, strand, source);
+      features += converted.length;
+      json.features.push(...converted);
+    }
+    json.tracks.push({
+      name: `Slot ${slotNumber} (${(strand === 1) ? 'direct' : 'reverse'})`,
+      separateFeaturesBy: 'none',
+      position: (strand === 1) ? 'outside' : 'inside',
+      dataType: 'feature',
+      dataMethod: 'source',
+      dataKeys: source
+    });
+    if (features === 0) {
+      this._messages.push(`Feature slot ${slotNumber} has no features.`);
+    }
+  }
+
+  convertFeature(element, slotStrand, source) {
+    const styleAttributes = ['color', 'decoration', 'label', 'hyperlink', 'mouseover', 'proportionOfThickness'];
+    const featureAttrs = this.attributes(element, styleAttributes);
+    // Group ranges with the same attributes into one feature
+    const groups = {};
+    const groupKeys = [];
+    for (const rangeElement of Array.from(element.children)) {
+      if (rangeElement.nodeName !== 'featureRange') {
+        this.unknownElement(rangeElement);
+        continue;
+      }
+      const rangeAttrs = this.attributes(rangeElement, ['start', 'stop', ...styleAttributes]);
+      const start = Number(rangeAttrs.start);
+      const stop = Number(rangeAttrs.stop);
+      if (!Number.isInteger(start) || !Number.isInteger(stop)) {
+        this._messages.push(`Skipped a featureRange with start '${rangeAttrs.start}' and stop '${rangeAttrs.stop}'.`);
+        continue;
+      }
+      const style = {};
+      for (const key of styleAttributes) {
+        const value = (rangeAttrs[key] !== undefined) ? rangeAttrs[key] : featureAttrs[key];
+        if (value !== undefined) { style[key] = value; }
+      }
+      const key = JSON.stringify(style);
+      if (!groups[key]) {
+        groups[key] = { style, locations: [] };
+        groupKeys.push(key);
+      }
+      groups[key].locations.push([start, stop]);
+    }
+    return groupKeys.map( key => this.featureJSON(groups[key], slotStrand, source) );
+  }
+
+  featureJSON(group, slotStrand, source) {
+    const style = group.style;
+    const decoration = style.decoration || 'arc';
+    let strand = slotStrand;
+    if (decoration === 'clockwise-arrow') {
+      strand = 1;
+    } else if (decoration === 'counterclockwise-arrow') {
+      strand = -1;
+    }
+    const locations = group.locations.sort( (a, b) => a[0] - b[0] );
+    const feature = {
+      name: style.label || '',
+      source,
+      strand,
+      start: locations[0][0],
+      stop: locations[locations.length - 1][1],
+      legend: this.legendNameFor(style.color || 'black', decoration.endsWith('arrow') ? 'arrow' : 'arc')
+    };
+    if (locations.length > 1) {
+      feature.locations = locations;
+    }
+    if (decoration === 'hidden') {
+      feature.visible = false;
+    }
+    if (style.proportionOfThickness) {
+      feature.proportionOfThickness = Number(style.proportionOfThickness);
+    }
+    if (style.hyperlink || style.mouseover) {
+      feature.meta = {};
+      if (style.hyperlink) { feature.meta.hyperlink = style.hyperlink; }
+      if (style.mouseover) { feature.meta.mouseover = style.mouseover; }
+    }
+    return feature;
+  }
+
+  // Return the legend item name for a feature color and decoration.
+  // Legend items from the XML are used when the color matches. Otherwise a hidden legend item is created.
+  legendNameFor(color, decoration) {
+    const normalized = XMLConverter.normalizeColor(color);
+    const styleKey = `${normalized}|${decoration}`;
+    if (this._legendItemsByStyle[styleKey]) {
+      return this._legendItemsByStyle[styleKey].name;
+    }
+    let legendItem = this._legendItemsByColor[normalized];
+    if (legendItem && (!legendItem.decoration || legendItem.decoration === decoration)) {
+      legendItem.decoration = decoration;
+    } else if (legendItem) {
+      // Same color with a different decoration
+      legendItem = { ...legendItem, name: this.uniqueLegendName(`${legendItem.name} (${decoration})`), decoration, visible: false };
+      this._legendItems.push(legendItem);
+    } else {
+      legendItem = { name: this.uniqueLegendName(color), swatchColor: color, decoration, visible: false };
+      this._legendItems.push(legendItem);
+    }
+    this._legendItemsByStyle[styleKey] = legendItem;
+    return legendItem.name;
+  }
+
+  uniqueLegendName(name) {
+    const names = this._legendItems.map( i => i.name );
+    let unique = name;
+    let count = 2;
+    while (names.includes(unique)) {
+      unique = `${name}-${count++}`;
+    }
+    return unique;
+  }
+
+  static normalizeColor(color) {
+    return color.replace(/\s/g, '').toLowerCase();
+  }
+
+}
+
+export default FormatCGViewXML;
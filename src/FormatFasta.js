@@ -0,0 +1,136 @@
+//////////////////////////////////////////////////////////////////////////////
+// FormatFasta
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * FormatFasta reads (multi-)FASTA files. Each record becomes a contig: the ID
+ * (text up to the first space) becomes the contig name and the rest of the
+ * definition line is stored in the contig meta as the *description*.
+ * It is used by [IO.loadFasta()](IO.html#loadFasta).
+ *
+ * Sequences are converted to uppercase (lowercase soft-masking is not kept)
+ * and all IUPAC nucleotide codes are accepted. Any other characters
+ * (except whitespace and numbers which are removed) are replaced with 'N'.
+ *
+ * ### Example
+ * ```js
+ * const records = FormatFasta.parse('>ctg1 plasmid A\nacgtNNRY\n>ctg2\nACGT');
+ * // => [{name: 'ctg1', description: 'plasmid A', seq: 'ACGTNNRY'}, {name: 'ctg2', description: '', seq: 'ACGT'}]
+ * ```
+ */
+class FormatFasta {
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'FormatFasta'
+   */
+  toString() {
+    return 'FormatFasta';
+  }
+
+  /**
+   * Parse FASTA text into records: {name, description, seq}.
+   * Records without a sequence are skipped.
+   * @param {String} text - FASTA file contents
+   * @return {Array} Array of records
+   */
+  static parse(text) {
+    const records = [];
+    let record;
+    let chunks = [];
+    const finishRecord = () => {
+      if (!record) { return; }
+      record.seq = FormatFasta.cleanSeq(chunks.join(''), record.name);
+      if (record.seq.length > 0) {
+        records.push(record);
+      } else {
+        console.error(`FASTA record '${record.name}' has no sequence and will be skipped.`);
+      }
+    };
+
+    // Lines are found with indexOf so that very long lines are not copied more than once
+    let position = 0;
+    const length = text.length;
+    while (position < length) {
+      let end = text.indexOf('\n', position);
+      if (end < 0) { end = length; }
+      const line = text.substring(position, end);
+      position = end + 1;
+
+      if (line.startsWith('>')) {
+        finishRecord();
+        const definition = line.substring(1).trim();
+        const spaceIndex = definition.search(/\s/);
+        record = {
+          name: (spaceIndex < 0) ? definition : definition.substring(0, spaceIndex),
+          description: (spaceIndex < 0) ? '' : definition.substring(spaceIndex).trim()
+        };
+        if (record.name === '') {
+          record.name = `Contig-${records.length + 1}`;
+        }
+        chunks = [];
+      } else if (record) {
+        chunks.push(line);
+      } else if (line.trim() !== '' && !line.startsWith(';')) {
+        // Sequence without a definition line
+        record = { name: 'Unknown', description: '' };
+        chunks = [line];
+      }
+    }
+    finishRecord();
+    return records;
+  }
+
+  /**
+   * Return the uppercase sequence with whitespace and numbers removed.
+   * Characters that are not IUPAC nucleotide codes are replaced with 'N'.
+   * @param {String} seq - Raw sequence
+   * @param {String} name - Record name used for error messages
+   * @return {String}
+   * @private
+   */
+  static cleanSeq(seq, name) {
+    let cleaned = seq.replace(/[\s\d]/g, '').toUpperCase();
+    const invalid = cleaned.match(/[^ACGTURYSWKMBDHVN]/g);
+    if (invalid) {
+      console.error(`FASTA record '${name}' has ${invalid.length} invalid character(s) (e.g. '${invalid[0]}') that were replaced with 'N'.`);
+      cleaned = cleaned.replace(/[^ACGTURYSWKMBDHVN]/g, 'N');
+    }
+    return cleaned;
+  }
+
+  /**
+   * Convert FASTA records to contig JSON.
+   * @param {Array} records - Records from [parse](#parse)
+   * @return {Array} Array of contig JSON ({name, seq, meta})
+   */
+  static toContigs(records) {
+    return records.map( (record) => {
+      const contig = { name: record.name, seq: record.seq };
+      if (record.description) {
+        contig.meta = { description: record.description };
+      }
+      return contig;
+    });
+  }
+
+}
+
+export default FormatFasta;
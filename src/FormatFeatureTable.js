@@ -0,0 +1,304 @@
+//////////////////////////////////////////////////////////////////////////////
+// FormatFeatureTable
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import utils from './Utils';
+
+/**
+ * FormatFeatureTable writes and reads features as delimited text (e.g. CSV or TSV)
+ * with one feature per row. It is used by [IO.featuresToTable()](IO.html#featuresToTable)
+ * and [IO.loadFeatureTable()](IO.html#loadFeatureTable).
+ *
+ * Columns are named after feature attributes:
+ *
+ * Column          | Description
+ * ----------------|------------
+ * name            | Feature name
+ * type            | Feature type
+ * contig          | Contig name
+ * start, stop     | Start and stop positions (on the contig)
+ * strand          | '+' or '-' (1 and -1 are also read)
+ * source          | Feature source
+ * legend          | Legend item name
+ * tags            | Tags separated by ';'
+ * score           | Score (0 to 1)
+ * locations       | Locations for features with several parts (e.g. '1..100,200..300')
+ * qualifiers.KEY  | The qualifier KEY (e.g. 'qualifiers.product')
+ *
+ * ### Example
+ * ```js
+ * const table = FormatFeatureTable.write(featureJSON, {columns: ['name', 'start', 'stop', 'qualifiers.product']});
+ * // => 'name,start,stop,qualifiers.product\ndnaA,1,1200,"replication initiator, DnaA"'
+ * const { features, errors } = FormatFeatureTable.parse(table, {columnMap: {'Gene': 'name'}});
+ * ```
+ */
+class FormatFeatureTable {
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'FormatFeatureTable'
+   */
+  toString() {
+    return 'FormatFeatureTable';
+  }
+
+  /**
+   * Columns written by default.
+   */
+  static get defaultColumns() {
+    return ['name', 'type', 'start', 'stop', 'strand', 'source', 'legend', 'tags'];
+  }
+
+  /**
+   * Feature attributes that can be read from a column.
+   */
+  static get attributes() {
+    return ['name', 'type', 'contig', 'start', 'stop', 'strand', 'source', 'legend', 'tags', 'score', 'locations'];
+  }
+
+  /**
+   * Write features as delimited text with a header row.
+   * @param {Array} features - Array of feature JSON (see [Feature.toJSON](Feature.html#toJSON))
+   * @param {Object} options - Options for writing:
+   * <br />
+   * Name         | Type    | Description
+   * -------------|---------|------------
+   * columns      | Array   | Columns to write (see above) [Default: [defaultColumns](#defaultColumns)]
+   * delimiter    | String  | Column delimiter [Default: ',']
+   * @return {String}
+   */
+  static write(features, options = {}) {
+    const columns = utils.defaultFor(options.columns, FormatFeatureTable.defaultColumns);
+    const delimiter = utils.defaultFor(options.delimiter, ',');
+    const lines = [columns.map( c => FormatFeatureTable._quote(c, delimiter) ).join(delimiter)];
+    for (const feature of features) {
+      const values = columns.map( column => FormatFeatureTable._quote(FormatFeatureTable._valueFor(feature, column), delimiter) );
+      lines.push(values.join(delimiter));
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Read features from delimited text. The first row must contain the column names.
+   * Column names are matched to feature attributes using the *columnMap* and then
+   * by name (case insensitive; see above). Other columns are ignored.
+   * @param {String} text - Delimited text
+   * @param {Object} options - Options for reading:
+   * <br />
+   * Name         | Type    | Description
+   * -------------|---------|------------
+   * columnMap    | Object  | Map of column names to feature attributes (e.g. {'Gene': 'name', 'Product': 'qualifiers.product'}). Mapping a column to undefined or '' ignores it.
+   * delimiter    | String  | Column delimiter [Default: tab if the header contains a tab, otherwise ',']
+   * @return {Object} Object with *features* (array of {line, data} where data is feature JSON),
+   *   *errors* (array of {line, message}) and *ignoredColumns* (array of column names)
+   */
+  static parse(text, options = {}) {
+    const firstLine = text.substring(0, text.indexOf('\n') < 0 ? text.length : text.indexOf('\n'));
+    const delimiter = options.delimiter || (firstLine.includes('\t') ? '\t' : ',');
+    const rows = FormatFeatureTable._rows(text, delimiter);
+    const errors = [];
+    const features = [];
+    if (rows.length === 0) {
+      errors.push({ line: 1, message: 'No header row found.' });
+      return { features, errors, ignoredColumns: [] };
+    }
+
+    const header = rows.shift();
+    const { mapping, ignoredColumns } = FormatFeatureTable._mapColumns(header.values, options.columnMap || {});
+    if (!mapping.includes('start') || !mapping.includes('stop')) {
+      errors.push({ line: header.line, message: "Columns for 'start' and 'stop' are required." });
+      return { features, errors, ignoredColumns };
+    }
+
+    for (const row of rows) {
+      if (row.values.length === 1 && row.values[0].trim() === '') { continue; }
+      if (row.values.length !== header.values.length) {
+        errors.push({ line: row.line, message: `Expected ${header.values.length} columns but found ${row.values.length}.` });
+        continue;
+      }
+      const data = {};
+      const rowErrors = [];
+      mapping.forEach( (attribute, i) => {
+        if (!attribute) { return; }
+        const error = FormatFeatureTable._setValue(data, attribute, row.values[i].trim());
+        if (error) { rowErrors.push(error); }
+      });
+      if (rowErrors.length > 0) {
+        errors.push({ line: row.line, message: rowErrors.join('; ') });
+      } else {
+        features.push({ line: row.line, data });
+      }
+    }
+    return { features, errors, ignoredColumns };
+  }
+
+  /**
+   * Return the column value for feature JSON.
+   * @private
+   */
+  static _valueFor(feature, column) {
+    let value;
+    if (column.startsWith('qualifiers.')) {
+      value = feature.qualifiers && feature.qualifiers[column.substring(11)];
+    } else if (column === 'strand') {
+      value = (feature.strand === -1) ? '-' : '+';
+    } else if (column === 'locations') {
+      value = feature.locations && feature.locations.map( l => `${l[0]}..${l[1]}` ).join(',');
+    } else {
+      value = feature[column];
+    }
+    if (Array.isArray(value)) {
+      value = value.join(';');
+    }
+    return (value === undefined || value === null) ? '' : String(value);
+  }
+
+  /**
+   * Set the attribute on the feature data from a text value. Returns an error message if the value is invalid.
+   * @private
+   */
+  static _setValue(data, attribute, value) {
+    if (attribute.startsWith('qualifiers.')) {
+      if (value !== '') {
+        data.qualifiers = data.qualifiers || {};
+        data.qualifiers[attribute.substring(11)] = value;
+      }
+    } else if (attribute === 'start' || attribute === 'stop') {
+      const number = Number(value);
+      if (value === '' || !Number.isInteger(number) || number < 1) {
+        return `${attribute} '${value}' is not a positive integer`;
+      }
+      data[attribute] = number;
+    } else if (attribute === 'strand') {
+      if (['+', '1', '+1', ''].includes(value)) {
+        data.strand = 1;
+      } else if (['-', '-1'].includes(value)) {
+        data.strand = -1;
+      } else {
+        return `strand '${value}' must be '+' or '-'`;
+      }
+    } else if (attribute === 'score') {
+      const number = Number(value);
+      if (value !== '' && (isNaN(number) || number < 0 || number > 1)) {
+        return `score '${value}' must be between 0 and 1`;
+      } else if (value !== '') {
+        data.score = number;
+      }
+    } else if (attribute === 'tags') {
+      if (value !== '') {
+        data.tags = value.split(';').map( t => t.trim() ).filter( t => t !== '' );
+      }
+    } else if (attribute === 'locations') {
+      if (value === '') { return; }
+      const locations = value.split(',').map( l => l.trim().split('..').map(Number) );
+      if (locations.some( l => l.length !== 2 || !Number.isInteger(l[0]) || !Number.isInteger(l[1]) || l[0] > l[1] )) {
+        return `locations '${value}' must look like '1..100,200..300'`;
+      }
+      data.locations = locations;
+    } else if (value !== '') {
+      data[attribute] = value;
+    }
+  }
+
+  /**
+   * Return the attribute for each column.
+   * @private
+   */
+  static _mapColumns(columns, columnMap) {
+    const ignoredColumns = [];
+    const mapping = columns.map( (column) => {
+      const name = column.trim();
+      if (Object.prototype.hasOwnProperty.call(columnMap, name)) {
+        if (!columnMap[name]) { ignoredColumns.push(name); }
+        return columnMap[name] || undefined;
+      }
+      const attribute = FormatFeatureTable.attributes.find( a => a.toLowerCase() === name.toLowerCase() );
+      if (attribute) {
+        return attribute;
+      } else if (name.startsWith('qualifiers.') && name.length > 11) {
+        return name;
+      }
+      ignoredColumns.push(name);
+    });
+    return { mapping, ignoredColumns };
+  }
+
+  /**
+   * Split delimited text into rows of values. Quoted values may contain
+   * delimiters, newlines and doubled quotes. Each row includes the line number it starts on.
+   * @private
+   */
+  static _rows(text, delimiter) {
+    const rows = [];
+    let values = [];
+    let value = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    for (let i = 0, len = text.length; i < len; i++) {
+      const char = text[i];
+      if (quoted) {
+        if (char === '"' && text[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          if (char === '\n') { line++; }
+          value += char;
+        }
+      } else if (char === '"' && value === '') {
+        quoted = true;
+      } else if (char === delimiter) {
+        values.push(value);
+        value = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') { i++; }
+        values.push(value);
+        rows.push({ line: rowLine, values });
+        values = [];
+        value = '';
+        line++;
+        rowLine = line;
+      } else {
+        value += char;
+      }
+    }
+    if (value !== '' || values.length > 0) {
+      values.push(value);
+      rows.push({ line: rowLine, values });
+    }
+    return rows;
+  }
+
+  /**
+   * Quote a value if it contains the delimiter, a quote or a newline.
+   * @private
+   */
+  static _quote(value, delimiter) {
+    if (value.includes(delimiter) || /["\n\r]/.test(value)) {
+      return `"${value.replace(/"/g, '""')}"`;
+    }
+    return value;
+  }
+
+}
+
+export default FormatFeatureTable;
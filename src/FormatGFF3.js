@@ -0,0 +1,593 @@
+//////////////////////////////////////////////////////////////////////////////
+// FormatGFF3
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { version as currentVersion } from '../package.json';
+import FormatFasta from './FormatFasta';
+import utils from './Utils';
+
+/**
+ * FormatGFF3 reads GFF3 files (including an optional ##FASTA section) and
+ * converts them to CGView JSON. It is used by [IO.loadGFF3()](IO.html#loadGFF3)
+ * and [IO.gff3ToJSON()](IO.html#gff3ToJSON).
+ *
+ * Rows that share an ID are parts of the same feature and always become a single
+ * feature with several locations. The ID/Parent hierarchy is handled with the
+ * *hierarchy* option:
+ *
+ * Hierarchy | Description
+ * ----------|------------
+ * merge     | Each chain (e.g. gene → mRNA → exon/CDS) is collapsed. The exons of a transcript become the locations of the transcript, the CDS rows become one CDS feature and the parents (e.g. gene) are only kept if they have no children. Names and attributes are inherited from the parents. [Default]
+ * flat      | Every ID becomes its own feature. The ID and Parent attributes are kept in the qualifiers to link the features.
+ *
+ * GFF3 columns are mapped to CGView features as follows:
+ *
+ * GFF3                         | CGView Feature
+ * -----------------------------|---------------
+ * seqid                        | contig
+ * type                         | type (and legend)
+ * start, end, strand           | start, stop, strand and locations
+ * phase (of first CDS part)    | codonStart
+ * score (between 0 and 1)      | score (other scores are kept in the qualifiers)
+ * transl_table attribute       | geneticCode
+ * All other attributes         | qualifiers
+ *
+ * ### Example
+ * ```js
+ * const gff3 = FormatGFF3.parse(text);
+ * // => {sequenceRegions: [...], rows: [...], sequences: [...]}
+ * const json = FormatGFF3.toCGViewJSON(text);
+ * // => {cgview: {sequence: {contigs: [...]}, features: [...], ...}}
+ * const gff3 = FormatGFF3.write(records);
+ * // => '##gff-version 3\n##sequence-region ...'
+ * ```
+ */
+class FormatGFF3 {
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'FormatGFF3'
+   */
+  toString() {
+    return 'FormatGFF3';
+  }
+
+  /**
+   * Attributes used, in order of preference, to name features.
+   */
+  static get nameAttributes() {
+    return ['Name', 'gene', 'locus_tag', 'product', 'ID'];
+  }
+
+  /**
+   * Attributes that may contain several comma separated values.
+   */
+  static get multipleValueAttributes() {
+    return ['Parent', 'Alias', 'Dbxref', 'Ontology_term'];
+  }
+
+  /**
+   * Parse GFF3 text. Returns an object with:
+   * - sequenceRegions: array of {name, start, end} from the ##sequence-region directives
+   * - rows: array of {seqid, source, type, start, end, score, strand, phase, attributes}
+   * - sequences: array of {name, description, seq} from the ##FASTA section (see [FormatFasta.parse](FormatFasta.html#parse))
+   * @param {String} text - GFF3 file contents
+   * @return {Object}
+   */
+  static parse(text) {
+    const sequenceRegions = [];
+    const rows = [];
+    let sequences = [];
+    const lines = text.split(/\r?\n/);
+
+    for (let i = 0, len = lines.length; i < len; i++) {
+      const line = lines[i];
+      if (line.startsWith('##FASTA') || line.startsWith('>')) {
+        // The rest of the file is FASTA (the ##FASTA directive is sometimes missing)
+        const start = line.startsWith('>') ? i : i + 1;
+        sequences = FormatFasta.parse(lines.slice(start).join('\n'));
+        break;
+      } else if (line.startsWith('##sequence-region')) {
+        const tokens = line.trim().split(/\s+/);
+        sequenceRegions.push({ name: tokens[1], start: Number(tokens[2]), end: Number(tokens[3]) });
+      } else if (line.trim() !== '' && !line.startsWith('#')) {
+        const row = FormatGFF3.parseRow(line);
+        if (row) {
+          rows.push(row);
+        } else {
+          console.error(`Could not read GFF3 line ${i + 1}: '${line}'`);
+        }
+      }
+    }
+    return { sequenceRegions, rows, sequences };
+  }
+
+  /**
+   * Parse a single GFF3 feature line.
+   * @param {String} line - Tab separated GFF3 line
+   * @return {Object} Row object or undefined if the line could not be read
+   */
+  static parseRow(line) {
+    const columns = line.split('\t');
+    if (columns.length < 8) { return; }
+    const start = Number(columns[3]);
+    const end = Number(columns[4]);
+    if (!Number.isInteger(start) || !Number.isInteger(end)) { return; }
+    return {
+      seqid: FormatGFF3._unescape(columns[0]),
+      source: columns[1],
+      type: columns[2],
+      start: Math.min(start, end),
+      end: Math.max(start, end),
+      score: (columns[5] === '.') ? undefined : Number(columns[5]),
+      strand: (columns[6] === '-') ? -1 : 1,
+      phase: (columns[7] === '.') ? undefined : Number(columns[7]),
+      attributes: FormatGFF3.parseAttributes(columns[8])
+    };
+  }
+
+  /**
+   * Parse the GFF3 attribute column (e.g. 'ID=cds1;Parent=gene1;product=DNA%2C polymerase').
+   * Values are unescaped. Attributes in [multipleValueAttributes](#multipleValueAttributes)
+   * always return arrays.
+   * @param {String} text - Attribute column
+   * @return {Object}
+   */
+  static parseAttributes(text) {
+    const attributes = {};
+    if (!text || text.trim() === '.') { return attributes; }
+    for (const pair of text.split(';')) {
+      if (pair.trim() === '') { continue; }
+      const index = pair.indexOf('=');
+      const key = FormatGFF3._unescape((index < 0) ? pair.trim() : pair.substring(0, index).trim());
+      const value = (index < 0) ? true : pair.substring(index + 1);
+      if (value === true) {
+        attributes[key] = true;
+      } else if (FormatGFF3.multipleValueAttributes.includes(key)) {
+        attributes[key] = value.split(',').map( v => FormatGFF3._unescape(v) );
+      } else {
+        attributes[key] = FormatGFF3._unescape(value);
+      }
+    }
+    return attributes;
+  }
+
+  /**
+   * Convert GFF3 text to CGView JSON that can be loaded with [IO.loadJSON()](IO.html#loadJSON).
+   * @param {String} text - GFF3 file contents
+   * @param {Object} options - Options for the conversion:
+   * <br />
+   * Name         | Type    | Description
+   * -------------|---------|------------
+   * source       | String  | Source given to every feature [Default: 'gff3']
+   * hierarchy    | String  | How to handle ID/Parent relationships: 'merge', 'flat' (see above) [Default: 'merge']
+   * skipTypes    | Array   | Feature types that will not be converted [Default: ['region']]
+   * tracks       | Boolean | Add a track showing the features (dataMethod: 'source') [Default: true]
+   * @return {Object} CGView JSON
+   */
+  static toCGViewJSON(text, options = {}) {
+    const source = utils.defaultFor(options.source, 'gff3');
+    const hierarchy = utils.defaultFor(options.hierarchy, 'merge');
+    const skipTypes = utils.defaultFor(options.skipTypes, ['region']);
+    const addTracks = utils.defaultFor(options.tracks, true);
+    const gff3 = (typeof text === 'string') ? FormatGFF3.parse(text) : text;
+
+    const contigs = FormatGFF3._contigs(gff3);
+    if (contigs.length === 0) {
+      throw new Error('No GFF3 sequences or features found.');
+    }
+    const contigNames = contigs.map( c => c.name );
+
+    const nodes = FormatGFF3.buildHierarchy(gff3.rows);
+    let rawFeatures;
+    if (hierarchy === 'flat') {
+      rawFeatures = nodes.map( n => FormatGFF3._nodeToRawFeature(n, n.attributes) );
+    } else {
+      rawFeatures = nodes.filter( n => n.parents.length === 0 ).map( n => FormatGFF3._mergeNode(n) ).flat();
+    }
+
+    const features = [];
+    const geneticCodeCounts = {};
+    for (const rawFeature of rawFeatures) {
+      if (skipTypes.includes(rawFeature.type)) { continue; }
+      if (!contigNames.includes(rawFeature.seqid)) {
+        console.error(`GFF3 feature '${rawFeature.attributes.ID || rawFeature.type}' is on an unknown sequence '${rawFeature.seqid}'.`);
+        continue;
+      }
+      const feature = FormatGFF3.featureToJSON(rawFeature, { source, flat: hierarchy === 'flat' });
+      if (feature.geneticCode) {
+        geneticCodeCounts[feature.geneticCode] = (geneticCodeCounts[feature.geneticCode] || 0) + 1;
+      }
+      features.push(feature);
+    }
+
+    // Circular unless a single region is marked as linear
+    const circularRegions = gff3.rows.filter( r => r.type === 'region' && r.attributes.Is_circular );
+    const linear = contigs.length === 1 && circularRegions.length > 0 && circularRegions.every( r => r.attributes.Is_circular === 'false' );
+
+    const json = {
+      version: currentVersion,
+      name: contigs[0].name,
+      settings: {
+        format: linear ? 'linear' : 'circular'
+      },
+      sequence: { contigs },
+      features
+    };
+    // Use the most common translation table as the map genetic code
+    const geneticCodes = Object.keys(geneticCodeCounts);
+    if (geneticCodes.length > 0) {
+      geneticCodes.sort( (a, b) => geneticCodeCounts[b] - geneticCodeCounts[a] );
+      json.settings.geneticCode = Number(geneticCodes[0]);
+    }
+    if (addTracks && features.length > 0) {
+      json.tracks = [{
+        name: 'Features',
+        separateFeaturesBy: 'strand',
+        position: 'both',
+        dataType: 'feature',
+        dataMethod: 'source',
+        dataKeys: source
+      }];
+    }
+    return { cgview: json };
+  }
+
+  /**
+   * Write records as GFF3. Records have the same structure as those used by
+   * [FormatGenBank.write](FormatGenBank.html#write): name, length, seq and features.
+   * Features with several locations are written as several rows that share an ID.
+   * @param {Array} records - Records to write
+   * @param {Object} options - Options for writing:
+   * <br />
+   * Name         | Type    | Description
+   * -------------|---------|------------
+   * geneticCode  | Number  | transl_table attribute written for CDS features without a geneticCode
+   * fasta        | Boolean | Add the sequences in a ##FASTA section [Default: true]
+   * @return {String} GFF3 text
+   */
+  static write(records, options = {}) {
+    const lines = ['##gff-version 3'];
+    for (const record of records) {
+      const length = record.seq ? record.seq.length : record.length;
+      lines.push(`##sequence-region ${FormatGFF3._escape(record.name)} 1 ${length}`);
+    }
+    const usedIDs = [];
+    let count = 0;
+    for (const record of records) {
+      for (const feature of record.features) {
+        count++;
+        const qualifiers = { ...feature.qualifiers };
+        let id = (typeof qualifiers.ID === 'string') ? qualifiers.ID : `feature-${count}`;
+        while (usedIDs.includes(id)) {
+          id = `${id}-${count}`;
+        }
+        usedIDs.push(id);
+        const attributes = [['ID', id]];
+        if (feature.name) {
+          attributes.push(['Name', feature.name]);
+        }
+        const isCDS = feature.type === 'CDS';
+        for (const key of Object.keys(qualifiers)) {
+          if (['ID', 'Name', 'codon_start', 'translation'].includes(key)) { continue; }
+          const value = qualifiers[key];
+          if (value !== undefined && value !== null && value !== false) {
+            attributes.push([key, value]);
+          }
+        }
+        const geneticCode = feature.geneticCode || (isCDS ? options.geneticCode : undefined);
+        if (geneticCode && qualifiers.transl_table === undefined) {
+          attributes.push(['transl_table', geneticCode]);
+        }
+        const attributeText = attributes.map( ([key, value]) => {
+          const values = Array.isArray(value) ? value : [value];
+          return `${FormatGFF3._escape(key)}=${values.map( v => FormatGFF3._escape(String(v)) ).join(',')}`;
+        }).join(';');
+
+        const phases = isCDS ? FormatGFF3._phases(feature.locations, feature.strand, feature.codonStart || 1) : [];
+        const score = (feature.score !== undefined && feature.score !== 1) ? feature.score : '.';
+        feature.locations.forEach( ([start, stop], i) => {
+          lines.push([
+            FormatGFF3._escape(record.name),
+            FormatGFF3._escape(feature.source || 'CGView'),
+            (feature.type || 'region').replace(/\s+/g, '_'),
+            start,
+            stop,
+            score,
+            (feature.strand === -1) ? '-' : '+',
+            isCDS ? phases[i] : '.',
+            attributeText
+          ].join('\t'));
+        });
+      }
+    }
+    const fastaRecords = records.filter( r => r.seq );
+    if (utils.defaultFor(options.fasta, true) && fastaRecords.length > 0) {
+      lines.push('##FASTA');
+      for (const record of fastaRecords) {
+        lines.push(`>${record.name}`);
+        for (let i = 0, len = record.seq.length; i < len; i += 60) {
+          lines.push(record.seq.substring(i, i + 60));
+        }
+      }
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Return the phase for each location (in map order) of a CDS. The phase of the
+   * 5' most location comes from the codonStart. The others are based on the
+   * length of the preceding locations.
+   * @private
+   */
+  static _phases(locations, strand, codonStart) {
+    const order = locations.map( (l, i) => i );
+    if (strand === -1) { order.reverse(); }
+    const phases = [];
+    let phase = codonStart - 1;
+    for (const index of order) {
+      phases[index] = phase;
+      const length = locations[index][1] - locations[index][0] + 1;
+      phase = (3 - ((length - phase) % 3)) % 3;
+    }
+    return phases;
+  }
+
+  /**
+   * Group rows into nodes. Rows with the same ID (e.g. a CDS split over several lines)
+   * become one node with several parts. Rows without an ID are their own node.
+   * Each node has: id, type, seqid, strand, parts (rows), attributes, parents and children.
+   * @param {Array} rows - Rows from [parse](#parse)
+   * @return {Array} Nodes in file order
+   */
+  static buildHierarchy(rows) {
+    const nodes = [];
+    const nodesByID = {};
+    for (const row of rows) {
+      const id = row.attributes.ID;
+      let node = (id !== undefined) ? nodesByID[id] : undefined;
+      if (node) {
+        node.parts.push(row);
+        continue;
+      }
+      node = {
+        id,
+        type: row.type,
+        seqid: row.seqid,
+        strand: row.strand,
+        parts: [row],
+        attributes: row.attributes,
+        parents: [],
+        children: []
+      };
+      nodes.push(node);
+      if (id !== undefined) {
+        nodesByID[id] = node;
+      }
+    }
+    for (const node of nodes) {
+      for (const parentID of (node.attributes.Parent || [])) {
+        const parent = nodesByID[parentID];
+        if (parent) {
+          node.parents.push(parent);
+          parent.children.push(node);
+        } else {
+          console.error(`GFF3 Parent '${parentID}' was not found.`);
+        }
+      }
+    }
+    return nodes;
+  }
+
+  /**
+   * Convert a raw feature (from a node) to CGView feature JSON.
+   * @param {Object} rawFeature - Object with type, seqid, strand, parts and attributes
+   * @param {Object} options - source and flat (keep ID/Parent)
+   * @return {Object} Feature JSON
+   * @private
+   */
+  static featureToJSON(rawFeature, options = {}) {
+    const attributes = { ...rawFeature.attributes };
+    const locations = FormatGFF3._locations(rawFeature.parts);
+    const feature = {
+      name: FormatGFF3.nameFor(attributes),
+      type: rawFeature.type,
+      legend: rawFeature.type,
+      source: options.source,
+      contig: rawFeature.seqid,
+      strand: rawFeature.strand,
+      start: locations[0][0],
+      stop: locations[locations.length - 1][1]
+    };
+    if (locations.length > 1) {
+      feature.locations = locations;
+    }
+    // The phase of the 5' most part gives the reading frame
+    const parts = rawFeature.parts.slice().sort( (a, b) => a.start - b.start );
+    const firstPart = (feature.strand === -1) ? parts[parts.length - 1] : parts[0];
+    if (firstPart.phase) {
+      feature.codonStart = firstPart.phase + 1;
+    }
+    if (attributes.transl_table !== undefined) {
+      feature.geneticCode = Number(attributes.transl_table);
+      delete attributes.transl_table;
+    }
+    const score = firstPart.score;
+    if (score !== undefined && !isNaN(score)) {
+      if (score >= 0 && score <= 1) {
+        feature.score = score;
+      } else {
+        attributes.score = score;
+      }
+    }
+    if (!options.flat) {
+      delete attributes.ID;
+      delete attributes.Parent;
+    }
+    if (Object.keys(attributes).length > 0) {
+      feature.qualifiers = attributes;
+    }
+    return feature;
+  }
+
+  /**
+   * Return a name for a feature using the [nameAttributes](#nameAttributes).
+   * @param {Object} attributes - Feature attributes
+   * @return {String}
+   * @private
+   */
+  static nameFor(attributes = {}) {
+    for (const key of FormatGFF3.nameAttributes) {
+      const value = attributes[key];
+      if (typeof value === 'string' && value !== '') {
+        return value;
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Collapse a node and its descendants into raw features.
+   * Attributes of ancestors are inherited (and overridden) by descendants.
+   * @private
+   */
+  static _mergeNode(node, inherited = {}) {
+    const attributes = { ...inherited, ...node.attributes };
+    if (node.children.length === 0) {
+      return [FormatGFF3._nodeToRawFeature(node, attributes)];
+    }
+    // Inherited names should not hide a child's own identity (e.g. the gene ID on a CDS)
+    const childInherited = { ...attributes };
+    delete childInherited.ID;
+
+    const rawFeatures = [];
+    const leavesByType = {};
+    for (const child of node.children) {
+      if (child.children.length > 0) {
+        rawFeatures.push(...FormatGFF3._mergeNode(child, childInherited));
+      } else {
+        leavesByType[child.type] = leavesByType[child.type] || [];
+        leavesByType[child.type].push(child);
+      }
+    }
+    for (const type of Object.keys(leavesByType)) {
+      const leaves = leavesByType[type];
+      // Exons define the locations of their transcript
+      const featureType = (type === 'exon') ? node.type : type;
+      const leafAttributes = (type === 'exon') ? {} : leaves[0].attributes;
+      rawFeatures.push({
+        type: featureType,
+        seqid: node.seqid,
+        strand: leaves[0].strand,
+        parts: leaves.map( l => l.parts ).flat(),
+        attributes: { ...childInherited, ...leafAttributes }
+      });
+    }
+    return rawFeatures;
+  }
+
+  /**
+   * @private
+   */
+  static _nodeToRawFeature(node, attributes) {
+    return {
+      type: node.type,
+      seqid: node.seqid,
+      strand: node.strand,
+      parts: node.parts,
+      attributes
+    };
+  }
+
+  /**
+   * Return the sorted [start, stop] locations for rows, merging overlapping parts.
+   * @private
+   */
+  static _locations(parts) {
+    const sorted = parts.map( p => [p.start, p.end] ).sort( (a, b) => a[0] - b[0] );
+    const locations = [sorted[0]];
+    for (let i = 1, len = sorted.length; i < len; i++) {
+      const last = locations[locations.length - 1];
+      if (sorted[i][0] <= last[1] + 1) {
+        last[1] = Math.max(last[1], sorted[i][1]);
+      } else {
+        locations.push(sorted[i]);
+      }
+    }
+    return locations;
+  }
+
+  /**
+   * Contigs come from the FASTA section, the sequence-region directives or
+   * the feature seqids (in that order of preference).
+   * @private
+   */
+  static _contigs(gff3) {
+    const lengths = {};
+    const names = [];
+    const addName = (name) => {
+      if (!names.includes(name)) { names.push(name); }
+    };
+    for (const region of gff3.sequenceRegions) {
+      addName(region.name);
+      lengths[region.name] = region.end;
+    }
+    for (const row of gff3.rows) {
+      addName(row.seqid);
+      lengths[row.seqid] = Math.max(lengths[row.seqid] || 0, row.end);
+    }
+    const sequences = gff3.sequences;
+    if (sequences.length > 0) {
+      const missing = names.filter( n => !sequences.find( s => s.name === n ) );
+      if (missing.length === 0) {
+        return FormatFasta.toContigs(sequences);
+      }
+      console.error(`GFF3 FASTA section is missing sequences for: ${missing.join(', ')}. Only contig lengths will be used.`);
+      for (const sequence of sequences) {
+        addName(sequence.name);
+        lengths[sequence.name] = Math.max(lengths[sequence.name] || 0, sequence.seq.length);
+      }
+    }
+    return names.map( name => ({ name, length: lengths[name] }) );
+  }
+
+  /**
+   * Escape characters with special meaning in GFF3 (i.e. tab, newline, %, ;, =, &, and ,).
+   * @private
+   */
+  static _escape(text) {
+    return text.replace(/[\t\n\r%;=&,]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`);
+  }
+
+  /**
+   * Unescape GFF3 percent encoding (e.g. %3B, %2C).
+   * @private
+   */
+  static _unescape(text) {
+    try {
+      return decodeURIComponent(text);
+    } catch (error) {
+      return text;
+    }
+  }
+
+}
+
+export default FormatGFF3;
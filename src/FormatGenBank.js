@@ -0,0 +1,620 @@
+//////////////////////////////////////////////////////////////////////////////
+// FormatGenBank
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import { version as currentVersion } from '../package.json';
+import utils from './Utils';
+
+/**
+ * FormatGenBank reads GenBank flat files and converts them to CGView JSON.
+ * It is used by [IO.loadGenBank()](IO.html#loadGenBank) and
+ * [IO.genBankToJSON()](IO.html#genBankToJSON).
+ *
+ * Each LOCUS record becomes a contig and each feature becomes a CGView
+ * feature with the following mapping:
+ *
+ * GenBank                      | CGView Feature
+ * -----------------------------|---------------
+ * Feature key (e.g. CDS)       | type (and legend)
+ * Location                     | start, stop, strand and locations (for join/order)
+ * /codon_start                 | codonStart
+ * /transl_table                | geneticCode
+ * /translation                 | translation
+ * All other qualifiers         | qualifiers
+ *
+ * ### Example
+ * ```js
+ * const records = FormatGenBank.parse(text);
+ * // => [{name: 'NC_001416', length: 48502, seq: 'GGGCGG...', features: [...]}]
+ * const json = FormatGenBank.toCGViewJSON(text);
+ * // => {cgview: {sequence: {contigs: [...]}, features: [...], ...}}
+ * const genbank = FormatGenBank.write(records);
+ * // => 'LOCUS       NC_001416 ...'
+ * ```
+ */
+class FormatGenBank {
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'FormatGenBank'
+   */
+  toString() {
+    return 'FormatGenBank';
+  }
+
+  /**
+   * Qualifiers used, in order of preference, to name features.
+   */
+  static get nameQualifiers() {
+    return ['gene', 'locus_tag', 'label', 'product', 'protein_id'];
+  }
+
+  /**
+   * Parse a GenBank flat file into an array of records. Each record contains:
+   * name, length, seq, topology, moleculeType, definition, accession, version,
+   * organism and features. Each feature contains: type, strand, locations and qualifiers.
+   * @param {String} text - GenBank file contents (may contain several records)
+   * @return {Array} Array of records
+   */
+  static parse(text) {
+    const records = [];
+    const lines = text.split(/\r?\n/);
+    let record, section, feature, lastKeyword;
+    let seqChunks = [];
+
+    for (let i = 0, len = lines.length; i < len; i++) {
+      const line = lines[i];
+      if (line.startsWith('LOCUS')) {
+        record = FormatGenBank._parseLocus(line);
+        records.push(record);
+        section = 'header';
+        feature = undefined;
+        seqChunks = [];
+        continue;
+      }
+      if (!record) { continue; }
+
+      if (line.startsWith('//')) {
+        if (seqChunks.length > 0) {
+          record.seq = seqChunks.join('').toUpperCase();
+        }
+        FormatGenBank._finishFeature(feature);
+        record = undefined;
+        continue;
+      }
+
+      if (section === 'features') {
+        if (/^ {5}\S/.test(line)) {
+          // New feature: key starts in column 6, location in column 22
+          FormatGenBank._finishFeature(feature);
+          const match = line.match(/^ {5}(\S+)\s+(.*)$/);
+          feature = { type: match[1], lines: [match[2].trim()] };
+          record.features.push(feature);
+          continue;
+        } else if (/^ {21}/.test(line) && feature) {
+          feature.lines.push(line.trim());
+          continue;
+        }
+        // Any other line ends the feature table
+        FormatGenBank._finishFeature(feature);
+        feature = undefined;
+        section = 'header';
+      }
+
+      if (section === 'origin') {
+        seqChunks.push(line.replace(/[\d\s]/g, ''));
+        continue;
+      }
+
+      // Header keywords
+      const keyword = line.substring(0, 12).trim();
+      const value = line.substring(12).trim();
+      if (keyword === 'FEATURES') {
+        section = 'features';
+      } else if (keyword === 'ORIGIN') {
+        section = 'origin';
+      } else if (keyword === 'DEFINITION') {
+        record.definition = value;
+      } else if (keyword === 'ACCESSION') {
+        record.accession = value.split(/\s+/)[0];
+      } else if (keyword === 'VERSION') {
+        record.version = value.split(/\s+/)[0];
+      } else if (keyword === 'ORGANISM') {
+        record.organism = value;
+      } else if (keyword === '' && lastKeyword === 'DEFINITION') {
+        // Continuation of a multi-line definition
+        record.definition = `${record.definition} ${value}`;
+        continue;
+      }
+      if (keyword !== '') {
+        lastKeyword = keyword;
+      }
+    }
+    // Records without the terminating '//'
+    if (record) {
+      if (seqChunks.length > 0) {
+        record.seq = seqChunks.join('').toUpperCase();
+      }
+      FormatGenBank._finishFeature(feature);
+    }
+
+    // Remove features whose location could not be read
+    for (const rec of records) {
+      rec.features = rec.features.filter( f => f.locations && f.locations.length > 0 );
+    }
+    return records;
+  }
+
+  /**
+   * Convert GenBank text to CGView JSON that can be loaded with [IO.loadJSON()](IO.html#loadJSON).
+   * @param {String} text - GenBank file contents
+   * @param {Object} options - Options for the conversion:
+   * <br />
+   * Name         | Type    | Description
+   * -------------|---------|------------
+   * source       | String  | Source given to every feature [Default: 'genbank']
+   * skipTypes    | Array   | Feature types that will not be converted [Default: ['source']]
+   * tracks       | Boolean | Add a track showing the features (dataMethod: 'source') [Default: true]
+   * @return {Object} CGView JSON
+   */
+  static toCGViewJSON(text, options = {}) {
+    const source = utils.defaultFor(options.source, 'genbank');
+    const skipTypes = utils.defaultFor(options.skipTypes, ['source']);
+    const addTracks = utils.defaultFor(options.tracks, true);
+    const records = (typeof text === 'string') ? FormatGenBank.parse(text) : text;
+    if (records.length === 0) {
+      throw new Error('No GenBank LOCUS records found.');
+    }
+
+    // The Sequence can not mix contigs with and without sequence
+    const useSeq = records.every( r => r.seq );
+    if (!useSeq && records.some( r => r.seq )) {
+      console.error('Some GenBank records have no sequence. Only contig lengths will be used.');
+    }
+
+    const contigs = [];
+    const features = [];
+    const geneticCodeCounts = {};
+    for (const record of records) {
+      const contig = { name: record.name };
+      if (useSeq) {
+        contig.seq = record.seq;
+      } else {
+        contig.length = record.length;
+      }
+      const meta = {};
+      for (const key of ['definition', 'accession', 'version', 'organism', 'moleculeType', 'topology']) {
+        if (record[key] !== undefined) { meta[key] = record[key]; }
+      }
+      if (Object.keys(meta).length > 0) {
+        contig.meta = meta;
+      }
+      contigs.push(contig);
+
+      for (const rawFeature of record.features) {
+        if (skipTypes.includes(rawFeature.type)) { continue; }
+        const feature = FormatGenBank.featureToJSON(rawFeature, { source, contig: record.name });
+        if (feature.geneticCode) {
+          geneticCodeCounts[feature.geneticCode] = (geneticCodeCounts[feature.geneticCode] || 0) + 1;
+        }
+        features.push(feature);
+      }
+    }
+
+    const first = records[0];
+    const json = {
+      version: currentVersion,
+      name: first.definition || first.name,
+      settings: {
+        format: (records.length === 1 && first.topology === 'linear') ? 'linear' : 'circular'
+      },
+      sequence: { contigs },
+      features
+    };
+    // Use the most common translation table as the map genetic code
+    const geneticCodes = Object.keys(geneticCodeCounts);
+    if (geneticCodes.length > 0) {
+      geneticCodes.sort( (a, b) => geneticCodeCounts[b] - geneticCodeCounts[a] );
+      json.settings.geneticCode = Number(geneticCodes[0]);
+    }
+    if (addTracks && features.length > 0) {
+      json.tracks = [{
+        name: 'Features',
+        separateFeaturesBy: 'strand',
+        position: 'both',
+        dataType: 'feature',
+        dataMethod: 'source',
+        dataKeys: source
+      }];
+    }
+    return { cgview: json };
+  }
+
+  /**
+   * Write records as a GenBank flat file. Records have the same structure as
+   * those returned by [parse](#parse). Each feature may also have: name,
+   * codonStart, geneticCode and translation.
+   * If the name is not one of the [nameQualifiers](#nameQualifiers), it is written as a /label qualifier.
+   * @param {Array} records - Records to write
+   * @param {Object} options - Options for writing:
+   * <br />
+   * Name         | Type    | Description
+   * -------------|---------|------------
+   * geneticCode  | Number  | Translation table written for CDS features without a geneticCode
+   * date         | Date    | Date for the LOCUS line [Default: today]
+   * @return {String} GenBank text
+   */
+  static write(records, options = {}) {
+    const date = FormatGenBank._formatDate(options.date || new Date());
+    const indent = ' '.repeat(21);
+    const lines = [];
+    for (const record of records) {
+      const length = record.seq ? record.seq.length : record.length;
+      const moleculeType = record.moleculeType || 'DNA';
+      const topology = record.topology || 'circular';
+      lines.push(`LOCUS       ${record.name.padEnd(16)} ${String(length).padStart(11)} bp    ${moleculeType.padEnd(7)} ${topology.padEnd(8)} UNK ${date}`);
+      lines.push(...FormatGenBank._wrap(record.definition || record.name, 'DEFINITION  ', ' '.repeat(12)));
+      lines.push(`ACCESSION   ${record.accession || record.name}`);
+      lines.push(`VERSION     ${record.version || record.accession || record.name}`);
+      if (record.organism) {
+        lines.push(`SOURCE      ${record.organism}`);
+        lines.push(`  ORGANISM  ${record.organism}`);
+      }
+      lines.push('FEATURES             Location/Qualifiers');
+      lines.push(`     source          1..${length}`);
+      if (record.organism) {
+        lines.push(`${indent}/organism="${record.organism}"`);
+      }
+      for (const feature of record.features) {
+        const type = (feature.type || 'misc_feature').replace(/\s+/g, '_');
+        const location = FormatGenBank.locationString(feature.locations, feature.strand);
+        lines.push(...FormatGenBank._wrap(location, `     ${type.padEnd(16)}`, indent, /,/));
+        for (const [key, value] of FormatGenBank._qualifiersForWrite(feature, options)) {
+          let text;
+          if (value === true) {
+            text = `/${key}`;
+          } else if (typeof value === 'number') {
+            text = `/${key}=${value}`;
+          } else {
+            text = `/${key}="${String(value).replace(/"/g, '""')}"`;
+          }
+          // Translations are wrapped without spaces
+          const breakAt = (key === 'translation') ? undefined : / /;
+          lines.push(...FormatGenBank._wrap(text, indent, indent, breakAt));
+        }
+      }
+      if (record.seq) {
+        lines.push('ORIGIN');
+        const seq = record.seq.toLowerCase();
+        for (let i = 0, len = seq.length; i < len; i += 60) {
+          const groups = seq.substring(i, i + 60).match(/.{1,10}/g);
+          lines.push(`${String(i + 1).padStart(9)} ${groups.join(' ')}`);
+        }
+      }
+      lines.push('//');
+    }
+    return `${lines.join('\n')}\n`;
+  }
+
+  /**
+   * Return a GenBank location string for locations (in map order) and a strand.
+   * e.g. [[1, 10], [20, 30]] and -1 returns 'complement(join(1..10,20..30))'
+   * @param {Array} locations - Array of [start, stop] arrays
+   * @param {Number} strand - 1 or -1
+   * @return {String}
+   */
+  static locationString(locations, strand = 1) {
+    const parts = locations.map( ([start, stop]) => (start === stop) ? `${start}` : `${start}..${stop}` );
+    let location = (parts.length > 1) ? `join(${parts.join(',')})` : parts[0];
+    if (strand === -1) {
+      location = `complement(${location})`;
+    }
+    return location;
+  }
+
+  /**
+   * Return the qualifiers to write for a feature as an array of [key, value].
+   * @private
+   */
+  static _qualifiersForWrite(feature, options) {
+    const qualifiers = feature.qualifiers || {};
+    const handled = ['codon_start', 'transl_table', 'translation'];
+    const items = [];
+    if (feature.name && FormatGenBank.nameFor(qualifiers) !== feature.name) {
+      items.push(['label', feature.name]);
+    }
+    for (const key of Object.keys(qualifiers)) {
+      if (handled.includes(key)) { continue; }
+      const values = Array.isArray(qualifiers[key]) ? qualifiers[key] : [qualifiers[key]];
+      for (const value of values) {
+        if (value !== undefined && value !== null && value !== false) {
+          items.push([key, value]);
+        }
+      }
+    }
+    const isCDS = feature.type === 'CDS';
+    const codonStart = feature.codonStart || qualifiers.codon_start;
+    if (codonStart || isCDS) {
+      items.push(['codon_start', Number(codonStart || 1)]);
+    }
+    const geneticCode = feature.geneticCode || qualifiers.transl_table || (isCDS ? options.geneticCode : undefined);
+    if (geneticCode) {
+      items.push(['transl_table', Number(geneticCode)]);
+    }
+    const translation = feature.translation || qualifiers.translation;
+    if (translation) {
+      items.push(['translation', translation]);
+    }
+    return items;
+  }
+
+  /**
+   * Wrap text to 79 columns. The first line starts with *first* and the following lines with *indent*.
+   * Lines are broken after the *breakAt* pattern when possible.
+   * @private
+   */
+  static _wrap(text, first, indent, breakAt) {
+    const width = 79 - indent.length;
+    const lines = [];
+    let remaining = text;
+    let prefix = first;
+    while (remaining.length > width) {
+      let index = width;
+      if (breakAt) {
+        // Find the last break character that fits on the line
+        for (let i = width - 1; i > 0; i--) {
+          if (breakAt.test(remaining[i])) {
+            index = i + 1;
+            break;
+          }
+        }
+      }
+      lines.push(`${prefix}${remaining.substring(0, index).trimEnd()}`);
+      remaining = remaining.substring(index);
+      prefix = indent;
+    }
+    lines.push(`${prefix}${remaining}`);
+    return lines;
+  }
+
+  /**
+   * Format a date as DD-MMM-YYYY (e.g. 01-JAN-2024).
+   * @private
+   */
+  static _formatDate(date) {
+    const months = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+    return `${String(date.getDate()).padStart(2, '0')}-${months[date.getMonth()]}-${date.getFullYear()}`;
+  }
+
+  /**
+   * Convert a parsed GenBank feature to CGView feature JSON.
+   * @param {Object} rawFeature - Feature from [parse](#parse)
+   * @param {Object} options - source and contig for the feature
+   * @return {Object} Feature JSON
+   * @private
+   */
+  static featureToJSON(rawFeature, options = {}) {
+    const qualifiers = { ...rawFeature.qualifiers };
+    const locations = rawFeature.locations;
+    const feature = {
+      name: FormatGenBank.nameFor(qualifiers),
+      type: rawFeature.type,
+      legend: rawFeature.type,
+      source: options.source,
+      strand: rawFeature.strand,
+      start: locations[0][0],
+      stop: locations[locations.length - 1][1]
+    };
+    if (options.contig) {
+      feature.contig = options.contig;
+    }
+    if (locations.length > 1) {
+      feature.locations = locations;
+    }
+    if (qualifiers.codon_start !== undefined) {
+      feature.codonStart = Number(qualifiers.codon_start);
+    }
+    if (qualifiers.transl_table !== undefined) {
+      feature.geneticCode = Number(qualifiers.transl_table);
+    }
+    // The translation is stored on the feature directly
+    if (typeof qualifiers.translation === 'string') {
+      feature.translation = qualifiers.translation;
+      delete qualifiers.translation;
+    }
+    if (Object.keys(qualifiers).length > 0) {
+      feature.qualifiers = qualifiers;
+    }
+    return feature;
+  }
+
+  /**
+   * Return a name for a feature using the [nameQualifiers](#nameQualifiers).
+   * @param {Object} qualifiers - Feature qualifiers
+   * @return {String}
+   * @private
+   */
+  static nameFor(qualifiers = {}) {
+    for (const key of FormatGenBank.nameQualifiers) {
+      const value = qualifiers[key];
+      if (typeof value === 'string' && value !== '') {
+        return value;
+      } else if (Array.isArray(value) && value.length > 0) {
+        return value[0];
+      }
+    }
+    return '';
+  }
+
+  /**
+   * Parse a GenBank location string (e.g. 'complement(join(1..100,200..>300))').
+   * Returns the strand and the locations as an array of [start, stop] arrays
+   * sorted in map order (i.e. the order they appear going clockwise).
+   * Remote locations (e.g. 'AB000123.1:1..100') and gaps are ignored.
+   * @param {String} locationString - GenBank location
+   * @return {Object} Object with strand and locations. Locations will be empty if the location could not be read.
+   */
+  static parseLocation(locationString) {
+    const text = locationString.replace(/\s/g, '');
+    let parts = [];
+    try {
+      parts = FormatGenBank._locationParts(text);
+    } catch (error) {
+      console.error(`Could not read GenBank location '${locationString}': ${error.message}`);
+    }
+    if (parts.length === 0) {
+      return { strand: 1, locations: [] };
+    }
+    // Parts are in biological order (5' to 3'). Reverse strand parts must be flipped for map order.
+    const strand = parts[0].strand;
+    if (strand === -1) {
+      parts.reverse();
+    }
+    return { strand, locations: parts.map( p => [p.start, p.stop] ) };
+  }
+
+  /**
+   * Recursively break a location into parts ({start, stop, strand}) in biological order.
+   * @private
+   */
+  static _locationParts(text) {
+    let match;
+    if ( (match = text.match(/^complement\((.*)\)$/)) ) {
+      return FormatGenBank._locationParts(match[1]).reverse().map( p => ({ ...p, strand: -p.strand }) );
+    } else if ( (match = text.match(/^(join|order)\((.*)\)$/)) ) {
+      return FormatGenBank._splitTopLevel(match[2]).map( t => FormatGenBank._locationParts(t) ).flat();
+    } else if (/^gap\(/.test(text) || text.includes(':')) {
+      // Gaps and locations on other records
+      return [];
+    } else if ( (match = text.match(/^<?(\d+)(?:(?:\.\.|\.|\^)>?(\d+))?>?$/)) ) {
+      const start = Number(match[1]);
+      const stop = (match[2] === undefined) ? start : Number(match[2]);
+      return [{ start: Math.min(start, stop), stop: Math.max(start, stop), strand: 1 }];
+    }
+    throw new Error(`unknown location '${text}'`);
+  }
+
+  /**
+   * Split text on commas that are not inside parentheses.
+   * @private
+   */
+  static _splitTopLevel(text) {
+    const items = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+      if (char === '(') { depth++; }
+      if (char === ')') { depth--; }
+      if (char === ',' && depth === 0) {
+        items.push(current);
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    items.push(current);
+    return items;
+  }
+
+  /**
+   * Parse the LOCUS line.
+   * e.g. 'LOCUS       NC_001416              48502 bp    DNA     linear   PHG 28-MAR-2018'
+   * @private
+   */
+  static _parseLocus(line) {
+    const tokens = line.trim().split(/\s+/);
+    const record = {
+      name: tokens[1] || 'Unknown',
+      features: []
+    };
+    const bpIndex = tokens.findIndex( t => /^(bp|aa)$/i.test(t) );
+    if (bpIndex > 0) {
+      record.length = Number(tokens[bpIndex - 1]);
+      if (tokens[bpIndex + 1] && !/^(linear|circular)$/i.test(tokens[bpIndex + 1])) {
+        record.moleculeType = tokens[bpIndex + 1];
+      }
+    }
+    const topology = tokens.find( t => /^(linear|circular)$/i.test(t) );
+    if (topology) {
+      record.topology = topology.toLowerCase();
+    }
+    return record;
+  }
+
+  /**
+   * Convert the raw lines collected for a feature into a location and qualifiers.
+   * @private
+   */
+  static _finishFeature(feature) {
+    if (!feature || !feature.lines) { return; }
+    const lines = feature.lines;
+    delete feature.lines;
+    // Location lines continue until the first qualifier
+    let index = lines.findIndex( l => l.startsWith('/') );
+    if (index < 0) { index = lines.length; }
+    const location = FormatGenBank.parseLocation(lines.slice(0, index).join(''));
+    feature.strand = location.strand;
+    feature.locations = location.locations;
+    feature.qualifiers = FormatGenBank._parseQualifiers(lines.slice(index));
+  }
+
+  /**
+   * Parse qualifier lines into an object. Repeated qualifiers (e.g. /db_xref)
+   * become arrays and qualifiers without values (e.g. /pseudo) become true.
+   * @private
+   */
+  static _parseQualifiers(lines) {
+    const qualifiers = {};
+    const raw = [];
+    let current;
+    for (const line of lines) {
+      if (line.startsWith('/') && !(current && current.open)) {
+        const match = line.match(/^\/([^=]+)(?:=(.*))?$/);
+        current = { key: match[1], value: match[2] };
+        raw.push(current);
+      } else if (current && current.value !== undefined) {
+        // Translations are split without spaces
+        const separator = (current.key === 'translation') ? '' : ' ';
+        current.value = `${current.value}${separator}${line}`;
+      }
+      if (current) {
+        const value = current.value;
+        current.open = (value !== undefined) && value.startsWith('"') && ((value.match(/"/g) || []).length % 2 === 1);
+      }
+    }
+    for (const { key, value } of raw) {
+      let parsed = true;
+      if (value !== undefined) {
+        parsed = value.startsWith('"') ? value.replace(/^"|"$/g, '').replace(/""/g, '"') : value;
+      }
+      if (qualifiers[key] === undefined) {
+        qualifiers[key] = parsed;
+      } else if (Array.isArray(qualifiers[key])) {
+        qualifiers[key].push(parsed);
+      } else {
+        qualifiers[key] = [qualifiers[key], parsed];
+      }
+    }
+    return qualifiers;
+  }
+
+}
+
+export default FormatGenBank;
@@ -53,7 +53,7 @@ class Highlighter extends CGObject {
     this._viewer = viewer;
     this.showMetaData = utils.defaultFor(options.showMetaData, true);
     // this.popoverBox = viewer._container.append('div').attr('class', 'cgv-highlighter-popover-box').style('visibility', 'hidden');
-    this.popoverBox = viewer._wrapper.append('div').attr('class', 'cgv-highlighter-popover-box').style('visibility', 'hidden');
+    this.popoverBox = viewer._wrapper?.append('div').attr('class', 'cgv-highlighter-popover-box').style('visibility', 'hidden');
     this._feature = new HighlighterElement('feature', options.feature);
     this._plot = new HighlighterElement('plot', options.plot);
     this._contig = new HighlighterElement('contig', options.contig);
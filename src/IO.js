@@ -31,6 +31,17 @@ import Annotation from './Annotation';
 import Dividers from './Dividers';
 import { Highlighter } from './Highlighter';
 import Legend from './Legend';
+import FormatGenBank from './FormatGenBank';
+import FormatGFF3 from './FormatGFF3';
+import FormatBED from './FormatBED';
+import FormatFasta from './FormatFasta';
+import FormatCGViewXML from './FormatCGViewXML';
+import FormatFeatureTable from './FormatFeatureTable';
+import JSONDiff from './JSONDiff';
+import JSONSchema from './JSONSchema';
+import SVGContext from './SVGContext';
+import PDFContext from './PDFContext';
+import PNGEncoder from './PNGEncoder';
 import utils from './Utils';
 import * as d3 from 'd3';
 
@@ -52,7 +63,7 @@ class IO {
   }
 
   /**
-   * @member {Number} - Get or set the ability to drag-n-drop JSON files on to viewer
+   * @member {Boolean} - Get or set the ability to drag-n-drop files on to the viewer (see [loadFiles](#loadFiles))
    * @private
    */
   get allowDragAndDrop() {
@@ -62,10 +73,9 @@ class IO {
   set allowDragAndDrop(value) {
     this._allowDragAndDrop = value;
     if (value) {
-      this.io.initializeDragAndDrop();
+      this.initializeDragAndDrop();
     } else {
-      // console.log('COMONE')
-      // d3.select(this.canvas.node('ui')).on('.dragndrop', null);
+      this.removeDragAndDrop();
     }
   }
 
@@ -146,11 +156,23 @@ class IO {
    * Load data from object literal or JSON string ([Format details](../json.html)).
    * The map data must be contained within a top level "cgview" property.
    * Removes any previous viewer data and overrides options that are already set.
-   * @param {Object} data - JSON string or Object Literal
+   *
+   * By default, invalid values are repaired or replaced with defaults as the map is loaded.
+   * With the *strict* option, the JSON is first checked with [validateJSON()](#validateJSON)
+   * and an error listing the problems is thrown (without loading anything) if it is invalid.
+   *
+   * Gzipped JSON (e.g. a '.json.gz' file from [downloadJSON](#downloadJSON)) can be loaded as a
+   * Blob, File, ArrayBuffer or Uint8Array. It is decompressed and loaded asynchronously.
+   * @param {Object} data - JSON string, Object Literal or (gzipped) Blob/ArrayBuffer/Uint8Array
+   * @param {Object} options - Options: strict (reject invalid JSON instead of repairing it [Default: false])
+   * @return {Promise} For Blob/ArrayBuffer/Uint8Array data, a Promise that resolves once the map is loaded
    */
-  loadJSON(json) {
+  loadJSON(json, options = {}) {
+    if ((typeof Blob !== 'undefined' && json instanceof Blob) || json instanceof ArrayBuffer || ArrayBuffer.isView(json)) {
+      return this._readText(json).then( text => this.loadJSON(text, options) );
+    }
     try {
-      this._loadJSON(json);
+      this._loadJSON(json, options);
     } catch (error) {
       const msg = `Loading Error: ${error}`
       console.log(msg);
@@ -163,7 +185,7 @@ class IO {
     }
   }
 
-  _loadJSON(json) {
+  _loadJSON(json, options = {}) {
 
     let data = json;
     if (typeof json === 'string') {
@@ -177,6 +199,14 @@ class IO {
     console.log(`Loading map JSON version: '${data?.cgview?.version}'`);
     data = this.updateJSON(data);
 
+    if (options.strict) {
+      const errors = JSONSchema.validate(data);
+      if (errors.length > 0) {
+        const details = errors.map( e => `${e.path}: ${e.message}` ).join('\n');
+        throw new Error(`Invalid JSON (${errors.length} error${errors.length === 1 ? '' : 's'}):\n${details}`);
+      }
+    }
+
     data = data && data.cgview;
 
     const viewer = this._viewer;
@@ -290,7 +320,263 @@ class IO {
     // Load Layout
     // viewer._layout = new Layout(viewer, data.layout);
     viewer.layout._adjustProportions();
-    viewer.zoomTo(0, 1, {duration: 0});
+    viewer.zoomTo(0, 1, {duration: 0, history: false});
+  }
+
+  /**
+   * Convert a GenBank flat file to CGView JSON. Each LOCUS record becomes a contig
+   * and each feature becomes a CGView feature (see {@link FormatGenBank} for details).
+   * @param {String} text - GenBank file contents
+   * @param {Object} options - Options passed to [FormatGenBank.toCGViewJSON](FormatGenBank.html#toCGViewJSON)
+   * @return {Object} CGView JSON
+   */
+  genBankToJSON(text, options = {}) {
+    return FormatGenBank.toCGViewJSON(text, options);
+  }
+
+  /**
+   * Load a GenBank flat file. This will replace the current map (see [loadJSON](#loadJSON)).
+   * @param {String} text - GenBank file contents
+   * @param {Object} options - Options passed to [FormatGenBank.toCGViewJSON](FormatGenBank.html#toCGViewJSON)
+   */
+  loadGenBank(text, options = {}) {
+    this.loadJSON(this.genBankToJSON(text, options));
+  }
+
+  /**
+   * Convert GFF3 (with an optional ##FASTA section) to CGView JSON. The ID/Parent
+   * hierarchy is used to combine the parts of features (see {@link FormatGFF3} for details).
+   * @param {String} text - GFF3 file contents
+   * @param {Object} options - Options passed to [FormatGFF3.toCGViewJSON](FormatGFF3.html#toCGViewJSON)
+   * @return {Object} CGView JSON
+   */
+  gff3ToJSON(text, options = {}) {
+    return FormatGFF3.toCGViewJSON(text, options);
+  }
+
+  /**
+   * Load a GFF3 file. This will replace the current map (see [loadJSON](#loadJSON)).
+   * @param {String} text - GFF3 file contents
+   * @param {Object} options - Options passed to [FormatGFF3.toCGViewJSON](FormatGFF3.html#toCGViewJSON)
+   */
+  loadGFF3(text, options = {}) {
+    this.loadJSON(this.gff3ToJSON(text, options));
+  }
+
+  /**
+   * Convert a map in the CGView (Java) XML format to CGView JSON
+   * (see {@link FormatCGViewXML} for details).
+   * @param {String} text - CGView XML
+   * @return {Object} Object with the CGView JSON (json) and a conversion report (report)
+   *   listing the XML attributes that could not be converted.
+   */
+  convertCGViewXML(text) {
+    return FormatCGViewXML.convert(text);
+  }
+
+  /**
+   * Load a map in the CGView (Java) XML format. This will replace the current map (see [loadJSON](#loadJSON)).
+   * @param {String} text - CGView XML
+   * @return {Object} The conversion report (see [convertCGViewXML](#convertCGViewXML))
+   */
+  loadCGViewXML(text) {
+    const { json, report } = this.convertCGViewXML(text);
+    this.loadJSON(json);
+    return report;
+  }
+
+  /**
+   * Load a (multi-)FASTA file. Each record becomes a contig, with the record ID as
+   * the contig name and the description stored in the contig meta
+   * (see {@link FormatFasta} for details).
+   * @param {String} text - FASTA file contents
+   * @param {Object} options - Options for loading:
+   * <br />
+   * Name    | Type    | Description
+   * --------|---------|------------
+   * replace | Boolean | Replace the current map (see [loadJSON](#loadJSON)). If false, the contigs are added to the current sequence with [Sequence.addContigs](Sequence.html#addContigs). [Default: true]
+   * name    | String  | Name of the map when replacing the map [Default: name of the first record]
+   * @return {CGArray<Contig>} CGArray of the loaded contigs
+   */
+  loadFasta(text, options = {}) {
+    const records = FormatFasta.parse(text);
+    if (records.length === 0) {
+      throw new Error('No FASTA records found.');
+    }
+    const contigData = FormatFasta.toContigs(records);
+    const sequence = this.viewer.sequence;
+    if (utils.defaultFor(options.replace, true)) {
+      this.loadJSON({
+        cgview: {
+          version: currentVersion,
+          name: options.name || records[0].name,
+          sequence: { contigs: contigData }
+        }
+      });
+      return this.viewer.sequence.contigs();
+    }
+    if (!sequence.hasSeq) {
+      throw new Error('FASTA contigs can only be added to a map with a sequence.');
+    }
+    return sequence.addContigs(contigData);
+  }
+
+  /**
+   * Add the features from a BED file (BED3 to BED12) to the current map.
+   * BED12 blocks become the feature locations (see {@link FormatBED} for details).
+   * If the map has a single contig, rows with a chrom that does not match the contig name are placed on the map.
+   * Otherwise, rows for unknown chroms are skipped.
+   * @param {String} text - BED file contents
+   * @param {Object} options - Options for loading:
+   * <br />
+   * Name         | Type    | Description
+   * -------------|---------|------------
+   * source       | String  | Source given to every feature [Default: 'bed']
+   * type         | String  | Type given to every feature [Default: '']
+   * legend       | String  | Legend given to every feature [Default: source]
+   * track        | Boolean | Add a track showing the features (dataMethod: 'source') [Default: true]
+   * trackName    | String  | Name of the track [Default: name from the BED track line or the source]
+   * @return {CGArray<Feature>} CGArray of added features
+   */
+  loadBED(text, options = {}) {
+    const viewer = this.viewer;
+    const source = utils.defaultFor(options.source, 'bed');
+    const bed = FormatBED.parse(text);
+    const contigFor = this._chromToContig();
+    const rows = bed.rows.filter( r => contigFor(r.chrom) !== null );
+    const featureData = FormatBED.toFeatures(rows, {
+      source,
+      type: options.type,
+      legend: options.legend,
+      contigFor: chrom => contigFor(chrom) && contigFor(chrom).name
+    });
+    const features = viewer.addFeatures(featureData);
+    if (utils.defaultFor(options.track, true) && features.length > 0) {
+      viewer.addTracks({
+        name: options.trackName || bed.name || source,
+        separateFeaturesBy: 'strand',
+        position: 'both',
+        dataType: 'feature',
+        dataMethod: 'source',
+        dataKeys: source
+      });
+    }
+    return features;
+  }
+
+  /**
+   * Add a bedGraph file to the current map as a [Plot](Plot.html).
+   * Regions not covered by the bedGraph are given a score of 0.
+   * Chroms are matched to contigs as in [loadBED](#loadBED).
+   * @param {String} text - bedGraph file contents
+   * @param {Object} options - Options for loading:
+   * <br />
+   * Name         | Type    | Description
+   * -------------|---------|------------
+   * source       | String  | Source of the plot [Default: 'bedgraph']
+   * name         | String  | Name of the plot [Default: name from the track line or the source]
+   * legend       | String  | Legend of the plot [Default: the plot legend default]
+   * track        | Boolean | Add a track showing the plot (dataMethod: 'source') [Default: true]
+   * @return {Plot} The added plot
+   */
+  loadBedGraph(text, options = {}) {
+    const viewer = this.viewer;
+    const source = utils.defaultFor(options.source, 'bedgraph');
+    const bedGraph = FormatBED.parseBedGraph(text);
+    const name = options.name || bedGraph.name || source;
+    const contigFor = this._chromToContig();
+    const plotData = FormatBED.toPlot(bedGraph.rows, {
+      name,
+      source,
+      legend: options.legend,
+      length: viewer.sequence.length,
+      mapPosition: (chrom, bp) => {
+        const contig = contigFor(chrom);
+        if (contig === null) { return; }
+        return contig ? viewer.sequence.bpForContig(contig, bp) : bp;
+      }
+    });
+    const plot = viewer.addPlots(plotData)[0];
+    if (utils.defaultFor(options.track, true) && plot.length > 0) {
+      viewer.addTracks({
+        name,
+        position: 'both',
+        dataType: 'plot',
+        dataMethod: 'source',
+        dataKeys: source
+      });
+    }
+    return plot;
+  }
+
+  /**
+   * Returns a function that finds the contig for a chrom name (e.g. from BED files).
+   * The function returns the contig, undefined (single contig maps with an unmatched name: use the map)
+   * or null (unknown chrom).
+   * @private
+   */
+  _chromToContig() {
+    const sequence = this.viewer.sequence;
+    const unknown = [];
+    return (chrom) => {
+      const contig = sequence.contigs(chrom);
+      if (contig) {
+        return contig;
+      } else if (!sequence.hasMultipleContigs) {
+        return undefined;
+      }
+      if (!unknown.includes(chrom)) {
+        unknown.push(chrom);
+        console.error(`Unknown contig '${chrom}'. Rows for this contig will be skipped.`);
+      }
+      return null;
+    };
+  }
+
+  /**
+   * Validate CGView JSON against the [JSON schema](JSONSchema.html) and return any errors.
+   * Each error has a *path* (e.g. 'cgview.tracks[3].dataMethod') and a *message*
+   * (e.g. "expected one of 'source', 'type', 'tag', 'sequence' but found 'seq'").
+   * The JSON must be the current version (see [updateJSON()](#updateJSON)).
+   * @param {Object} json - JSON string or Object Literal
+   * @return {Array} Array of errors (empty if the JSON is valid)
+   */
+  validateJSON(json) {
+    const data = (typeof json === 'string') ? JSON.parse(json) : json;
+    return JSONSchema.validate(data);
+  }
+
+  /**
+   * Compare two CGView JSON documents and return the added, removed and changed tracks, features,
+   * plots, legend items, captions and bookmarks. Records are matched by name and position
+   * (see {@link JSONDiff} for details).
+   * @param {Object} a - CGView JSON string or Object Literal (the original)
+   * @param {Object} b - CGView JSON string or Object Literal (the edited version)
+   * @return {Object} Diff with an entry for each collection (e.g. diff.features.added) and a list of all the *changes*
+   */
+  diffJSON(a, b) {
+    const parse = json => (typeof json === 'string') ? JSON.parse(json) : json;
+    return JSONDiff.diff(parse(a), parse(b));
+  }
+
+  /**
+   * Apply a chosen subset of the changes from [diffJSON()](#diffJSON) to CGView JSON.
+   * The JSON is not modified; the merged JSON is returned and can be loaded with [loadJSON()](#loadJSON).
+   *
+   * ```js
+   * const diff = cgv.io.diffJSON(original, edited);
+   * // Accept the new and changed features only
+   * const merged = cgv.io.mergeJSON(original, diff, c => c.collection === 'features' && c.type !== 'removed');
+   * cgv.io.loadJSON(merged);
+   * ```
+   * @param {Object} json - CGView JSON string or Object Literal (usually *a* from the diff)
+   * @param {Object} diff - Diff from [diffJSON()](#diffJSON)
+   * @param {Array|Function} changes - IDs of the changes to apply or a function that returns true for changes to apply [Default: all]
+   * @return {Object} Merged CGView JSON
+   */
+  mergeJSON(json, diff, changes) {
+    const data = (typeof json === 'string') ? JSON.parse(json) : json;
+    return JSONDiff.merge(data, diff, changes);
   }
 
   /**
@@ -355,8 +641,13 @@ class IO {
 
   // Version 1.5 started on 2023-09-28
   // Moves the minArcLength from Settings to Legend and LegendItems
+  // Moves the top level geneticCode (e.g. "11") to Settings
   _updateVersion_1_4(data) {
     data.legend.defaultMinArcLength = data.settings.minArcLength;
+    if (data.geneticCode !== undefined) {
+      data.settings.geneticCode = utils.defaultFor(data.settings.geneticCode, Number(data.geneticCode));
+      delete data.geneticCode;
+    }
     // Version
     data.version = '1.5.0';
     return data;
@@ -451,6 +742,7 @@ class IO {
 
   /**
    * Download the currently visible map as a PNG image.
+   * For images larger than the maximum canvas size of the browser, use [downloadTiledImage](#downloadTiledImage).
    * @param {Number} width - Width of image
    * @param {Number} height - Height of image
    * @param {String} filename - Name to save image file as
@@ -469,7 +761,7 @@ class IO {
 
     // Create new layers and add export layer
     const layerNames = canvas.layerNames.concat(['export']);
-    const tempLayers = canvas.createLayers(d3.select('body'), layerNames, width, height, false);
+    const tempLayers = this._createTempLayers(layerNames, width, height);
 
     // Calculate scaling factor
     const minNewDimension = d3.min([width, height]);
@@ -510,22 +802,205 @@ class IO {
     viewer.debug = debug;
 
     // Delete temp canvas layers
-    for (const name of layerNames) {
-      d3.select(tempLayers[name].node).remove();
+    this._removeTempLayers(tempLayers);
+  }
+
+  /**
+   * Return the currently visible map as a PNG image drawn in tiles. Each tile is drawn with the
+   * same layout as [downloadImage](#downloadImage) and the tiles are joined into a single PNG
+   * without ever creating a canvas for the whole image. Use this for images larger than the
+   * maximum canvas size of the browser (e.g. 20000 x 20000 for posters).
+   *
+   * Events:
+   *
+   * Event                 | Description
+   * ----------------------|------------
+   * image-export-start    | Called before the first tile is drawn with {width, height, tiles}
+   * image-export-progress | Called after each tile is drawn with {width, height, tile, tiles, progress (0-100)}
+   * image-export-end      | Called when the PNG is complete with {width, height, tiles, size (bytes)}
+   *
+   * @param {Number} width - Width of image
+   * @param {Number} height - Height of image
+   * @param {Object} options - Options: tileSize (maximum width and height of each tile in pixels [Default: 2048])
+   * @return {Promise} Promise that resolves to a Blob of the PNG
+   */
+  async getTiledImage(width, height, options = {}) {
+    const viewer = this._viewer;
+    const canvas = viewer.canvas;
+    width = width || viewer.width;
+    height = height || viewer.height;
+    const tileSize = utils.defaultFor(options.tileSize, 2048);
+    const tileWidth = Math.min(tileSize, width);
+    const tileHeight = Math.min(tileSize, height);
+    const columns = Math.ceil(width / tileWidth);
+    const rows = Math.ceil(height / tileHeight);
+    const tiles = columns * rows;
+    const scaleFactor = d3.min([width, height]) / viewer.minDimension;
+
+    // Create tile sized layers and add export layer
+    const layerNames = canvas.layerNames.concat(['export']);
+    const tempLayers = this._createTempLayers(layerNames, tileWidth, tileHeight);
+    const encoder = new PNGEncoder(width, height);
+
+    viewer.trigger('image-export-start', { width, height, tiles });
+    let tile = 0;
+    try {
+      for (let row = 0; row < rows; row++) {
+        const y = row * tileHeight;
+        const bandHeight = Math.min(tileHeight, height - y);
+        const band = new Uint8ClampedArray(width * bandHeight * 4);
+        for (let column = 0; column < columns; column++) {
+          const x = column * tileWidth;
+          const bandWidth = Math.min(tileWidth, width - x);
+          this._drawTile(tempLayers, scaleFactor, x, y);
+          const data = tempLayers.export.ctx.getImageData(0, 0, bandWidth, bandHeight).data;
+          for (let i = 0; i < bandHeight; i++) {
+            band.set(data.subarray(i * bandWidth * 4, (i + 1) * bandWidth * 4), ((i * width) + x) * 4);
+          }
+          tile++;
+          viewer.trigger('image-export-progress', { width, height, tile, tiles, progress: Math.round(tile / tiles * 100) });
+          // Let the browser update (e.g. progress bars) between tiles
+          await new Promise( (resolve) => setTimeout(resolve, 0) );
+        }
+        await encoder.addRows(band);
+      }
+    } finally {
+      // Delete temp canvas layers
+      this._removeTempLayers(tempLayers);
     }
+    const blob = await encoder.finish();
+    viewer.trigger('image-export-end', { width, height, tiles, size: blob.size });
+    return blob;
+  }
+
+  /**
+   * Download the currently visible map as a PNG image drawn in tiles. See [getTiledImage](#getTiledImage) for details.
+   * @param {Number} width - Width of image
+   * @param {Number} height - Height of image
+   * @param {String} filename - Name to save image file as
+   * @param {Object} options - Options passed to [getTiledImage](#getTiledImage)
+   * @return {Promise} Promise that resolves when the download has started
+   */
+  async downloadTiledImage(width, height, filename = 'image.png', options = {}) {
+    const blob = await this.getTiledImage(width, height, options);
+    this.download(blob, filename, 'image/png');
+  }
+
+  /**
+   * Draw one tile of the map on to the export layer of the tile layers.
+   * The viewer layers are only swapped while drawing, so the viewer can still be used between tiles.
+   * @param {Object} layers - Tile layers created with [Canvas.createLayers](Canvas.html#createLayers)
+   * @param {Number} scaleFactor - Scale of the image compared to the viewer
+   * @param {Number} x - Position of the tile in the image
+   * @param {Number} y - Position of the tile in the image
+   * @private
+   */
+  _drawTile(layers, scaleFactor, x, y) {
+    const viewer = this._viewer;
+    const canvas = viewer.canvas;
+    const width = layers.export.node.width;
+    const height = layers.export.node.height;
+
+    // Save current settings
+    const origLayers = canvas._layers;
+    const debug = viewer.debug;
+    viewer.debug = false;
+
+    // Move the tile to its position in the image
+    for (const name of canvas.layerNames) {
+      const ctx = layers[name].ctx;
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      ctx.setTransform(scaleFactor, 0, 0, scaleFactor, -x, -y);
+    }
+    canvas._layers = layers;
+
+    // Draw map on to tile layers
+    viewer.drawExport();
+    viewer.fillBackground();
+    // Legend
+    if (!viewer.legend.position.onMap) {
+      viewer.legend.draw();
+    }
+    // Captions
+    for (let i = 0, len = viewer._captions.length; i < len; i++) {
+      if (!viewer._captions[i].onMap) {
+        viewer._captions[i].draw();
+      }
+    }
+
+    // Copy drawing layers to export layer
+    const exportContext = layers.export.ctx;
+    exportContext.clearRect(0, 0, width, height);
+    exportContext.drawImage(layers.background.node, 0, 0);
+    exportContext.drawImage(layers.map.node, 0, 0);
+    exportContext.drawImage(layers.foreground.node, 0, 0);
+    exportContext.drawImage(layers.canvas.node, 0, 0);
+
+    // Restore original layers and settings
+    canvas._layers = origLayers;
+    viewer.debug = debug;
+  }
+
+  /**
+   * Create unscaled layers for exporting. The canvas elements are added to the body
+   * (or created with the context factory of a headless viewer).
+   * @private
+   */
+  _createTempLayers(layerNames, width, height) {
+    const canvas = this.viewer.canvas;
+    const container = this.viewer.headless ? null : d3.select('body');
+    return canvas.createLayers(container, layerNames, width, height, false);
+  }
+
+  /**
+   * Remove layers created with _createTempLayers.
+   * @private
+   */
+  _removeTempLayers(layers) {
+    if (this.viewer.headless) { return; }
+    for (const name of Object.keys(layers)) {
+      d3.select(layers[name].node).remove();
+    }
+  }
+
+  /**
+   * Return the currently visible map as a PNG image. Unlike [downloadImage](#downloadImage),
+   * this also works for a [headless viewer](Viewer.html#headless) (e.g. in Node).
+   * The image is drawn with [getTiledImage](#getTiledImage).
+   * @param {Number} width - Width of image [Default: viewer width]
+   * @param {Number} height - Height of image [Default: viewer height]
+   * @param {Object} options - Options passed to [getTiledImage](#getTiledImage) [Default tileSize: the larger of width and height]
+   * @return {Promise} Promise that resolves to a Uint8Array of the PNG bytes
+   */
+  async getPNG(width, height, options = {}) {
+    width = width || this.viewer.width;
+    height = height || this.viewer.height;
+    const blob = await this.getTiledImage(width, height, Object.assign({ tileSize: Math.max(width, height) }, options));
+    const buffer = blob.arrayBuffer ? await blob.arrayBuffer() : await IO._read(blob, 'readAsArrayBuffer');
+    return new Uint8Array(buffer);
   }
 
   /**
    * Return the currently visible map as a SVG string.
-   * Requires SVGCanvas external dependency:
-   * https://github.com/zenozeng/svgcanvas
+   * By default, the map is drawn with the built-in [SVGContext](SVGContext.html), which groups the
+   * backbone, ruler, labels, each track and slot, the legend and each caption so the SVG can be edited layer by layer.
+   * If the external SVGContext is set (e.g. svgcanvas.Context from https://github.com/zenozeng/svgcanvas), it is used instead.
    */
   getSVG() {
-    const SVGContext = this.viewer.externals.SVGContext;
-    if (!SVGContext) {
-      console.error('SVGContext is not set. This should be set to svgcanvas.Context from https://github.com/zenozeng/svgcanvas')
-      return;
-    }
+    const Context = this.viewer.externals.SVGContext || SVGContext;
+    const svgContext = new Context(this.viewer.width, this.viewer.height);
+    this._drawToContext(svgContext);
+    return svgContext.getSerializedSvg();
+  }
+
+  /**
+   * Draw the currently visible map, legend and captions on to a single context
+   * (e.g. [SVGContext](SVGContext.html) or [PDFContext](PDFContext.html)) using the export layout.
+   * @param {Context} ctx - Context to draw on. Any transform on the context is applied to the whole map.
+   * @private
+   */
+  _drawToContext(ctx) {
     const viewer = this._viewer;
     const canvas = viewer.canvas;
     const width = viewer.width;
@@ -539,48 +1014,46 @@ class IO {
     // Create new layers and add export layer
     // const layerNames = canvas.layerNames.concat(['export']);
     const layerNames = canvas.layerNames;
-    const tempLayers = canvas.createLayers(d3.select('body'), layerNames, width, height, false);
+    const tempLayers = this._createTempLayers(layerNames, width, height);
     canvas._layers = tempLayers;
 
-    const svgContext = new SVGContext(width, height); 
-    tempLayers.map.ctx = svgContext;
-    tempLayers.foreground.ctx = svgContext;
-    tempLayers.canvas.ctx = svgContext;
+    tempLayers.map.ctx = ctx;
+    tempLayers.foreground.ctx = ctx;
+    tempLayers.canvas.ctx = ctx;
 
     // Override the clearRect method as it's not required for SVG drawing.
     // Otherwise, an additional SVG rect will be drawn obscuring the background.
-    svgContext.clearRect = () => {};
+    ctx.clearRect = () => {};
 
     // Manually Draw background here
-    svgContext.fillStyle = viewer.settings.backgroundColor.rgbaString;
-    svgContext.fillRect(0, 0, width, height);
+    canvas.openGroup('map', 'background', {}, {layer: true});
+    ctx.fillStyle = viewer.settings.backgroundColor.rgbaString;
+    ctx.fillRect(0, 0, width, height);
+    canvas.closeGroup('map');
 
-    // Draw map on to new layers
+    // Draw map on to new layers (includes the legend and captions positioned on the map)
     viewer.drawExport();
     // Legend
-    viewer.legend.draw();
+    if (!viewer.legend.position.onMap) {
+      viewer.legend.draw();
+    }
     // Captions
     for (let i = 0, len = viewer._captions.length; i < len; i++) {
-      viewer._captions[i].draw();
+      if (!viewer._captions[i].onMap) {
+        viewer._captions[i].draw();
+      }
     }
-    // Create SVG
-    const svg = tempLayers.map.ctx.getSerializedSvg();
 
     // Restore original layers and settings
     canvas._layers = origLayers;
     viewer.debug = debug;
 
     // Delete temp canvas layers
-    for (const name of layerNames) {
-      d3.select(tempLayers[name].node).remove();
-    }
-
-    return svg;
+    this._removeTempLayers(tempLayers);
   }
+
   /**
-   * Download the currently visible map as a SVG image.
-   * Requires SVGContext external dependency:
-   * https://github.com/zenozeng/svgcanvas
+   * Download the currently visible map as a SVG image. See [getSVG](#getSVG) for details.
    * @param {String} filename - Name to save image file as
    */
   downloadSVG(filename = 'image.svg') {
@@ -590,6 +1063,53 @@ class IO {
     }
   }
 
+  /**
+   * Return the currently visible map as a vector PDF (paths and text). The map is drawn with the same
+   * layout as [downloadImage](#downloadImage), including the legend and captions, and is scaled to fit
+   * and centered within the page margins. See [PDFContext](PDFContext.html) for details.
+   * @param {Object} options - Options for the PDF:
+   * <br />
+   * Name         | Type           | Description
+   * -------------|----------------|------------
+   * width        | Number         | Width of the page in *units* [Default: viewer width in pixels]
+   * height       | Number         | Height of the page in *units* [Default: viewer height in pixels]
+   * units        | String         | Units for the width, height and margins: 'px', 'pt', 'in', 'mm', 'cm' [Default: 'px']
+   * dpi          | Number         | Pixels per inch, used when *units* is 'px' [Default: 72]
+   * margins      | Number\|Object | Page margins in *units*. Either a number for all sides or an object with top, right, bottom, left [Default: 0]
+   * @return {String}
+   */
+  getPDF(options = {}) {
+    const viewer = this.viewer;
+    const units = options.units || 'px';
+    const pointsPerUnit = PDFContext.pointsPerUnit(units, options.dpi);
+    const pointsPerPixel = PDFContext.pointsPerUnit('px', options.dpi);
+    const pageWidth = (options.width === undefined) ? viewer.width * pointsPerPixel : options.width * pointsPerUnit;
+    const pageHeight = (options.height === undefined) ? viewer.height * pointsPerPixel : options.height * pointsPerUnit;
+    const margins = (typeof options.margins === 'object') ? options.margins : { top: options.margins, right: options.margins, bottom: options.margins, left: options.margins };
+    const [top, right, bottom, left] = ['top', 'right', 'bottom', 'left'].map( side => (margins[side] || 0) * pointsPerUnit );
+    const contentWidth = pageWidth - left - right;
+    const contentHeight = pageHeight - top - bottom;
+    if (contentWidth <= 0 || contentHeight <= 0) {
+      throw new Error('The margins are larger than the page');
+    }
+
+    const scaleFactor = Math.min(contentWidth / viewer.width, contentHeight / viewer.height);
+    const pdfContext = new PDFContext(pageWidth, pageHeight, { title: viewer.name });
+    pdfContext.translate(left + ((contentWidth - (viewer.width * scaleFactor)) / 2), top + ((contentHeight - (viewer.height * scaleFactor)) / 2));
+    pdfContext.scale(scaleFactor, scaleFactor);
+    this._drawToContext(pdfContext);
+    return pdfContext.getSerializedPdf();
+  }
+
+  /**
+   * Download the currently visible map as a vector PDF. See [getPDF](#getPDF) for the options.
+   * @param {Object} options - Options passed to [getPDF](#getPDF)
+   * @param {String} filename - Name to save PDF file as
+   */
+  downloadPDF(options = {}, filename = 'image.pdf') {
+    this.download(this.getPDF(options), filename, 'application/pdf');
+  }
+
   /**
    * Download the map sequence in FASTA format.
    * @param {String} fastaId - ID line for FASTA (i.e. text after '>')
@@ -602,15 +1122,197 @@ class IO {
   }
 
   /**
-   * Download the map as a JSON object
+   * Return the map contigs and features as a GenBank flat file. Each contig becomes a LOCUS record.
+   * See [FormatGenBank.write](FormatGenBank.html#write) for details.
+   * @param {Object} options - Options: includeExtracted (include features extracted from the sequence [Default: false])
+   * @return {String}
+   */
+  toGenBank(options = {}) {
+    return FormatGenBank.write(this._exportRecords(options), { geneticCode: this.viewer.geneticCode });
+  }
+
+  /**
+   * Download the map contigs and features as a GenBank flat file.
    * @param {String} filename - Name for saved file
-   * @param {Object} options - Options passed to toJSON
+   * @param {Object} options - Options passed to [toGenBank](#toGenBank)
+   */
+  downloadGenBank(filename = 'sequence.gbk', options = {}) {
+    this.download(this.toGenBank(options), filename, 'text/plain');
+  }
+
+  /**
+   * Return the map contigs and features as GFF3. The sequence is added in a ##FASTA section.
+   * See [FormatGFF3.write](FormatGFF3.html#write) for details.
+   * @param {Object} options - Options: includeExtracted (include features extracted from the sequence [Default: false]),
+   *   fasta (include the sequence [Default: true])
+   * @return {String}
+   */
+  toGFF3(options = {}) {
+    return FormatGFF3.write(this._exportRecords(options), { geneticCode: this.viewer.geneticCode, fasta: options.fasta });
+  }
+
+  /**
+   * Download the map contigs and features as GFF3.
+   * @param {String} filename - Name for saved file
+   * @param {Object} options - Options passed to [toGFF3](#toGFF3)
+   */
+  downloadGFF3(filename = 'features.gff3', options = {}) {
+    this.download(this.toGFF3(options), filename, 'text/plain');
+  }
+
+  /**
+   * Returns the contigs and their features as records for
+   * [FormatGenBank.write](FormatGenBank.html#write) and [FormatGFF3.write](FormatGFF3.html#write).
+   * Feature locations are converted to contig positions. Features on the map contig of a map with
+   * several contigs are moved to the contig they are on and skipped if they span contigs.
+   * @private
+   */
+  _exportRecords(options = {}) {
+    const viewer = this.viewer;
+    const sequence = viewer.sequence;
+    const topology = (viewer.format === 'linear') ? 'linear' : 'circular';
+    const records = new Map();
+    for (const contig of sequence.contigs()) {
+      const meta = contig.meta || {};
+      records.set(contig, {
+        name: contig.name,
+        length: contig.length,
+        seq: contig.seq,
+        topology: meta.topology || topology,
+        moleculeType: meta.moleculeType,
+        definition: meta.definition || meta.description || ((sequence.hasMultipleContigs || !viewer.name) ? contig.name : viewer.name),
+        accession: meta.accession,
+        version: meta.version,
+        organism: meta.organism,
+        features: []
+      });
+    }
+    for (const feature of viewer.features()) {
+      // Same rule as toJSON for features extracted from the sequence
+      if (!options.includeExtracted && feature.extractedFromSequence &&
+          feature.tracks().filter( t => t.dataMethod !== 'sequence' ).length === 0) {
+        continue;
+      }
+      let contig = feature.contig;
+      let locations = feature.locations.map( l => l.slice() );
+      // Features that wrap around the origin
+      if (!feature.hasLocations && feature.start > feature.stop) {
+        locations = [[feature.start, contig.length], [1, feature.stop]];
+      }
+      if (contig.isMapContig && sequence.hasMultipleContigs) {
+        const contigs = locations.flat().map( bp => sequence.contigForBp(bp) );
+        if (contigs.some( c => c !== contigs[0] )) {
+          console.error(`Feature '${feature.name}' spans several contigs and can not be exported.`);
+          continue;
+        }
+        contig = contigs[0];
+        locations = locations.map( ([start, stop]) => [start - contig.lengthOffset, stop - contig.lengthOffset] );
+      }
+      records.get(contig).features.push({
+        name: feature.name,
+        type: feature.type,
+        source: feature.source,
+        strand: feature.strand,
+        score: feature.score,
+        locations,
+        codonStart: feature._codonStart,
+        geneticCode: feature.geneticCode,
+        translation: feature.translation,
+        qualifiers: feature.qualifiers
+      });
+    }
+    return Array.from(records.values());
+  }
+
+  /**
+   * Return features as delimited text (e.g. CSV or TSV) with one feature per row.
+   * See {@link FormatFeatureTable} for the available columns.
+   * @param {Array|CGArray} features - Features to write [Default: all features]
+   * @param {Object} options - Options for writing:
+   * <br />
+   * Name         | Type    | Description
+   * -------------|---------|------------
+   * columns      | Array   | Columns to write (e.g. ['name', 'start', 'stop', 'qualifiers.product']) [Default: name, type, start, stop, strand, source, legend, tags and contig (for maps with several contigs)]
+   * delimiter    | String  | Column delimiter (e.g. '\t' for TSV) [Default: ',']
+   * @return {String}
+   */
+  featuresToTable(features, options = {}) {
+    const viewer = this.viewer;
+    features = CGArray.arrayerize(features || viewer.features());
+    let columns = options.columns;
+    if (!columns) {
+      columns = FormatFeatureTable.defaultColumns;
+      if (viewer.sequence.hasMultipleContigs) {
+        columns = ['name', 'type', 'contig', ...columns.slice(2)];
+      }
+    }
+    const featureData = features.map( f => f.toJSON() );
+    return FormatFeatureTable.write(featureData, { columns, delimiter: options.delimiter });
+  }
+
+  /**
+   * Add features from delimited text (e.g. CSV or TSV) to the map. The first row must
+   * contain the column names. Rows that can not be read are skipped and reported
+   * with their line number. See {@link FormatFeatureTable} for details.
+   * @param {String} text - Delimited text
+   * @param {Object} columnMap - Map of column names to feature attributes (e.g. {'Gene': 'name', 'Begin': 'start', 'Product': 'qualifiers.product'}).
+   *   Columns named after feature attributes do not need to be mapped.
+   * @param {Object} options - Options for reading: delimiter [Default: tab if the header contains a tab, otherwise ',']
+   * @return {Object} Object with the added *features* (CGArray), the *errors* (array of {line, message})
+   *   and the *ignoredColumns*
+   */
+  loadFeatureTable(text, columnMap = {}, options = {}) {
+    const viewer = this.viewer;
+    const table = FormatFeatureTable.parse(text, { columnMap, delimiter: options.delimiter });
+    const errors = table.errors;
+    const featureData = [];
+    for (const { line, data } of table.features) {
+      if (data.contig && !viewer.sequence.contigs(data.contig)) {
+        errors.push({ line, message: `contig '${data.contig}' was not found` });
+      } else {
+        featureData.push(data);
+      }
+    }
+    errors.sort( (a, b) => a.line - b.line );
+    for (const error of errors) {
+      console.error(`Feature table line ${error.line}: ${error.message}`);
+    }
+    const features = (featureData.length > 0) ? viewer.addFeatures(featureData) : new CGArray();
+    return { features, errors, ignoredColumns: table.ignoredColumns };
+  }
+
+  /**
+   * Download the map as a JSON object
+   * @param {String} filename - Name for saved file. When compressing, '.gz' is added if not present.
+   * @param {Object} options - Options passed to toJSON and:
+   *   compress (gzip the JSON with [getCompressedJSON](#getCompressedJSON) [Default: false])
+   * @return {Promise} When compressing, a Promise that resolves once the file has been downloaded
    */
   downloadJSON(filename = 'cgview.json', options = {}) {
+    if (options.compress) {
+      const gzFilename = filename.endsWith('.gz') ? filename : `${filename}.gz`;
+      return this.getCompressedJSON(options).then( blob => this.download(blob, gzFilename, 'application/gzip') );
+    }
     const json = this.viewer.io.toJSON(options);
     this.download(JSON.stringify(json), filename, 'text/json');
   }
 
+  /**
+   * Return the map JSON compressed with gzip. The JSON is compressed with the browser's
+   * CompressionStream, so the compressed file is never held in memory as a string.
+   * Compressed JSON can be loaded with [loadJSON](#loadJSON) or by drag-and-drop.
+   * @param {Object} options - Options passed to toJSON
+   * @return {Promise} Promise that resolves to a Blob (type 'application/gzip')
+   */
+  async getCompressedJSON(options = {}) {
+    if (typeof CompressionStream === 'undefined') {
+      throw new Error('Compression is not supported by this browser');
+    }
+    const bytes = new TextEncoder().encode(JSON.stringify(this.toJSON(options)));
+    const blob = await IO._transform(bytes, new CompressionStream('gzip'));
+    return new Blob([blob], { type: 'application/gzip' });
+  }
+
   // https://stackoverflow.com/questions/13405129/javascript-create-and-save-file
   /**
    * Download data to a file
@@ -639,9 +1341,189 @@ class IO {
     }
   }
 
+  /**
+   * Detect the format of a file from its contents and, if the contents are not conclusive, its file name.
+   * @param {String} text - File contents
+   * @param {String} filename - File name [Optional]
+   * @return {String} One of 'json', 'genbank', 'gff3', 'fasta', 'bed', 'bedgraph', 'cgview-xml' or undefined if the format is unknown
+   */
+  detectFormat(text, filename = '') {
+    const start = text.replace(/^\uFEFF/, '').trimStart();
+    if (start.startsWith('{')) { return 'json'; }
+    if (start.startsWith('LOCUS')) { return 'genbank'; }
+    if (start.startsWith('##gff-version')) { return 'gff3'; }
+    if (start.startsWith('>')) { return 'fasta'; }
+    if (start.startsWith('<') && /<cgview[\s>]/.test(start.slice(0, 2000))) { return 'cgview-xml'; }
+
+    const format = IO._formatFromColumns(start) || IO._formatFromExtension(filename);
+    if (format) { return format; }
+  }
+
+  /**
+   * Load one or more files, detecting the format of each with [detectFormat](#detectFormat).
+   * Gzipped files (e.g. '.json.gz') are decompressed first.
+   * Files that create a map (JSON, GenBank, GFF3, CGView XML) are loaded first and replace the current map.
+   * Only one of these can be loaded at a time.
+   * FASTA files replace the map if no other map file was loaded; otherwise their records are added as contigs.
+   * BED and bedGraph files are then added to the map.
+   * Files that can not be loaded are reported in *failed* and do not stop the other files from loading.
+   * @param {Array|FileList} files - Files to load
+   * @return {Promise} Promise that resolves to an object with *loaded* ([{name, format}]) and *failed* ([{name, format, error}])
+   */
+  loadFiles(files) {
+    const viewer = this.viewer;
+    files = Array.from(files);
+    return Promise.all(files.map( file => this._readText(file).then( text => ({file, text}), error => ({file, error}) ))).then( (results) => {
+      const loaded = [];
+      const failed = [];
+      const items = [];
+      for (const { file, text, error } of results) {
+        if (error) {
+          failed.push({name: file.name, error: error.message});
+          continue;
+        }
+        const format = this.detectFormat(text, file.name);
+        if (format) {
+          items.push({name: file.name, format, text});
+        } else {
+          failed.push({name: file.name, error: 'Unknown file format'});
+        }
+      }
+      const rank = { fasta: 1, bed: 2, bedgraph: 2 };
+      items.sort( (a, b) => (rank[a.format] || 0) - (rank[b.format] || 0) );
+
+      let mapLoaded = false;
+      for (const item of items) {
+        try {
+          this._loadFile(item.text, item.format, mapLoaded);
+          if (!['bed', 'bedgraph'].includes(item.format)) {
+            mapLoaded = true;
+          }
+          loaded.push({name: item.name, format: item.format});
+        } catch (error) {
+          failed.push({name: item.name, format: item.format, error: error.message});
+        }
+      }
+      viewer.drawFull();
+      return {loaded, failed};
+    });
+  }
+
+  /**
+   * Load the text of a file in the given format.
+   * @private
+   */
+  _loadFile(text, format, mapLoaded) {
+    const mapFormat = ['json', 'genbank', 'gff3', 'cgview-xml'].includes(format);
+    if (mapFormat && mapLoaded) {
+      throw new Error('Only one map can be loaded at a time');
+    }
+    switch (format) {
+      case 'json': return this.loadJSON(text);
+      case 'genbank': return this.loadGenBank(text);
+      case 'gff3': return this.loadGFF3(text);
+      case 'cgview-xml': return this.loadCGViewXML(text);
+      case 'fasta': return this.loadFasta(text, {replace: !mapLoaded});
+      case 'bed': return this.loadBED(text);
+      case 'bedgraph': return this.loadBedGraph(text);
+    }
+  }
+
+  /**
+   * Read a file (or Blob, ArrayBuffer, Uint8Array) as text. Gzipped data is decompressed.
+   * @private
+   */
+  async _readText(data) {
+    const bytes = (data instanceof Blob) ? await IO._read(data, 'readAsArrayBuffer') : data;
+    const view = new Uint8Array(bytes.buffer || bytes, bytes.byteOffset || 0, bytes.byteLength);
+    // gzip data starts with the magic number 1f 8b
+    if (view[0] === 0x1f && view[1] === 0x8b) {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('Decompression is not supported by this browser');
+      }
+      return IO._read(await IO._transform(view, new DecompressionStream('gzip')), 'readAsText');
+    }
+    return IO._read(new Blob([view]), 'readAsText');
+  }
+
+  /**
+   * Read a Blob with a FileReader method (e.g. 'readAsText').
+   * @private
+   */
+  static _read(blob, method) {
+    return new Promise( (resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error || new Error('Could not read file'));
+      reader[method](blob);
+    });
+  }
+
+  /**
+   * Pass the bytes through a transform stream (e.g. CompressionStream) in chunks and return the output as a Blob.
+   * @private
+   */
+  static async _transform(bytes, stream) {
+    const chunkSize = 1024 * 1024;
+    const writer = stream.writable.getWriter();
+    const writing = (async () => {
+      for (let i = 0; i < bytes.length; i += chunkSize) {
+        await writer.write(bytes.subarray(i, i + chunkSize));
+      }
+      await writer.close();
+    })();
+    // Errors are reported by the reader
+    writing.catch( () => {} );
+    const reader = stream.readable.getReader();
+    const chunks = [];
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) { break; }
+      chunks.push(value);
+    }
+    await writing;
+    return new Blob(chunks);
+  }
+
+  /**
+   * Detect tab-delimited formats (GFF3 without a header, BED, bedGraph) from the first data line.
+   * @private
+   */
+  static _formatFromColumns(text) {
+    const lines = text.split(/\r?\n/).slice(0, 50);
+    for (const line of lines) {
+      if (/^track\s.*type=bedGraph/.test(line)) { return 'bedgraph'; }
+      if (line.trim() === '' || /^(#|track(\s|$)|browser\s)/.test(line)) { continue; }
+      const columns = line.split('\t');
+      const isInteger = v => /^\d+$/.test(v);
+      const isNumber = v => v !== '' && !isNaN(Number(v));
+      if (columns.length === 9 && isInteger(columns[3]) && isInteger(columns[4])) { return 'gff3'; }
+      if (columns.length < 3 || !isInteger(columns[1]) || !isInteger(columns[2])) { return; }
+      return (columns.length === 4 && isNumber(columns[3])) ? 'bedgraph' : 'bed';
+    }
+  }
+
+  /**
+   * @private
+   */
+  static _formatFromExtension(filename) {
+    const extension = (filename.replace(/\.gz$/i, '').match(/\.([^.]+)$/) || [])[1];
+    const formats = {
+      json: ['json'],
+      genbank: ['gb', 'gbk', 'gbff', 'genbank'],
+      gff3: ['gff', 'gff3'],
+      fasta: ['fa', 'fasta', 'fna', 'fas', 'ffn', 'faa'],
+      bed: ['bed'],
+      bedgraph: ['bedgraph', 'bdg'],
+      'cgview-xml': ['xml']
+    };
+    return extension && Object.keys(formats).find( f => formats[f].includes(extension.toLowerCase()) );
+  }
+
   /**
    * Initialize Viewer Drag-n-Drop.
-   * TODO: Check if this works still
+   * Dropped files are loaded with [loadFiles](#loadFiles). When done, the 'drop' event is triggered
+   * with the *loaded* and *failed* files and any failures are shown with [Viewer.flash](Viewer.html#flash).
    * @private
    */
   initializeDragAndDrop() {
@@ -661,25 +1543,26 @@ class IO {
     d3.select(canvas.node('ui')).on('drop.dragndrop', (d3Event) => {
       d3Event.preventDefault();
       d3Event.stopPropagation();
-      viewer.drawFull();
-      const file = d3Event.dataTransfer.files[0];
-      const reader = new FileReader();
-      reader.onload = function() {
-        const jsonObj = reader.result;
-        try {
-          const jsonParsed = JSON.parse(jsonObj);
-          // sv.trigger('drop');
-          viewer.io.loadJSON(jsonParsed.cgview);
-          viewer.drawFull();
-        } catch (e) {
-          // sv.draw();
-          // sv.flash('Could not read file: ' + e.message);
+      const files = d3Event.dataTransfer && d3Event.dataTransfer.files;
+      if (!files || files.length === 0) { return; }
+      return this.loadFiles(files).then( (result) => {
+        if (result.failed.length > 0) {
+          const escape = text => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+          viewer.flash(result.failed.map( f => `Could not load '${escape(f.name)}': ${escape(f.error)}` ).join('<br>'));
         }
-      };
-      reader.readAsText(file);
+        viewer.trigger('drop', result);
+      });
     });
   }
 
+  /**
+   * Remove the Drag-n-Drop handlers.
+   * @private
+   */
+  removeDragAndDrop() {
+    d3.select(this.viewer.canvas.node('ui')).on('.dragndrop', null);
+  }
+
 }
 
 // // A low performance polyfill based on toDataURL.
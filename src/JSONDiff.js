@@ -0,0 +1,280 @@
+//////////////////////////////////////////////////////////////////////////////
+// JSONDiff
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const position = r => `${r.contig || ''}:${r.start}..${r.stop}:${r.strand === undefined ? '' : r.strand}`;
+
+// Where each collection is found in the JSON and the keys used to match records (in order of preference)
+const COLLECTIONS = {
+  tracks: { path: ['tracks'], keys: [r => r.name] },
+  features: { path: ['features'], keys: [r => `${r.name}|${position(r)}`, r => r.name, position] },
+  plots: { path: ['plots'], keys: [r => `${r.name}|${r.source}`, r => r.name] },
+  legendItems: { path: ['legend', 'items'], keys: [r => r.name] },
+  captions: { path: ['captions'], keys: [r => r.name, r => JSON.stringify(r.position)] },
+  bookmarks: { path: ['bookmarks'], keys: [r => r.name, r => r.bp] }
+};
+
+/**
+ * JSONDiff compares two CGView JSON documents and merges selected differences.
+ * It is used by [IO.diffJSON()](IO.html#diffJSON) and [IO.mergeJSON()](IO.html#mergeJSON).
+ *
+ * Records in each collection (tracks, features, plots, legendItems, captions, bookmarks)
+ * are matched between the documents by name and position:
+ *
+ * Collection  | Matched by (in order)
+ * ------------|----------------------
+ * tracks      | name
+ * features    | name and position (contig, start, stop, strand), name, position
+ * plots       | name and source, name
+ * legendItems | name
+ * captions    | name, position
+ * bookmarks   | name, bp
+ *
+ * Each key is only used when it is unique among the records not yet matched.
+ * Matched records that differ are reported as changed; unmatched records are reported as removed (only in *a*) or added (only in *b*).
+ *
+ * Each change has the following properties:
+ *
+ * Property   | Description
+ * -----------|------------
+ * id         | Unique ID for the change (e.g. 'features:3')
+ * collection | Collection name (e.g. 'features')
+ * type       | 'added', 'removed' or 'changed'
+ * name       | Name of the record
+ * a          | Record in *a* (removed and changed)
+ * b          | Record in *b* (added and changed)
+ * attributes | Names of the attributes that differ (changed)
+ * after      | Record that precedes the added record in *b* (added)
+ */
+class JSONDiff {
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'JSONDiff'
+   */
+  toString() {
+    return 'JSONDiff';
+  }
+
+  /**
+   * Names of the collections that are compared.
+   */
+  static get collections() {
+    return Object.keys(COLLECTIONS);
+  }
+
+  /**
+   * Compare two CGView JSON documents.
+   * @param {Object} a - CGView JSON (the original)
+   * @param {Object} b - CGView JSON (the edited version)
+   * @return {Object} Object with an entry for each collection ({added, removed, changed} arrays of changes),
+   *   *changes* (all the changes) and *count* (number of changes)
+   */
+  static diff(a, b) {
+    const diff = { changes: [] };
+    for (const [collection, { path, keys }] of Object.entries(COLLECTIONS)) {
+      const recordsA = JSONDiff._records(a, path);
+      const recordsB = JSONDiff._records(b, path);
+      const matches = JSONDiff._match(recordsA, recordsB, keys);
+      const result = { added: [], removed: [], changed: [] };
+      let n = 0;
+      const add = (type, change) => {
+        change = Object.assign({ id: `${collection}:${n++}`, collection, type }, change);
+        result[type].push(change);
+        diff.changes.push(change);
+      };
+      recordsA.forEach( (record, indexA) => {
+        const indexB = matches.get(indexA);
+        if (indexB === undefined) {
+          add('removed', { name: record.name, a: record, indexA });
+        } else {
+          const attributes = JSONDiff._changedAttributes(record, recordsB[indexB]);
+          if (attributes.length > 0) {
+            add('changed', { name: recordsB[indexB].name, a: record, b: recordsB[indexB], indexA, indexB, attributes });
+          }
+        }
+      });
+      const matchedB = new Set(matches.values());
+      recordsB.forEach( (record, indexB) => {
+        if (!matchedB.has(indexB)) {
+          add('added', { name: record.name, b: record, indexB, after: recordsB[indexB - 1] });
+        }
+      });
+      diff[collection] = result;
+    }
+    diff.count = diff.changes.length;
+    return diff;
+  }
+
+  /**
+   * Apply changes from a diff to CGView JSON. The JSON is not modified; a merged copy is returned.
+   * Changed records are updated with the changed attributes only, so other edits to the record are kept.
+   * Added records are inserted after the record they followed in *b* (or at the end if that record is not found).
+   * @param {Object} json - CGView JSON (usually *a* from the diff)
+   * @param {Object} diff - Diff from [diff()](#diff)
+   * @param {Array|Function} changes - IDs of the changes to apply or a function that returns true for changes to apply [Default: all]
+   * @return {Object} Merged CGView JSON
+   */
+  static merge(json, diff, changes) {
+    const merged = JSON.parse(JSON.stringify(json));
+    let selected = diff.changes;
+    if (Array.isArray(changes)) {
+      selected = selected.filter( c => changes.includes(c.id) );
+    } else if (typeof changes === 'function') {
+      selected = selected.filter(changes);
+    }
+
+    for (const [collection, { path, keys }] of Object.entries(COLLECTIONS)) {
+      const collectionChanges = selected.filter( c => c.collection === collection );
+      if (collectionChanges.length === 0) { continue; }
+      const records = JSONDiff._records(merged, path, true);
+      const find = record => JSONDiff._find(records, record, keys);
+
+      for (const change of collectionChanges.filter( c => c.type === 'changed' )) {
+        const record = find(change.a);
+        if (!record) { continue; }
+        for (const attribute of change.attributes) {
+          if (change.b[attribute] === undefined) {
+            delete record[attribute];
+          } else {
+            record[attribute] = JSON.parse(JSON.stringify(change.b[attribute]));
+          }
+        }
+      }
+      for (const change of collectionChanges.filter( c => c.type === 'removed' )) {
+        const record = find(change.a);
+        if (record) {
+          records.splice(records.indexOf(record), 1);
+        }
+      }
+      const added = collectionChanges.filter( c => c.type === 'added' ).sort( (x, y) => x.indexB - y.indexB );
+      for (const change of added) {
+        // Insert after the record it followed in b (or at the end if that record is not present)
+        let index = 0;
+        if (change.after) {
+          const previous = find(change.after);
+          index = previous ? records.indexOf(previous) + 1 : records.length;
+        }
+        records.splice(index, 0, JSON.parse(JSON.stringify(change.b)));
+      }
+    }
+    return merged;
+  }
+
+  /**
+   * Return the records at the path in the cgview JSON. If create is true, missing objects/arrays are added.
+   * @private
+   */
+  static _records(json, path, create = false) {
+    let object = json && json.cgview;
+    for (let i = 0; i < path.length; i++) {
+      const last = (i === path.length - 1);
+      if (!object) { return []; }
+      if (object[path[i]] === undefined && create) {
+        object[path[i]] = last ? [] : {};
+      }
+      object = object[path[i]];
+    }
+    return object || [];
+  }
+
+  /**
+   * Match records (by index) using each key in turn. A key is only used when it is unique
+   * among the unmatched records of both arrays.
+   * @private
+   */
+  static _match(recordsA, recordsB, keys) {
+    const matches = new Map();
+    const matchedB = new Set();
+    for (const key of keys) {
+      const unmatchedA = recordsA.map( (r, i) => i ).filter( i => !matches.has(i) );
+      const unmatchedB = recordsB.map( (r, i) => i ).filter( i => !matchedB.has(i) );
+      const indexB = JSONDiff._uniqueIndex(unmatchedB, i => key(recordsB[i]));
+      const indexA = JSONDiff._uniqueIndex(unmatchedA, i => key(recordsA[i]));
+      for (const [value, i] of indexA) {
+        if (indexB.has(value)) {
+          matches.set(i, indexB.get(value));
+          matchedB.add(indexB.get(value));
+        }
+      }
+    }
+    return matches;
+  }
+
+  /**
+   * Return a Map of key value to index for the values that occur once.
+   * @private
+   */
+  static _uniqueIndex(indices, key) {
+    const index = new Map();
+    const duplicates = new Set();
+    for (const i of indices) {
+      const value = key(i);
+      if (value === undefined || value === null) { continue; }
+      if (index.has(value)) {
+        duplicates.add(value);
+      } else {
+        index.set(value, i);
+      }
+    }
+    for (const value of duplicates) {
+      index.delete(value);
+    }
+    return index;
+  }
+
+  /**
+   * Find the record that matches the given record using the first key that is unique.
+   * @private
+   */
+  static _find(records, record, keys) {
+    for (const key of keys) {
+      const value = key(record);
+      const found = records.filter( r => key(r) === value );
+      if (found.length === 1) { return found[0]; }
+    }
+  }
+
+  /**
+   * Return the names of the attributes that differ between two records.
+   * @private
+   */
+  static _changedAttributes(a, b) {
+    const keys = new Set(Object.keys(a).concat(Object.keys(b)));
+    return Array.from(keys).filter( k => !JSONDiff._equal(a[k], b[k]) );
+  }
+
+  /**
+   * Deep equality of JSON values (object key order is ignored).
+   * @private
+   */
+  static _equal(x, y) {
+    if (x === y) { return true; }
+    if (typeof x !== 'object' || typeof y !== 'object' || x === null || y === null) { return false; }
+    if (Array.isArray(x) !== Array.isArray(y)) { return false; }
+    const keysX = Object.keys(x);
+    const keysY = Object.keys(y);
+    if (keysX.length !== keysY.length) { return false; }
+    return keysX.every( k => JSONDiff._equal(x[k], y[k]) );
+  }
+
+}
+
+export default JSONDiff;
@@ -0,0 +1,471 @@
+//////////////////////////////////////////////////////////////////////////////
+// JSONSchema
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Position from './Position';
+
+/**
+ * JSONSchema describes the CGView JSON format (see the [JSON page](../json.html)) and validates
+ * JSON against it. It is used by [IO.validateJSON()](IO.html#validateJSON) and the *strict* option of
+ * [IO.loadJSON()](IO.html#loadJSON).
+ *
+ * The [schema](#schema) is a standard JSON Schema (draft-07), so it can also be used with other tools.
+ * The built-in validator supports the keywords used by the schema: type, enum, minimum, maximum,
+ * minItems, maxItems, pattern, required, properties, additionalProperties, items, anyOf and $ref.
+ *
+ * The schema describes the current JSON version. JSON from older versions should first be
+ * updated with [IO.updateJSON()](IO.html#updateJSON).
+ *
+ * ### Example
+ * ```js
+ * const errors = JSONSchema.validate({cgview: {version: '1.7.0', tracks: [{name: 'GC', dataMethod: 'seq'}]}});
+ * // => [
+ * //   {path: 'cgview.sequence', message: 'required property is missing'},
+ * //   {path: 'cgview.tracks[0].dataMethod', message: "expected one of 'source', 'type', 'tag', 'sequence' but found 'seq'"}
+ * // ]
+ * ```
+ */
+class JSONSchema {
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'JSONSchema'
+   */
+  toString() {
+    return 'JSONSchema';
+  }
+
+  /**
+   * The JSON Schema for CGView JSON.
+   */
+  static get schema() {
+    const color = { type: 'string' };
+    const font = { type: 'string', pattern: '^[^,]+,\\s*(plain|bold|italic|bold-italic)\\s*,\\s*\\d+(\\.\\d+)?\\s*$' };
+    const meta = { type: 'object' };
+    const boolean = { type: 'boolean' };
+    const number = { type: 'number' };
+    const string = { type: 'string' };
+    const stringOrArray = { anyOf: [string, { type: 'array', items: string }] };
+    const position = {
+      anyOf: [
+        { type: 'string', enum: Position.names },
+        {
+          type: 'object',
+          properties: { xPercent: number, yPercent: number, lengthPercent: number, mapOffset: number },
+          additionalProperties: false
+        }
+      ]
+    };
+    const anchor = {
+      anyOf: [
+        { type: 'string', enum: ['auto', ...Position.names] },
+        { type: 'object', properties: { xPercent: number, yPercent: number }, additionalProperties: false }
+      ]
+    };
+    const divider = {
+      type: 'object',
+      properties: { color, thickness: number, spacing: number, mirror: boolean, visible: boolean, meta },
+      additionalProperties: false
+    };
+
+    return {
+      $schema: 'http://json-schema.org/draft-07/schema#',
+      title: 'CGView JSON',
+      type: 'object',
+      required: ['cgview'],
+      properties: {
+        cgview: { $ref: '#/definitions/cgview' }
+      },
+      definitions: {
+        cgview: {
+          type: 'object',
+          required: ['version', 'sequence'],
+          properties: {
+            version: { type: 'string', pattern: '^\\d+\\.\\d+' },
+            created: string,
+            updated: string,
+            id: string,
+            name: string,
+            format: { type: 'string', enum: ['circular', 'linear'] },
+            settings: { $ref: '#/definitions/settings' },
+            sequence: { $ref: '#/definitions/sequence' },
+            backbone: {
+              type: 'object',
+              properties: { thickness: number, color, colorAlternate: color, decoration: { type: 'string', enum: ['arc', 'arrow'] }, visible: boolean, meta },
+              additionalProperties: false
+            },
+            ruler: { type: 'object', properties: { font, color, spacing: number, visible: boolean, meta }, additionalProperties: false },
+            annotation: {
+              type: 'object',
+              properties: { font, color, onlyDrawFavorites: boolean, labelPlacement: { type: 'string', enum: ['default', 'angled'] }, visible: boolean, meta },
+              additionalProperties: false
+            },
+            dividers: { type: 'object', properties: { slot: divider, track: divider }, additionalProperties: false },
+            centerLine: {
+              type: 'object',
+              properties: { color, thickness: number, dashes: { type: 'array', items: number }, visible: boolean, meta },
+              additionalProperties: false
+            },
+            highlighter: { type: 'object' },
+            layout: { type: 'object' },
+            legend: { $ref: '#/definitions/legend' },
+            captions: { type: 'array', items: { $ref: '#/definitions/caption' } },
+            features: { type: 'array', items: { $ref: '#/definitions/feature' } },
+            plots: { type: 'array', items: { $ref: '#/definitions/plot' } },
+            tracks: { type: 'array', items: { $ref: '#/definitions/track' } },
+            bookmarks: { type: 'array', items: { $ref: '#/definitions/bookmark' } },
+            meta
+          },
+          additionalProperties: false
+        },
+        settings: {
+          type: 'object',
+          properties: {
+            format: { type: 'string', enum: ['circular', 'linear'] },
+            backgroundColor: color,
+            showShading: boolean,
+            arrowHeadLength: { type: 'number', minimum: 0, maximum: 1 },
+            initialMapThicknessProportion: { type: 'number', minimum: 0, maximum: 1 },
+            maxMapThicknessProportion: { type: 'number', minimum: 0, maximum: 1 },
+            geneticCode: { type: 'integer', minimum: 1 },
+            minArcLength: number
+          },
+          additionalProperties: false
+        },
+        sequence: {
+          type: 'object',
+          properties: {
+            name: string,
+            seq: string,
+            length: { type: 'integer', minimum: 1 },
+            contigs: { type: 'array', minItems: 1, items: { $ref: '#/definitions/contig' } },
+            font,
+            color,
+            visible: boolean,
+            meta
+          },
+          additionalProperties: false
+        },
+        contig: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            id: string,
+            name: string,
+            seq: string,
+            length: { type: 'integer', minimum: 1 },
+            orientation: { type: 'string', enum: ['+', '-'] },
+            color,
+            visible: boolean,
+            meta
+          },
+          additionalProperties: false
+        },
+        legend: {
+          type: 'object',
+          properties: {
+            name: string,
+            position,
+            anchor,
+            on: { type: 'string', enum: ['canvas', 'map'] },
+            defaultFont: font,
+            defaultFontColor: color,
+            defaultMinArcLength: { type: 'number', minimum: 0, maximum: 2 },
+            textAlignment: { type: 'string', enum: ['left', 'right'] },
+            backgroundColor: color,
+            items: { type: 'array', items: { $ref: '#/definitions/legendItem' } },
+            visible: boolean,
+            meta
+          },
+          additionalProperties: false
+        },
+        legendItem: {
+          type: 'object',
+          required: ['name'],
+          properties: {
+            name: string,
+            font,
+            fontColor: color,
+            decoration: { type: 'string', enum: ['arc', 'arrow', 'none', 'score'] },
+            swatchColor: color,
+            minArcLength: { type: 'number', minimum: 0, maximum: 2 },
+            drawSwatch: boolean,
+            favorite: boolean,
+            visible: boolean,
+            meta
+          },
+          additionalProperties: false
+        },
+        caption: {
+          type: 'object',
+          properties: {
+            name: string,
+            position,
+            anchor,
+            on: { type: 'string', enum: ['canvas', 'map'] },
+            font,
+            fontColor: color,
+            textAlignment: { type: 'string', enum: ['left', 'center', 'right'] },
+            backgroundColor: color,
+            pluginOptions: { type: 'object' },
+            visible: boolean,
+            meta
+          },
+          additionalProperties: false
+        },
+        feature: {
+          type: 'object',
+          properties: {
+            name: string,
+            type: string,
+            legend: string,
+            source: string,
+            tags: stringOrArray,
+            contig: string,
+            start: { type: 'integer', minimum: 1 },
+            stop: { type: 'integer', minimum: 1 },
+            mapStart: { type: 'integer', minimum: 1 },
+            mapStop: { type: 'integer', minimum: 1 },
+            locations: {
+              type: 'array',
+              minItems: 1,
+              items: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'integer', minimum: 1 } }
+            },
+            strand: { enum: [1, -1, '+', '-', '1', '-1'] },
+            score: { type: 'number', minimum: 0, maximum: 1 },
+            codonStart: { type: 'integer', enum: [1, 2, 3] },
+            geneticCode: { type: 'integer', minimum: 1 },
+            qualifiers: { type: 'object' },
+            translation: string,
+            centerOffsetAdjustment: number,
+            proportionOfThickness: { type: 'number', minimum: 0, maximum: 1 },
+            extractedFromSequence: boolean,
+            favorite: boolean,
+            visible: boolean,
+            meta
+          },
+          additionalProperties: false
+        },
+        plot: {
+          type: 'object',
+          properties: {
+            name: string,
+            type: { type: 'string', enum: ['line', 'bar'] },
+            legend: string,
+            legendPositive: string,
+            legendNegative: string,
+            source: string,
+            positions: { type: 'array', items: { type: 'integer', minimum: 1 } },
+            scores: { type: 'array', items: number },
+            baseline: number,
+            axisMax: number,
+            axisMin: number,
+            favorite: boolean,
+            visible: boolean,
+            meta
+          },
+          additionalProperties: false
+        },
+        track: {
+          type: 'object',
+          properties: {
+            name: string,
+            dataType: { type: 'string', enum: ['feature', 'plot'] },
+            dataMethod: { type: 'string', enum: ['source', 'type', 'tag', 'sequence'] },
+            dataKeys: stringOrArray,
+            dataOptions: { type: 'object' },
+            position: { type: 'string', enum: ['inside', 'outside', 'both'] },
+            separateFeaturesBy: { type: 'string', enum: ['none', 'strand', 'readingFrame', 'type', 'legend'] },
+            thicknessRatio: { type: 'number', minimum: 0 },
+            drawOrder: { type: 'string', enum: ['position', 'score'] },
+            loadProgress: { type: 'number', minimum: 0, maximum: 100 },
+            favorite: boolean,
+            visible: boolean,
+            meta
+          },
+          additionalProperties: false
+        },
+        bookmark: {
+          type: 'object',
+          properties: {
+            name: string,
+            bp: { type: 'number', minimum: 1 },
+            zoom: { type: 'number', minimum: 0 },
+            format: { type: 'string', enum: ['circular', 'linear'] },
+            bbOffset: number,
+            shortcut: { type: 'string', pattern: '^.$' },
+            favorite: boolean,
+            meta
+          },
+          additionalProperties: false
+        }
+      }
+    };
+  }
+
+  /**
+   * Validate JSON against a schema and return the errors. Each error has a *path* (e.g. 'cgview.tracks[3].dataMethod'),
+   * a *message* and the invalid *value* (if present).
+   * @param {Object} json - JSON to validate
+   * @param {Object} schema - JSON Schema to use [Default: [JSONSchema.schema](#schema)]
+   * @return {Array} Array of errors (empty if the JSON is valid)
+   */
+  static validate(json, schema = JSONSchema.schema) {
+    const errors = [];
+    JSONSchema._validate(json, schema, '', schema, errors);
+    return errors;
+  }
+
+  /**
+   * Validate the value against the schema and add any errors.
+   * @private
+   */
+  static _validate(value, schema, path, root, errors) {
+    if (schema.$ref) {
+      schema = JSONSchema._resolve(schema.$ref, root);
+    }
+    const error = (message, errorPath = path) => {
+      const entry = { path: errorPath, message };
+      if (value !== undefined && errorPath === path) { entry.value = value; }
+      errors.push(entry);
+    };
+
+    if (schema.anyOf) {
+      for (const option of schema.anyOf) {
+        if (JSONSchema.validate(value, Object.assign({ definitions: root.definitions }, option)).length === 0) { return; }
+      }
+      // Report the errors for the first option of the matching type
+      const matching = schema.anyOf.find( o => JSONSchema._typeMatches(value, JSONSchema._resolve(o.$ref, root) || o) );
+      if (matching) {
+        JSONSchema._validate(value, matching, path, root, errors);
+      } else {
+        const types = schema.anyOf.map( o => (JSONSchema._resolve(o.$ref, root) || o).type );
+        error(`expected ${JSONSchema._list(types, 'or')} but found ${JSONSchema._typeOf(value)}`);
+      }
+      return;
+    }
+
+    if (schema.type && !JSONSchema._typeMatches(value, schema)) {
+      error(`expected ${schema.type} but found ${JSONSchema._typeOf(value)}`);
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+      error(`expected one of ${schema.enum.map(JSONSchema._format).join(', ')} but found ${JSONSchema._format(value)}`);
+      return;
+    }
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        error(`expected a number of at least ${schema.minimum} but found ${value}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        error(`expected a number of at most ${schema.maximum} but found ${value}`);
+      }
+    }
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      error(`'${value}' does not match the pattern /${schema.pattern}/`);
+    }
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        error(`expected at least ${schema.minItems} item(s) but found ${value.length}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        error(`expected at most ${schema.maxItems} item(s) but found ${value.length}`);
+      }
+      if (schema.items) {
+        value.forEach( (item, i) => JSONSchema._validate(item, schema.items, `${path}[${i}]`, root, errors) );
+      }
+    }
+    if (JSONSchema._typeOf(value) === 'object') {
+      const properties = schema.properties || {};
+      for (const name of (schema.required || [])) {
+        if (value[name] === undefined) {
+          error('required property is missing', JSONSchema._join(path, name));
+        }
+      }
+      for (const [name, propertyValue] of Object.entries(value)) {
+        const propertyPath = JSONSchema._join(path, name);
+        if (properties[name]) {
+          if (propertyValue !== undefined) {
+            JSONSchema._validate(propertyValue, properties[name], propertyPath, root, errors);
+          }
+        } else if (schema.additionalProperties === false) {
+          errors.push({ path: propertyPath, message: 'unknown property' });
+        } else if (typeof schema.additionalProperties === 'object') {
+          JSONSchema._validate(propertyValue, schema.additionalProperties, propertyPath, root, errors);
+        }
+      }
+    }
+  }
+
+  /**
+   * Return the definition for a local reference (e.g. '#/definitions/track').
+   * @private
+   */
+  static _resolve(ref, root) {
+    if (!ref) { return; }
+    return ref.replace(/^#\//, '').split('/').reduce( (schema, key) => schema && schema[key], root);
+  }
+
+  /**
+   * @private
+   */
+  static _typeMatches(value, schema) {
+    if (!schema.type) { return true; }
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    return types.some( (type) => {
+      if (type === 'integer') { return Number.isInteger(value); }
+      if (type === 'number') { return typeof value === 'number' && !isNaN(value); }
+      return JSONSchema._typeOf(value) === type;
+    });
+  }
+
+  /**
+   * @private
+   */
+  static _typeOf(value) {
+    if (value === null) { return 'null'; }
+    if (Array.isArray(value)) { return 'array'; }
+    return typeof value;
+  }
+
+  /**
+   * @private
+   */
+  static _format(value) {
+    return (typeof value === 'string') ? `'${value}'` : String(value);
+  }
+
+  /**
+   * @private
+   */
+  static _list(items, conjunction) {
+    return (items.length <= 1) ? items.join('') : `${items.slice(0, -1).join(', ')} ${conjunction} ${items[items.length - 1]}`;
+  }
+
+  /**
+   * @private
+   */
+  static _join(path, name) {
+    return path ? `${path}.${name}` : name;
+  }
+
+}
+
+export default JSONSchema;
@@ -433,7 +433,7 @@ class Layout {
       // At larger zoom levels and when a bp was given, center the map on that bp
       const zoomFactorCutoff = 1.25;
       if (this.viewer.zoomFactor > zoomFactorCutoff && bp) {
-        this.viewer.zoomTo(bp, this.viewer.zoomFactor, {duration: 0});
+        this.viewer.zoomTo(bp, this.viewer.zoomFactor, {duration: 0, history: false});
       }
     } else {
       // The canvas is being resized or initialized
@@ -592,6 +592,10 @@ class Layout {
   _adjustProportions() {
     const viewer = this.viewer;
     if (viewer.loading) { return; }
+    if (viewer._batch) {
+      viewer._batch.proportions = true;
+      return;
+    }
     const visibleSlots = this.visibleSlots();
     this._updateSlotThicknessRatioStats(visibleSlots);
     // The initial maximum amount of space for drawing slots, backbone, dividers, etc
@@ -639,7 +643,7 @@ class Layout {
     this.updateLayout(true);
     // Recenter map
     if (viewer.zoomFactor > 2) {
-      viewer.moveTo(undefined, undefined, {duration: 500});
+      viewer.moveTo(undefined, undefined, {duration: 500, history: false});
     }
   }
   // NOTE:
@@ -844,7 +848,7 @@ class Layout {
     viewer.clear('ui');
     // Note: we clear the foreground in the drawForeground method
 
-    if (viewer.messenger.visible) {
+    if (viewer.messenger?.visible) {
       viewer.messenger.close();
     }
 
@@ -853,19 +857,27 @@ class Layout {
     // ctx.textBaseline = 'top';
 
     // Draw Backbone
+    canvas.openGroup('map', 'backbone', {}, {layer: true});
     backbone.draw();
+    canvas.closeGroup('map');
 
     // Recalculate the slot offsets and thickness if the zoom level has changed
     this.updateLayout();
 
     // Divider rings
+    canvas.openGroup('map', 'dividers', {}, {layer: true});
     viewer.dividers.draw();
+    canvas.closeGroup('map');
     // Ruler
     const rulerOffsetAdjustment = viewer.dividers.track.adjustedThickness;
+    canvas.openGroup('map', 'ruler', {}, {layer: true});
     viewer.ruler.draw(this.centerInsideOffset - rulerOffsetAdjustment, this.centerOutsideOffset + rulerOffsetAdjustment);
+    canvas.closeGroup('map');
     // Labels
     if (viewer.annotation.visible) {
+      canvas.openGroup('map', 'labels', {}, {layer: true});
       viewer.annotation.draw(this.centerInsideOffset, this.centerOutsideOffset, fast);
+      canvas.closeGroup('map');
     }
 
     // Draw foreground layer (centerLine, captions/legend on map)
@@ -891,6 +903,7 @@ class Layout {
   }
 
   drawFast() {
+    if (this.viewer._batch) { return; }
     const startTime = new Date().getTime();
     this.drawMapWithoutSlots(true);
     this.drawAllSlots(true);
@@ -902,6 +915,7 @@ class Layout {
   }
 
   drawFull() {
+    if (this.viewer._batch) { return; }
     this.drawMapWithoutSlots();
     this.drawAllSlots(true);
     this._drawFullStartTime = new Date().getTime();
@@ -922,7 +936,9 @@ class Layout {
     const viewer = this.viewer;
     viewer.clear('foreground');
     // Draw center line for current bp
+    this.canvas.openGroup('foreground', 'center-line', {}, {layer: true});
     viewer.centerLine.draw();
+    this.canvas.closeGroup('foreground');
     // Captions positioned on the Map
     for (let i = 0, len = viewer._captions.length; i < len; i++) {
       if (viewer._captions[i].onMap) {
@@ -935,7 +951,9 @@ class Layout {
     }
   }
 
+  // Each track and slot is drawn in its own group (only used by contexts with groups, e.g. SVGContext)
   drawAllSlots(fast) {
+    const canvas = this.canvas;
     let track, slot;
     // for (let i = 0, trackLen = this._tracks.length; i < trackLen; i++) {
     //   track = this._tracks[i];
@@ -943,11 +961,23 @@ class Layout {
     for (let i = 0, trackLen = tracks.length; i < trackLen; i++) {
       track = tracks[i];
       if (!track.visible) { continue; }
+      canvas.openGroup('map', `track-${i + 1}`, {
+        'data-name': track.name,
+        'data-type': track.dataType,
+        'data-method': track.dataMethod,
+        'data-keys': track.dataKeys.join(',')
+      }, {layer: true, label: track.name});
       for (let j = 0, slotLen = track._slots.length; j < slotLen; j++) {
         slot = track._slots[j];
         if (!slot.visible) { continue; }
-        slot.draw(this.canvas, fast);
+        canvas.openGroup('map', `track-${i + 1}-slot-${j + 1}`, {
+          'data-strand': slot.strand,
+          'data-position': slot.position
+        });
+        slot.draw(canvas, fast);
+        canvas.closeGroup('map');
       }
+      canvas.closeGroup('map');
     }
   }
 
@@ -357,6 +357,7 @@ class Legend extends CGObject {
    */
   removeItems(items) {
     items = CGArray.arrayerize(items);
+    this.viewer.editHistory._willRemove('legendItems', items);
     this._items = this._items.filter( i => !items.includes(i) );
     this.viewer.clear('canvas');
     this.viewer.refreshCanvasLayer();
@@ -607,6 +608,8 @@ class Legend extends CGObject {
     // Update the box origin if relative to the map
     this.box.refresh();
 
+    const layer = (this.on === 'map') ? 'foreground' : 'canvas';
+    this.canvas.openGroup(layer, 'legend', {'data-position': this.position.name}, {layer: true});
     this.fillBackground();
     let swatchX;
     ctx.lineWidth = 1;
@@ -642,6 +645,7 @@ class Legend extends CGObject {
       // ctx.fillText(legendItem.name, legendItem.textX(), y);
       ctx.fillText(legendItem.name, legendItem.textX(), y + legendItem.height - 1);
     }
+    this.canvas.closeGroup(layer);
   }
 
   /**
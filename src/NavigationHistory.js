@@ -0,0 +1,227 @@
+//////////////////////////////////////////////////////////////////////////////
+// NavigationHistory
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import utils from './Utils';
+
+/**
+ * NavigationHistory keeps the positions the map has been moved to, so the user can go back and forward
+ * (like a web browser). It is created by the viewer and is accessible via [Viewer.navigationHistory](Viewer.html#navigationHistory).
+ * Use [Viewer.back()](Viewer.html#back) and [Viewer.forward()](Viewer.html#forward) to move through the history.
+ *
+ * A position (*bp*, *zoomFactor* and *bbOffset*) is added each time the map is moved with
+ * [Viewer.moveTo()](Viewer.html#moveTo) or [Viewer.zoomTo()](Viewer.html#zoomTo), which includes
+ * [Bookmark.moveTo()](Bookmark.html#moveTo) and [Feature.moveTo()](Feature.html#moveTo).
+ * The position the map is moved from is also kept, so going back returns to where the user was
+ * (even if they dragged the map there).
+ *
+ * Short pans (the zoom level does not change and the map moves less than the length visible at that zoom level)
+ * are merged: consecutive short pans replace each other, so going back skips over them.
+ * Moves with the option *history: false* and moves while loading or animating are not added.
+ * Loading a map clears the history.
+ *
+ * Action                                    | Event
+ * ------------------------------------------|-----------------------------------------
+ * Add a position, go back or forward, clear | [navigation-update](Events.html)
+ *
+ * The 'navigation-update' event returns an object with the *action* ('add', 'back', 'forward', 'clear'),
+ * *canGoBack*, *canGoForward* and the current *position*.
+ *
+ * ### Example
+ * ```js
+ * cgv.features('dnaA').moveTo();
+ * // Later
+ * cgv.back();
+ * ```
+ */
+class NavigationHistory {
+
+  /**
+   * Create a new NavigationHistory.
+   * @param {Viewer} viewer - The viewer
+   * @param {Object} options - Options
+   *   - maxSize: Maximum number of positions to keep [Default: 50]
+   */
+  constructor(viewer, options = {}) {
+    this._viewer = viewer;
+    this.maxSize = utils.defaultFor(options.maxSize, 50);
+    this._positions = [];
+    this._index = -1;
+    // Positions from the previous map are not kept
+    viewer.on('cgv-json-load.navigation-history', () => {
+      if (this._positions.length > 0) { this.clear(); }
+    });
+  }
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'NavigationHistory'
+   */
+  toString() {
+    return 'NavigationHistory';
+  }
+
+  /**
+   * @member {Viewer} - Get the viewer.
+   */
+  get viewer() {
+    return this._viewer;
+  }
+
+  /**
+   * @member {Boolean} - Returns true if there is a position to go back to.
+   */
+  get canGoBack() {
+    return this._index > 0;
+  }
+
+  /**
+   * @member {Boolean} - Returns true if there is a position to go forward to.
+   */
+  get canGoForward() {
+    return this._index < this._positions.length - 1;
+  }
+
+  /**
+   * @member {Array} - Get the positions ({bp, zoomFactor, bbOffset}) in the history.
+   */
+  get positions() {
+    return this._positions.map( ({ bp, zoomFactor, bbOffset }) => ({ bp, zoomFactor, bbOffset }) );
+  }
+
+  /**
+   * @member {Number} - Get the index of the current position.
+   */
+  get index() {
+    return this._index;
+  }
+
+  /**
+   * Move the map to the previous position.
+   * @param {Object} options - Options passed to [Viewer.zoomTo()](Viewer.html#zoomTo)
+   * @return {Boolean} True if the map was moved
+   */
+  back(options) {
+    return this.go(-1, options);
+  }
+
+  /**
+   * Move the map to the next position.
+   * @param {Object} options - Options passed to [Viewer.zoomTo()](Viewer.html#zoomTo)
+   * @return {Boolean} True if the map was moved
+   */
+  forward(options) {
+    return this.go(1, options);
+  }
+
+  /**
+   * Move the map back (negative steps) or forward (positive steps) in the history.
+   * @param {Number} steps - Number of positions to move
+   * @param {Object} options - Options passed to [Viewer.zoomTo()](Viewer.html#zoomTo)
+   * @return {Boolean} True if the map was moved
+   */
+  go(steps, options = {}) {
+    const index = this._index + steps;
+    if (steps === 0 || index < 0 || index >= this._positions.length) { return false; }
+    // Keep where the map is now, so going the other way returns here.
+    // While the map is still moving, the position it is moving to is kept.
+    if (!this.viewer._isMoving) {
+      this._positions[this._index] = Object.assign(this._currentPosition(), { pan: this._positions[this._index].pan });
+    }
+    this._index = index;
+    const position = this._positions[index];
+    this.viewer.zoomTo(position.bp, position.zoomFactor, Object.assign({ bbOffset: position.bbOffset }, options, { history: false }));
+    this._changed(steps < 0 ? 'back' : 'forward');
+    return true;
+  }
+
+  /**
+   * Remove all the positions from the history.
+   */
+  clear() {
+    this._positions = [];
+    this._index = -1;
+    this._changed('clear');
+  }
+
+  /**
+   * Add the position the map is moving to. Called from Viewer.zoomTo() and Viewer.moveTo().
+   * @param {Object} position - Position ({bp, zoomFactor, bbOffset}) the map is moving to
+   * @private
+   */
+  _add(position) {
+    const viewer = this.viewer;
+    if (viewer.loading || viewer.isAnimating) { return; }
+    const current = this._positions[this._index];
+    // While the map is still moving, it is between positions so the position it is moving to is kept
+    const from = (current && viewer._isMoving) ? NavigationHistory._round(current) : this._currentPosition();
+    const to = NavigationHistory._round(position);
+    if (from.bp === to.bp && from.zoomFactor === to.zoomFactor && from.bbOffset === to.bbOffset) { return; }
+
+    // Positions after the current one are replaced
+    this._positions = this._positions.slice(0, this._index + 1);
+    to.pan = this._isShortPan(from, to);
+    if (to.pan && current && current.pan) {
+      // Merge with the previous short pan
+      this._positions[this._index] = to;
+    } else {
+      from.pan = Boolean(current && current.pan);
+      if (current) {
+        this._positions[this._index] = from;
+      } else {
+        this._positions.push(from);
+      }
+      this._positions.push(to);
+      if (this._positions.length > this.maxSize) {
+        this._positions.shift();
+      }
+      this._index = this._positions.length - 1;
+    }
+    this._changed('add');
+  }
+
+  _isShortPan(from, to) {
+    if (Math.abs(to.zoomFactor - from.zoomFactor) > from.zoomFactor * 0.01) { return false; }
+    const length = this.viewer.sequence.length;
+    let distance = Math.abs(to.bp - from.bp);
+    if (this.viewer.format === 'circular') {
+      distance = Math.min(distance, length - distance);
+    }
+    return distance <= length / from.zoomFactor;
+  }
+
+  _currentPosition() {
+    const viewer = this.viewer;
+    return NavigationHistory._round({ bp: viewer.bp, zoomFactor: viewer.zoomFactor, bbOffset: viewer.bbOffset });
+  }
+
+  _changed(action) {
+    const position = this.positions[this._index];
+    this.viewer.trigger('navigation-update', { action, canGoBack: this.canGoBack, canGoForward: this.canGoForward, position });
+  }
+
+  static _round({ bp, zoomFactor, bbOffset }) {
+    const finite = (value, places) => Number.isFinite(value) ? utils.round(value, places) : 0;
+    return { bp: finite(bp, 0), zoomFactor: finite(zoomFactor, 3), bbOffset: finite(bbOffset, 1) };
+  }
+
+}
+
+export default NavigationHistory;
@@ -0,0 +1,329 @@
+//////////////////////////////////////////////////////////////////////////////
+// OperationLog
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import utils from './Utils';
+import EditHistory from './EditHistory';
+
+// Map components that are updated with update(attributes)
+const COMPONENTS = ['settings', 'legend', 'backbone', 'ruler', 'annotation', 'sequence'];
+
+/**
+ * OperationLog turns the data changes made to a viewer into serializable operations
+ * that can be applied to another viewer (e.g. to keep two people editing the same map in sync).
+ * It is created by the viewer and is accessible via [Viewer.operationLog](Viewer.html#operationLog).
+ *
+ * An operation is created for each add, remove, update and move of features, plots, tracks, legendItems,
+ * captions, contigs and bookmarks, and for updates to the settings, legend, backbone, ruler, annotation and sequence.
+ * Each operation is triggered immediately (even inside a [batch](Viewer.html#batch)) with the 'operation' event
+ * and kept in [operations](#operations) until the next map is loaded.
+ * Use [Viewer.applyOperations()](Viewer.html#applyOperations) to apply them to another viewer.
+ *
+ * Records are identified by IDs that are the same in every viewer: records loaded from JSON get an ID
+ * from their collection and order (e.g. 'features:12'), so viewers must load the same map before exchanging operations.
+ * Records added later get an ID that starts with the [source](#source) of the viewer that added them.
+ * Features and plots extracted from the sequence, the legend items created for them and track loading progress are not included.
+ *
+ * Operation properties:
+ *
+ * Property   | Description
+ * -----------|------------
+ * id         | Unique ID for the operation (source:seq)
+ * source     | ID of the operation log that created the operation
+ * seq        | Number of the operation from the source (starting at 1)
+ * type       | 'add', 'remove', 'update' or 'move'
+ * collection | Collection (e.g. 'features') or component (e.g. 'settings')
+ * ids        | IDs of the records (add, remove)
+ * records    | JSON for the added records (add)
+ * updates    | Changed attributes keyed by record ID (update). Components use the key 'attributes'
+ * oldIndex   | Index the record was moved from (move)
+ * newIndex   | Index the record was moved to (move)
+ *
+ * Attribute values that refer to other records (e.g. a feature's legendItem) are given as {$ref: id}.
+ *
+ * ### Example
+ * ```js
+ * // Keep viewer b in sync with viewer a (e.g. through a websocket relay)
+ * a.on('operation', (operation) => socket.send(JSON.stringify(operation)));
+ * socket.onmessage = (message) => b.applyOperations(JSON.parse(message.data));
+ * ```
+ */
+class OperationLog {
+
+  /**
+   * Create a new OperationLog.
+   * @param {Viewer} viewer - The viewer
+   */
+  constructor(viewer) {
+    this._viewer = viewer;
+    this._source = utils.randomHexString(8);
+    this._seq = 0;
+    this._recordCount = 0;
+    this._operations = [];
+    this._ids = new WeakMap();
+    this._records = new Map();
+    this._loadCounts = {};
+    this._applying = false;
+  }
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'OperationLog'
+   */
+  toString() {
+    return 'OperationLog';
+  }
+
+  /**
+   * @member {Viewer} - Get the viewer.
+   */
+  get viewer() {
+    return this._viewer;
+  }
+
+  /**
+   * @member {String} - Get the random ID used to identify operations (and records) created by this log.
+   */
+  get source() {
+    return this._source;
+  }
+
+  /**
+   * @member {Array} - Get the operations since the map was loaded.
+   */
+  get operations() {
+    return this._operations.slice();
+  }
+
+  /**
+   * Return the ID of a record that is the same in every viewer.
+   * @param {CGObject} record - Record (e.g. a feature)
+   * @return {String}
+   */
+  idFor(record) {
+    if (!this._ids.has(record)) {
+      this._setID(record, `${this.source}-r${++this._recordCount}`);
+    }
+    return this._ids.get(record);
+  }
+
+  /**
+   * Return the record with the given ID.
+   * @param {String} id - Record ID
+   * @return {CGObject}
+   */
+  recordFor(id) {
+    return this._records.get(id);
+  }
+
+  /**
+   * Returns the operations since the map was loaded.
+   * @return {Array}
+   */
+  toJSON() {
+    return this.operations;
+  }
+
+  /**
+   * Apply operations from another viewer. Operations created by this log are ignored
+   * and applying the operations does not create new operations.
+   * @param {Object|Array} operations - Operation or array of operations
+   * @return {Number} Number of operations applied
+   */
+  apply(operations) {
+    operations = [].concat(operations).filter( o => o && o.source !== this.source );
+    let applied = 0;
+    this._applying = true;
+    try {
+      this.viewer.batch( () => {
+        for (const operation of operations) {
+          if (this._applyOperation(operation)) {
+            applied++;
+          } else {
+            console.error('Operation could not be applied:', operation);
+          }
+        }
+      });
+    } finally {
+      this._applying = false;
+    }
+    return applied;
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // CREATING OPERATIONS (called from Viewer.trigger())
+  //////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Create an operation from a data event.
+   * @private
+   */
+  _handleEvent(event, data) {
+    if (event === 'cgv-json-load') {
+      this._operations = [];
+      this._records = new Map();
+      this._loadCounts = {};
+      return;
+    }
+    const [collection, action] = event.split('-');
+    const collections = EditHistory.collections;
+    if (this.viewer.loading) {
+      // Records loaded from JSON get IDs from their collection and order
+      if (action === 'add' && collections[collection]) {
+        for (const record of Array.from(data).filter( r => !r.extractedFromSequence )) {
+          this._loadCounts[collection] = (this._loadCounts[collection] || 0) + 1;
+          this._setID(record, `${collection}:${this._loadCounts[collection]}`);
+        }
+      }
+      return;
+    }
+    if (this._applying) { return; }
+    if (this.viewer._untrackedDepth) {
+      // Records created by sequence extraction (e.g. legend items) are created by each viewer,
+      // so they get an ID from their name that is the same in every viewer
+      if (action === 'add' && collections[collection]) {
+        Array.from(data).filter( r => r.name ).forEach( r => this._setID(r, `${collection}@${r.name}`) );
+      }
+      return;
+    }
+
+    if (collections[collection]) {
+      if (action === 'add' || action === 'remove') {
+        const records = Array.from(data).filter( r => !r.extractedFromSequence );
+        if (records.length === 0) { return; }
+        const operation = { type: action, collection, ids: records.map( r => this.idFor(r) ) };
+        if (action === 'add') {
+          operation.records = records.map( r => JSON.parse(JSON.stringify(r.toJSON())) );
+        } else {
+          records.forEach( r => this._records.delete(this._ids.get(r)) );
+        }
+        this._add(operation);
+      } else if (action === 'update') {
+        const updates = this._updates(data);
+        if (updates) {
+          this._add({ type: 'update', collection, updates });
+        }
+      } else if (action === 'moved' && collections[collection].move) {
+        this._add({ type: 'move', collection, oldIndex: data.oldIndex, newIndex: data.newIndex });
+      }
+    } else if (action === 'update' && COMPONENTS.includes(collection) && data && data.attributes) {
+      if (Object.keys(data.attributes).length > 0) {
+        this._add({ type: 'update', collection, updates: { attributes: this._serialize(data.attributes) } });
+      }
+    }
+  }
+
+  // Serialized updates keyed by record ID from an update event (e.g. {features, attributes, updates})
+  _updates(data) {
+    const records = data && Object.values(data).find(Array.isArray);
+    if (!records) { return; }
+    const updates = {};
+    for (const record of records) {
+      if (record.extractedFromSequence) { continue; }
+      const attributes = data.updates ? data.updates[record.cgvID] : data.attributes;
+      const keys = attributes ? Object.keys(attributes) : [];
+      // Track loading progress is not sent to other viewers
+      if (keys.length > 0 && !(keys.length === 1 && keys[0] === 'loadProgress')) {
+        updates[this.idFor(record)] = this._serialize(attributes);
+      }
+    }
+    if (Object.keys(updates).length > 0) {
+      return updates;
+    }
+  }
+
+  _add(operation) {
+    const seq = ++this._seq;
+    operation = Object.assign({ id: `${this.source}:${seq}`, source: this.source, seq }, operation);
+    this._operations.push(operation);
+    this.viewer.events.trigger('operation', operation);
+  }
+
+  _setID(record, id) {
+    this._ids.set(record, id);
+    this._records.set(id, record);
+  }
+
+  // JSON copy of attributes with records replaced by {$ref: id}
+  _serialize(attributes) {
+    const json = {};
+    for (const [key, value] of Object.entries(attributes)) {
+      const snapshot = EditHistory._snapshot(value);
+      json[key] = (snapshot && snapshot.cgvID) ? { $ref: this.idFor(snapshot) } : snapshot;
+    }
+    return json;
+  }
+
+  _deserialize(attributes) {
+    const values = {};
+    for (const [key, value] of Object.entries(attributes)) {
+      values[key] = (value && value.$ref) ? this.recordFor(value.$ref) : value;
+    }
+    return values;
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // APPLYING OPERATIONS
+  //////////////////////////////////////////////////////////////////////////
+
+  _applyOperation(operation) {
+    const viewer = this.viewer;
+    const config = EditHistory.collections[operation.collection];
+    if (!config) {
+      // Component update
+      if (operation.type !== 'update' || !COMPONENTS.includes(operation.collection)) { return false; }
+      viewer[operation.collection].update(this._deserialize(operation.updates.attributes));
+      return true;
+    }
+    switch (operation.type) {
+      case 'add': {
+        const added = config.add(viewer, JSON.parse(JSON.stringify(operation.records)));
+        added.forEach( (record, i) => this._setID(record, operation.ids[i]) );
+        return true;
+      }
+      case 'remove': {
+        const records = operation.ids.map( id => this.recordFor(id) ).filter(Boolean);
+        operation.ids.forEach( id => this._records.delete(id) );
+        if (records.length > 0) {
+          config.remove(viewer, records);
+        }
+        return records.length === operation.ids.length;
+      }
+      case 'update': {
+        const updates = {};
+        for (const [id, attributes] of Object.entries(operation.updates)) {
+          const record = this.recordFor(id);
+          if (!record) { return false; }
+          updates[record.cgvID] = this._deserialize(attributes);
+        }
+        config.update(viewer, updates);
+        return true;
+      }
+      case 'move':
+        if (!config.move) { return false; }
+        config.move(viewer, operation.oldIndex, operation.newIndex);
+        return true;
+    }
+    return false;
+  }
+
+}
+
+export default OperationLog;
@@ -0,0 +1,382 @@
+//////////////////////////////////////////////////////////////////////////////
+// PDFContext
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Color from './Color';
+import VectorContext from './VectorContext';
+
+// Character widths (1/1000 em) for ASCII 32-126 from the Adobe font metrics of the standard PDF fonts
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+const TIMES_WIDTHS = [
+  250, 333, 408, 500, 500, 833, 778, 180, 333, 333, 500, 564, 250, 333, 250, 278,
+  500, 500, 500, 500, 500, 500, 500, 500, 500, 500, 278, 278, 564, 564, 564, 444,
+  921, 722, 667, 667, 722, 611, 556, 722, 722, 333, 389, 722, 611, 889, 722, 722,
+  556, 722, 667, 556, 611, 722, 722, 944, 722, 722, 611, 333, 278, 333, 469, 500,
+  333, 444, 500, 444, 500, 444, 333, 500, 500, 278, 278, 500, 278, 778, 500, 500,
+  500, 500, 333, 389, 278, 500, 500, 722, 500, 500, 444, 480, 200, 480, 541
+];
+
+/**
+ * PDFContext implements the part of the canvas 2D context API that CGView uses for drawing
+ * and writes each drawing command as vector PDF content (paths and text). It is used by
+ * [IO.getPDF()](IO.html#getPDF) and [IO.downloadPDF()](IO.html#downloadPDF).
+ *
+ * Text uses the standard PDF fonts (Helvetica, Times and Courier), so it remains selectable
+ * and editable text. Text is measured with the metrics of these fonts, so legends and captions
+ * are sized for the fonts in the PDF. Times bold and italic are measured with the regular widths.
+ *
+ * Coordinates are in points (1/72 inch) from the top-left of the page, like a canvas.
+ * Only translate and scale transforms are supported. Clearing (clearRect) is ignored.
+ * The drawing state and transforms are handled by [VectorContext](VectorContext.html).
+ *
+ * ### Example
+ * ```js
+ * const ctx = new PDFContext(612, 792); // US Letter
+ * ctx.fillStyle = 'rgba(255,0,0,0.5)';
+ * ctx.fillRect(72, 72, 100, 100);
+ * const pdf = ctx.getSerializedPdf();
+ * ```
+ */
+class PDFContext extends VectorContext {
+
+  /**
+   * Create a new PDF context
+   * @param {Number} width - Width of the page in points
+   * @param {Number} height - Height of the page in points
+   * @param {Object} options - Options: title (Title for the document information)
+   */
+  constructor(width, height, options = {}) {
+    super(width, height);
+    this.title = options.title;
+    this._content = [];
+    this._fonts = [];
+    this._alphas = [];
+  }
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'PDFContext'
+   */
+  toString() {
+    return 'PDFContext';
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // PATHS
+  //////////////////////////////////////////////////////////////////////////
+
+  moveTo(x, y) {
+    this._currentPoint = { x, y };
+    this._subpathStart = this._currentPoint;
+    const pt = this._point(x, y);
+    this._path.push(`${pt.x} ${pt.y} m`);
+  }
+
+  lineTo(x, y) {
+    if (!this._currentPoint) {
+      this.moveTo(x, y);
+      return;
+    }
+    this._currentPoint = { x, y };
+    const pt = this._point(x, y);
+    this._path.push(`${pt.x} ${pt.y} l`);
+  }
+
+  closePath() {
+    if (this._currentPoint) {
+      this._path.push('h');
+      this._currentPoint = this._subpathStart;
+    }
+  }
+
+  // PDF does not have arcs, so the arc is added as bezier curves of at most 90 degrees
+  _arcParts(x, y, radius, startAngle, delta) {
+    const parts = Math.ceil(Math.abs(delta) / (Math.PI / 2));
+    const step = delta / parts;
+    const k = (4 / 3) * Math.tan(step / 4) * radius;
+    let angle = startAngle;
+    for (let i = 0; i < parts; i++) {
+      const nextAngle = angle + step;
+      const cos1 = Math.cos(angle);
+      const sin1 = Math.sin(angle);
+      const cos2 = Math.cos(nextAngle);
+      const sin2 = Math.sin(nextAngle);
+      const p1 = this._point(x + (radius * cos1) - (k * sin1), y + (radius * sin1) + (k * cos1));
+      const p2 = this._point(x + (radius * cos2) + (k * sin2), y + (radius * sin2) - (k * cos2));
+      const endX = x + (radius * cos2);
+      const endY = y + (radius * sin2);
+      const p3 = this._point(endX, endY);
+      this._path.push(`${p1.x} ${p1.y} ${p2.x} ${p2.y} ${p3.x} ${p3.y} c`);
+      this._currentPoint = { x: endX, y: endY };
+      angle = nextAngle;
+    }
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // DRAWING
+  //////////////////////////////////////////////////////////////////////////
+
+  fill() {
+    if (this._path.length === 0) { return; }
+    this._add([this._paint(this.fillStyle, 'fill'), ...this._path, 'f']);
+  }
+
+  stroke() {
+    if (this._path.length === 0) { return; }
+    this._add([this._paint(this.strokeStyle, 'stroke'), this._lineStyle(), ...this._path, 'S']);
+  }
+
+  fillRect(x, y, width, height) {
+    this._add([this._paint(this.fillStyle, 'fill'), this._rect(x, y, width, height), 'f']);
+  }
+
+  strokeRect(x, y, width, height) {
+    this._add([this._paint(this.strokeStyle, 'stroke'), this._lineStyle(), this._rect(x, y, width, height), 'S']);
+  }
+
+  fillText(text, x, y) {
+    text = String(text);
+    const font = PDFContext.parseFont(this.font);
+    const width = this.measureText(text).width;
+    if (this.textAlign === 'center') {
+      x -= width / 2;
+    } else if (['right', 'end'].includes(this.textAlign)) {
+      x -= width;
+    }
+    const baselineShift = { top: 0.8, hanging: 0.8, middle: 0.3, bottom: -0.2, ideographic: -0.2 }[this.textBaseline] || 0;
+    y += baselineShift * font.size;
+    const pt = this._point(x, y);
+    const size = this._round(font.size * Math.abs(this._state.matrix[1]));
+    const fontName = this._fontResource(PDFContext.standardFont(font));
+    this._add([
+      this._paint(this.fillStyle, 'fill'),
+      `BT /${fontName} ${size} Tf ${pt.x} ${pt.y} Td (${PDFContext.escape(text)}) Tj ET`
+    ]);
+  }
+
+  /**
+   * Measure text with the metrics of the standard PDF font used for the current font.
+   */
+  measureText(text) {
+    const font = PDFContext.parseFont(this.font);
+    const name = PDFContext.standardFont(font);
+    let widths, fallback;
+    if (name.startsWith('Courier')) {
+      return { width: String(text).length * 0.6 * font.size };
+    } else if (name.startsWith('Times')) {
+      widths = TIMES_WIDTHS;
+      fallback = 500;
+    } else {
+      widths = name.includes('Bold') ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+      fallback = 556;
+    }
+    let total = 0;
+    for (const char of String(text)) {
+      const code = char.charCodeAt(0);
+      total += (code >= 32 && code <= 126) ? widths[code - 32] : fallback;
+    }
+    return { width: total * font.size / 1000 };
+  }
+
+  /**
+   * Return the drawing as a PDF document (one page). Only ASCII characters are used, so the
+   * string can be saved directly (e.g. with a Blob).
+   * @return {String}
+   */
+  getSerializedPdf() {
+    const objects = [];
+    const addObject = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+    const catalogID = addObject('');
+    const pagesID = addObject('');
+    const pageID = addObject('');
+
+    const content = this._content.join('\n');
+    const contentID = addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+
+    const fontRefs = this._fonts.map( (name, i) => {
+      const id = addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${name} /Encoding /WinAnsiEncoding >>`);
+      return `/F${i + 1} ${id} 0 R`;
+    });
+    const alphaRefs = this._alphas.map( (alpha, i) => {
+      const id = addObject(`<< /Type /ExtGState /ca ${alpha} /CA ${alpha} >>`);
+      return `/GS${i + 1} ${id} 0 R`;
+    });
+    const title = this.title ? ` /Title (${PDFContext.escape(this.title)})` : '';
+    const infoID = addObject(`<< /Producer (CGView.js)${title} >>`);
+
+    objects[catalogID - 1] = `<< /Type /Catalog /Pages ${pagesID} 0 R >>`;
+    objects[pagesID - 1] = `<< /Type /Pages /Kids [${pageID} 0 R] /Count 1 >>`;
+    objects[pageID - 1] = [
+      `<< /Type /Page /Parent ${pagesID} 0 R`,
+      `/MediaBox [0 0 ${this._round(this.width)} ${this._round(this.height)}]`,
+      `/Resources << /Font << ${fontRefs.join(' ')} >> /ExtGState << ${alphaRefs.join(' ')} >> >>`,
+      `/Contents ${contentID} 0 R >>`
+    ].join('\n');
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+    objects.forEach( (body, i) => {
+      offsets.push(pdf.length);
+      pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    });
+    const xref = pdf.length;
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map( o => `${String(o).padStart(10, '0')} 00000 n \n` ).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogID} 0 R /Info ${infoID} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return pdf;
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // STATIC
+  //////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Return the number of points in one unit.
+   * @param {String} units - One of 'pt', 'in', 'mm', 'cm' or 'px'
+   * @param {Number} dpi - Dots (pixels) per inch used for 'px' [Default: 72]
+   * @return {Number}
+   */
+  static pointsPerUnit(units, dpi = 72) {
+    const points = { pt: 1, in: 72, mm: 72 / 25.4, cm: 72 / 2.54, px: 72 / dpi }[units];
+    if (points === undefined) {
+      throw new Error(`Unknown units '${units}': expected one of pt, in, mm, cm, px`);
+    }
+    return points;
+  }
+
+  /**
+   * Return the name of the standard PDF font for a parsed CSS font (see [parseFont](VectorContext.html#parseFont)).
+   * @param {Object} font - Object with family, weight and style
+   * @return {String}
+   */
+  static standardFont(font) {
+    const family = font.family.toLowerCase();
+    const bold = (font.weight === 'bold' || Number(font.weight) >= 600);
+    const italic = (font.style !== 'normal');
+    if (/mono|courier/.test(family)) {
+      return `Courier${PDFContext._fontSuffix(bold, italic, 'Oblique')}`;
+    } else if (/serif|times/.test(family) && !/sans/.test(family)) {
+      return (bold || italic) ? `Times-${bold ? 'Bold' : ''}${italic ? 'Italic' : ''}` : 'Times-Roman';
+    }
+    return `Helvetica${PDFContext._fontSuffix(bold, italic, 'Oblique')}`;
+  }
+
+  /**
+   * Escape text for a PDF string. Characters outside Latin-1 are replaced with '?'.
+   * @param {String} text - Text to escape
+   * @return {String}
+   */
+  static escape(text) {
+    let escaped = '';
+    for (const char of text) {
+      const code = char.charCodeAt(0);
+      if (char === '(' || char === ')' || char === '\\') {
+        escaped += `\\${char}`;
+      } else if (code >= 32 && code <= 126) {
+        escaped += char;
+      } else if (code >= 160 && code <= 255) {
+        escaped += `\\${code.toString(8)}`;
+      } else {
+        escaped += '?';
+      }
+    }
+    return escaped;
+  }
+
+  /**
+   * @private
+   */
+  static _fontSuffix(bold, italic, italicName) {
+    if (!bold && !italic) { return ''; }
+    return `-${bold ? 'Bold' : ''}${italic ? italicName : ''}`;
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // PRIVATE
+  //////////////////////////////////////////////////////////////////////////
+
+  // Each drawing command is isolated with q/Q so colors and opacity don't carry over
+  _add(operators) {
+    this._content.push(`q ${operators.filter( o => o ).join(' ')} Q`);
+  }
+
+  // Convert canvas coordinates to PDF coordinates (origin at bottom-left)
+  _point(x, y) {
+    const m = this._state.matrix;
+    return { x: this._round((x * m[0]) + m[2]), y: this._round(this.height - ((y * m[1]) + m[3])) };
+  }
+
+  _rect(x, y, width, height) {
+    const m = this._state.matrix;
+    const pt = this._point(Math.min(x, x + width), Math.max(y, y + height));
+    return `${pt.x} ${pt.y} ${this._round(Math.abs(width * m[0]))} ${this._round(Math.abs(height * m[1]))} re`;
+  }
+
+  _fontResource(name) {
+    if (!this._fonts.includes(name)) {
+      this._fonts.push(name);
+    }
+    return `F${this._fonts.indexOf(name) + 1}`;
+  }
+
+  _paint(style, type) {
+    const color = new Color(style);
+    const rgb = color.rgb;
+    const values = [rgb.r, rgb.g, rgb.b].map( v => this._round(v / 255) ).join(' ');
+    const operators = [`${values} ${type === 'fill' ? 'rg' : 'RG'}`];
+    const alpha = this._round(color.opacity * this.globalAlpha);
+    if (alpha !== 1) {
+      if (!this._alphas.includes(alpha)) {
+        this._alphas.push(alpha);
+      }
+      operators.push(`/GS${this._alphas.indexOf(alpha) + 1} gs`);
+    }
+    return operators.join(' ');
+  }
+
+  _lineStyle() {
+    const cap = { butt: 0, round: 1, square: 2 }[this.lineCap] || 0;
+    const join = { miter: 0, round: 1, bevel: 2 }[this.lineJoin] || 0;
+    const m = this._state.matrix;
+    const dashes = this._state.lineDash.map( d => this._round(d * Math.abs(m[0])) ).join(' ');
+    return `${this._round(this.lineWidth * Math.abs(m[0]))} w ${cap} J ${join} j [${dashes}] 0 d`;
+  }
+
+}
+
+export default PDFContext;
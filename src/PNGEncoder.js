@@ -0,0 +1,252 @@
+//////////////////////////////////////////////////////////////////////////////
+// PNGEncoder
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+let crcTable;
+
+/**
+ * PNGEncoder writes an RGBA PNG image a few rows at a time, so images larger than
+ * the maximum canvas size can be created (see [IO.downloadTiledImage](IO.html#downloadTiledImage)).
+ * Only the compressed image is kept in memory.
+ *
+ * Rows are compressed with the browser's CompressionStream. If CompressionStream is not
+ * available, the rows are stored uncompressed (still a valid PNG but much larger).
+ *
+ * ### Example
+ * ```js
+ * const encoder = new PNGEncoder(100, 20);
+ * await encoder.addRows(ctx.getImageData(0, 0, 100, 10).data);
+ * await encoder.addRows(ctx.getImageData(0, 10, 100, 10).data);
+ * const blob = await encoder.finish();
+ * ```
+ */
+class PNGEncoder {
+
+  /**
+   * Create a new PNG encoder
+   * @param {Number} width - Width of the image in pixels
+   * @param {Number} height - Height of the image in pixels
+   * @param {Object} options - Options: compress (use CompressionStream if available [Default: true])
+   */
+  constructor(width, height, options = {}) {
+    this._width = width;
+    this._height = height;
+    this._rowsAdded = 0;
+    this._parts = [new Uint8Array(SIGNATURE), PNGEncoder.chunk('IHDR', PNGEncoder._header(width, height))];
+    const compress = (options.compress !== false) && (typeof CompressionStream !== 'undefined');
+    if (compress) {
+      const stream = new CompressionStream('deflate');
+      this._writer = stream.writable.getWriter();
+      this._reading = this._readChunks(stream.readable.getReader());
+    } else {
+      this._stored = new StoredDeflate();
+    }
+  }
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'PNGEncoder'
+   */
+  toString() {
+    return 'PNGEncoder';
+  }
+
+  /**
+   * @member {Number} - Get the image width
+   */
+  get width() {
+    return this._width;
+  }
+
+  /**
+   * @member {Number} - Get the image height
+   */
+  get height() {
+    return this._height;
+  }
+
+  /**
+   * Add the next rows of the image.
+   * @param {Uint8Array|Uint8ClampedArray} rgba - RGBA values for one or more complete rows (e.g. ImageData.data)
+   * @return {Promise}
+   */
+  async addRows(rgba) {
+    const rowLength = this.width * 4;
+    if (rgba.length % rowLength !== 0) {
+      throw new Error(`Expected complete rows of ${rowLength} values`);
+    }
+    const rows = rgba.length / rowLength;
+    if (this._rowsAdded + rows > this.height) {
+      throw new Error(`Too many rows: the image height is ${this.height}`);
+    }
+    // Each row starts with the filter type (0: none)
+    const data = new Uint8Array(rows * (rowLength + 1));
+    for (let i = 0; i < rows; i++) {
+      data.set(rgba.subarray(i * rowLength, (i + 1) * rowLength), (i * (rowLength + 1)) + 1);
+    }
+    this._rowsAdded += rows;
+    if (this._writer) {
+      await this._writer.write(data);
+    } else {
+      this._parts.push(PNGEncoder.chunk('IDAT', this._stored.add(data)));
+    }
+  }
+
+  /**
+   * Finish the image. All the rows must have been added.
+   * @return {Promise} Promise that resolves to a Blob of the PNG (type 'image/png')
+   */
+  async finish() {
+    if (this._rowsAdded !== this.height) {
+      throw new Error(`Expected ${this.height} rows but ${this._rowsAdded} were added`);
+    }
+    if (this._writer) {
+      await this._writer.close();
+      await this._reading;
+    } else {
+      this._parts.push(PNGEncoder.chunk('IDAT', this._stored.finish()));
+    }
+    this._parts.push(PNGEncoder.chunk('IEND', new Uint8Array(0)));
+    return new Blob(this._parts, { type: 'image/png' });
+  }
+
+  /**
+   * Return a PNG chunk: length, type, data and CRC.
+   * @param {String} type - Chunk type (e.g. 'IDAT')
+   * @param {Uint8Array} data - Chunk data
+   * @return {Uint8Array}
+   */
+  static chunk(type, data) {
+    const chunk = new Uint8Array(data.length + 12);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    for (let i = 0; i < 4; i++) {
+      chunk[4 + i] = type.charCodeAt(i);
+    }
+    chunk.set(data, 8);
+    view.setUint32(data.length + 8, PNGEncoder.crc32(chunk.subarray(4, data.length + 8)));
+    return chunk;
+  }
+
+  /**
+   * Return the CRC-32 of the bytes.
+   * @param {Uint8Array} bytes - Bytes
+   * @return {Number}
+   */
+  static crc32(bytes) {
+    if (!crcTable) {
+      crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+        }
+        crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xFFFFFFFF;
+    for (let i = 0, len = bytes.length; i < len; i++) {
+      crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  /**
+   * IHDR data: 8-bit RGBA, no interlacing.
+   * @private
+   */
+  static _header(width, height) {
+    const data = new Uint8Array(13);
+    const view = new DataView(data.buffer);
+    view.setUint32(0, width);
+    view.setUint32(4, height);
+    data.set([8, 6, 0, 0, 0], 8);
+    return data;
+  }
+
+  /**
+   * Add each compressed chunk as an IDAT chunk.
+   * @private
+   */
+  async _readChunks(reader) {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) { return; }
+      this._parts.push(PNGEncoder.chunk('IDAT', value));
+    }
+  }
+
+}
+
+/**
+ * Writes a zlib stream of uncompressed (stored) deflate blocks.
+ * @private
+ */
+class StoredDeflate {
+
+  constructor() {
+    this._started = false;
+    this._a = 1;
+    this._b = 0;
+  }
+
+  add(data) {
+    const blocks = Math.ceil(data.length / 65535);
+    const header = this._started ? 0 : 2;
+    const output = new Uint8Array(header + data.length + (blocks * 5));
+    let offset = 0;
+    if (!this._started) {
+      output.set([0x78, 0x01]);
+      offset = 2;
+      this._started = true;
+    }
+    for (let i = 0; i < data.length; i += 65535) {
+      const block = data.subarray(i, i + 65535);
+      output.set([0, block.length & 0xFF, block.length >> 8, ~block.length & 0xFF, (~block.length >> 8) & 0xFF], offset);
+      output.set(block, offset + 5);
+      offset += block.length + 5;
+    }
+    this._adler(data);
+    return output.subarray(0, offset);
+  }
+
+  // Final empty block and the Adler-32 checksum
+  finish() {
+    const start = this._started ? [] : [0x78, 0x01];
+    const adler = ((this._b << 16) | this._a) >>> 0;
+    return new Uint8Array([...start, 1, 0, 0, 0xFF, 0xFF, adler >>> 24, (adler >>> 16) & 0xFF, (adler >>> 8) & 0xFF, adler & 0xFF]);
+  }
+
+  _adler(data) {
+    let a = this._a;
+    let b = this._b;
+    for (let i = 0, len = data.length; i < len; i++) {
+      a = (a + data[i]) % 65521;
+      b = (b + a) % 65521;
+    }
+    this._a = a;
+    this._b = b;
+  }
+
+}
+
+export default PNGEncoder;
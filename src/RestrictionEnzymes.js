@@ -0,0 +1,167 @@
+//////////////////////////////////////////////////////////////////////////////
+// RestrictionEnzymes
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+/**
+ * Table of common restriction enzymes used to find restriction sites in the sequence
+ * (see [SequenceExtractor](SequenceExtractor.html) and the 'restriction-sites' dataKeys for [Tracks](Track.html)).
+ *
+ * Recognition sequences are written in REBASE notation using IUPAC codes:
+ * - '^' marks where the top strand is cut (e.g. 'G^AATTC' for EcoRI).
+ *   The bottom strand is cut at the symmetric position.
+ * - '(n/m)' after the sequence gives the cut positions of enzymes that cut outside
+ *   the recognition sequence (e.g. 'GGTCTC(1/5)' for BsaI). The top strand is cut *n* bases after
+ *   the recognition sequence and the bottom strand is cut *m* bases after it.
+ *
+ * ### Examples:
+ * ```js
+ * RestrictionEnzymes.byName('EcoRI');
+ * // => {name: 'EcoRI', site: 'GAATTC', cut: 1, complementCut: 5}
+ *
+ * RestrictionEnzymes.byName('bsai');
+ * // => {name: 'BsaI', site: 'GGTCTC', cut: 7, complementCut: 11}
+ * ```
+ * The *cut* and *complementCut* are the number of bases from the start of the recognition sequence
+ * to where the top and bottom strand are cut.
+ */
+class RestrictionEnzymes {
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'RestrictionEnzymes'
+   */
+  toString() {
+    return 'RestrictionEnzymes';
+  }
+
+  /**
+   * Return the names of all the available enzymes
+   */
+  static get names() {
+    return Object.keys(RestrictionEnzymes.definitions);
+  }
+
+  /**
+   * Return the enzyme for the provided name (case insensitive) or undefined if the enzyme is not in the table.
+   * @param {String} name - Name of the enzyme (e.g. 'EcoRI')
+   * @return {Object} The enzyme *name*, recognition *site*, *cut* and *complementCut*
+   */
+  static byName(name) {
+    const key = RestrictionEnzymes.names.find( n => n.toLowerCase() === String(name).trim().toLowerCase() );
+    if (key) {
+      return { name: key, ...RestrictionEnzymes.parse(RestrictionEnzymes.definitions[key]) };
+    }
+  }
+
+  /**
+   * Parse a recognition sequence in REBASE notation (e.g. 'G^AATTC', 'GGTCTC(1/5)').
+   * @param {String} recognitionSequence - Recognition sequence
+   * @return {Object} The recognition *site* and the *cut* and *complementCut* from the start of the site
+   */
+  static parse(recognitionSequence) {
+    const match = recognitionSequence.toUpperCase().match(/^([A-Z^]+)(?:\((-?\d+)\/(-?\d+)\))?$/);
+    if (!match) {
+      console.error(`Invalid recognition sequence: '${recognitionSequence}'`);
+      return;
+    }
+    const site = match[1].replace('^', '');
+    let cut, complementCut;
+    if (match[2] !== undefined) {
+      cut = site.length + Number(match[2]);
+      complementCut = site.length + Number(match[3]);
+    } else {
+      cut = match[1].indexOf('^');
+      if (cut === -1) { cut = 0; }
+      complementCut = site.length - cut;
+    }
+    return { site, cut, complementCut };
+  }
+
+  /**
+   * Returns the enzyme definitions as an object with the enzyme names as the keys and
+   * recognition sequences (in REBASE notation) as the values.
+   */
+  static get definitions() {
+    return {
+      AatII:   'GACGT^C',
+      AflII:   'C^TTAAG',
+      AgeI:    'A^CCGGT',
+      AluI:    'AG^CT',
+      ApaI:    'GGGCC^C',
+      AscI:    'GG^CGCGCC',
+      AvrII:   'C^CTAGG',
+      BamHI:   'G^GATCC',
+      BbsI:    'GAAGAC(2/6)',
+      BglI:    'GCCNNNN^NGGC',
+      BglII:   'A^GATCT',
+      BsaI:    'GGTCTC(1/5)',
+      BsiWI:   'C^GTACG',
+      BsmBI:   'CGTCTC(1/5)',
+      BsmI:    'GAATGC(1/-1)',
+      BspHI:   'T^CATGA',
+      BsrGI:   'T^GTACA',
+      ClaI:    'AT^CGAT',
+      DraI:    'TTT^AAA',
+      EagI:    'C^GGCCG',
+      EarI:    'CTCTTC(1/4)',
+      EcoRI:   'G^AATTC',
+      EcoRV:   'GAT^ATC',
+      FseI:    'GGCCGG^CC',
+      HaeIII:  'GG^CC',
+      HindIII: 'A^AGCTT',
+      HpaI:    'GTT^AAC',
+      KpnI:    'GGTAC^C',
+      MfeI:    'C^AATTG',
+      MluI:    'A^CGCGT',
+      MspI:    'C^CGG',
+      NcoI:    'C^CATGG',
+      NdeI:    'CA^TATG',
+      NheI:    'G^CTAGC',
+      NotI:    'GC^GGCCGC',
+      NruI:    'TCG^CGA',
+      NsiI:    'ATGCA^T',
+      PacI:    'TTAAT^TAA',
+      PmeI:    'GTTT^AAAC',
+      PstI:    'CTGCA^G',
+      PvuI:    'CGAT^CG',
+      PvuII:   'CAG^CTG',
+      SacI:    'GAGCT^C',
+      SacII:   'CCGC^GG',
+      SalI:    'G^TCGAC',
+      SapI:    'GCTCTTC(1/4)',
+      Sau3AI:  '^GATC',
+      SbfI:    'CCTGCA^GG',
+      ScaI:    'AGT^ACT',
+      SfiI:    'GGCCNNNN^NGGCC',
+      SmaI:    'CCC^GGG',
+      SpeI:    'A^CTAGT',
+      SphI:    'GCATG^C',
+      StuI:    'AGG^CCT',
+      SwaI:    'ATTT^AAAT',
+      TaqI:    'T^CGA',
+      XbaI:    'T^CTAGA',
+      XhoI:    'C^TCGAG',
+      XmaI:    'C^CCGGG'
+    };
+  }
+
+}
+
+export default RestrictionEnzymes;
@@ -0,0 +1,284 @@
+//////////////////////////////////////////////////////////////////////////////
+// SVGContext
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+import Color from './Color';
+import VectorContext from './VectorContext';
+
+/**
+ * SVGContext implements the part of the canvas 2D context API that CGView uses for drawing
+ * and records each drawing command as an SVG element. It is used by [IO.getSVG()](IO.html#getSVG)
+ * when no external SVGContext (e.g. svgcanvas) has been provided.
+ *
+ * Unlike a canvas, drawing can be grouped with [openGroup](#openGroup) and [closeGroup](#closeGroup).
+ * When drawing an export, CGView adds a group for the backbone, ruler, labels, each track and slot,
+ * the legend and each caption. Top level groups are marked as layers, so the SVG can be edited
+ * layer by layer in Inkscape or Illustrator.
+ *
+ * Only translate and scale transforms are supported. Clearing (clearRect) is ignored.
+ * The drawing state and transforms are handled by [VectorContext](VectorContext.html).
+ *
+ * ### Example
+ * ```js
+ * const ctx = new SVGContext(600, 600);
+ * ctx.openGroup('boxes', {'data-count': 1}, {layer: true});
+ * ctx.fillStyle = 'rgba(255,0,0,0.5)';
+ * ctx.fillRect(10, 10, 100, 100);
+ * ctx.closeGroup();
+ * const svg = ctx.getSerializedSvg();
+ * ```
+ */
+class SVGContext extends VectorContext {
+
+  /**
+   * Create a new SVG context
+   * @param {Number} width - Width of the SVG
+   * @param {Number} height - Height of the SVG
+   */
+  constructor(width, height) {
+    super(width, height);
+    this._elements = [];
+    this._openGroups = 0;
+  }
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'SVGContext'
+   */
+  toString() {
+    return 'SVGContext';
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // PATHS
+  //////////////////////////////////////////////////////////////////////////
+
+  moveTo(x, y) {
+    const pt = this._point(x, y);
+    this._path.push(`M${pt.x} ${pt.y}`);
+    this._currentPoint = pt;
+    this._subpathStart = pt;
+  }
+
+  lineTo(x, y) {
+    if (!this._currentPoint) {
+      this.moveTo(x, y);
+      return;
+    }
+    const pt = this._point(x, y);
+    this._path.push(`L${pt.x} ${pt.y}`);
+    this._currentPoint = pt;
+  }
+
+  closePath() {
+    if (this._currentPoint) {
+      this._path.push('Z');
+      this._currentPoint = this._subpathStart;
+    }
+  }
+
+  // Arcs are added in parts of at most 180 degrees to avoid ambiguous SVG arcs
+  _arcParts(x, y, radius, startAngle, delta) {
+    const r = this._round(radius * Math.abs(this._state.matrix[0]));
+    const sweep = (delta > 0) ? 1 : 0;
+    const parts = Math.ceil(Math.abs(delta) / Math.PI);
+    for (let i = 1; i <= parts; i++) {
+      const angle = startAngle + (delta * i / parts);
+      const pt = this._point(x + (radius * Math.cos(angle)), y + (radius * Math.sin(angle)));
+      this._path.push(`A${r} ${r} 0 0 ${sweep} ${pt.x} ${pt.y}`);
+      this._currentPoint = pt;
+    }
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // DRAWING
+  //////////////////////////////////////////////////////////////////////////
+
+  fill() {
+    if (this._path.length === 0) { return; }
+    this._add(`<path d="${this._path.join(' ')}" ${this._fillAttributes()}/>`);
+  }
+
+  stroke() {
+    if (this._path.length === 0) { return; }
+    this._add(`<path d="${this._path.join(' ')}" fill="none" ${this._strokeAttributes()}/>`);
+  }
+
+  fillRect(x, y, width, height) {
+    this._add(`<rect ${this._rectAttributes(x, y, width, height)} ${this._fillAttributes()}/>`);
+  }
+
+  strokeRect(x, y, width, height) {
+    this._add(`<rect ${this._rectAttributes(x, y, width, height)} fill="none" ${this._strokeAttributes()}/>`);
+  }
+
+  fillText(text, x, y) {
+    const pt = this._point(x, y);
+    const font = SVGContext.parseFont(this.font);
+    const size = this._round(font.size * Math.abs(this._state.matrix[1]));
+    const anchor = { center: 'middle', right: 'end', end: 'end' }[this.textAlign] || 'start';
+    const baseline = { top: 'text-before-edge', hanging: 'hanging', middle: 'central', bottom: 'text-after-edge', ideographic: 'ideographic' }[this.textBaseline];
+    const attributes = [
+      `x="${pt.x}"`, `y="${pt.y}"`,
+      `font-family="${SVGContext.escape(font.family)}"`, `font-size="${size}"`
+    ];
+    if (font.weight !== 'normal') { attributes.push(`font-weight="${font.weight}"`); }
+    if (font.style !== 'normal') { attributes.push(`font-style="${font.style}"`); }
+    if (anchor !== 'start') { attributes.push(`text-anchor="${anchor}"`); }
+    if (baseline) { attributes.push(`dominant-baseline="${baseline}"`); }
+    this._add(`<text ${attributes.join(' ')} ${this._fillAttributes()}>${SVGContext.escape(String(text))}</text>`);
+  }
+
+  /**
+   * Measure text using a canvas if one is available. Otherwise the width is estimated from the font size.
+   */
+  measureText(text) {
+    const ctx = SVGContext._measuringContext();
+    if (ctx) {
+      ctx.font = this.font;
+      return ctx.measureText(text);
+    }
+    return { width: String(text).length * SVGContext.parseFont(this.font).size * 0.6 };
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // GROUPS
+  //////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Start a group (i.e. &lt;g&gt;). All drawing until the matching [closeGroup](#closeGroup) is added to the group.
+   * Groups can be nested. The drawing state (e.g. styles, line dashes) is saved when a group is opened and
+   * restored when it is closed. This keeps state from leaking between layers, which all draw to the same SVGContext.
+   * @param {String} id - ID for the group
+   * @param {Object} attributes - Other attributes for the group (e.g. {'data-name': 'CDS'}). Undefined values are skipped.
+   * @param {Object} options - Options: layer (mark the group as an Inkscape layer [Default: false])
+   */
+  openGroup(id, attributes = {}, options = {}) {
+    const parts = [];
+    if (id) { parts.push(`id="${SVGContext.escape(id)}"`); }
+    if (options.layer) {
+      parts.push('inkscape:groupmode="layer"');
+      parts.push(`inkscape:label="${SVGContext.escape(options.label || id)}"`);
+    }
+    for (const [name, value] of Object.entries(attributes)) {
+      if (value === undefined || value === null) { continue; }
+      parts.push(`${name}="${SVGContext.escape(String(value))}"`);
+    }
+    this._add(parts.length ? `<g ${parts.join(' ')}>` : '<g>');
+    this._openGroups++;
+    this.save();
+  }
+
+  /**
+   * End the most recently opened group.
+   */
+  closeGroup() {
+    if (this._openGroups > 0) {
+      this._openGroups--;
+      this.restore();
+      this._add('</g>');
+    }
+  }
+
+  /**
+   * Return the drawing as an SVG document string. Any open groups are closed.
+   * @return {String}
+   */
+  getSerializedSvg() {
+    const closing = '</g>'.repeat(this._openGroups);
+    return [
+      `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" version="1.1" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+      ...this._elements,
+      closing,
+      '</svg>'
+    ].join('\n');
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // STATIC
+  //////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Escape text for use in SVG content and attributes.
+   * @param {String} text - Text to escape
+   * @return {String}
+   */
+  static escape(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Returns a canvas context for measuring text or undefined if canvas is not available.
+   * @private
+   */
+  static _measuringContext() {
+    if (SVGContext._measureCtx === undefined) {
+      const canvas = (typeof document !== 'undefined') && document.createElement('canvas');
+      SVGContext._measureCtx = (canvas && canvas.getContext && canvas.getContext('2d')) || null;
+    }
+    return SVGContext._measureCtx;
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // PRIVATE
+  //////////////////////////////////////////////////////////////////////////
+
+  _add(element) {
+    this._elements.push(element);
+  }
+
+  _point(x, y) {
+    const m = this._state.matrix;
+    return { x: this._round((x * m[0]) + m[2]), y: this._round((y * m[1]) + m[3]) };
+  }
+
+  _rectAttributes(x, y, width, height) {
+    const pt = this._point(Math.min(x, x + width), Math.min(y, y + height));
+    const m = this._state.matrix;
+    return `x="${pt.x}" y="${pt.y}" width="${this._round(Math.abs(width * m[0]))}" height="${this._round(Math.abs(height * m[1]))}"`;
+  }
+
+  // SVG 1.1 (and Illustrator) does not support rgba colors, so the alpha is written as an opacity
+  _paint(style, type) {
+    const color = new Color(style);
+    const opacity = this._round(color.opacity * this.globalAlpha);
+    const attributes = [`${type}="${color.rgbString}"`];
+    if (opacity !== 1) {
+      attributes.push(`${type}-opacity="${opacity}"`);
+    }
+    return attributes;
+  }
+
+  _fillAttributes() {
+    return this._paint(this.fillStyle, 'fill').join(' ');
+  }
+
+  _strokeAttributes() {
+    const attributes = this._paint(this.strokeStyle, 'stroke');
+    attributes.push(`stroke-width="${this._round(this.lineWidth * Math.abs(this._state.matrix[0]))}"`);
+    if (this.lineCap !== 'butt') { attributes.push(`stroke-linecap="${this.lineCap}"`); }
+    if (this.lineJoin !== 'miter') { attributes.push(`stroke-linejoin="${this.lineJoin}"`); }
+    if (this._state.lineDash.length > 0) { attributes.push(`stroke-dasharray="${this._state.lineDash.join(',')}"`); }
+    return attributes.join(' ');
+  }
+
+}
+
+export default SVGContext;
@@ -487,18 +487,22 @@ class Sequence extends CGObject {
       const lastContig = contigs.pop();
       console.error('The last contig can not be removed. Keeping:', lastContig);
     }
-    if (contigs.length > 0) {
-      // First remove features
-      const features = contigs.map( c => c.features() ).flat();
-      this.viewer.removeFeatures(features);
-      // Remove contigs
-      this._contigs = this._contigs.filter( c => !contigs.includes(c) );
-      // Remove from Objects
-      contigs.forEach( c => c.deleteFromObjects() );
-      this.updateMapContig();
-    }
+    // Removing the features and contigs is a single change (e.g. for undo)
+    this.viewer.batch( () => {
+      if (contigs.length > 0) {
+        this.viewer.editHistory._willRemove('contigs', contigs);
+        // First remove features
+        const features = contigs.map( c => c.features() ).flat();
+        this.viewer.removeFeatures(features);
+        // Remove contigs
+        this._contigs = this._contigs.filter( c => !contigs.includes(c) );
+        // Remove from Objects
+        contigs.forEach( c => c.deleteFromObjects() );
+        this.updateMapContig();
+      }
 
-    this.viewer.trigger('contigs-remove', contigs);
+      this.viewer.trigger('contigs-remove', contigs);
+    });
   }
 
   /**
@@ -21,6 +21,7 @@
 
 import WorkerFeatureExtraction from './WorkerFeatureExtraction';
 import WorkerBaseContent from './WorkerPlotExtraction';
+import RestrictionEnzymes from './RestrictionEnzymes';
 import utils from './Utils';
 
 /**
@@ -84,6 +85,14 @@ class SequenceExtractor {
   // METHODS
   //////////////////////////////////////////////////////////////////////////
 
+  /**
+   * Returns the extraction types that create plots
+   * @private
+   */
+  static get plotTypes() {
+    return ['gc-content', 'gc-skew', 'at-skew', 'cumulative-gc-skew', 'gc3-content', 'cpg-oe', 'entropy', 'kmer-deviation'];
+  }
+
   fn2workerURL(fn) {
     const blob = new Blob([`(${fn.toString()})()`], {type: 'application/javascript'});
     return URL.createObjectURL(blob);
@@ -102,15 +111,23 @@ class SequenceExtractor {
   }
 
   extractTrackData(track, extractType, options = {}) {
-    if (!utils.validate(extractType, ['start-stop-codons', 'orfs', 'gc-skew', 'gc-content'])) { return; }
+    if (!utils.validate(extractType, ['start-stop-codons', 'orfs', 'motif', 'restriction-sites', ...SequenceExtractor.plotTypes])) { return; }
     switch (extractType) {
     case 'start-stop-codons':
     case 'orfs':
+    case 'motif':
+    case 'restriction-sites':
       track.dataType = 'feature';
       this.generateFeatures(track, extractType, options);
       break;
     case 'gc-skew':
     case 'gc-content':
+    case 'at-skew':
+    case 'cumulative-gc-skew':
+    case 'gc3-content':
+    case 'cpg-oe':
+    case 'entropy':
+    case 'kmer-deviation':
       track.dataType = 'plot';
       this.generatePlot(track, extractType, options);
       break;
@@ -118,7 +135,12 @@ class SequenceExtractor {
   }
 
   generateFeatures(track, extractType, options = {}) {
-    if (!utils.validate(extractType, ['start-stop-codons', 'orfs'])) { return; }
+    if (!utils.validate(extractType, ['start-stop-codons', 'orfs', 'motif', 'restriction-sites'])) { return; }
+    if (extractType === 'motif' && !this.validMotifOptions(options)) { return; }
+    const enzymes = (extractType === 'restriction-sites') ? this.restrictionEnzymes(options.enzymes) : [];
+    if (extractType === 'restriction-sites' && enzymes.length === 0) { return; }
+    const codonOptions = this.codonOptions(options);
+    if (!codonOptions) { return; }
     let startTime = new Date().getTime();
     const viewer = this.viewer;
     // Start worker
@@ -134,12 +156,16 @@ class SequenceExtractor {
       seqData: seqInput.data,
       seqTotalLength: this.sequence.length,
       options: {
-        // startPattern: utils.defaultFor(options.start, 'ATG'),
-        // stopPattern: utils.defaultFor(options.stop, 'TAA,TAG,TGA'),
-        // These are start/stop codons for Genetic Code Table 11
-        startPattern: utils.defaultFor(options.start, 'ATG, TTG, CTG, ATT, ATC, ATA, GTG'),
-        stopPattern: utils.defaultFor(options.stop, 'TAA,TAG,TGA'),
-        minORFLength: utils.defaultFor(options.minORFLength, 100)
+        // Start/stop codon and ORF options
+        ...codonOptions,
+        // Motif options
+        pattern: options.pattern,
+        mismatches: utils.defaultFor(options.mismatches, 0),
+        strand: utils.defaultFor(options.strand, 'both'),
+        // Restriction site options
+        enzymes: enzymes,
+        // Motifs and restriction sites can span the origin of a single circular sequence
+        circular: seqInput.type === 'sequence' && this.sequence.isCircular
       }
     };
     worker.postMessage(message);
@@ -158,10 +184,12 @@ class SequenceExtractor {
         console.log(`Features '${extractType}' Worker Time: ${utils.elapsedTime(startTime)}` );
         startTime = new Date().getTime();
         let featureData;
-        const legends = this.createLegendItems(extractType);
+        const legends = this.createLegendItems(extractType, options, enzymes);
         console.log(extractType);
         for (let i = 0, len = featureDataArray.length; i < len; i++) {
-          featureDataArray[i].legend = legends[featureDataArray[i].type];
+          featureData = featureDataArray[i];
+          // Restriction sites are grouped by enzyme
+          featureData.legend = legends[featureData.meta?.enzyme || featureData.type];
         }
         const features = viewer.addFeatures(featureDataArray);
 
@@ -182,7 +210,12 @@ class SequenceExtractor {
 
 
   generatePlot(track, extractType, options = {}) {
-    if (!utils.validate(extractType, ['gc-content', 'gc-skew'])) { return; }
+    if (!utils.validate(extractType, SequenceExtractor.plotTypes)) { return; }
+    const k = utils.defaultFor(options.k, 4);
+    if (extractType === 'kmer-deviation' && !(Number.isInteger(k) && k >= 1 && k <= 8)) {
+      console.error(`K-mer length (k) must be an integer from 1 to 8: '${k}'`);
+      return;
+    }
     const startTime = new Date().getTime();
     // let extractType = options.sequence;
     const viewer = this.viewer;
@@ -203,7 +236,10 @@ class SequenceExtractor {
         window: utils.defaultFor(options.window, this.getWindowStep().window),
         step: utils.defaultFor(options.step, this.getWindowStep().step),
         // deviation: utils.defaultFor(options.deviation, 'scale') // 'scale' or 'average
-        deviation: utils.defaultFor(options.deviation, 'average') // 'scale' or 'average
+        deviation: utils.defaultFor(options.deviation, 'average'), // 'scale' or 'average
+        frame: utils.defaultFor(options.frame, 1), // Reading frame for gc3-content
+        k: k, // K-mer length for kmer-deviation
+        islandThreshold: options.islandThreshold // Deviation above which windows become islands
       }
     };
     console.log(message.options)
@@ -233,14 +269,17 @@ class SequenceExtractor {
         data.legendNegative = this.getLegendItem(extractType, '-').name;
         data.name = extractType;
         data.extractedFromSequence = true;
-        // Set baseline to 0 for GC Skew
-        if (extractType === 'gc-skew') {
+        // Set baseline to 0 for skews
+        if (['gc-skew', 'at-skew', 'cumulative-gc-skew'].includes(extractType)) {
           data.baseline = 0;
         }
 
         // const plot = new CGV.Plot(viewer, data);
         const plots = viewer.addPlots(data);
         track._plot = plots[0];
+        if (baseContent.islands) {
+          track._features = this.addIslands(baseContent.islands);
+        }
         track.updateSlots();
         track.triggerUpdate();
         console.log(`Plot '${extractType}' Worker Time: ${utils.elapsedTime(startTime)}` );
@@ -253,7 +292,115 @@ class SequenceExtractor {
     };
   }
 
-  createLegendItems(extractType) {
+  /**
+   * Returns the start/stop codon and ORF options for the worker. Options:
+   *   - geneticCode: Genetic code for the start and stop codons [Default: the viewer geneticCode]
+   *   - alternativeStarts: Use all the start codons of the genetic code (e.g. GTG, TTG) or only ATG [Default: true]
+   *   - start/stop: Comma separated start or stop codons to use instead of the genetic code (e.g. 'ATG,GTG')
+   *   - minORFLength: Minimum ORF length in codons, not including the stop codon [Default: 100]
+   *   - readingFrames: Array of reading frames to search (1, 2, 3, -1, -2, -3) [Default: all]
+   *   - partial: Add partial ORFs without a start or stop codon at the edges of the sequence/contigs [Default: false]
+   *   - ignoreNested: Remove ORFs that are completely within another ORF [Default: false]
+   * @param {Object} options - Extraction options
+   * @private
+   */
+  codonOptions(options = {}) {
+    const geneticCode = Number(utils.defaultFor(options.geneticCode, this.viewer.geneticCode));
+    const table = this.viewer.codonTables.byID(geneticCode);
+    if (!table) { return; }
+    const readingFrames = utils.defaultFor(options.readingFrames, [1, 2, 3, -1, -2, -3]);
+    if (!utils.validate(readingFrames, [1, 2, 3, -1, -2, -3])) { return; }
+    const starts = utils.booleanify(utils.defaultFor(options.alternativeStarts, true)) ? table.starts : ['ATG'];
+    return {
+      geneticCode: geneticCode,
+      startPattern: utils.defaultFor(options.start, starts.join(',')),
+      stopPattern: utils.defaultFor(options.stop, table.stops.join(',')),
+      minORFLength: utils.defaultFor(options.minORFLength, 100),
+      readingFrames: [].concat(readingFrames),
+      partial: utils.booleanify(utils.defaultFor(options.partial, false)),
+      ignoreNested: utils.booleanify(utils.defaultFor(options.ignoreNested, false))
+    };
+  }
+
+  /**
+   * Add genomic island features from the k-mer deviation windows above the islandThreshold.
+   * The islands are added with the source 'genomic-islands' and can be shown with a feature track
+   * (dataMethod 'source' with dataKeys 'genomic-islands' or dataMethod 'type' with dataKeys 'genomic-island').
+   * These tracks are refreshed once the islands are added.
+   * @param {Array} islands - Array of islands ({start, stop, score})
+   * @return {CGArray} Island features
+   * @private
+   */
+  addIslands(islands) {
+    const viewer = this.viewer;
+    const legend = this.getLegendItem('genomic-island');
+    const features = viewer.addFeatures(islands.map( island => ({
+      type: 'genomic-island',
+      start: island.start,
+      stop: island.stop,
+      strand: 1,
+      score: utils.round(island.score, 3),
+      source: 'genomic-islands',
+      legend: legend,
+      extractedFromSequence: true
+    })));
+    viewer.tracks().filter( (t) => {
+      return (t.dataMethod === 'source' && t.dataKeys.includes('genomic-islands')) ||
+        (t.dataMethod === 'type' && t.dataKeys.includes('genomic-island'));
+    }).forEach( t => t.refresh() );
+    return features;
+  }
+
+  /**
+   * Returns true if the options for a motif search are valid:
+   *   - pattern: Motif in IUPAC notation (e.g. 'GATC', 'TGTNNNNNACA')
+   *   - mismatches: Number of mismatches allowed [Default: 0]
+   *   - strand: Strand to search: 1, -1 or 'both' [Default: 'both']
+   * @param {Object} options - Motif options
+   * @private
+   */
+  validMotifOptions(options = {}) {
+    const pattern = options.pattern;
+    if (typeof pattern !== 'string' || !/^[ACGTURYSWKMBDHVN]+$/i.test(pattern)) {
+      console.error(`Motif pattern must use IUPAC codes: '${pattern}'`);
+      return false;
+    }
+    const mismatches = utils.defaultFor(options.mismatches, 0);
+    if (!Number.isInteger(mismatches) || mismatches < 0 || mismatches >= pattern.length) {
+      console.error(`Motif mismatches must be an integer from 0 to ${pattern.length - 1}: '${mismatches}'`);
+      return false;
+    }
+    return utils.validate(utils.defaultFor(options.strand, 'both'), [1, -1, 'both']);
+  }
+
+  /**
+   * Returns the enzymes ({name, site, cut, complementCut}) from the [RestrictionEnzymes](RestrictionEnzymes.html) table
+   * for the provided names. Unknown enzymes are skipped.
+   * @param {String|Array} names - Array or comma separated list of enzyme names (e.g. 'EcoRI, BamHI')
+   * @private
+   */
+  restrictionEnzymes(names = []) {
+    if (typeof names === 'string') {
+      names = names.split(',').map( n => n.trim() );
+    }
+    const enzymes = [];
+    for (const name of names) {
+      const enzyme = RestrictionEnzymes.byName(name);
+      if (enzyme) {
+        if (!enzymes.find( e => e.name === enzyme.name )) {
+          enzymes.push(enzyme);
+        }
+      } else {
+        console.error(`Unknown restriction enzyme: '${name}'`);
+      }
+    }
+    if (enzymes.length === 0) {
+      console.error('No restriction enzymes were provided');
+    }
+    return enzymes;
+  }
+
+  createLegendItems(extractType, options = {}, enzymes = []) {
     let legends = {};
     if (extractType === 'orfs') {
       legends = {
@@ -264,39 +411,83 @@ class SequenceExtractor {
         'start-codon': this.getLegendItem('start-codon'),
         'stop-codon': this.getLegendItem('stop-codon')
       };
+    } else if (extractType === 'motif') {
+      legends = {
+        'motif': this.findOrCreateLegendItem(`Motif ${options.pattern.toUpperCase()}`, null, 'arc')
+      };
+    } else if (extractType === 'restriction-sites') {
+      for (const enzyme of enzymes) {
+        legends[enzyme.name] = this.findOrCreateLegendItem(enzyme.name, null, 'arc');
+      }
     }
     return legends;
   }
 
   getLegendItem(extractType, sign) {
-    const legend = this.viewer.legend;
     let item;
     switch (extractType) {
     case 'start-codon':
-      item = legend.findLegendItemOrCreate('Start', 'blue', 'arc');
+      item = this.findOrCreateLegendItem('Start', 'blue', 'arc');
       break;
     case 'stop-codon':
-      item = legend.findLegendItemOrCreate('Stop', 'red', 'arc');
+      item = this.findOrCreateLegendItem('Stop', 'red', 'arc');
       break;
     case 'ORF':
-      item = legend.findLegendItemOrCreate('ORF', 'green', 'arc');
+      item = this.findOrCreateLegendItem('ORF', 'green', 'arc');
       break;
     case 'gc-content':
       const color = this.viewer.settings.backgroundColor.copy().invert()
-      item = legend.findLegendItemOrCreate('GC Content', color);
+      item = this.findOrCreateLegendItem('GC Content', color);
       break;
     case 'gc-skew': {
       const color = (sign === '+') ? 'rgb(0,153,0)' : 'rgb(153,0,153)';
       const name = (sign === '+') ? 'GC Skew+' : 'GC Skew-';
-      item = legend.findLegendItemOrCreate(name, color);
+      item = this.findOrCreateLegendItem(name, color);
+      break;
+    }
+    case 'at-skew': {
+      const color = (sign === '+') ? 'rgb(0,102,204)' : 'rgb(204,102,0)';
+      const name = (sign === '+') ? 'AT Skew+' : 'AT Skew-';
+      item = this.findOrCreateLegendItem(name, color);
+      break;
+    }
+    case 'cumulative-gc-skew': {
+      const color = (sign === '+') ? 'rgb(0,102,51)' : 'rgb(102,0,102)';
+      const name = (sign === '+') ? 'Cumulative GC Skew+' : 'Cumulative GC Skew-';
+      item = this.findOrCreateLegendItem(name, color);
       break;
     }
+    case 'gc3-content':
+      item = this.findOrCreateLegendItem('GC3 Content', 'rgb(51,51,153)');
+      break;
+    case 'cpg-oe':
+      item = this.findOrCreateLegendItem('CpG O/E', 'rgb(204,0,102)');
+      break;
+    case 'entropy':
+      item = this.findOrCreateLegendItem('Entropy', 'rgb(153,102,0)');
+      break;
+    case 'kmer-deviation':
+      item = this.findOrCreateLegendItem('K-mer Deviation', 'rgb(204,51,0)');
+      break;
+    case 'genomic-island':
+      item = this.findOrCreateLegendItem('Genomic Island', 'rgb(255,153,0)', 'arc');
+      break;
     default:
-      item = legend.findLegendItemOrCreate('Unknown', 'grey');
+      item = this.findOrCreateLegendItem('Unknown', 'grey');
     }
     return item;
   }
 
+  /**
+   * Find or create the legend item for extracted features/plots.
+   * Legend items created here are not added to the edit history or operation log,
+   * as they are created again each time the track is extracted (and by each viewer).
+   * @private
+   */
+  findOrCreateLegendItem(name, color, decoration) {
+    return this.viewer._untracked( () => this.viewer.legend.findLegendItemOrCreate(name, color, decoration) );
+  }
+
   getWindowStep() {
     let windowSize, step;
     const length = this.length;
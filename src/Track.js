@@ -203,7 +203,9 @@ class Track extends CGObject {
   /**
    * @member {String} - Get or set the *dataKeys* attribute. *dataKeys* describes which features/plot should be extracted. For example,
    *    if *dataMethod* is 'type', and *dataKeys* is 'CDS', then all features with a type of 'CDS' will be used to create the track.
-   *    For *dataMethod* of 'sequence', the following values are possible for *dataKeys*: 'orfs', 'start-stop-codons', 'gc-content', 'gc-skew'.
+   *    For *dataMethod* of 'sequence', the following values are possible for *dataKeys*: 'orfs', 'start-stop-codons', 'motif', 'restriction-sites',
+   *    'gc-content', 'gc-skew', 'at-skew', 'cumulative-gc-skew', 'gc3-content', 'cpg-oe' (CpG observed/expected), 'entropy' (Shannon entropy)
+   *    and 'kmer-deviation' (difference between the k-mer frequencies of each window and the whole sequence).
    */
   get dataKeys() {
     return this._dataKeys;
@@ -214,6 +216,19 @@ class Track extends CGObject {
   }
 
   /** * @member {Object} - Get or set the *dataOptions*. The *dataOptions* are passed to the SequenceExtractor.
+   *    For the *dataKeys* 'orfs' and 'start-stop-codons', the start and stop codons come from the *geneticCode* option
+   *    [Default: the map geneticCode] and *alternativeStarts* (false to only use ATG [Default: true]).
+   *    ORFs also use the options *minORFLength* (in codons [Default: 100]), *readingFrames* (e.g. [1, -1] [Default: all]),
+   *    *partial* (add ORFs that run off the edges of the sequence [Default: false]) and
+   *    *ignoreNested* (remove ORFs that are within another ORF [Default: false]).
+   *    For the *dataKeys* 'motif', the options are *pattern* (in IUPAC notation, e.g. 'GATC'),
+   *    *mismatches* (number allowed [Default: 0]) and *strand* (1, -1 or 'both' [Default: 'both']).
+   *    For the *dataKeys* 'restriction-sites', the option *enzymes* is an array (or comma separated list) of
+   *    enzyme names from the [RestrictionEnzymes](RestrictionEnzymes.html) table (e.g. ['EcoRI', 'BamHI']).
+   *    Plots use the options *window* and *step* (in bp [Default: based on the sequence length]) and *deviation* ('scale' or 'average').
+   *    The *frame* option (1, 2 or 3 [Default: 1]) sets the reading frame for 'gc3-content'.
+   *    For 'kmer-deviation', the option *k* sets the k-mer length [Default: 4] and windows with a deviation above the
+   *    *islandThreshold* (0 to 1) are merged into 'genomic-island' features (source: 'genomic-islands').
    */
   get dataOptions() {
     return this._dataOptions;
@@ -383,6 +398,12 @@ class Track extends CGObject {
   // NOTE:
   // - features and plots extracted from sequence are empheral and will be removed and readded on refresh
   refresh() {
+    // Deferred until the end of a batch (see Viewer.batch)
+    const batch = this.viewer._batch;
+    if (batch && !batch.flushing) {
+      batch.tracks.add(this);
+      return;
+    }
     const tempPlot = this._plot;
     const tempFeatures = this._features;
     this._features = new CGArray();
@@ -0,0 +1,237 @@
+//////////////////////////////////////////////////////////////////////////////
+// VectorContext
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+const TAU = 2 * Math.PI;
+
+/**
+ * VectorContext is the base class for [SVGContext](SVGContext.html) and [PDFContext](PDFContext.html).
+ * It keeps the drawing state of the canvas 2D context API (styles, line dashes and the transform),
+ * with save/restore, translate/scale and the parts of paths that are the same for each format.
+ *
+ * The transform is stored as [scaleX, scaleY, translateX, translateY], as only translate and scale
+ * transforms are supported. Subclasses write the path commands and the drawing
+ * (e.g. moveTo, lineTo, closePath, fill, stroke, fillText) in their own format.
+ */
+class VectorContext {
+
+  /**
+   * Create a new vector context
+   * @param {Number} width - Width of the drawing
+   * @param {Number} height - Height of the drawing
+   */
+  constructor(width, height) {
+    this.width = width;
+    this.height = height;
+    this._path = [];
+    this._stack = [];
+    this._state = {
+      fillStyle: '#000000',
+      strokeStyle: '#000000',
+      lineWidth: 1,
+      lineCap: 'butt',
+      lineJoin: 'miter',
+      font: '10px sans-serif',
+      textAlign: 'start',
+      textBaseline: 'alphabetic',
+      globalAlpha: 1,
+      globalCompositeOperation: 'source-over',
+      lineDash: [],
+      matrix: [1, 1, 0, 0] // scaleX, scaleY, translateX, translateY
+    };
+  }
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'VectorContext'
+   */
+  toString() {
+    return 'VectorContext';
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // STYLES
+  //////////////////////////////////////////////////////////////////////////
+
+  get fillStyle() { return this._state.fillStyle; }
+  set fillStyle(value) { this._state.fillStyle = value; }
+
+  get strokeStyle() { return this._state.strokeStyle; }
+  set strokeStyle(value) { this._state.strokeStyle = value; }
+
+  get lineWidth() { return this._state.lineWidth; }
+  set lineWidth(value) { this._state.lineWidth = value; }
+
+  get lineCap() { return this._state.lineCap; }
+  set lineCap(value) { this._state.lineCap = value; }
+
+  get lineJoin() { return this._state.lineJoin; }
+  set lineJoin(value) { this._state.lineJoin = value; }
+
+  get font() { return this._state.font; }
+  set font(value) { this._state.font = value; }
+
+  get textAlign() { return this._state.textAlign; }
+  set textAlign(value) { this._state.textAlign = value; }
+
+  get textBaseline() { return this._state.textBaseline; }
+  set textBaseline(value) { this._state.textBaseline = value; }
+
+  get globalAlpha() { return this._state.globalAlpha; }
+  set globalAlpha(value) { this._state.globalAlpha = value; }
+
+  // Stored but not used. Compositing is only used to erase, which is not required for vector exports.
+  get globalCompositeOperation() { return this._state.globalCompositeOperation; }
+  set globalCompositeOperation(value) { this._state.globalCompositeOperation = value; }
+
+  setLineDash(dashes) {
+    this._state.lineDash = (dashes || []).slice();
+  }
+
+  getLineDash() {
+    return this._state.lineDash.slice();
+  }
+
+  save() {
+    const state = Object.assign({}, this._state);
+    state.lineDash = this._state.lineDash.slice();
+    state.matrix = this._state.matrix.slice();
+    this._stack.push(state);
+  }
+
+  restore() {
+    if (this._stack.length > 0) {
+      this._state = this._stack.pop();
+    }
+  }
+
+  translate(x, y) {
+    const m = this._state.matrix;
+    m[2] += x * m[0];
+    m[3] += y * m[1];
+  }
+
+  scale(x, y) {
+    const m = this._state.matrix;
+    m[0] *= x;
+    m[1] *= y;
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // PATHS
+  //////////////////////////////////////////////////////////////////////////
+
+  beginPath() {
+    this._path = [];
+    this._currentPoint = undefined;
+  }
+
+  /**
+   * Add an arc to the path. As with the canvas, a line is drawn from the current point to the start of the arc.
+   * The arc itself is added by the subclass with _arcParts().
+   */
+  arc(x, y, radius, startAngle, endAngle, anticlockwise = false) {
+    let delta = endAngle - startAngle;
+    if (!anticlockwise) {
+      delta = (delta >= TAU) ? TAU : ((delta % TAU) + TAU) % TAU;
+    } else {
+      delta = (-delta >= TAU) ? -TAU : ((delta % TAU) - TAU) % TAU;
+    }
+    const startX = x + (radius * Math.cos(startAngle));
+    const startY = y + (radius * Math.sin(startAngle));
+    if (this._currentPoint) {
+      this.lineTo(startX, startY);
+    } else {
+      this.moveTo(startX, startY);
+    }
+    if (delta === 0) { return; }
+    this._arcParts(x, y, radius, startAngle, delta);
+  }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  /**
+   * Add a rectangle with rounded corners to the path. Only the first radius is used for all corners.
+   */
+  roundRect(x, y, width, height, radii = 0) {
+    const radius = Array.isArray(radii) ? (radii[0] || 0) : radii;
+    const r = Math.min(Math.abs(radius), Math.abs(width) / 2, Math.abs(height) / 2);
+    if (r === 0) {
+      this.rect(x, y, width, height);
+      return;
+    }
+    this.moveTo(x + r, y);
+    this.lineTo(x + width - r, y);
+    this.arc(x + width - r, y + r, r, -Math.PI / 2, 0);
+    this.lineTo(x + width, y + height - r);
+    this.arc(x + width - r, y + height - r, r, 0, Math.PI / 2);
+    this.lineTo(x + r, y + height);
+    this.arc(x + r, y + height - r, r, Math.PI / 2, Math.PI);
+    this.lineTo(x, y + r);
+    this.arc(x + r, y + r, r, Math.PI, Math.PI * 1.5);
+    this.closePath();
+  }
+
+  // Nothing is drawn to clear in vector exports
+  clearRect() {}
+
+  //////////////////////////////////////////////////////////////////////////
+  // STATIC
+  //////////////////////////////////////////////////////////////////////////
+
+  /**
+   * Split a CSS font string (e.g. 'italic bold 12px sans-serif') into its style, weight, size and family.
+   * @param {String} font - CSS font string
+   * @return {Object}
+   */
+  static parseFont(font) {
+    const result = { style: 'normal', weight: 'normal', size: 10, family: 'sans-serif' };
+    const match = /^\s*(.*?)\s*([\d.]+)px\s+(.+?)\s*$/.exec(font || '');
+    if (!match) { return result; }
+    for (const token of match[1].split(/\s+/)) {
+      if (['italic', 'oblique'].includes(token)) {
+        result.style = token;
+      } else if (token === 'bold' || /^\d00$/.test(token)) {
+        result.weight = token;
+      }
+    }
+    result.size = Number(match[2]);
+    result.family = match[3];
+    return result;
+  }
+
+  //////////////////////////////////////////////////////////////////////////
+  // PRIVATE
+  //////////////////////////////////////////////////////////////////////////
+
+  _round(value) {
+    const rounded = Math.round(value * 1000) / 1000;
+    return (rounded === 0) ? 0 : rounded;
+  }
+
+}
+
+export default VectorContext;
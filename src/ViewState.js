@@ -0,0 +1,119 @@
+//////////////////////////////////////////////////////////////////////////////
+// ViewState
+//////////////////////////////////////////////////////////////////////////////
+
+/**
+ * CGView.js – Interactive Circular Genome Viewer
+ * Copyright © 2016–2025 Jason R. Grant
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Hash keys for each view state property
+const KEYS = {
+  bp: 'bp',
+  zoomFactor: 'z',
+  bbOffset: 'o',
+  format: 'f',
+  hiddenTracks: 'ht',
+  hiddenLegendItems: 'hl'
+};
+
+/**
+ * ViewState converts a view state (see [Viewer.viewState()](Viewer.html#viewState)) to and
+ * from a compact string for the URL hash, so that a link can reopen the same view of a map.
+ *
+ * View state properties:
+ *
+ * Property          | Hash key | Description
+ * ------------------|----------|------------
+ * bp                | bp       | Base pair at the center of the canvas
+ * zoomFactor        | z        | Zoom level
+ * bbOffset          | o        | Distance from the backbone to the center of the canvas
+ * format            | f        | Map format: 'c' (circular) or 'l' (linear)
+ * hiddenTracks      | ht       | Comma separated names of the hidden tracks
+ * hiddenLegendItems | hl       | Comma separated names of the hidden legend items
+ *
+ * ### Example
+ * ```js
+ * ViewState.toHash({bp: 2500, zoomFactor: 4, bbOffset: 0, format: 'linear', hiddenTracks: ['GC Skew'], hiddenLegendItems: []});
+ * // => 'bp=2500&z=4&o=0&f=l&ht=GC%20Skew&hl='
+ * ```
+ */
+class ViewState {
+
+  /**
+   * Return the class name as a string.
+   * @return {String} - 'ViewState'
+   */
+  toString() {
+    return 'ViewState';
+  }
+
+  /**
+   * Encode a view state as a string for the URL hash (without the leading '#').
+   * Properties that are not defined are left out.
+   * @param {Object} state - View state
+   * @return {String}
+   */
+  static toHash(state = {}) {
+    const parts = [];
+    for (const [property, key] of Object.entries(KEYS)) {
+      let value = state[property];
+      if (value === undefined) { continue; }
+      if (property === 'format') {
+        value = value.charAt(0);
+      } else if (Array.isArray(value)) {
+        value = value.map(encodeURIComponent).join(',');
+      } else {
+        value = encodeURIComponent(value);
+      }
+      parts.push(`${key}=${value}`);
+    }
+    return parts.join('&');
+  }
+
+  /**
+   * Decode a view state from a URL hash. Unknown keys and invalid values are ignored.
+   * @param {String} hash - URL hash (with or without the leading '#')
+   * @return {Object} View state with the properties found in the hash
+   */
+  static fromHash(hash = '') {
+    const state = {};
+    const properties = Object.fromEntries(Object.entries(KEYS).map( ([p, k]) => [k, p] ));
+    for (const part of hash.replace(/^#/, '').split('&')) {
+      const [key, ...rest] = part.split('=');
+      const property = properties[key];
+      const value = rest.join('=');
+      if (!property) { continue; }
+      // Values with malformed escapes (e.g. '%') are ignored
+      try {
+        if (['hiddenTracks', 'hiddenLegendItems'].includes(property)) {
+          state[property] = (value === '') ? [] : value.split(',').map(decodeURIComponent);
+        } else if (property === 'format') {
+          const format = { c: 'circular', l: 'linear' }[value.charAt(0)];
+          if (format) { state.format = format; }
+        } else {
+          const number = Number(decodeURIComponent(value));
+          if (value !== '' && Number.isFinite(number)) { state[property] = number; }
+        }
+      } catch (error) {
+        if (!(error instanceof URIError)) { throw error; }
+      }
+    }
+    return state;
+  }
+
+}
+
+export default ViewState;
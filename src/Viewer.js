@@ -30,7 +30,11 @@ import CGArray from './CGArray';
 import Canvas from './Canvas';
 import Layout from './Layout';
 import IO from './IO';
+import ViewState from './ViewState';
 import Events from './Events';
+import EditHistory from './EditHistory';
+import NavigationHistory from './NavigationHistory';
+import OperationLog from './OperationLog';
 import Sequence from './Sequence';
 import Backbone from './Backbone';
 import EventMonitor from './EventMonitor';
@@ -93,9 +97,34 @@ console.log(`CGView.js Version: ${version}`)
  * [centerLine](#centerLine)<sup>iu</sup> | Object | [CenterLine](CenterLine.html) options
  * [annotation](#annotation)<sup>iu</sup> | Object | [Annotation](Annotation.html) options
  * [highlighter](#highlighter)<sup>iu</sup> | Object | [Highlighter](Highlighter.html) options
+ * contextFactory<sup>iu</sup>          | Function | Function (width, height) returning a 2D context. Creates a [headless](#headless) viewer (see below)
  * 
  * <sup>iu</sup> Ignored on Viewer update
  *
+ * ### Headless Viewer
+ *
+ * A viewer can be created without a container (e.g. in Node) by providing a *contextFactory*
+ * that returns a new 2D context for the given size. The layers are drawn on these contexts
+ * instead of HTML canvas elements, and there is no user interaction (zooming, dragging, mouse events,
+ * highlighting or drag-and-drop). The map can be exported with [IO.getSVG()](IO.html#getSVG),
+ * [IO.getPNG()](IO.html#getPNG) and [IO.getPDF()](IO.html#getPDF).
+ * The contexts must support the canvas API used for drawing, including measureText.
+ * For PNG export, each context must have a *canvas* that can be drawn with drawImage.
+ * Tracks that extract data from the sequence (dataMethod: 'sequence') require Web Workers.
+ *
+ * ```js
+ * // Node with node-canvas (https://github.com/Automattic/node-canvas)
+ * const { createCanvas } = require('canvas');
+ * const cgv = new CGV.Viewer(null, {
+ *   width: 1000,
+ *   height: 1000,
+ *   contextFactory: (width, height) => createCanvas(width, height).getContext('2d')
+ * });
+ * cgv.io.loadJSON(json);
+ * const svg = cgv.io.getSVG();
+ * const png = await cgv.io.getPNG(); // Uint8Array
+ * ```
+ *
  * ### Examples
  * ```js
  * cgv = new CGV.Viewer('#my-viewer', {
@@ -121,20 +150,27 @@ class Viewer {
   /**
    * Create a viewer
    * @param {String} containerId - The ID (with or without '#') of the element to contain the viewer.
+   *    Use null for a [headless](#headless) viewer.
    * @param {Object} options - [Attributes](#attributes) used to create the viewer.
    *    Component options will be passed to the contructor of that component.
    */
   constructor(containerId, options = {}) {
-    this.containerId = containerId.replace('#', '');
-    this._container = d3.select(`#${this.containerId}`);
+    this._headless = !containerId;
+    if (this._headless && !options.contextFactory) {
+      throw new Error('A headless viewer (no container) requires a contextFactory option');
+    }
     // Get options
     this._width = utils.defaultFor(options.width, 600);
     this._height = utils.defaultFor(options.height, 600);
-    this._wrapper = this._container.append('div')
-      .attr('class', 'cgv-wrapper')
-      .style('position', 'relative')
-      .style('width', `${this.width}px`)
-      .style('height', `${this.height}px`);
+    if (!this._headless) {
+      this.containerId = containerId.replace('#', '');
+      this._container = d3.select(`#${this.containerId}`);
+      this._wrapper = this._container.append('div')
+        .attr('class', 'cgv-wrapper')
+        .style('position', 'relative')
+        .style('width', `${this.width}px`)
+        .style('height', `${this.height}px`);
+    }
 
     // Create map id
     this._id = utils.randomHexString(40);
@@ -152,7 +188,7 @@ class Viewer {
     this._loading = true;
 
     // Initialize Canvas
-    this.canvas = new Canvas(this, this._wrapper, {width: this.width, height: this.height});
+    this.canvas = new Canvas(this, this._wrapper, {width: this.width, height: this.height, contextFactory: options.contextFactory});
 
     // Initialize Layout and set the default map format (ie. topology).
     this._layout = new Layout(this, options.layout);
@@ -164,19 +200,32 @@ class Viewer {
     // Initialize IO
     this.io = new IO(this);
     // Initialize DragAndDrop
-    this.allowDragAndDrop = utils.defaultFor(options.allowDragAndDrop, true);
+    if (!this.headless) {
+      this.io.allowDragAndDrop = utils.defaultFor(options.allowDragAndDrop, true);
+    }
     // Initialize Events
     this._events = new Events();
+    // Initialize Edit History
+    this._editHistory = new EditHistory(this, options.editHistory);
+    // Initialize Navigation History
+    this._navigationHistory = new NavigationHistory(this, options.navigationHistory);
+    // Initialize Operation Log
+    this._operationLog = new OperationLog(this);
     // Initialize Sequence
     this._sequence = new Sequence(this, options.sequence);
     // Initialize Backbone
     this._backbone = new Backbone(this, options.backbone);
-    // this.initializeDragging();
-    initializeZooming(this);
-    // Initial Event Monitor
-    this.eventMonitor = new EventMonitor(this);
-    // Initial Messenger
-    this.messenger = new Messenger(this, options.messenger);
+    if (this.headless) {
+      // Without the zoom behaviour, keep the zoom transform on the ui layer
+      this.canvas.node('ui').__zoom = new d3.ZoomTransform(1, 0, 0);
+    } else {
+      // this.initializeDragging();
+      initializeZooming(this);
+      // Initial Event Monitor
+      this.eventMonitor = new EventMonitor(this);
+      // Initial Messenger
+      this.messenger = new Messenger(this, options.messenger);
+    }
     // Initialize General Setttings
     this._settings = new Settings(this, options.settings);
     // Initial Legend
@@ -200,8 +249,8 @@ class Viewer {
 
     // Integrate external dependencies for specific features
     this.externals = {};
-    // Adding SVG using svgcanvas
-    // https://github.com/zenozeng/svgcanvas
+    // Optional external SVG context (e.g. svgcanvas: https://github.com/zenozeng/svgcanvas)
+    // By default, SVG export uses the built-in SVGContext
     this.externals.SVGContext = options.SVGContext;
 
     // Plugins
@@ -217,7 +266,7 @@ class Viewer {
     // TEMP TESTING FOR EDIT MODE
     this.shiftSet = false;
     const shiftTest = (e) => {if (e.shiftKey) {console.log(e);}}
-    this._wrapper.on('mouseover', () => {
+    this._wrapper?.on('mouseover', () => {
       if (!this.shiftSet) {
         document.addEventListener('keydown', shiftTest);
         this.shiftSet = true;
@@ -264,6 +313,13 @@ class Viewer {
     this._id = value;
   }
 
+  /**
+   * @member {Boolean} - Returns true if the viewer was created without a container (see [Headless Viewer](#headless)).
+   */
+  get headless() {
+    return this._headless;
+  }
+
   /**
    * @member {String} - Get or set the map format: circular, linear
    */
@@ -530,6 +586,55 @@ class Viewer {
     return this._events;
   }
 
+  /**
+   * Get the [EditHistory](EditHistory.html) object.
+   */
+  get editHistory() {
+    return this._editHistory;
+  }
+
+  /**
+   * @member {Boolean} - Returns true if there is a change to undo. See [undo()](#undo).
+   */
+  get canUndo() {
+    return this.editHistory.canUndo;
+  }
+
+  /**
+   * @member {Boolean} - Returns true if there is a change to redo. See [redo()](#redo).
+   */
+  get canRedo() {
+    return this.editHistory.canRedo;
+  }
+
+  /**
+   * Get the [NavigationHistory](NavigationHistory.html) object.
+   */
+  get navigationHistory() {
+    return this._navigationHistory;
+  }
+
+  /**
+   * @member {Boolean} - Returns true if there is a position to go back to. See [back()](#back).
+   */
+  get canGoBack() {
+    return this.navigationHistory.canGoBack;
+  }
+
+  /**
+   * @member {Boolean} - Returns true if there is a position to go forward to. See [forward()](#forward).
+   */
+  get canGoForward() {
+    return this.navigationHistory.canGoForward;
+  }
+
+  /**
+   * Get the [OperationLog](OperationLog.html) object.
+   */
+  get operationLog() {
+    return this._operationLog;
+  }
+
   /**
    * @member {Object} - Get the last mouse position on canvas
    * @private
@@ -546,6 +651,44 @@ class Viewer {
     return Boolean(this._animateTimeoutID);
   }
 
+  /**
+   * @member {Boolean} - Get or set whether the view is kept in sync with the URL hash (location.hash).
+   * When true, the hash is updated (without adding to the browser history) after the map is zoomed or moved
+   * and when track or legend item visibility changes. Changing the hash (e.g. by opening a link) applies the view.
+   * When turned on, a view in the current hash is applied; otherwise the hash is set to the current view.
+   * Turn this on after loading the map. See [viewState()](#viewState) and [ViewState](ViewState.html). [Default: false]
+   */
+  get syncHash() {
+    return Boolean(this._syncHash);
+  }
+
+  set syncHash(value) {
+    value = Boolean(value);
+    if (value === this.syncHash) { return; }
+    this._syncHash = value;
+    if (value) {
+      this._hashChangeHandler = () => {
+        if (window.location.hash.replace(/^#/, '') !== this._hash) {
+          this.applyViewState(window.location.hash);
+        }
+      };
+      window.addEventListener('hashchange', this._hashChangeHandler);
+      const update = () => this._updateHash();
+      this.on('zoom-end.sync-hash', update);
+      this.on('tracks-update.sync-hash', update);
+      this.on('legendItems-update.sync-hash', update);
+      this.on('settings-update.sync-hash', update);
+      if (Object.keys(ViewState.fromHash(window.location.hash)).length > 0) {
+        this.applyViewState(window.location.hash);
+      } else {
+        this._updateHash();
+      }
+    } else {
+      window.removeEventListener('hashchange', this._hashChangeHandler);
+      this.off('.sync-hash');
+    }
+  }
+
   ///////////////////////////////////////////////////////////////////////////
   // METHODS
   ///////////////////////////////////////////////////////////////////////////
@@ -562,15 +705,16 @@ class Viewer {
     this._width = width || this.width;
     this._height = height || this.height;
 
-    this._wrapper
-      .style('width', `${this.width}px`)
-      .style('height', `${this.height}px`);
-
     this.canvas.resize(this.width, this.height);
 
     this.refreshCanvasLayer();
-    // Hide Color Picker: otherwise it may disappear off the screen
-    this.colorPicker.close();
+    if (!this.headless) {
+      this._wrapper
+        .style('width', `${this.width}px`)
+        .style('height', `${this.height}px`);
+      // Hide Color Picker: otherwise it may disappear off the screen
+      this.colorPicker.close();
+    }
 
     this.layout._adjustProportions();
 
@@ -701,6 +845,7 @@ class Viewer {
    */
   removeTracks(tracks) {
     tracks = CGArray.arrayerize(tracks);
+    this.editHistory._willRemove('tracks', tracks);
     this._tracks = this._tracks.filter( t => !tracks.includes(t) );
     this.layout._adjustProportions();
     // Remove from Objects
@@ -834,6 +979,7 @@ class Viewer {
 
   removeCaptions(captions) {
     captions = CGArray.arrayerize(captions);
+    this.editHistory._willRemove('captions', captions);
     this._captions = this._captions.filter( f => !captions.includes(f) );
     // Update Layers
     this.clear('canvas');
@@ -955,6 +1101,7 @@ class Viewer {
   // NOTE: Not used by Viewer.updateTracks or Viewer.update
   updateRecords(recordsOrUpdates = [], attributes = {}, options = {}) {
     let records, updates;
+    const changes = this.editHistory._capture(recordsOrUpdates, attributes);
     if (recordsOrUpdates.toString() === '[object Object]') {
       // Assume recordsOrUpdate is an object of updates
       updates = recordsOrUpdates;
@@ -963,6 +1110,9 @@ class Viewer {
       // Assume recordsOrUpdate is an individual record or an array of records
       records = this.updateRecordsWithAttributes(recordsOrUpdates, attributes, options);
     }
+    if (records) {
+      this.editHistory._recordUpdate(changes);
+    }
     return { records, updates, attributes };
   }
 
@@ -1022,6 +1172,7 @@ class Viewer {
    */
   removeFeatures(features) {
     features = CGArray.arrayerize(features);
+    this.editHistory._willRemove('features', features);
     this._features = this._features.filter( f => !features.includes(f) );
     // Update Annotationa and Tracks
     const labels = features.map( f => f.label );
@@ -1053,14 +1204,12 @@ class Viewer {
     let refreshTracks;
     if (updates) {
       const values = Object.values(updates);
-      for (let value of values) {
-        refreshTracks = Object.keys(values).some( a => ['source', 'type', 'tags'].includes(a));
-      }
+      refreshTracks = values.some( value => Object.keys(value).some( a => ['source', 'type', 'tags'].includes(a)) );
     } else if (attributes) {
       refreshTracks = Object.keys(attributes).some( a => ['source', 'type', 'tags'].includes(a));
     }
     if (refreshTracks) {
-      for (let track of cgv.tracks()) {
+      for (let track of this.tracks()) {
         track.refresh();
       }
     }
@@ -1103,6 +1252,7 @@ class Viewer {
    */
   removePlots(plots) {
     plots = CGArray.arrayerize(plots);
+    this.editHistory._willRemove('plots', plots);
     this._plots = this._plots.filter( p => !plots.includes(p) );
     plots.each( (i, plot) => {
       plot.tracks().each( (j, track) => {
@@ -1177,6 +1327,7 @@ class Viewer {
    */
   removeBookmarks(bookmarks) {
     bookmarks = CGArray.arrayerize(bookmarks);
+    this.editHistory._willRemove('bookmarks', bookmarks);
     this._bookmarks = this._bookmarks.filter( b => !bookmarks.includes(b) );
     // Remove from Objects
     bookmarks.forEach( b => b.deleteFromObjects() );
@@ -1213,7 +1364,7 @@ class Viewer {
   * @private
   */
   flash(msg) {
-    this.messenger.flash(msg);
+    this.messenger?.flash(msg);
   }
 
   fillBackground() {
@@ -1254,6 +1405,10 @@ class Viewer {
   }
 
   refreshCanvasLayer() {
+    if (this._batch) {
+      this._batch.canvasLayer = true;
+      return;
+    }
     for (let i = 0, len = this._captions.length; i < len; i++) {
       // if (this._captions[i].visible) {
         this._captions[i].refresh();
@@ -1362,6 +1517,7 @@ class Viewer {
    * duration     | Number | The animation duration in milliseconds [Default: 1000]
    * ease         | Number | The d3 animation ease [Default: d3.easeCubic]
    * callback     | Function | Function called after the animation is complete.
+   * history      | Boolean | Add the move to the [navigation history](NavigationHistory.html) [Default: true]
    */
   moveTo(start, stop, options = {}) {
     if (stop) {
@@ -1390,11 +1546,15 @@ class Viewer {
       callback
     } = options;
 
+    if (options.history !== false) {
+      this.navigationHistory._add({bp: utils.defaultFor(bp, this.bp), zoomFactor: this.zoomFactor, bbOffset});
+    }
+
     const { startProps, endProps } = this._moveProps(bp, undefined, bbOffset);
 
     const isCircular = this.settings.format === 'circular';
 
-    d3.select(this.canvas.node('ui')).transition()
+    const transition = d3.select(this.canvas.node('ui')).transition()
       .duration(duration)
       .ease(ease)
       .tween('move', function() {
@@ -1414,9 +1574,27 @@ class Viewer {
           self.trigger('zoom');
           self.drawFast();
         };
+      }).on('start', function() {
+        self.trigger('zoom-start');
       }).on('end', function() {
+        self.trigger('zoom-end');
         callback ? callback.call() : self.drawFull();
       });
+    this._trackMove(transition);
+  }
+
+  // Count the moves (zoomTo/moveTo transitions) that are scheduled or in progress
+  _trackMove(transition) {
+    this._moves = (this._moves || 0) + 1;
+    transition.on('end.moves cancel.moves interrupt.moves', () => { this._moves--; });
+  }
+
+  /**
+   * Returns true while the map is moving to a position with [zoomTo()](#zoomTo) or [moveTo()](#moveTo).
+   * @private
+   */
+  get _isMoving() {
+    return this._moves > 0;
   }
 
   _moveLeftRight(factor=0.5, direction, options = {}) {
@@ -1449,6 +1627,7 @@ class Viewer {
    * duration     | Number | The animation duration in milliseconds [Default: 1000]
    * ease         | Number | The d3 animation ease [Default: d3.easeCubic]
    * callback     | Function | Function called after the animation is complete.
+   * history      | Boolean | Add the move to the [navigation history](NavigationHistory.html) [Default: true]
    */
   moveLeft(factor, options = {}) {
     this._moveLeftRight(factor, 'left', options);
@@ -1467,6 +1646,7 @@ class Viewer {
    * duration     | Number | The animation duration in milliseconds [Default: 1000]
    * ease         | Number | The d3 animation ease [Default: d3.easeCubic]
    * callback     | Function | Function called after the animation is complete.
+   * history      | Boolean | Add the move to the [navigation history](NavigationHistory.html) [Default: true]
    */
   moveRight(factor, options = {}) {
     this._moveLeftRight(factor, 'right', options);
@@ -1529,6 +1709,7 @@ class Viewer {
    * duration     | Number | The animation duration in milliseconds [Default: 1000]
    * ease         | Number | The d3 animation ease [Default: d3.easeCubic]
    * callback     | Function | Function called after the animation is complete.
+   * history      | Boolean | Add the move to the [navigation history](NavigationHistory.html) [Default: true]
    */
   // Implementation Notes:
   // For linear maps:
@@ -1548,14 +1729,18 @@ class Viewer {
       callback
     } = options;
 
-    const zoomExtent = self._zoom.scaleExtent();
+    const zoomExtent = self._zoom ? self._zoom.scaleExtent() : [this.minZoomFactor, this.maxZoomFactor];
     zoomFactor = utils.constrain(zoomFactor, zoomExtent[0], zoomExtent[1]);
 
+    if (options.history !== false) {
+      this.navigationHistory._add({bp, zoomFactor, bbOffset});
+    }
+
     const { startProps, endProps } = this._moveProps(bp, zoomFactor, bbOffset);
 
     const isCircular = this.settings.format === 'circular';
 
-    d3.select(this.canvas.node('ui')).transition()
+    const transition = d3.select(this.canvas.node('ui')).transition()
       .duration(duration)
       .ease(ease)
       .tween('move', function() {
@@ -1586,6 +1771,7 @@ class Viewer {
         self.trigger('zoom-end');
         callback ? callback.call() : self.drawFull();
       });
+    this._trackMove(transition);
   }
 
   /**
@@ -1619,10 +1805,86 @@ class Viewer {
    * Recenter the map tracks at the current bp position
    */
   recenterTracks(duration = 0) {
-    this.moveTo(this.bp, undefined, {duration});
+    this.moveTo(this.bp, undefined, {duration, history: false});
   }
 
 
+  /**
+   * Return the current view of the map: position, zoom, format and the names of the hidden tracks and legend items.
+   * The view can be restored with [applyViewState()](#applyViewState) or shared as a URL hash with
+   * [ViewState.toHash()](ViewState.html#toHash).
+   * @return {Object} View state (bp, zoomFactor, bbOffset, format, hiddenTracks, hiddenLegendItems)
+   */
+  viewState() {
+    return {
+      bp: this.bp,
+      zoomFactor: utils.round(this.zoomFactor, 3),
+      bbOffset: utils.round(this.bbOffset, 1),
+      format: this.format,
+      hiddenTracks: Array.from(this.tracks().filter( t => !t.visible ), t => t.name),
+      hiddenLegendItems: Array.from(this.legend.items().filter( i => !i.visible ), i => i.name)
+    };
+  }
+
+  /**
+   * Apply a view state from [viewState()](#viewState). Properties missing from the state are left unchanged.
+   * When hiddenTracks or hiddenLegendItems are given, those tracks/legend items are hidden and all others are shown.
+   * Track and legend item names that are not found are ignored.
+   * @param {Object|String} state - View state or a URL hash (see [ViewState.fromHash()](ViewState.html#fromHash))
+   * @param {Object} options - Options passed to [zoomTo()](#zoomTo) [Default duration: 0]
+   */
+  applyViewState(state = {}, options = {}) {
+    if (typeof state === 'string') {
+      state = ViewState.fromHash(state);
+    }
+    if (state.hiddenTracks) {
+      const updates = {};
+      this.tracks().each( (i, track) => {
+        const visible = !state.hiddenTracks.includes(track.name);
+        if (track.visible !== visible) { updates[track.cgvID] = { visible }; }
+      });
+      if (Object.keys(updates).length > 0) { this.updateTracks(updates); }
+    }
+    if (state.hiddenLegendItems) {
+      const updates = {};
+      this.legend.items().each( (i, item) => {
+        const visible = !state.hiddenLegendItems.includes(item.name);
+        if (item.visible !== visible) { updates[item.cgvID] = { visible }; }
+      });
+      if (Object.keys(updates).length > 0) { this.legend.updateItems(updates); }
+    }
+    const formatChanged = state.format && state.format !== this.format;
+    if (formatChanged) {
+      this.settings.update({ format: state.format });
+    }
+    if (state.bp === undefined && state.zoomFactor === undefined && state.bbOffset === undefined) {
+      this.drawFull();
+      return;
+    }
+    const bp = utils.defaultFor(state.bp, this.bp);
+    const zoomFactor = utils.defaultFor(state.zoomFactor, this.zoomFactor);
+    const bbOffset = utils.defaultFor(state.bbOffset, this.bbOffset);
+    const zoomOptions = Object.assign({ duration: 0 }, options, { bbOffset });
+    if (formatChanged) {
+      // Wait for the new layout (as in Bookmark.moveTo)
+      setTimeout( () => this.zoomTo(bp, zoomFactor, zoomOptions), 0);
+    } else {
+      this.zoomTo(bp, zoomFactor, zoomOptions);
+    }
+  }
+
+  /**
+   * Set the URL hash to the current view state.
+   * @private
+   */
+  _updateHash() {
+    const hash = ViewState.toHash(this.viewState());
+    this._hash = hash;
+    if (window.location.hash.replace(/^#/, '') !== hash) {
+      window.history.replaceState(null, '', `#${hash}`);
+    }
+  }
+
   _updateZoomMax() {
     if (this._zoom) {
       this._zoom.scaleExtent([this.minZoomFactor, this.maxZoomFactor]);
@@ -1677,6 +1939,172 @@ class Viewer {
     }
   }
 
+  /**
+   * Run several changes as a single operation. While the function runs:
+   * - events are collected instead of being triggered
+   * - track, slot, label and legend refreshes are deferred
+   * - the map is not drawn
+   *
+   * When the function returns (or throws), the deferred refreshes are done once,
+   * one summary event is triggered for each event type and the map is drawn with a single
+   * [drawFull()](#drawFull). Summary events combine the data from each triggered event:
+   *
+   * Event data                   | Summary
+   * -----------------------------|--------
+   * Array of records (e.g. 'features-add') | All the records
+   * Update (e.g. 'features-update') | All the records with *updates* (keyed by cgvID) for each record. Updates without records (e.g. 'settings-update') have the combined *attributes*
+   * Other objects (e.g. 'tracks-moved') | The last object with *batch*: an array of the data from each event
+   *
+   * Batches can be nested; only the outermost batch triggers events and draws.
+   * ```js
+   * cgv.batch( () => {
+   *   cgv.addFeatures(features);
+   *   cgv.updateFeatures(cgv.features('dnaA'), {visible: false});
+   *   cgv.addTracks({name: 'Genes', dataType: 'feature', dataMethod: 'source', dataKeys: 'genbank'});
+   * });
+   * ```
+   * @param {Function} fn - Function (passed the viewer) that makes the changes
+   * @return {*} Value returned by the function
+   */
+  batch(fn) {
+    if (this._batch) {
+      return fn(this);
+    }
+    this._batch = { events: [], tracks: new Set(), annotation: false, proportions: false, canvasLayer: false };
+    try {
+      return fn(this);
+    } finally {
+      this._endBatch();
+    }
+  }
+
+  /**
+   * Run a function without recording its changes in the [edit history](EditHistory.html) or [operation log](OperationLog.html)
+   * (e.g. legend items created when features/plots are extracted from the sequence).
+   * @param {Function} fn - Function that makes the changes
+   * @return {*} Value returned by the function
+   * @private
+   */
+  _untracked(fn) {
+    this._untrackedDepth = (this._untrackedDepth || 0) + 1;
+    try {
+      return fn();
+    } finally {
+      this._untrackedDepth--;
+    }
+  }
+
+  /**
+   * Run the deferred refreshes, trigger the summary events and draw the map.
+   * @private
+   */
+  _endBatch() {
+    const batch = this._batch;
+    // Tracks and labels are refreshed while the layout, drawing and events are still deferred
+    batch.flushing = true;
+    Array.from(batch.tracks).filter( t => this._tracks.includes(t) ).forEach( t => t.refresh() );
+    if (batch.annotation) { this.annotation.refresh(); }
+    this._batch = undefined;
+    if (batch.proportions) { this.layout._adjustProportions(); }
+    if (batch.canvasLayer) { this.refreshCanvasLayer(); }
+
+    const eventData = new Map();
+    for (const { event, object } of batch.events) {
+      if (!eventData.has(event)) { eventData.set(event, []); }
+      eventData.get(event).push(object);
+    }
+    for (const [event, objects] of eventData) {
+      this.events.trigger(event, Viewer._mergeEventData(objects));
+    }
+    this.drawFull();
+  }
+
+  /**
+   * Combine the data from several events of the same type.
+   * @private
+   */
+  static _mergeEventData(objects) {
+    if (objects.length === 1) { return objects[0]; }
+    const unique = arrays => new CGArray(...new Set([].concat(...arrays)));
+    if (objects.every( o => Array.isArray(o) )) {
+      return unique(objects);
+    }
+    const last = objects[objects.length - 1];
+    const isPlain = o => o && o.constructor === Object;
+    if (!objects.every(isPlain)) { return last; }
+    if (!objects.every( o => ('attributes' in o) || ('updates' in o) || Object.values(o).some(Array.isArray) )) {
+      return Object.assign({}, last, { batch: objects });
+    }
+    const merged = Object.assign({}, last);
+    const recordKeys = Object.keys(merged).filter( k => objects.some( o => Array.isArray(o[k]) ) );
+    if (recordKeys.length === 0) {
+      merged.attributes = Object.assign({}, ...objects.map( o => o.attributes ));
+      return merged;
+    }
+    const updates = {};
+    for (const object of objects) {
+      const records = [].concat(...recordKeys.map( k => object[k] || [] ));
+      for (const record of records) {
+        const recordUpdates = object.updates ? object.updates[record.cgvID] : object.attributes;
+        updates[record.cgvID] = Object.assign(updates[record.cgvID] || {}, recordUpdates);
+      }
+    }
+    for (const key of recordKeys) {
+      merged[key] = unique(objects.map( o => o[key] || [] ));
+    }
+    merged.attributes = undefined;
+    merged.updates = updates;
+    return merged;
+  }
+
+  /**
+   * Undo the last change made with the data API. See [EditHistory](EditHistory.html) for the changes that are recorded.
+   * @return {Boolean} True if a change was undone
+   */
+  undo() {
+    return this.editHistory.undo();
+  }
+
+  /**
+   * Redo the last undone change. See [EditHistory](EditHistory.html).
+   * @return {Boolean} True if a change was redone
+   */
+  redo() {
+    return this.editHistory.redo();
+  }
+
+  /**
+   * Move the map back to the previous position in the [navigation history](NavigationHistory.html).
+   * @param {Object} options - Options passed to [zoomTo()](#zoomTo)
+   * @return {Boolean} True if the map was moved
+   */
+  back(options) {
+    return this.navigationHistory.back(options);
+  }
+
+  /**
+   * Move the map forward to the next position in the [navigation history](NavigationHistory.html).
+   * @param {Object} options - Options passed to [zoomTo()](#zoomTo)
+   * @return {Boolean} True if the map was moved
+   */
+  forward(options) {
+    return this.navigationHistory.forward(options);
+  }
+
+  /**
+   * Apply operations from the [operation log](OperationLog.html) of another viewer
+   * (e.g. to keep two viewers of the same map in sync).
+   * ```js
+   * // Keep viewer b in sync with viewer a
+   * a.on('operation', (operation) => b.applyOperations(operation));
+   * ```
+   * @param {Object|Array} operations - Operation or array of operations
+   * @return {Number} Number of operations applied
+   */
+  applyOperations(operations) {
+    return this.operationLog.apply(operations);
+  }
+
   /**
    * See [Events.on()](Events.html#on) 
    */
@@ -1695,9 +2123,15 @@ class Viewer {
    * See [Events.trigger()](Events.html#trigger) 
    */
   trigger(event, object) {
-    this.events.trigger(event, object);
+    this.editHistory._handleEvent(event, object);
+    this.operationLog._handleEvent(event, object);
+    if (this._batch) {
+      this._batch.events.push({ event, object });
+    } else {
+      this.events.trigger(event, object);
+    }
     // Almost all events will results in data changing with the following exceptions
-    const eventsToIgnoreForDataChange = ['viewer-update', 'cgv-json-load', 'bookmarks-shortcut', 'zoom-start', 'zoom', 'zoom-end', 'centerLine-update'];
+    const eventsToIgnoreForDataChange = ['viewer-update', 'cgv-json-load', 'bookmarks-shortcut', 'zoom-start', 'zoom', 'zoom-end', 'centerLine-update', 'history-update', 'navigation-update', 'image-export-start', 'image-export-progress', 'image-export-end', 'drop'];
     if (!this.loading && !eventsToIgnoreForDataChange.includes(event)) {
       // console.log(event, object)
       // Also need to ignore track-update with loadProgress
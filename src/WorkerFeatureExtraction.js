@@ -20,7 +20,7 @@
  */
 
 /**
- * Worker to extract features from the sequence (e.g. orfs, start-stop codons)
+ * Worker to extract features from the sequence (e.g. orfs, start-stop codons, motifs, restriction sites)
  * The progress is calculated for the entire sequence and we keep track of the
  * progressState as we find features for each contig.
  */
@@ -87,6 +87,12 @@ export default function WorkerFeatureExtraction() {
       } else if (type === 'orfs') {
         progressState = { start: progressStart, stop: progressStop};
         featureDataArray = featureDataArray.concat( extractORFs(seq, options, progressState) );
+      } else if (type === 'motif') {
+        progressState = { start: progressStart, stop: progressStop};
+        featureDataArray = featureDataArray.concat( extractMotifs(seq, options, progressState) );
+      } else if (type === 'restriction-sites') {
+        progressState = { start: progressStart, stop: progressStop};
+        featureDataArray = featureDataArray.concat( extractRestrictionSites(seq, options, progressState) );
       }
       // console.log( `${i}: ${(new Date().getTime()) - testStartTime} ms`);
 
@@ -160,99 +166,251 @@ export default function WorkerFeatureExtraction() {
     return savedProgress;
   };
 
+  // Find the ORFs in each reading frame of both strands. Options:
+  //   - startPattern/stopPattern: comma separated start and stop codons
+  //   - minORFLength: minimum number of codons (not including the stop codon)
+  //   - readingFrames: reading frames to search (1, 2, 3, -1, -2, -3)
+  //   - partial: add ORFs that run off the edges of the sequence (no start and/or stop codon)
+  //   - ignoreNested: remove ORFs that are completely within another ORF (on any strand or frame)
+  //   - geneticCode: added to each ORF (with a codonStart of 1) for translation
   const extractORFs = function(seq, options, progressState = {}) {
-    const minORFLength = options.minORFLength;
-    const seqLength = seq.length;
-    let featureDataArray = [];
-
     const progressStart = progressState.start || 0;
     const progressStop = progressState.stop || 100;
-    const progressRange = progressStop - progressStart;
-    const progressPortion = progressRange / 4;
-
-    // progressState = {start: 0, stop: 25};
-    progressState = {start: progressStart, stop: progressStart + progressPortion};
-    let codonDataArray = extractStartStopCodons(seq, 1, options, progressState);
-    // progressState = {start: 25, stop: 50};
-    progressState = {start: progressState.stop, stop: progressStart + progressPortion * 2};
-    codonDataArray = codonDataArray.concat( extractStartStopCodons(seq, -1, options, progressState) );
-    const startFeatures = codonDataArray.filter( f => f.type === 'start-codon' );
-    const stopFeatures = codonDataArray.filter( f => f.type === 'stop-codon' );
-
-    const startsByRF = featuresByReadingFrame(startFeatures, seqLength);
-    const stopsByRF = featuresByReadingFrame(stopFeatures, seqLength);
-
-    // progressState = {start: 50, stop: 75};
-    progressState = {start: progressState.stop, stop: progressStart + progressPortion * 3};
-    featureDataArray =  orfsByStrand(1, startsByRF, stopsByRF, seqLength, options, progressState);
-    // progressState = {start: 75, stop: 100};
-    progressState = {start: progressState.stop, stop: progressStop};
-    featureDataArray = featureDataArray.concat( orfsByStrand(-1, startsByRF, stopsByRF, seqLength, options, progressState) );
+    const progressMiddle = progressStart + ((progressStop - progressStart) / 2);
+    let featureDataArray = orfsByStrand(seq, 1, options, {start: progressStart, stop: progressMiddle});
+    featureDataArray = featureDataArray.concat( orfsByStrand(seq, -1, options, {start: progressMiddle, stop: progressStop}) );
+    if (options.ignoreNested) {
+      featureDataArray = removeNestedFeatures(featureDataArray);
+    }
     return featureDataArray;
   };
 
-  const orfsByStrand = function(strand, startsByRF, stopsByRF, seqLength, options= {}, progressState = {}) {
-    let position, orfLength, starts, stops;
-    let start, stop, stopIndex, featureData;
-    let progress, savedProgress;
-    const minORFLength = options.minORFLength || 100;
+  // Scan the codons of each reading frame for the strand. An ORF starts at the first start codon
+  // after a stop codon and ends at the next stop codon (i.e. the longest ORF for each stop codon).
+  const orfsByStrand = function(seq, strand, options = {}, progressState = {}) {
+    const splitPattern = pattern => pattern.toUpperCase().split(',').map( s => s.trim() );
+    const starts = splitPattern(options.startPattern);
+    const stops = splitPattern(options.stopPattern);
+    const minORFLength = (options.minORFLength === undefined) ? 100 : options.minORFLength;
+    const readingFrames = options.readingFrames || [1, 2, 3, -1, -2, -3];
+    const partial = Boolean(options.partial);
     const type = 'ORF';
     const source = 'orfs';
     const featureDataArray = [];
-    const readingFrames = (strand === 1) ? ['rfPlus1', 'rfPlus2', 'rfPlus3'] : ['rfMinus1', 'rfMinus2', 'rfMinus3'];
-    // for (let rf of readingFrames) {
-    readingFrames.forEach( function(rf) {
-      position = (strand === 1) ? 1 : seqLength;
-      stopIndex = 0;
-      starts = startsByRF[rf];
-      stops = stopsByRF[rf];
-      const progressInitial = 33 * readingFrames.indexOf(rf);
+    const seqLength = seq.length;
+    const strandSeq = (strand === 1) ? seq.toUpperCase() : reverseComplement(seq.toUpperCase());
+    let progress, savedProgress;
+
+    // Indices are 0-based positions on the strand sequence
+    const addORF = function(first, last, partialType) {
+      // Length in codons not including the stop codon
+      const codons = (last - first + 1) / 3 - ((partialType === 'stop' || partialType === 'both') ? 0 : 1);
+      if (codons < Math.max(minORFLength, 1)) { return; }
+      const featureData = {
+        type: type,
+        start: (strand === 1) ? (first + 1) : (seqLength - last),
+        stop: (strand === 1) ? (last + 1) : (seqLength - first),
+        strand: strand,
+        source: source,
+        contig: options.contigID,
+        codonStart: 1,
+        geneticCode: options.geneticCode,
+        extractedFromSequence: true
+      };
+      if (partialType) {
+        featureData.meta = { partial: partialType };
+      }
+      featureDataArray.push(featureData);
+    };
+
+    for (const frame of [1, 2, 3]) {
+      if (!readingFrames.includes(frame * strand)) { continue; }
       progress = 0;
       savedProgress = 0;
-      if (strand === -1) {
-        // Sort descending by start
-        starts.sort( (a, b) => b.start - a.start );
-        stops.sort( (a, b) => b.start - a.start );
-      }
-      for (let i = 0, iLen = starts.length; i < iLen; i++) {
-        start = starts[i];
-        progress = progressInitial + Math.round( i / iLen * 33);
+      const offset = frame - 1;
+      // ORFs at the start of the sequence are partial (no start codon)
+      let orfFirst = partial ? offset : -1;
+      let partialStart = partial;
+      let codon;
+      let i = offset;
+      for (; i + 3 <= seqLength; i += 3) {
+        codon = strandSeq.substr(i, 3);
+        if (stops.includes(codon)) {
+          if (orfFirst >= 0) {
+            addORF(orfFirst, i + 2, partialStart ? 'start' : undefined);
+          }
+          orfFirst = -1;
+          partialStart = false;
+        } else if (orfFirst < 0 && starts.includes(codon)) {
+          orfFirst = i;
+        }
+        progress = Math.round( (offset + (i / seqLength)) / 3 * 100);
         savedProgress = postProgress(progress, savedProgress, progressState);
-        if ( ((strand === 1) && (start.start < position)) || ((strand === -1) && (start.start > position)) ) {
-          continue;
+      }
+      // ORFs at the end of the sequence are partial (no stop codon)
+      if (partial && orfFirst >= 0 && i > orfFirst) {
+        addORF(orfFirst, i - 1, partialStart ? 'both' : 'stop');
+      }
+    }
+    return featureDataArray;
+  };
+
+  // Remove features that are completely within another feature
+  const removeNestedFeatures = function(features) {
+    const sorted = features.slice().sort( (a, b) => (a.start - b.start) || (b.stop - a.stop) );
+    const nested = new Set();
+    let maxStop = 0;
+    for (const feature of sorted) {
+      if (feature.stop <= maxStop) {
+        nested.add(feature);
+      } else {
+        maxStop = feature.stop;
+      }
+    }
+    return features.filter( f => !nested.has(f) );
+  };
+
+  // Bases matched by each IUPAC code
+  const iupacBases = {
+    A: 'A', C: 'C', G: 'G', T: 'T', U: 'T',
+    R: 'AG', Y: 'CT', S: 'CG', W: 'AT', K: 'GT', M: 'AC',
+    B: 'CGT', D: 'AGT', H: 'ACT', V: 'ACG', N: 'ACGT'
+  };
+
+  const iupacComplements = {
+    A: 'T', C: 'G', G: 'C', T: 'A', U: 'A',
+    R: 'Y', Y: 'R', S: 'S', W: 'W', K: 'M', M: 'K',
+    B: 'V', D: 'H', H: 'D', V: 'B', N: 'N'
+  };
+
+  // Returns the bases matched by each position of the IUPAC pattern for the strand.
+  // Minus strand matches are found by searching for the reverse complement of the pattern.
+  const basesForPattern = function(pattern, strand = 1) {
+    const codes = pattern.toUpperCase().split('');
+    return (strand === 1) ? codes.map( c => iupacBases[c] ) : codes.reverse().map( c => iupacBases[iupacComplements[c]] );
+  };
+
+  // Returns the number of mismatches between the pattern bases and the sequence at the index.
+  // Counting stops once maxMismatches is exceeded.
+  const countMismatches = function(seq, index, bases, maxMismatches = 0) {
+    let mismatches = 0;
+    for (let j = 0, len = bases.length; j < len; j++) {
+      if (bases[j].indexOf(seq.charAt(index + j)) === -1) {
+        mismatches++;
+        if (mismatches > maxMismatches) { break; }
+      }
+    }
+    return mismatches;
+  };
+
+  // Returns the sequence to scan for matches of matchLength.
+  // On circular sequences (options.circular), matches can span the origin, so the start of the sequence is added to the end.
+  const scanSequence = function(seq, matchLength, circular) {
+    return circular ? seq + seq.slice(0, matchLength - 1) : seq;
+  };
+
+  // Returns the bp wrapped around the origin of a circular sequence (e.g. seqLength + 1 becomes 1)
+  const wrapBp = function(bp, seqLength, circular) {
+    return (circular && bp > seqLength) ? bp - seqLength : bp;
+  };
+
+  // Search for a pattern in IUPAC notation allowing up to options.mismatches.
+  // Overlapping matches are returned. Matches of palindromic patterns are only reported once (on the plus strand). Matches spanning the origin have a start greater than the stop.
+  const extractMotifs = function(seq, options, progressState = {}) {
+    const maxMismatches = options.mismatches || 0;
+    const type = 'motif';
+    const source = 'motif';
+    const featureDataArray = [];
+    const basesByStrand = {
+      '1': basesForPattern(options.pattern, 1),
+      '-1': basesForPattern(options.pattern, -1)
+    };
+    // Palindromic patterns (the same as their reverse complement) are only searched on the plus strand
+    const palindromic = basesByStrand['1'].join() === basesByStrand['-1'].join();
+    let strands = (options.strand === 1 || options.strand === -1) ? [options.strand] : [1, -1];
+    if (palindromic && strands.length === 2) {
+      strands = [1];
+    }
+    const patternLength = options.pattern.length;
+    const seqLength = seq.length;
+    const circular = options.circular;
+    seq = scanSequence(seq.toUpperCase(), patternLength, circular);
+    let progress = 0;
+    let savedProgress = 0;
+    let mismatches;
+
+    for (let i = 0, len = seq.length - patternLength; i <= len; i++) {
+      for (const strand of strands) {
+        mismatches = countMismatches(seq, i, basesByStrand[strand], maxMismatches);
+        if (mismatches <= maxMismatches) {
+          featureDataArray.push({
+            type: type,
+            start: i + 1,
+            stop: wrapBp(i + patternLength, seqLength, circular),
+            strand: strand,
+            source: source,
+            contig: options.contigID,
+            meta: { mismatches: mismatches },
+            extractedFromSequence: true
+          });
         }
-        for (let j = stopIndex, jLen = stopsByRF[rf].length; j < jLen; j++) {
-          stop = stops[j];
-          orfLength = (strand === 1) ? stop.stop - start.start : start.stop - stop.start;
-          // ORF length is measure in codons
-          if (orfLength >= (minORFLength * 3)) {
-            position = (strand === 1) ? stop.stop : stop.start;
-
-            featureData = {
+      }
+
+      // Progress
+      progress = Math.round(i / seqLength * 100);
+      savedProgress = postProgress(progress, savedProgress, progressState);
+    }
+    return featureDataArray;
+  };
+
+  // Find the recognition sites for each of options.enzymes ({name, site, cut, complementCut}).
+  // Palindromic sites are only reported on the plus strand.
+  // The cut and complementCut in the meta are the positions (bp) after which the top and bottom strands are cut.
+  // Sites spanning the origin of a circular sequence have a start greater than the stop.
+  const extractRestrictionSites = function(seq, options, progressState = {}) {
+    const enzymes = options.enzymes || [];
+    const type = 'restriction-site';
+    const source = 'restriction-sites';
+    const featureDataArray = [];
+    const seqLength = seq.length;
+    const circular = options.circular;
+    seq = seq.toUpperCase();
+    let progress = 0;
+    let savedProgress = 0;
+    // Cut positions are wrapped to 0 (before the first bp) up to seqLength - 1
+    const wrapCut = cut => circular ? ((cut % seqLength) + seqLength) % seqLength : cut;
+
+    enzymes.forEach( function(enzyme, enzymeIndex) {
+      const siteLength = enzyme.site.length;
+      const plusBases = basesForPattern(enzyme.site, 1);
+      const minusBases = basesForPattern(enzyme.site, -1);
+      const strands = (plusBases.join() === minusBases.join()) ? [1] : [1, -1];
+      const scanSeq = scanSequence(seq, siteLength, circular);
+      let stop;
+      for (let i = 0, len = scanSeq.length - siteLength; i <= len; i++) {
+        for (const strand of strands) {
+          if (countMismatches(scanSeq, i, (strand === 1) ? plusBases : minusBases) === 0) {
+            stop = i + siteLength;
+            featureDataArray.push({
               type: type,
-              start: (strand === 1) ? start.start : stop.start,
-              stop: (strand === 1) ? stop.stop : start.stop,
+              name: enzyme.name,
+              start: i + 1,
+              stop: wrapBp(stop, seqLength, circular),
               strand: strand,
               source: source,
               contig: options.contigID,
+              meta: {
+                enzyme: enzyme.name,
+                cut: wrapCut((strand === 1) ? (i + enzyme.cut) : (stop - enzyme.complementCut)),
+                complementCut: wrapCut((strand === 1) ? (i + enzyme.complementCut) : (stop - enzyme.cut))
+              },
               extractedFromSequence: true
-            };
-            featureDataArray.push(featureData);
-
-            // progress = Math.round(start / seqLength * 100);
-            // if ( (progress > savedProgress) && (progress % progressIncrement === 0) ) {
-            //   savedProgress = progress;
-            //   postMessage({ messageType: 'progress', progress: progress });
-            // }
-
-            stopIndex = j;
-            break;
-          } else if (orfLength > 0) {
-            position = (strand === 1) ? stop.stop : stop.start;
-            stopIndex = j;
-            break;
+            });
           }
         }
+        // Progress
+        progress = Math.round( (enzymeIndex + (i / seqLength)) / enzymes.length * 100);
+        savedProgress = postProgress(progress, savedProgress, progressState);
       }
     });
     return featureDataArray;
@@ -279,35 +437,13 @@ export default function WorkerFeatureExtraction() {
         break;
       case 'C':
         compChar = 'G';
+        break;
+      default:
+        compChar = char;
       }
       compSeq = compSeq + compChar;
     }
     return compSeq;
   };
-
-  const featuresByReadingFrame = function(features, seqLength) {
-    const featuresByRF = {
-      rfPlus1: [],
-      rfPlus2: [],
-      rfPlus3: [],
-      rfMinus1: [],
-      rfMinus2: [],
-      rfMinus3: []
-    };
-    let rf, feature;
-    for (let i = 0, len = features.length; i < len; i++) {
-      feature = features[i];
-      if (feature.strand === -1) {
-        rf = (seqLength - feature.stop + 1) % 3;
-        if (rf === 0) { rf = 3; }
-        featuresByRF[`rfMinus${rf}`].push(feature);
-      } else {
-        rf = feature.start % 3;
-        if (rf === 0) { rf = 3; }
-        featuresByRF[`rfPlus${rf}`].push(feature);
-      }
-    }
-    return featuresByRF;
-  };
 };
 
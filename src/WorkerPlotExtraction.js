@@ -20,7 +20,8 @@
  */
 
 /**
- * Worker to extract plot data from the sequence (e.g. gc-content, gc-skew)
+ * Worker to extract plot data from the sequence (e.g. gc-content, gc-skew, at-skew,
+ * cumulative-gc-skew, gc3-content, cpg-oe, entropy, kmer-deviation)
  */
 export default function WorkerBaseContent() {
   onmessage = function(e) {
@@ -44,10 +45,19 @@ export default function WorkerBaseContent() {
     const windowSize = options.window;
     const step = options.step;
     const deviation = options.deviation;
-    let average = baseCalculation(type, seq);
+    let average = (['cumulative-gc-skew', 'kmer-deviation'].includes(type)) ? 0 : baseCalculation(type, seq, 1, options);
+    // Cumulative GC skew is the running total of G - C up to each position
+    let cumulativeSkew = 0;
+    let cumulativePosition = 0;
+    // K-mer deviation compares the k-mers in each window to the whole sequence
+    const kmerDeviation = (type === 'kmer-deviation') ? kmerDeviationCalculator(seq, options.k) : undefined;
+    // Windows with a k-mer deviation above the islandThreshold are merged into islands
+    const islandThreshold = options.islandThreshold;
+    const islands = [];
+    let island;
     // Starting points for min and max
-    let min = 1;
-    let max = 0;
+    let min = Infinity;
+    let max = -Infinity;
     const halfWindowSize = windowSize / 2;
     let start, stop;
 
@@ -56,8 +66,29 @@ export default function WorkerBaseContent() {
       // Extract DNA for window and calculate score
       start = subtractBp(seq, position, halfWindowSize);
       stop = addBp(seq, position, halfWindowSize);
-      const subSeq = subSequence(seq, start, stop);
-      const score = baseCalculation(type, subSeq);
+      let score;
+      if (type === 'cumulative-gc-skew') {
+        const stepSeq = seq.substring(cumulativePosition, position);
+        cumulativeSkew += count(stepSeq, 'g') - count(stepSeq, 'c');
+        cumulativePosition = position;
+        score = cumulativeSkew;
+      } else if (type === 'kmer-deviation') {
+        score = kmerDeviation(start, stop);
+        if (islandThreshold !== undefined && score > islandThreshold) {
+          if (island) {
+            island.stop = stop;
+            island.score = Math.max(island.score, score);
+          } else {
+            island = { start: start, stop: stop, score: score };
+            islands.push(island);
+          }
+        } else {
+          island = undefined;
+        }
+      } else {
+        const subSeq = subSequence(seq, start, stop);
+        score = baseCalculation(type, subSeq, start, options, seq.length);
+      }
 
       if (score > max) {
         max = score;
@@ -84,6 +115,17 @@ export default function WorkerBaseContent() {
         postMessage({ messageType: 'progress', progress: progress });
       }
     }
+    // Cumulative GC skew is scaled to a value between -1 and 1
+    if (type === 'cumulative-gc-skew') {
+      const maxSkew = Math.max(Math.abs(min), Math.abs(max)) || 1;
+      scores = scores.map( score => score / maxSkew );
+      min = min / maxSkew;
+      max = max / maxSkew;
+    }
+    // The average k-mer deviation is the mean of the windows
+    if (type === 'kmer-deviation' && scores.length > 0) {
+      average = scores.reduce( (sum, score) => sum + score, 0) / scores.length;
+    }
     // console.log(`Deviation: ${deviation}`)
     console.log(`Min: ${min}`)
     console.log(`Max: ${max}`)
@@ -106,14 +148,27 @@ export default function WorkerBaseContent() {
       average = 0.5;
     }
     const baseContent = { positions: positions, scores: scores, min: min, max: max, average: average };
+    if (islandThreshold !== undefined) {
+      baseContent.islands = islands;
+    }
     postMessage({ messageType: 'complete', baseContent: baseContent });
   };
 
-  const baseCalculation = function(type, seq) {
+  // Start is the position (bp) of the first base in seq. The seq may wrap around the end of
+  // a sequence with a length of seqLength.
+  const baseCalculation = function(type, seq, start = 1, options = {}, seqLength = seq.length) {
     if (type === 'gc-content') {
       return calcGCContent(seq);
     } else if (type === 'gc-skew') {
       return calcGCSkew(seq);
+    } else if (type === 'at-skew') {
+      return calcATSkew(seq);
+    } else if (type === 'gc3-content') {
+      return calcGC3Content(seq, start, options.frame, seqLength);
+    } else if (type === 'cpg-oe') {
+      return calcCpGObservedExpected(seq);
+    } else if (type === 'entropy') {
+      return calcEntropy(seq);
     }
   };
 
@@ -135,6 +190,153 @@ export default function WorkerBaseContent() {
     return  value;
   };
 
+  const calcATSkew = function(seq) {
+    const a = count(seq, 'a');
+    const t = count(seq, 't');
+    if ( (a + t) === 0 ) { return 0; }
+    // Gives value between -1 and 1
+    return (a - t) / (a + t);
+  };
+
+  // GC content of the bases at the third codon position.
+  // Codons are counted from the start of the sequence for frame 1, the second base for frame 2, etc.
+  const calcGC3Content = function(seq, start = 1, frame = 1, seqLength = seq.length) {
+    let gc = 0;
+    let total = 0;
+    let bp, base;
+    for (let i = 0, len = seq.length; i < len; i++) {
+      bp = ((start - 1 + i) % seqLength) + 1;
+      if ((bp - frame) % 3 === 2) {
+        base = seq.charAt(i).toUpperCase();
+        if (base === 'G' || base === 'C') { gc++; }
+        total++;
+      }
+    }
+    if (total === 0) { return 0.5; }
+    return gc / total;
+  };
+
+  // CpG observed/expected ratio: (CpG count * length) / (C count * G count)
+  const calcCpGObservedExpected = function(seq) {
+    const c = count(seq, 'c');
+    const g = count(seq, 'g');
+    if ( (c * g) === 0 ) { return 0; }
+    return count(seq, 'cg') * seq.length / (c * g);
+  };
+
+  // Shannon entropy (in bits) of the base composition. Gives value between 0 and 2
+  const calcEntropy = function(seq) {
+    const counts = ['a', 'c', 'g', 't'].map( base => count(seq, base) );
+    const total = counts.reduce( (sum, n) => sum + n, 0);
+    if (total === 0) { return 0; }
+    return counts.reduce( (entropy, n) => {
+      const p = n / total;
+      return (p > 0) ? entropy - (p * Math.log2(p)) : entropy;
+    }, 0);
+  };
+
+  // Returns a function that calculates the k-mer deviation for a window (start, stop in bp) of the sequence:
+  // half the sum of the absolute differences between the k-mer frequencies of the window and of the
+  // whole sequence (0: same frequencies, 1: no k-mers in common). K-mers are counted on both strands.
+  // Windows must be calculated in order, as the k-mer counts are updated as the window slides along the sequence.
+  const kmerDeviationCalculator = function(seq, k = 4) {
+    const seqLength = seq.length;
+    const kmerCount = Math.pow(4, k);
+    const codes = kmerCodes(seq, k);
+    const complements = kmerComplements(k);
+    // Whole sequence frequencies
+    const seqCounts = new Float64Array(kmerCount);
+    let seqTotal = 0;
+    for (let i = 0; i < seqLength; i++) {
+      if (codes[i] >= 0) {
+        seqCounts[codes[i]]++;
+        seqCounts[complements[codes[i]]]++;
+        seqTotal += 2;
+      }
+    }
+    const seqFrequencies = seqCounts.map( n => (seqTotal > 0) ? n / seqTotal : 0 );
+    // Window counts for the k-mers starting from windowFirst to windowLast (unwrapped indices)
+    const counts = new Float64Array(kmerCount);
+    let total = 0;
+    let windowFirst = 0;
+    let windowLast = -1;
+    const updateCount = function(index, value) {
+      const code = codes[((index % seqLength) + seqLength) % seqLength];
+      if (code >= 0) {
+        counts[code] += value;
+        counts[complements[code]] += value;
+        total += 2 * value;
+      }
+    };
+
+    return function(start, stop) {
+      const windowLength = ((stop - start + seqLength) % seqLength) + 1;
+      let first = start - 1;
+      // Windows that wrap around the start of the sequence
+      if (first + windowLength > seqLength && first > windowLast) {
+        first -= seqLength;
+      }
+      const last = first + windowLength - k;
+      if (first > windowLast || first < windowFirst) {
+        // No overlap with the previous window
+        counts.fill(0);
+        total = 0;
+        for (let i = first; i <= last; i++) { updateCount(i, 1); }
+      } else {
+        for (let i = windowFirst; i < first; i++) { updateCount(i, -1); }
+        for (let i = windowLast + 1; i <= last; i++) { updateCount(i, 1); }
+      }
+      windowFirst = first;
+      windowLast = last;
+      if (total === 0) { return 0; }
+      let difference = 0;
+      for (let code = 0; code < kmerCount; code++) {
+        difference += Math.abs( (counts[code] / total) - seqFrequencies[code] );
+      }
+      return difference / 2;
+    };
+  };
+
+  // Returns the code for the k-mer starting at each position of the sequence, wrapping around the end.
+  // K-mers with bases other than A, C, G and T have a code of -1.
+  const kmerCodes = function(seq, k) {
+    const seqLength = seq.length;
+    const baseCodes = { A: 0, C: 1, G: 2, T: 3 };
+    const codes = new Int32Array(seqLength);
+    let code, baseCode;
+    for (let i = 0; i < seqLength; i++) {
+      code = 0;
+      for (let j = 0; j < k; j++) {
+        baseCode = baseCodes[seq.charAt((i + j) % seqLength).toUpperCase()];
+        if (baseCode === undefined) {
+          code = -1;
+          break;
+        }
+        code = (code * 4) + baseCode;
+      }
+      codes[i] = code;
+    }
+    return codes;
+  };
+
+  // Returns the code of the reverse complement for each k-mer code
+  const kmerComplements = function(k) {
+    const kmerCount = Math.pow(4, k);
+    const complements = new Int32Array(kmerCount);
+    let code, complement;
+    for (let i = 0; i < kmerCount; i++) {
+      code = i;
+      complement = 0;
+      for (let j = 0; j < k; j++) {
+        // With A:0, C:1, G:2, T:3 the complement of a base is 3 - base
+        complement = (complement * 4) + (3 - (code % 4));
+        code = Math.floor(code / 4);
+      }
+      complements[i] = complement;
+    }
+    return complements;
+  };
+
   const count = function(seq, pattern) {
     return (seq.match(new RegExp(pattern, 'gi')) || []).length;
   };
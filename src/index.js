@@ -19,12 +19,21 @@ import Contig from './Contig';
 import Debug from './Debug';
 import Divider from './Divider';
 import Dividers from './Dividers';
+import EditHistory from './EditHistory';
 import EventMonitor from './EventMonitor';
 import Events from './Events';
 import Feature from './Feature';
 import Font from './Font';
+import FormatBED from './FormatBED';
+import FormatCGViewXML from './FormatCGViewXML';
+import FormatFasta from './FormatFasta';
+import FormatFeatureTable from './FormatFeatureTable';
+import FormatGenBank from './FormatGenBank';
+import FormatGFF3 from './FormatGFF3';
 import { Highlighter, HighlighterElement } from './Highlighter';
 import IO from './IO';
+import JSONDiff from './JSONDiff';
+import JSONSchema from './JSONSchema';
 import Label from './Label';
 import Layout from './Layout';
 import LayoutCircular from './LayoutCircular';
@@ -33,6 +42,10 @@ import Legend from './Legend';
 import LegendItem from './LegendItem';
 import Messenger from './Messenger';
 import NCList from './NCList';
+import NavigationHistory from './NavigationHistory';
+import OperationLog from './OperationLog';
+import PDFContext from './PDFContext';
+import PNGEncoder from './PNGEncoder';
 import Plot from './Plot';
 import CaptionTrackList from './PluginCaptionTrackList';
 import Plugins from './Plugins';
@@ -40,12 +53,16 @@ import Plugins from './Plugins';
 import { PluginsStandard } from './Plugins';
 import Position from './Position';
 import Rect from './Rect';
+import RestrictionEnzymes from './RestrictionEnzymes';
 import Ruler from './Ruler';
 import Sequence from './Sequence';
 import SequenceExtractor from './SequenceExtractor';
 import Settings from './Settings';
+import SVGContext from './SVGContext';
 import Slot from './Slot';
 import Track from './Track';
+import VectorContext from './VectorContext';
+import ViewState from './ViewState';
 import utils from './Utils';
 import Viewer from './Viewer';
 
@@ -74,13 +91,22 @@ export {
   Debug,
   Divider,
   Dividers,
+  EditHistory,
   EventMonitor,
   Events,
   Feature,
   Font,
+  FormatBED,
+  FormatCGViewXML,
+  FormatFasta,
+  FormatFeatureTable,
+  FormatGenBank,
+  FormatGFF3,
   Highlighter,
   HighlighterElement,
   IO,
+  JSONDiff,
+  JSONSchema,
   Label,
   Layout,
   LayoutCircular,
@@ -89,16 +115,24 @@ export {
   LegendItem,
   Messenger,
   NCList,
+  NavigationHistory,
+  OperationLog,
+  PDFContext,
+  PNGEncoder,
   Plot,
   CaptionTrackList,
   Plugins,
   PluginsStandard,
   Position,
   Rect,
+  RestrictionEnzymes,
   Ruler,
   Sequence,
   SequenceExtractor,
   Settings,
+  SVGContext,
   Slot,
   Track,
+  VectorContext,
+  ViewState,
 }
@@ -0,0 +1,180 @@
+import Viewer from '../src/Viewer';
+
+const json = () => ({cgview: {
+  version: '1.7.0',
+  sequence: {contigs: [
+    {name: 'c1', seq: 'ATGC'.repeat(1000)},
+    {name: 'c2', seq: 'GGCC'.repeat(1000)}
+  ]},
+  legend: {items: [{name: 'CDS', swatchColor: 'blue'}, {name: 'tRNA', swatchColor: 'red'}]},
+  captions: [{name: 'Title', position: 'bottom-center'}],
+  features: [
+    {name: 'f1', start: 10, stop: 200, legend: 'CDS', source: 'test', contig: 'c1'},
+    {name: 'f2', start: 400, stop: 600, legend: 'tRNA', source: 'test', contig: 'c2'}
+  ],
+  tracks: [
+    {name: 'Features', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'},
+    {name: 'More', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'},
+    {name: 'Other', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'}
+  ]
+}});
+
+describe('EditHistory', () => {
+
+  let cgv;
+
+  beforeAll(() => {
+    document.body.innerHTML = '<div id="map"></div>';
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    cgv = new Viewer('#map');
+    cgv.io.loadJSON(json());
+  });
+
+  test('starts empty after loading', () => {
+    expect(cgv.canUndo).toBe(false);
+    expect(cgv.canRedo).toBe(false);
+    expect(cgv.undo()).toBe(false);
+  });
+
+  test('undoes and redoes added features', () => {
+    const events = [];
+    cgv.on('history-update', e => events.push(e));
+    cgv.addFeatures({name: 'f3', start: 1000, stop: 1200, legend: 'CDS', source: 'test', contig: 'c1'});
+    expect(cgv.canUndo).toBe(true);
+    expect(cgv.undo()).toBe(true);
+    expect(cgv.features().map( f => f.name )).toEqual(['f1', 'f2']);
+    expect(cgv.canRedo).toBe(true);
+    cgv.redo();
+    expect(cgv.features().map( f => f.name )).toEqual(['f1', 'f2', 'f3']);
+    expect(cgv.features('f3').legendItem.name).toBe('CDS');
+    expect(events).toEqual([
+      {action: 'record', canUndo: true, canRedo: false},
+      {action: 'undo', canUndo: false, canRedo: true},
+      {action: 'redo', canUndo: true, canRedo: false}
+    ]);
+  });
+
+  test('undoes updates', () => {
+    const item = cgv.legend.items(1);
+    cgv.legend.updateItems(item, {swatchColor: 'green', name: 'Genes'});
+    cgv.settings.update({backgroundColor: 'black'});
+    cgv.undo();
+    expect(cgv.settings.backgroundColor.rgbaString).toBe('rgba(255,255,255,1)');
+    cgv.undo();
+    expect(item.name).toBe('CDS');
+    expect(item.swatchColor.rgbaString).toBe('rgba(0,0,255,1)');
+    cgv.redo();
+    expect(item.name).toBe('Genes');
+    expect(item.swatchColor.rgbaString).toBe('rgba(0,128,0,1)');
+  });
+
+  test('does not record updates that change nothing', () => {
+    cgv.updateTracks(cgv.tracks(1), {visible: true});
+    expect(cgv.canUndo).toBe(false);
+  });
+
+  test('restores removed records at their index and keeps later steps', () => {
+    cgv.updateTracks(cgv.tracks(2), {visible: false});
+    cgv.removeTracks(cgv.tracks(2));
+    cgv.moveTrack(0, 1);
+    expect(cgv.tracks().map( t => t.name )).toEqual(['Other', 'Features']);
+
+    cgv.undo();
+    cgv.undo();
+    expect(cgv.tracks().map( t => t.name )).toEqual(['Features', 'More', 'Other']);
+    const track = cgv.tracks(2);
+    expect(track.visible).toBe(false);
+    expect(track.features().length).toBe(2);
+    // The update applies to the added track
+    cgv.undo();
+    expect(track.visible).toBe(true);
+    cgv.redo();
+    cgv.redo();
+    expect(cgv.tracks().map( t => t.name )).toEqual(['Features', 'Other']);
+    expect(cgv.objects(track.cgvID)).toBeUndefined();
+  });
+
+  test('points features and plots to legend items restored by undo', () => {
+    const [plot] = cgv.addPlots({name: 'p1', positions: [1, 2000], scores: [0.2, 0.8], legend: 'tRNA'});
+    cgv.legend.removeItems(cgv.legend.items('tRNA'));
+    cgv.undo();
+    const item = cgv.legend.items('tRNA');
+    expect(cgv.features('f2').legendItem).toBe(item);
+    expect(plot.legendItemPositive).toBe(item);
+    expect(plot.legendItemNegative).toBe(item);
+    // Again after redo and undo
+    cgv.redo();
+    cgv.undo();
+    expect(cgv.features('f2').legendItem).toBe(cgv.legend.items('tRNA'));
+    expect(cgv.features('f1').legendItem).toBe(cgv.legend.items('CDS'));
+  });
+
+  test('records a batch as one step', () => {
+    cgv.batch( () => {
+      cgv.removeFeatures(cgv.features('f1'));
+      cgv.addCaptions({name: 'Subtitle', position: 'top-center'});
+      cgv.moveCaption(1, 0);
+    });
+    expect(cgv.editHistory.undoLength).toBe(1);
+    cgv.undo();
+    expect(cgv.features().map( f => f.name )).toEqual(['f2', 'f1']);
+    expect(cgv.captions().map( c => c.name )).toEqual(['Title']);
+    cgv.redo();
+    expect(cgv.captions().map( c => c.name )).toEqual(['Subtitle', 'Title']);
+    expect(cgv.features().length).toBe(1);
+  });
+
+  test('undoes contig removal with its features', () => {
+    cgv.sequence.removeContigs(cgv.sequence.contigs(1));
+    expect(cgv.editHistory.undoLength).toBe(1);
+    expect(cgv.features().map( f => f.name )).toEqual(['f2']);
+    cgv.undo();
+    expect(cgv.sequence.contigs().map( c => c.name )).toEqual(['c1', 'c2']);
+    expect(cgv.features('f1').contig.name).toBe('c1');
+  });
+
+  test('clears redo on a new change and the history on load', () => {
+    cgv.addBookmarks({bp: 100, name: 'B1', bbOffset: 0});
+    cgv.undo();
+    cgv.addBookmarks({bp: 200, name: 'B2', bbOffset: 0});
+    expect(cgv.canRedo).toBe(false);
+    cgv.io.loadJSON(json());
+    expect(cgv.canUndo).toBe(false);
+  });
+
+  test('limits the number of steps', () => {
+    cgv.editHistory.maxSize = 2;
+    ['a', 'b', 'c'].forEach( name => cgv.updateCaptions(cgv.captions(1), {name}) );
+    expect(cgv.editHistory.undoLength).toBe(2);
+    cgv.undo();
+    cgv.undo();
+    expect(cgv.captions(1).name).toBe('a');
+  });
+
+  test('ignores changes made by sequence extraction', () => {
+    // Workers started by the sequence extractor
+    const workers = [];
+    window.Worker = class { constructor() { workers.push(this); } postMessage() {} };
+    URL.createObjectURL = () => 'blob:worker';
+    const data = json();
+    data.cgview.tracks.push({name: 'GC Skew', dataType: 'plot', dataMethod: 'sequence', dataKeys: 'gc-skew'});
+    cgv.io.loadJSON(data);
+    delete window.Worker;
+    delete URL.createObjectURL;
+    expect(workers.length).toBe(1);
+    const worker = workers[0];
+    worker.onmessage({data: {messageType: 'progress', progress: 10}});
+    worker.onmessage({data: {messageType: 'progress', progress: 20}});
+    worker.onmessage({data: {messageType: 'complete', baseContent: {positions: [1, 4000], scores: [0.2, -0.2], average: 0, min: -0.2, max: 0.2}}});
+    expect(cgv.tracks('GC Skew').plot).toBeDefined();
+    expect(cgv.legend.items().map( i => i.name )).toContain('GC Skew+');
+    expect(cgv.canUndo).toBe(false);
+    // Changes made by the user are still recorded
+    cgv.updateTracks(cgv.tracks('GC Skew'), {loadProgress: 50, name: 'Skew'});
+    expect(cgv.editHistory.undoLength).toBe(1);
+  });
+
+});
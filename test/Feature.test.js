@@ -129,6 +129,19 @@ describe('Feature', () => {
 
   });
 
-});
+  describe('translate', () => {
+
+    beforeEach(() => {
+      cgv = new Viewer('#map', { sequence: { seq: 'CATGAAATTTTAACCC' } });
+    });
 
+    test('uses the codon start', () => {
+      const [feature] = cgv.addFeatures([{name: 'f1', start: 1, stop: 13}]);
+      expect(feature.translate()).toEqual('HEIL');
+      feature.codonStart = 2;
+      expect(feature.translate()).toEqual('MKF*');
+    });
+
+  });
 
+});
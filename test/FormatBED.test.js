@@ -0,0 +1,102 @@
+import FormatBED from '../src/FormatBED';
+import Viewer from '../src/Viewer';
+
+const bed = [
+  'browser position chr1:1-1000',
+  'track name="My Peaks" description="test"',
+  'ctg1\t0\t100\tpeak1\t500\t+',
+  'ctg1\t199\t400\tgene1\t1000\t-\t199\t400\t0\t2\t50,101,\t0,100,',
+  'ctg2\t10\t20',
+  'ctg1\t50\t40\tbad',
+  ''
+].join('\n');
+
+const bedGraph = [
+  'track type=bedGraph name=Coverage',
+  'ctg1\t0\t100\t2.5',
+  'ctg1\t100\t200\t-1',
+  'ctg1\t300\t400\t4',
+  'ctg2\t0\t50\t3',
+  ''
+].join('\n');
+
+describe('FormatBED', () => {
+
+  describe('parse', () => {
+
+    test('reads BED rows with 1-based positions', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const parsed = FormatBED.parse(bed);
+      expect(parsed.name).toBe('My Peaks');
+      expect(parsed.rows.length).toBe(3);
+      expect(parsed.rows[0]).toMatchObject({chrom: 'ctg1', start: 1, stop: 100, name: 'peak1', score: 500, strand: 1});
+      expect(parsed.rows[1].blocks).toEqual([[200, 249], [300, 400]]);
+      expect(parsed.rows[2]).toMatchObject({chrom: 'ctg2', start: 11, stop: 20, name: '', strand: 1});
+      expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/^Line 6/));
+    });
+
+  });
+
+  describe('toFeatures', () => {
+
+    test('converts blocks to locations and scales scores', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const features = FormatBED.toFeatures(FormatBED.parse(bed).rows);
+      expect(features[0]).toMatchObject({name: 'peak1', source: 'bed', legend: 'bed', contig: 'ctg1', start: 1, stop: 100, score: 0.5});
+      expect(features[1].strand).toBe(-1);
+      expect(features[1].locations).toEqual([[200, 249], [300, 400]]);
+      expect(features[2].score).toBeUndefined();
+    });
+
+  });
+
+  describe('toPlot', () => {
+
+    test('fills gaps with 0', () => {
+      const plot = FormatBED.toPlot(FormatBED.parseBedGraph(bedGraph).rows.slice(0, 3), {length: 500});
+      expect(plot.positions).toEqual([1, 101, 201, 301, 401]);
+      expect(plot.scores).toEqual([2.5, -1, 0, 4, 0]);
+    });
+
+  });
+
+  describe('IO', () => {
+
+    let cgv;
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      cgv = new Viewer('#map');
+      cgv.io.loadJSON({cgview: {version: '1.7.0', sequence: {contigs: [{name: 'ctg1', length: 500}, {name: 'ctg2', length: 100}]}}});
+    });
+
+    test('loadBED adds features and a track', () => {
+      const features = cgv.io.loadBED(bed);
+      expect(features.length).toBe(3);
+      expect(features[2].contig.name).toBe('ctg2');
+      const track = cgv.tracks(cgv.tracks().length);
+      expect(track.name).toBe('My Peaks');
+      expect(track.dataMethod).toBe('source');
+      expect(track.features().length).toBe(3);
+    });
+
+    test('loadBedGraph adds a plot with map positions', () => {
+      const plot = cgv.io.loadBedGraph(bedGraph);
+      expect(plot.name).toBe('Coverage');
+      expect(Array.from(plot.positions)).toEqual([1, 101, 201, 301, 401, 501, 551]);
+      expect(Array.from(plot.scores)).toEqual([2.5, -1, 0, 4, 0, 3, 0]);
+      const track = cgv.tracks(cgv.tracks().length);
+      expect(track.dataType).toBe('plot');
+      expect(track.plot).toBe(plot);
+    });
+
+    test('loadBED skips unknown contigs', () => {
+      const features = cgv.io.loadBED('chrX\t0\t10\tx\nctg1\t0\t10\ty', {track: false});
+      expect(features.length).toBe(1);
+      expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/chrX/));
+    });
+
+  });
+
+});
@@ -0,0 +1,105 @@
+import FormatCGViewXML from '../src/FormatCGViewXML';
+import Viewer from '../src/Viewer';
+
+const xml = `<?xml version="1.0" encoding="ISO-8859-1"?>
+<cgview backboneRadius="160" sequenceLength="1000" title="pUC18" backgroundColor="white" backboneColor="rgb(102,102,102)" width="600" height="600">
+  <legend position="upper-right" font="SansSerif, plain, 10" backgroundOpacity="0.8">
+    <legendItem text="CDS" drawSwatch="true" swatchColor="rgb(0, 0, 153)" />
+    <legendItem text="Promoter" drawSwatch="true" swatchColor="red" />
+  </legend>
+  <legend position="lower-left">
+    <legendItem text="Plasmid pUC18" font="SansSerif, bold, 12" />
+    <legendItem text="2686 bp" />
+  </legend>
+  <featureSlot strand="direct" featureThickness="12">
+    <feature color="rgb(0,0,153)" decoration="clockwise-arrow" label="bla" font="SansSerif, plain, 8">
+      <featureRange start="10" stop="100" />
+      <featureRange start="150" stop="200" />
+    </feature>
+    <feature color="blue" decoration="arc" label="ori" hyperlink="http://example.com">
+      <featureRange start="300" stop="400" />
+      <featureRange start="500" stop="550" label="ori-2" />
+    </feature>
+  </featureSlot>
+  <featureSlot strand="reverse">
+    <feature color="red" decoration="counterclockwise-arrow" label="lacZ">
+      <featureRange start="600" stop="700" />
+    </feature>
+    <feature color="red" decoration="hidden">
+      <featureRange start="800" stop="900" />
+    </feature>
+  </featureSlot>
+</cgview>`;
+
+describe('FormatCGViewXML', () => {
+
+  describe('convert', () => {
+
+    test('converts slots, features, legends and captions', () => {
+      const { json } = FormatCGViewXML.convert(xml);
+      const cgview = json.cgview;
+      expect(cgview.name).toBe('pUC18');
+      expect(cgview.sequence.length).toBe(1000);
+      expect(cgview.backbone.color).toBe('rgb(102,102,102)');
+      expect(cgview.tracks.map( t => t.position )).toEqual(['outside', 'inside']);
+      expect(cgview.features.length).toBe(5);
+
+      const [bla, ori, ori2, lacZ, hidden] = cgview.features;
+      expect(bla).toMatchObject({name: 'bla', strand: 1, locations: [[10, 100], [150, 200]], legend: 'CDS', source: 'cgview-xml-slot-1'});
+      expect(ori).toMatchObject({name: 'ori', start: 300, stop: 400, meta: {hyperlink: 'http://example.com'}});
+      expect(ori2.name).toBe('ori-2');
+      expect(lacZ).toMatchObject({strand: -1, legend: 'Promoter', source: 'cgview-xml-slot-2'});
+      expect(hidden.visible).toBe(false);
+
+      const items = cgview.legend.items;
+      expect(cgview.legend.position).toBe('top-right');
+      expect(items.find( i => i.name === 'CDS' ).decoration).toBe('arrow');
+      // Colors without a legend item get a hidden legend item
+      expect(items.find( i => i.name === 'blue' )).toMatchObject({swatchColor: 'blue', decoration: 'arc', visible: false});
+      // Same color but a different decoration
+      expect(items.find( i => i.name === 'Promoter (arc)' ).visible).toBe(false);
+
+      expect(cgview.captions).toEqual([
+        {name: 'pUC18', position: 'middle-center'},
+        {name: 'Plasmid pUC18\n2686 bp', position: 'bottom-left', font: 'SansSerif, bold, 12'}
+      ]);
+    });
+
+    test('reports attributes that could not be converted', () => {
+      const { report } = FormatCGViewXML.convert(xml);
+      expect(report.unmapped).toEqual(expect.arrayContaining([
+        {element: 'cgview', attribute: 'backboneRadius', count: 1},
+        {element: 'legend', attribute: 'backgroundOpacity', count: 1},
+        {element: 'featureSlot', attribute: 'featureThickness', count: 1},
+        {element: 'feature', attribute: 'font', count: 1}
+      ]));
+      expect(report.unmapped.find( u => u.attribute === 'label' )).toBeUndefined();
+    });
+
+    test('throws for other XML', () => {
+      expect(() => FormatCGViewXML.convert('<svg></svg>')).toThrow(/<cgview>/);
+    });
+
+  });
+
+  describe('IO.loadCGViewXML', () => {
+
+    beforeAll(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+    });
+
+    test('loads the map and returns the report', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const cgv = new Viewer('#map');
+      const report = cgv.io.loadCGViewXML(xml);
+      expect(report.unmapped.length).toBeGreaterThan(0);
+      expect(cgv.sequence.length).toBe(1000);
+      expect(cgv.tracks().length).toBe(2);
+      expect(cgv.tracks(1).features().length).toBe(3);
+      expect(cgv.captions().length).toBe(2);
+      expect(cgv.features(1).legendItem.name).toBe('CDS');
+    });
+
+  });
+
+});
@@ -0,0 +1,70 @@
+import FormatFasta from '../src/FormatFasta';
+import Viewer from '../src/Viewer';
+
+const fasta = [
+  '>ctg1 Plasmid A, complete',
+  'acgtacgtac',
+  'GTNNRYKM',
+  '>ctg2',
+  'ACGTACGTACGTACGTACGT',
+  '>empty',
+  ''
+].join('\r\n');
+
+describe('FormatFasta', () => {
+
+  describe('parse', () => {
+
+    test('reads names, descriptions and sequences', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const records = FormatFasta.parse(fasta);
+      expect(records).toEqual([
+        {name: 'ctg1', description: 'Plasmid A, complete', seq: 'ACGTACGTACGTNNRYKM'},
+        {name: 'ctg2', description: '', seq: 'ACGTACGTACGTACGTACGT'}
+      ]);
+      expect(console.error).toHaveBeenCalledWith(expect.stringMatching(/'empty' has no sequence/));
+    });
+
+    test('reads very long lines', () => {
+      const seq = 'ACGT'.repeat(250000);
+      const records = FormatFasta.parse(`>long\n${seq}\n`);
+      expect(records[0].seq.length).toBe(1000000);
+    });
+
+    test('replaces invalid characters with N', () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const records = FormatFasta.parse('>a\nAC*GT 12 X');
+      expect(records[0].seq).toBe('ACNGTN');
+    });
+
+  });
+
+  describe('IO.loadFasta', () => {
+
+    let cgv;
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      cgv = new Viewer('#map');
+    });
+
+    test('replaces the map with the FASTA contigs', () => {
+      const contigs = cgv.io.loadFasta(fasta);
+      expect(contigs.length).toBe(2);
+      expect(cgv.sequence.length).toBe(38);
+      expect(cgv.sequence.contigs(1).meta).toEqual({description: 'Plasmid A, complete'});
+      expect(cgv.sequence.contigs(2).name).toBe('ctg2');
+    });
+
+    test('can add contigs to the current sequence', () => {
+      cgv.io.loadFasta('>first\nACGT');
+      const added = cgv.io.loadFasta(fasta, {replace: false});
+      expect(added.length).toBe(2);
+      expect(cgv.sequence.contigs().length).toBe(3);
+      expect(cgv.sequence.length).toBe(42);
+    });
+
+  });
+
+});
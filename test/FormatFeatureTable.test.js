@@ -0,0 +1,101 @@
+import FormatFeatureTable from '../src/FormatFeatureTable';
+import Viewer from '../src/Viewer';
+
+describe('FormatFeatureTable', () => {
+
+  describe('write', () => {
+
+    test('writes the columns and quotes values', () => {
+      const table = FormatFeatureTable.write([
+        {name: 'dnaA', type: 'CDS', start: 1, stop: 100, strand: -1, tags: ['a', 'b'], qualifiers: {product: 'initiator, "DnaA"'}},
+        {name: 'ori', type: 'rep_origin', start: 200, stop: 300, strand: 1, locations: [[200, 250], [260, 300]]}
+      ], {columns: ['name', 'start', 'stop', 'strand', 'tags', 'locations', 'qualifiers.product']});
+      expect(table).toBe([
+        'name,start,stop,strand,tags,locations,qualifiers.product',
+        'dnaA,1,100,-,a;b,,"initiator, ""DnaA"""',
+        'ori,200,300,+,,"200..250,260..300",',
+        ''
+      ].join('\n'));
+    });
+
+  });
+
+  describe('parse', () => {
+
+    test('reads rows using the column map', () => {
+      const text = [
+        'Gene\tBegin\tEnd\tstrand\tProduct\tNotes',
+        'dnaA\t1\t100\t-\tinitiator\tx',
+        'dnaN\t200\t300\t+\t\t',
+        ''
+      ].join('\n');
+      const { features, errors, ignoredColumns } = FormatFeatureTable.parse(text, {columnMap: {Gene: 'name', Begin: 'start', End: 'stop', Product: 'qualifiers.product'}});
+      expect(errors).toEqual([]);
+      expect(ignoredColumns).toEqual(['Notes']);
+      expect(features).toEqual([
+        {line: 2, data: {name: 'dnaA', start: 1, stop: 100, strand: -1, qualifiers: {product: 'initiator'}}},
+        {line: 3, data: {name: 'dnaN', start: 200, stop: 300, strand: 1}}
+      ]);
+    });
+
+    test('reports bad rows with line numbers', () => {
+      const text = [
+        'name,start,stop,strand,locations',
+        'a,1,10,+,',
+        '"multi',
+        'line",5,x,+,',
+        'c,5,10,?,',
+        'd,5,10',
+        'e,1,20,+,1..5;10..20'
+      ].join('\n');
+      const { features, errors } = FormatFeatureTable.parse(text);
+      expect(features.map( f => f.line )).toEqual([2]);
+      expect(errors).toEqual([
+        {line: 3, message: "stop 'x' is not a positive integer"},
+        {line: 5, message: "strand '?' must be '+' or '-'"},
+        {line: 6, message: 'Expected 5 columns but found 3.'},
+        {line: 7, message: "locations '1..5;10..20' must look like '1..100,200..300'"}
+      ]);
+    });
+
+  });
+
+  describe('IO', () => {
+
+    let cgv;
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      cgv = new Viewer('#map');
+      cgv.io.loadJSON({cgview: {version: '1.7.0', sequence: {contigs: [{name: 'ctg1', length: 500}, {name: 'ctg2', length: 500}]}}});
+    });
+
+    test('round-trips features through a table', () => {
+      cgv.addFeatures([
+        {name: 'dnaA', type: 'CDS', contig: 'ctg2', start: 1, stop: 100, strand: -1, source: 'curated', legend: 'Genes', tags: ['x', 'y']},
+        {name: 'ori', type: 'rep_origin', contig: 'ctg1', start: 20, stop: 90, legend: 'Other'}
+      ]);
+      const table = cgv.io.featuresToTable(undefined, {delimiter: '\t'});
+      expect(table.split('\n')[0]).toBe('name\ttype\tcontig\tstart\tstop\tstrand\tsource\tlegend\ttags');
+
+      cgv.removeFeatures(cgv.features());
+      const { features, errors } = cgv.io.loadFeatureTable(table);
+      expect(errors).toEqual([]);
+      expect(features.length).toBe(2);
+      const dnaA = cgv.features('dnaA');
+      expect(dnaA.contig.name).toBe('ctg2');
+      expect(dnaA.strand).toBe(-1);
+      expect(dnaA.legendItem.name).toBe('Genes');
+      expect(Array.from(dnaA.tags)).toEqual(['x', 'y']);
+    });
+
+    test('reports unknown contigs', () => {
+      const { features, errors } = cgv.io.loadFeatureTable('name,contig,start,stop\na,ctg1,1,10\nb,chrX,1,10\n');
+      expect(features.length).toBe(1);
+      expect(errors).toEqual([{line: 3, message: "contig 'chrX' was not found"}]);
+    });
+
+  });
+
+});
@@ -0,0 +1,137 @@
+import FormatGFF3 from '../src/FormatGFF3';
+import Viewer from '../src/Viewer';
+
+const gff3 = [
+  '##gff-version 3',
+  '##sequence-region ctg1 1 60',
+  '##sequence-region ctg2 1 20',
+  'ctg1\tRefSeq\tregion\t1\t60\t.\t+\t.\tID=ctg1:1..60;Is_circular=true',
+  'ctg1\tProkka\tgene\t1\t12\t.\t+\t.\tID=gene1;Name=abcA;locus_tag=T_001',
+  'ctg1\tProkka\tCDS\t1\t12\t.\t+\t0\tID=cds1;Parent=gene1;product=ABC%2C transporter;transl_table=11',
+  'ctg1\tmaker\tgene\t20\t50\t.\t-\t.\tID=gene2;Name=xyzB',
+  'ctg1\tmaker\tmRNA\t20\t50\t.\t-\t.\tID=mrna2;Parent=gene2',
+  'ctg1\tmaker\texon\t20\t25\t.\t-\t.\tID=exon1;Parent=mrna2',
+  'ctg1\tmaker\texon\t30\t50\t.\t-\t.\tID=exon2;Parent=mrna2',
+  'ctg1\tmaker\tCDS\t22\t25\t.\t-\t1\tID=cds2;Parent=mrna2',
+  'ctg1\tmaker\tCDS\t30\t45\t.\t-\t2\tID=cds2;Parent=mrna2',
+  'ctg2\tmaker\trepeat_region\t2\t8\t0.5\t+\t.\tNote=repeat;Dbxref=a:1,b:2',
+  '##FASTA',
+  '>ctg1 first contig',
+  'ATGGCGGCGGCGTAAATGCATGCATGCATGCATGCATGCA',
+  'tgcatgcatgcatgcatgca',
+  '>ctg2',
+  'ACGTACGTACGTACGTACGT',
+  ''
+].join('\n');
+
+describe('FormatGFF3', () => {
+
+  describe('parse', () => {
+
+    test('reads directives, rows and sequences', () => {
+      const parsed = FormatGFF3.parse(gff3);
+      expect(parsed.sequenceRegions).toEqual([{name: 'ctg1', start: 1, end: 60}, {name: 'ctg2', start: 1, end: 20}]);
+      expect(parsed.rows.length).toBe(10);
+      expect(parsed.sequences.map( s => s.seq.length )).toEqual([60, 20]);
+      expect(parsed.sequences[0].seq).toMatch(/^[ACGT]+$/);
+    });
+
+    test('reads attributes', () => {
+      const attributes = FormatGFF3.parseAttributes('ID=cds1;Parent=gene1,gene2;product=ABC%3B transporter');
+      expect(attributes).toEqual({ID: 'cds1', Parent: ['gene1', 'gene2'], product: 'ABC; transporter'});
+    });
+
+  });
+
+  describe('toCGViewJSON', () => {
+
+    test('merges parent/child chains', () => {
+      const json = FormatGFF3.toCGViewJSON(gff3).cgview;
+      expect(json.sequence.contigs.map( c => c.name )).toEqual(['ctg1', 'ctg2']);
+      expect(json.features.map( f => f.type )).toEqual(['CDS', 'mRNA', 'CDS', 'repeat_region']);
+      const [cds1, mrna2, cds2, repeat] = json.features;
+      expect(cds1.name).toBe('abcA');
+      expect(cds1.geneticCode).toBe(11);
+      expect(cds1.qualifiers.product).toBe('ABC, transporter');
+      expect(cds1.qualifiers.locus_tag).toBe('T_001');
+      expect(mrna2.name).toBe('xyzB');
+      expect(mrna2.strand).toBe(-1);
+      expect(mrna2.locations).toEqual([[20, 25], [30, 50]]);
+      expect(cds2.locations).toEqual([[22, 25], [30, 45]]);
+      // Phase comes from the 5' most part (reverse strand)
+      expect(cds2.codonStart).toBe(3);
+      expect(repeat.contig).toBe('ctg2');
+      expect(repeat.score).toBe(0.5);
+      expect(repeat.qualifiers.Dbxref).toEqual(['a:1', 'b:2']);
+    });
+
+    test('flat hierarchy keeps every ID as a feature', () => {
+      const json = FormatGFF3.toCGViewJSON(gff3, {hierarchy: 'flat'}).cgview;
+      expect(json.features.length).toBe(8);
+      const cds2 = json.features.find( f => f.qualifiers && f.qualifiers.ID === 'cds2' );
+      expect(cds2.locations).toEqual([[22, 25], [30, 45]]);
+      expect(cds2.qualifiers.Parent).toEqual(['mrna2']);
+    });
+
+    test('uses feature extents when there are no sequences', () => {
+      const json = FormatGFF3.toCGViewJSON('chr\t.\tgene\t5\t100\t.\t+\t.\tID=g1').cgview;
+      expect(json.sequence.contigs).toEqual([{name: 'chr', length: 100}]);
+    });
+
+  });
+
+  describe('write', () => {
+
+    test('writes one row per location with CDS phases', () => {
+      const text = FormatGFF3.write([{
+        name: 'ctg1', seq: 'ACGT'.repeat(10),
+        features: [
+          {name: 'cds;1', type: 'CDS', source: 'test', strand: -1, locations: [[1, 10], [20, 30]], codonStart: 2, qualifiers: {Dbxref: ['a:1', 'b:2']}},
+          {name: 'misc', type: 'misc feature', strand: 1, locations: [[5, 6]], score: 0.5}
+        ]
+      }], {geneticCode: 11});
+      const lines = text.split('\n');
+      expect(lines[1]).toBe('##sequence-region ctg1 1 40');
+      expect(lines[2]).toBe('ctg1\ttest\tCDS\t1\t10\t.\t-\t2\tID=feature-1;Name=cds%3B1;Dbxref=a:1,b:2;transl_table=11');
+      expect(lines[3]).toBe('ctg1\ttest\tCDS\t20\t30\t.\t-\t1\tID=feature-1;Name=cds%3B1;Dbxref=a:1,b:2;transl_table=11');
+      expect(lines[4]).toBe('ctg1\tCGView\tmisc_feature\t5\t6\t0.5\t+\t.\tID=feature-2;Name=misc');
+      expect(lines[5]).toBe('##FASTA');
+
+      const json = FormatGFF3.toCGViewJSON(text).cgview;
+      expect(json.features[0]).toMatchObject({name: 'cds;1', strand: -1, locations: [[1, 10], [20, 30]], codonStart: 2, geneticCode: 11});
+    });
+
+  });
+
+  describe('IO.loadGFF3', () => {
+
+    beforeAll(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+    });
+
+    test('loads the GFF3 into the viewer', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const cgv = new Viewer('#map');
+      cgv.io.loadGFF3(gff3);
+      expect(cgv.sequence.length).toBe(80);
+      expect(cgv.features().length).toBe(4);
+      expect(cgv.features(2).locations).toEqual([[20, 25], [30, 50]]);
+      expect(cgv.features(4).contig.name).toBe('ctg2');
+    });
+
+    test('exports the map back to GFF3', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const cgv = new Viewer('#map');
+      cgv.io.loadGFF3(gff3);
+      const json = FormatGFF3.toCGViewJSON(cgv.io.toGFF3()).cgview;
+      expect(json.sequence.contigs.map( c => c.seq.length )).toEqual([60, 20]);
+      // Features without a name are named with the generated ID
+      expect(json.features.map( f => f.name )).toEqual(['abcA', 'xyzB', 'xyzB', 'feature-4']);
+      const cds2 = json.features[2];
+      expect(cds2.locations).toEqual([[22, 25], [30, 45]]);
+      expect(cds2.codonStart).toBe(3);
+    });
+
+  });
+
+});
@@ -0,0 +1,182 @@
+import FormatGenBank from '../src/FormatGenBank';
+import Viewer from '../src/Viewer';
+
+const genbank = `LOCUS       TEST_1                    60 bp    DNA     circular BCT 01-JAN-2024
+DEFINITION  Test plasmid, complete
+            sequence.
+ACCESSION   TEST_1
+VERSION     TEST_1.1
+SOURCE      Escherichia coli
+  ORGANISM  Escherichia coli
+FEATURES             Location/Qualifiers
+     source          1..60
+                     /organism="Escherichia coli"
+     CDS             1..12
+                     /gene="abcA"
+                     /codon_start=1
+                     /transl_table=11
+                     /product="ABC ""transporter""
+                     protein"
+                     /db_xref="GI:1"
+                     /db_xref="GeneID:2"
+                     /translation="MAAA"
+     CDS             complement(join(20..25,
+                     30..35))
+                     /locus_tag="T_002"
+                     /pseudo
+     tRNA            join(complement(55..58),complement(40..44))
+                     /product="tRNA-Ala"
+ORIGIN
+        1 atggcggcgg cgtaaatgca tgcatgcatg catgcatgca tgcatgcatg catgcatgca
+//
+LOCUS       TEST_2                    10 bp    DNA     linear   BCT 01-JAN-2024
+FEATURES             Location/Qualifiers
+     misc_feature    <2..>8
+ORIGIN
+        1 acgtacgtac
+//
+`;
+
+describe('FormatGenBank', () => {
+
+  describe('parseLocation', () => {
+
+    test('simple range', () => {
+      expect(FormatGenBank.parseLocation('10..20')).toEqual({strand: 1, locations: [[10, 20]]});
+    });
+
+    test('partial range', () => {
+      expect(FormatGenBank.parseLocation('<10..>20')).toEqual({strand: 1, locations: [[10, 20]]});
+    });
+
+    test('complement join is returned in map order', () => {
+      expect(FormatGenBank.parseLocation('complement(join(1..5,10..20))')).toEqual({strand: -1, locations: [[1, 5], [10, 20]]});
+    });
+
+    test('join of complements is returned in map order', () => {
+      expect(FormatGenBank.parseLocation('join(complement(10..20),complement(1..5))')).toEqual({strand: -1, locations: [[1, 5], [10, 20]]});
+    });
+
+    test('join over the origin keeps the location order', () => {
+      expect(FormatGenBank.parseLocation('join(90..100,1..10)')).toEqual({strand: 1, locations: [[90, 100], [1, 10]]});
+    });
+
+    test('remote locations are ignored', () => {
+      expect(FormatGenBank.parseLocation('join(AB000123.1:1..10,20..30)').locations).toEqual([[20, 30]]);
+    });
+
+  });
+
+  describe('parse', () => {
+
+    test('reads each LOCUS record', () => {
+      const records = FormatGenBank.parse(genbank);
+      expect(records.length).toBe(2);
+      expect(records[0].name).toBe('TEST_1');
+      expect(records[0].length).toBe(60);
+      expect(records[0].topology).toBe('circular');
+      expect(records[0].definition).toBe('Test plasmid, complete sequence.');
+      expect(records[0].seq.length).toBe(60);
+      expect(records[1].topology).toBe('linear');
+    });
+
+    test('reads qualifiers', () => {
+      const cds = FormatGenBank.parse(genbank)[0].features[1];
+      expect(cds.qualifiers.product).toBe('ABC "transporter" protein');
+      expect(cds.qualifiers.db_xref).toEqual(['GI:1', 'GeneID:2']);
+      const pseudo = FormatGenBank.parse(genbank)[0].features[2];
+      expect(pseudo.qualifiers.pseudo).toBe(true);
+      expect(pseudo.locations).toEqual([[20, 25], [30, 35]]);
+    });
+
+  });
+
+  describe('toCGViewJSON', () => {
+
+    test('creates contigs and features', () => {
+      const json = FormatGenBank.toCGViewJSON(genbank).cgview;
+      expect(json.sequence.contigs.map( c => c.name )).toEqual(['TEST_1', 'TEST_2']);
+      // The source feature is skipped by default
+      expect(json.features.length).toBe(4);
+      const cds = json.features[0];
+      expect(cds.name).toBe('abcA');
+      expect(cds.type).toBe('CDS');
+      expect(cds.codonStart).toBe(1);
+      expect(cds.geneticCode).toBe(11);
+      expect(cds.translation).toBe('MAAA');
+      expect(cds.qualifiers.translation).toBeUndefined();
+      expect(json.tracks[0].dataKeys).toBe('genbank');
+    });
+
+  });
+
+  describe('write', () => {
+
+    test('writes locations and qualifiers', () => {
+      const text = FormatGenBank.write([{
+        name: 'ctg1', seq: 'ACGT'.repeat(20), topology: 'linear',
+        features: [{
+          name: 'abcA', type: 'CDS', strand: -1, locations: [[1, 10], [20, 30]], codonStart: 2,
+          qualifiers: {product: 'A "long" product name that will need to be wrapped onto the next line of the file', db_xref: ['a:1', 'b:2'], pseudo: true}
+        }]
+      }], {geneticCode: 11, date: new Date(2024, 0, 1)});
+      const lines = text.split('\n');
+      expect(lines[0]).toBe('LOCUS       ctg1                      80 bp    DNA     linear   UNK 01-JAN-2024');
+      expect(text).toContain('     CDS             complement(join(1..10,20..30))\n');
+      expect(text).toContain('/label="abcA"');
+      expect(text).toContain('/codon_start=2');
+      expect(text).toContain('/transl_table=11');
+      expect(text).toContain('/pseudo\n');
+      expect(text).toContain('        1 acgtacgtac');
+      expect(lines.every( l => l.length <= 80 )).toBe(true);
+
+      const record = FormatGenBank.parse(text)[0];
+      const feature = record.features[1];
+      expect(feature.strand).toBe(-1);
+      expect(feature.locations).toEqual([[1, 10], [20, 30]]);
+      expect(feature.qualifiers.product).toBe('A "long" product name that will need to be wrapped onto the next line of the file');
+      expect(feature.qualifiers.db_xref).toEqual(['a:1', 'b:2']);
+      expect(record.seq).toBe('ACGT'.repeat(20));
+    });
+
+  });
+
+  describe('IO.loadGenBank', () => {
+
+    beforeAll(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+    });
+
+    test('loads the GenBank records into the viewer', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const cgv = new Viewer('#map');
+      cgv.io.loadGenBank(genbank);
+      expect(cgv.sequence.length).toBe(70);
+      expect(cgv.contigs().length).toBe(2);
+      expect(cgv.features().length).toBe(4);
+      const cds = cgv.features(2);
+      expect(cds.strand).toBe(-1);
+      expect(cds.locations).toEqual([[20, 25], [30, 35]]);
+      expect(cgv.features(4).contig.name).toBe('TEST_2');
+      expect(cgv.tracks(1).features().length).toBe(4);
+    });
+
+    test('exports the map back to GenBank', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const cgv = new Viewer('#map');
+      cgv.io.loadGenBank(genbank);
+      const records = FormatGenBank.parse(cgv.io.toGenBank());
+      expect(records.map( r => r.name )).toEqual(['TEST_1', 'TEST_2']);
+      expect(records[0].definition).toBe('Test plasmid, complete sequence.');
+      const cds = records[0].features.find( f => f.qualifiers.gene === 'abcA' );
+      expect(cds.qualifiers.translation).toBe('MAAA');
+      expect(cds.qualifiers.transl_table).toBe('11');
+      const trna = records[0].features.find( f => f.type === 'tRNA' );
+      expect(trna.strand).toBe(-1);
+      expect(trna.locations).toEqual([[40, 44], [55, 58]]);
+      expect(records[1].features[1].locations).toEqual([[2, 8]]);
+    });
+
+  });
+
+});
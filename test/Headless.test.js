@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+import zlib from 'zlib';
+import { Blob } from 'buffer';
+import { CompressionStream } from 'stream/web';
+import Viewer from '../src/Viewer';
+
+// Node globals that the jest node environment does not provide
+Object.assign(global, { Blob, CompressionStream });
+
+// A minimal 2D context for Node: drawing calls are counted and
+// getImageData returns the last fill color for every pixel.
+function createContext(width, height) {
+  const state = { fillStyle: '#000000', calls: 0 };
+  const canvas = { width, height };
+  const ctx = {
+    canvas,
+    measureText: text => ({ width: text.length * 6 }),
+    getLineDash: () => [],
+    getImageData: (x, y, w, h) => {
+      const data = new Uint8ClampedArray(w * h * 4);
+      const match = /rgba?\((\d+),\s*(\d+),\s*(\d+)/.exec(state.fillStyle) || [0, 0, 0, 0];
+      for (let i = 0; i < data.length; i += 4) {
+        data.set([Number(match[1]), Number(match[2]), Number(match[3]), 255], i);
+      }
+      return { data };
+    }
+  };
+  return new Proxy(ctx, {
+    get: (target, name) => {
+      if (name in target) { return target[name]; }
+      if (name in state) { return state[name]; }
+      return () => { state.calls++; };
+    },
+    set: (target, name, value) => {
+      state[name] = value;
+      return true;
+    }
+  });
+}
+
+const json = {cgview: {
+  version: '1.7.0',
+  sequence: {length: 10000},
+  settings: {backgroundColor: 'rgb(10,20,30)'},
+  legend: {items: [{name: 'Genes', swatchColor: 'blue'}]},
+  features: [{name: 'f1', start: 10, stop: 2000, legend: 'Genes', source: 'test'}],
+  tracks: [{name: 'Features', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'}]
+}};
+
+describe('Headless Viewer', () => {
+
+  let cgv;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    cgv = new Viewer(null, {width: 400, height: 300, contextFactory: createContext});
+    cgv.io.loadJSON(json);
+  });
+
+  test('runs without a DOM', () => {
+    expect(typeof document).toBe('undefined');
+    expect(cgv.headless).toBe(true);
+    expect(cgv.canvas.node('map')).toMatchObject({width: 400, height: 300});
+    expect(cgv.features().length).toBe(1);
+    cgv.drawExport();
+    expect(cgv.canvas.context('map').calls).toBeGreaterThan(0);
+    cgv.resize(500, 500);
+    expect(cgv.canvas.node('map')).toMatchObject({width: 500, height: 500});
+  });
+
+  test('requires a context factory', () => {
+    expect(() => new Viewer(null)).toThrow(/contextFactory/);
+  });
+
+  test('returns SVG', () => {
+    const svg = cgv.io.getSVG();
+    expect(svg).toMatch(/^<svg /);
+    expect(svg).toContain('data-name="Features"');
+    expect(svg).toContain('<g id="legend"');
+  });
+
+  test('returns PNG bytes', async () => {
+    const png = await cgv.io.getPNG(200, 100);
+    expect(png).toBeInstanceOf(Uint8Array);
+    expect(Array.from(png.subarray(1, 4))).toEqual([80, 78, 71]);
+    // IHDR width and height
+    const view = new DataView(png.buffer, png.byteOffset);
+    expect([view.getUint32(16), view.getUint32(20)]).toEqual([200, 100]);
+    // Rows of 200 pixels with a filter byte
+    const idat = [];
+    for (let offset = 8; offset < png.length;) {
+      const length = view.getUint32(offset);
+      if (String.fromCharCode(...png.subarray(offset + 4, offset + 8)) === 'IDAT') {
+        idat.push(png.subarray(offset + 8, offset + 8 + length));
+      }
+      offset += length + 12;
+    }
+    const pixels = zlib.inflateSync(Buffer.concat(idat));
+    expect(pixels.length).toBe(100 * 801);
+  });
+
+  test('zooms without the zoom behaviour', async () => {
+    cgv.zoomTo(2500, 4, {duration: 0});
+    await new Promise( resolve => setTimeout(resolve, 50) );
+    expect(cgv.zoomFactor).toBe(4);
+    expect(cgv.bp).toBe(2500);
+  });
+
+});
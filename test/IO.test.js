@@ -1,5 +1,8 @@
 import Viewer from '../src/Viewer';
 import IO from '../src/IO';
+import zlib from 'zlib';
+import { TextEncoder } from 'util';
+import { CompressionStream, DecompressionStream } from 'stream/web';
 
 describe('IO', () => {
 
@@ -35,6 +38,122 @@ describe('IO', () => {
 
   });
 
-});
+  describe('detectFormat', () => {
 
+    test('detects the format from the contents', () => {
+      expect(cgv.io.detectFormat('{"cgview": {}}', 'map.txt')).toBe('json');
+      expect(cgv.io.detectFormat('LOCUS       ABC', 'map.txt')).toBe('genbank');
+      expect(cgv.io.detectFormat('##gff-version 3\n', 'map.txt')).toBe('gff3');
+      expect(cgv.io.detectFormat('>seq1\nACGT\n', 'map.txt')).toBe('fasta');
+      expect(cgv.io.detectFormat('<?xml version="1.0"?>\n<cgview width="600">', 'map.txt')).toBe('cgview-xml');
+      expect(cgv.io.detectFormat('# comment\nchr1\t0\t100\tname\t0\t+\n', 'map.txt')).toBe('bed');
+      expect(cgv.io.detectFormat('chr1\t0\t100\t2.5\n', 'map.txt')).toBe('bedgraph');
+      expect(cgv.io.detectFormat('track type=bedGraph\nchr1\t0\t100\t2\n')).toBe('bedgraph');
+      expect(cgv.io.detectFormat('chr1\tsource\tgene\t1\t100\t.\t+\t.\tID=g1\n')).toBe('gff3');
+    });
 
+    test('uses the extension when the contents are not conclusive', () => {
+      expect(cgv.io.detectFormat('', 'peaks.BED')).toBe('bed');
+      expect(cgv.io.detectFormat('ACGT', 'seq.fna')).toBe('fasta');
+      expect(cgv.io.detectFormat('ACGT', 'notes.txt')).toBeUndefined();
+    });
+
+  });
+
+  describe('drag and drop', () => {
+
+    const drop = (files) => {
+      const event = new Event('drop');
+      event.dataTransfer = { files: files.map( ([name, text]) => new File([text], name) ) };
+      cgv.canvas.node('ui').dispatchEvent(event);
+    };
+    const dropped = () => new Promise( resolve => cgv.on('drop', resolve) );
+
+    test('loads several files in order and triggers the drop event', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const done = dropped();
+      drop([
+        ['peaks.bed', 'ctg1\t0\t100\tpeak1\n'],
+        ['more.fa', '>ctg2\nACGTACGT\n'],
+        ['map.fa', '>ctg1\nACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGTACGT\n']
+      ]);
+      const result = await done;
+      expect(result.loaded).toEqual([{name: 'more.fa', format: 'fasta'}, {name: 'map.fa', format: 'fasta'}, {name: 'peaks.bed', format: 'bed'}]);
+      expect(result.failed).toEqual([]);
+      expect(cgv.sequence.contigs().length).toBe(2);
+      expect(cgv.features().length).toBe(1);
+    });
+
+    test('reports files that could not be loaded', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const flash = jest.spyOn(cgv, 'flash');
+      const done = dropped();
+      drop([['notes.txt', 'hello'], ['bad.json', '{"cgview": '], ['map.json', '{"cgview": {"version": "1.7.0", "sequence": {"length": 1234}}}']]);
+      const result = await done;
+      expect(result.loaded).toEqual([{name: 'map.json', format: 'json'}]);
+      expect(result.failed.map( f => f.name )).toEqual(['notes.txt', 'bad.json']);
+      expect(result.failed[0].error).toBe('Unknown file format');
+      expect(cgv.sequence.length).toBe(1234);
+      // A newly loaded map has not been changed
+      expect(cgv.dataHasChanged).toBe(false);
+      expect(flash).toHaveBeenCalledWith(expect.stringMatching(/^Could not load 'notes.txt': Unknown file format<br>Could not load 'bad.json'/));
+    });
+
+  });
+
+  describe('compressed JSON', () => {
+
+    beforeAll(() => {
+      Object.assign(global, { CompressionStream, DecompressionStream, TextEncoder });
+    });
+
+    afterAll(() => {
+      delete global.CompressionStream;
+      delete global.DecompressionStream;
+      delete global.TextEncoder;
+    });
+
+    const readBytes = blob => new Promise( (resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(Buffer.from(reader.result));
+      reader.readAsArrayBuffer(blob);
+    });
+
+    test('compresses the JSON with gzip', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      cgv.io.loadJSON({ cgview: { version: '1.7.0', name: 'Small', sequence: { length: 1234 } } });
+      const blob = await cgv.io.getCompressedJSON();
+      expect(blob.type).toBe('application/gzip');
+      const json = JSON.parse(zlib.gunzipSync(await readBytes(blob)).toString());
+      expect(json.cgview.name).toBe('Small');
+      expect(json.cgview.version).toBe(cgv.io.toJSON().cgview.version);
+    });
+
+    test('downloads with a .gz extension', async () => {
+      const download = jest.spyOn(cgv.io, 'download').mockImplementation(() => {});
+      await cgv.io.downloadJSON('map.json', {compress: true});
+      expect(download).toHaveBeenCalledWith(expect.any(Blob), 'map.json.gz', 'application/gzip');
+    });
+
+    test('loads gzipped JSON', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const gz = zlib.gzipSync('{"cgview": {"version": "1.7.0", "sequence": {"length": 4321}}}');
+      await cgv.io.loadJSON(new Uint8Array(gz));
+      expect(cgv.sequence.length).toBe(4321);
+      await cgv.io.loadJSON(new Blob([gz]));
+      expect(cgv.sequence.length).toBe(4321);
+      await expect(cgv.io.loadJSON(new Uint8Array([0x1f, 0x8b, 1, 2, 3]))).rejects.toThrow();
+    });
+
+    test('loads dropped .json.gz files', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const gz = zlib.gzipSync('{"cgview": {"version": "1.7.0", "sequence": {"length": 2222}}}');
+      const result = await cgv.io.loadFiles([new File([gz], 'map.json.gz')]);
+      expect(result.loaded).toEqual([{name: 'map.json.gz', format: 'json'}]);
+      expect(cgv.sequence.length).toBe(2222);
+      expect(cgv.io.detectFormat('', 'peaks.bed.gz')).toBe('bed');
+    });
+
+  });
+
+});
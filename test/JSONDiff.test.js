@@ -0,0 +1,96 @@
+import JSONDiff from '../src/JSONDiff';
+import Viewer from '../src/Viewer';
+
+const original = () => ({cgview: {
+  version: '1.7.0',
+  sequence: {length: 10000},
+  legend: {items: [{name: 'CDS', swatchColor: 'blue'}, {name: 'tRNA', swatchColor: 'red'}]},
+  captions: [{name: 'My Map', position: 'bottom-center'}],
+  features: [
+    {name: 'dnaA', start: 1, stop: 1000, strand: 1, legend: 'CDS', source: 'genbank'},
+    {name: 'dnaN', start: 1200, stop: 2000, strand: 1, legend: 'CDS', source: 'genbank'},
+    {name: 'orf', start: 3000, stop: 3300, strand: -1, legend: 'CDS', source: 'genbank'},
+    {name: 'orf', start: 4000, stop: 4300, strand: -1, legend: 'CDS', source: 'genbank'}
+  ],
+  bookmarks: [{name: 'Origin', bp: 1, zoom: 1, format: 'circular', bbOffset: 0}],
+  tracks: [
+    {name: 'Features', dataType: 'feature', dataMethod: 'source', dataKeys: 'genbank'},
+    {name: 'GC Skew', dataType: 'plot', dataMethod: 'sequence', dataKeys: 'gc-skew'}
+  ]
+}});
+
+const edited = () => {
+  const json = original();
+  const cgview = json.cgview;
+  // Change position of dnaA (matched by name), rename an orf (matched by position)
+  cgview.features[0].stop = 1100;
+  cgview.features[3].name = 'orfB';
+  cgview.features.splice(1, 1);
+  cgview.features.push({name: 'rrsA', start: 5000, stop: 6500, strand: 1, legend: 'rRNA', source: 'genbank'});
+  cgview.legend.items.push({name: 'rRNA', swatchColor: 'green'});
+  cgview.legend.items[0].swatchColor = 'navy';
+  cgview.captions[0].font = 'sans-serif, bold, 20';
+  cgview.bookmarks = [];
+  cgview.tracks.splice(1, 0, {name: 'GC Content', dataType: 'plot', dataMethod: 'sequence', dataKeys: 'gc-content'});
+  return json;
+};
+
+describe('JSONDiff', () => {
+
+  test('reports added, removed and changed records', () => {
+    const diff = JSONDiff.diff(original(), edited());
+    expect(diff.features.changed.map( c => [c.name, c.attributes] )).toEqual([['dnaA', ['stop']], ['orfB', ['name']]]);
+    expect(diff.features.removed.map( c => c.name )).toEqual(['dnaN']);
+    expect(diff.features.added.map( c => c.name )).toEqual(['rrsA']);
+    expect(diff.legendItems.changed[0]).toMatchObject({name: 'CDS', attributes: ['swatchColor']});
+    expect(diff.legendItems.added[0].b).toEqual({name: 'rRNA', swatchColor: 'green'});
+    expect(diff.captions.changed[0].attributes).toEqual(['font']);
+    expect(diff.bookmarks.removed[0].name).toBe('Origin');
+    expect(diff.tracks.added[0]).toMatchObject({id: 'tracks:0', name: 'GC Content', type: 'added'});
+    expect(diff.plots).toEqual({added: [], removed: [], changed: []});
+    expect(diff.count).toBe(diff.changes.length);
+    expect(diff.count).toBe(9);
+  });
+
+  test('identical documents have no changes', () => {
+    const json = original();
+    // Key order is ignored
+    json.cgview.features[0] = {source: 'genbank', legend: 'CDS', strand: 1, stop: 1000, start: 1, name: 'dnaA'};
+    expect(JSONDiff.diff(original(), json).count).toBe(0);
+  });
+
+  test('merges all changes', () => {
+    const diff = JSONDiff.diff(original(), edited());
+    const merged = JSONDiff.merge(original(), diff);
+    expect(JSONDiff.diff(merged, edited()).count).toBe(0);
+    // Added track is inserted after the track it followed
+    expect(merged.cgview.tracks.map( t => t.name )).toEqual(['Features', 'GC Content', 'GC Skew']);
+  });
+
+  test('merges a subset of changes without modifying the input', () => {
+    const a = original();
+    const diff = JSONDiff.diff(a, edited());
+    const ids = diff.changes.filter( c => c.collection === 'features' && c.type !== 'removed' ).map( c => c.id );
+    const merged = JSONDiff.merge(a, diff, ids);
+    expect(merged.cgview.features.map( f => `${f.name}:${f.stop}` )).toEqual(['dnaA:1100', 'dnaN:2000', 'orf:3300', 'orfB:4300', 'rrsA:6500']);
+    expect(merged.cgview.legend.items.length).toBe(2);
+    expect(merged.cgview.bookmarks.length).toBe(1);
+    expect(a).toEqual(original());
+  });
+
+  describe('IO', () => {
+
+    test('diffs and merges JSON strings', () => {
+      document.body.innerHTML = '<div id="map"></div>';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const cgv = new Viewer('#map');
+      const diff = cgv.io.diffJSON(JSON.stringify(original()), edited());
+      const merged = cgv.io.mergeJSON(JSON.stringify(original()), diff, c => c.collection === 'legendItems');
+      cgv.io.loadJSON(merged);
+      expect(cgv.legend.items().map( i => i.name )).toEqual(['CDS', 'tRNA', 'rRNA']);
+      expect(cgv.legend.items(1).swatchColor.rgbaString).toBe('rgba(0,0,128,1)');
+    });
+
+  });
+
+});
@@ -0,0 +1,124 @@
+import fs from 'fs';
+import path from 'path';
+import FormatCGViewXML from '../src/FormatCGViewXML';
+import JSONSchema from '../src/JSONSchema';
+import Viewer from '../src/Viewer';
+
+const validJSON = () => ({cgview: {
+  version: '1.7.0',
+  sequence: {length: 1000},
+  legend: {position: 'top-left', items: [{name: 'Genes', swatchColor: 'blue'}]},
+  captions: [{name: 'My Map', position: {xPercent: 50, yPercent: 10}}],
+  features: [
+    {name: 'f1', start: 10, stop: 200, strand: -1, legend: 'Genes', source: 'test'},
+    {name: 'f2', start: 300, stop: 500, locations: [[300, 350], [400, 500]], legend: 'Genes', source: 'test', tags: ['a', 'b']}
+  ],
+  plots: [{name: 'p1', positions: [1, 500], scores: [0.2, 0.8], baseline: 0.5, legend: 'Genes', source: 'test'}],
+  bookmarks: [{name: 'Start', bp: 1, zoom: 2, format: 'linear', bbOffset: 0}],
+  tracks: [
+    {name: 'Features', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'},
+    {name: 'GC', dataType: 'plot', dataMethod: 'sequence', dataKeys: 'gc-content'}
+  ]
+}});
+
+describe('JSONSchema', () => {
+
+  test('accepts valid JSON', () => {
+    expect(JSONSchema.validate(validJSON())).toEqual([]);
+  });
+
+  test('returns errors with paths', () => {
+    const json = validJSON();
+    json.cgview.tracks.push({name: 'Bad', dataMethod: 'seq'});
+    json.cgview.features[0].start = 'ten';
+    json.cgview.features[1].score = 2;
+    json.cgview.legend.items[0].colour = 'red';
+    delete json.cgview.sequence;
+    expect(JSONSchema.validate(json)).toEqual([
+      {path: 'cgview.sequence', message: 'required property is missing'},
+      {path: 'cgview.legend.items[0].colour', message: 'unknown property'},
+      {path: 'cgview.features[0].start', message: 'expected integer but found string', value: 'ten'},
+      {path: 'cgview.features[1].score', message: 'expected a number of at most 1 but found 2', value: 2},
+      {path: 'cgview.tracks[2].dataMethod', message: "expected one of 'source', 'type', 'tag', 'sequence' but found 'seq'", value: 'seq'}
+    ]);
+  });
+
+  test('checks alternatives', () => {
+    const json = validJSON();
+    json.cgview.legend.position = 'top';
+    json.cgview.captions[0].position.x = 5;
+    json.cgview.tracks[0].dataKeys = 5;
+    const errors = JSONSchema.validate(json);
+    expect(errors.map( e => e.path )).toEqual(['cgview.legend.position', 'cgview.captions[0].position.x', 'cgview.tracks[0].dataKeys']);
+    expect(errors[0].message).toMatch(/^expected one of 'top-left'/);
+    expect(errors[2].message).toBe('expected string or array but found number');
+  });
+
+  describe('IO', () => {
+
+    beforeAll(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('exported JSON is valid', () => {
+      const cgv = new Viewer('#map');
+      cgv.io.loadJSON(validJSON());
+      const json = cgv.io.toJSON();
+      expect(cgv.io.validateJSON(JSON.stringify(json))).toEqual([]);
+    });
+
+    test('strict loadJSON rejects invalid JSON', () => {
+      const cgv = new Viewer('#map');
+      cgv.io.loadJSON(validJSON());
+      const json = validJSON();
+      json.cgview.tracks[1].dataMethod = 'seq';
+      expect(() => cgv.io.loadJSON(json, {strict: true})).toThrow(/cgview.tracks\[1\].dataMethod: expected one of/);
+      // Nothing was loaded
+      expect(cgv.tracks().length).toBe(2);
+      expect(cgv.tracks(2).dataMethod).toBe('sequence');
+      // Without strict, the track is repaired
+      cgv.io.loadJSON(json);
+      expect(cgv.tracks().length).toBe(2);
+    });
+
+    test('strict loadJSON accepts older versions', () => {
+      const cgv = new Viewer('#map');
+      const json = {cgview: {
+        version: '1.1.0',
+        geneticCode: '4',
+        settings: {backgroundColor: 'white'},
+        legend: {items: [{name: 'Genes', swatchColor: 'blue'}]},
+        sequence: {length: 1000}
+      }};
+      cgv.io.loadJSON(json, {strict: true});
+      expect(cgv.settings.geneticCode).toBe(4);
+      // Bundled sample map (its sequence tracks start workers)
+      window.Worker = class { postMessage() {} };
+      URL.createObjectURL = () => 'blob:worker';
+      const sample = fs.readFileSync(path.join(__dirname, '../docs/data/json/NC_001823.json'), 'utf8');
+      cgv.io.loadJSON(sample, {strict: true});
+      delete window.Worker;
+      delete URL.createObjectURL;
+      expect(cgv.name).toBe('NC_001823');
+    });
+
+    test('strict loadJSON accepts converted CGView XML', () => {
+      const cgv = new Viewer('#map');
+      const xml = `<cgview sequenceLength="1000">
+        <legend><legendItem text="CDS" drawSwatch="true" swatchColor="blue" /></legend>
+        <featureSlot strand="direct" showShading="false">
+          <feature color="blue" decoration="arc" label="thin" proportionOfThickness="0.5">
+            <featureRange start="10" stop="100" />
+          </feature>
+        </featureSlot>
+      </cgview>`;
+      const { json } = FormatCGViewXML.convert(xml);
+      expect(json.cgview.features[0].proportionOfThickness).toBe(0.5);
+      cgv.io.loadJSON(json, {strict: true});
+      expect(cgv.features().length).toBe(1);
+    });
+
+  });
+
+});
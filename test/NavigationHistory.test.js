@@ -0,0 +1,118 @@
+import Viewer from '../src/Viewer';
+
+const wait = (ms = 50) => new Promise( resolve => setTimeout(resolve, ms) );
+
+describe('NavigationHistory', () => {
+
+  let cgv;
+
+  beforeAll(() => {
+    document.body.innerHTML = '<div id="map"></div>';
+  });
+
+  beforeEach(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    cgv = new Viewer('#map');
+    cgv.io.loadJSON({cgview: {
+      version: '1.7.0',
+      sequence: {length: 10000},
+      features: [{name: 'f1', start: 6001, stop: 7000, source: 'test'}],
+      bookmarks: [{name: 'B1', bp: 3000, zoom: 5, format: 'circular', bbOffset: 0}],
+      tracks: [{name: 'Features', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'}]
+    }});
+    await wait();
+  });
+
+  test('goes back and forward', async () => {
+    const events = [];
+    cgv.on('navigation-update', e => events.push(e.action));
+    expect(cgv.canGoBack).toBe(false);
+    cgv.zoomTo(2000, 4, {duration: 0});
+    await wait();
+    cgv.features('f1').moveTo(0);
+    await wait();
+    const featureBp = cgv.bp;
+    const zoomFactors = cgv.navigationHistory.positions.map( p => p.zoomFactor );
+    expect(zoomFactors.slice(0, 2)).toEqual([1, 4]);
+    expect(zoomFactors[2]).toBeCloseTo(cgv.zoomFactor, 3);
+
+    expect(cgv.back({duration: 0})).toBe(true);
+    await wait();
+    expect([cgv.bp, cgv.zoomFactor]).toEqual([2000, 4]);
+    expect(cgv.canGoForward).toBe(true);
+    cgv.forward({duration: 0});
+    await wait();
+    expect(cgv.bp).toBe(featureBp);
+    expect(cgv.forward()).toBe(false);
+    expect(events).toEqual(['add', 'add', 'back', 'forward']);
+  });
+
+  test('adds bookmark moves and replaces forward positions', async () => {
+    cgv.zoomTo(2000, 4, {duration: 0});
+    await wait();
+    cgv.back({duration: 0});
+    await wait();
+    cgv.bookmarks('B1').moveTo(0);
+    await wait();
+    const positions = cgv.navigationHistory.positions;
+    expect(positions.length).toBe(2);
+    expect(positions[0].zoomFactor).toBe(1);
+    expect(positions[1]).toEqual({bp: 3000, zoomFactor: 5, bbOffset: 0});
+    expect(cgv.canGoForward).toBe(false);
+  });
+
+  test('merges short pans', async () => {
+    cgv.zoomTo(2000, 10, {duration: 0});
+    await wait();
+    cgv.moveRight(0.5, {duration: 0});
+    await wait();
+    cgv.moveRight(0.5, {duration: 0});
+    await wait();
+    cgv.moveTo(2300, null, {duration: 0});
+    await wait();
+    const positions = cgv.navigationHistory.positions;
+    expect(positions.length).toBe(3);
+    expect(positions[2].bp).toBe(2300);
+    // Back skips over the pans
+    cgv.back({duration: 0});
+    await wait();
+    expect(cgv.bp).toBe(2000);
+    // A long move is not merged
+    cgv.moveTo(8000, null, {duration: 0});
+    await wait();
+    expect(cgv.navigationHistory.positions.length).toBe(3);
+    cgv.moveTo(2000, null, {duration: 0});
+    await wait();
+    expect(cgv.navigationHistory.positions.length).toBe(4);
+  });
+
+  test('ignores moves without history', async () => {
+    cgv.zoomTo(2000, 4, {duration: 0, history: false});
+    cgv.recenterTracks();
+    await wait();
+    expect(cgv.navigationHistory.positions).toEqual([]);
+    expect(cgv.back()).toBe(false);
+  });
+
+  test('keeps the target of a move that is interrupted', async () => {
+    cgv.zoomTo(2000, 4, {duration: 500});
+    await wait(150);
+    cgv.zoomTo(8000, 20, {duration: 0});
+    await wait();
+    expect(cgv.navigationHistory.positions.slice(1)).toEqual([
+      {bp: 2000, zoomFactor: 4, bbOffset: 0},
+      {bp: 8000, zoomFactor: 20, bbOffset: 0}
+    ]);
+    // Going back while moving also keeps the target
+    cgv.back({duration: 500});
+    await wait(150);
+    cgv.back({duration: 0});
+    await wait();
+    expect(cgv.navigationHistory.positions[1]).toEqual({bp: 2000, zoomFactor: 4, bbOffset: 0});
+    expect(cgv.navigationHistory.index).toBe(0);
+    cgv.forward({duration: 0});
+    await wait();
+    expect([cgv.bp, cgv.zoomFactor]).toEqual([2000, 4]);
+  });
+
+});
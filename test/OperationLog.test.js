@@ -0,0 +1,138 @@
+import Viewer from '../src/Viewer';
+
+const json = () => ({cgview: {
+  version: '1.7.0',
+  sequence: {length: 10000},
+  legend: {items: [{name: 'CDS', swatchColor: 'blue'}, {name: 'tRNA', swatchColor: 'red'}]},
+  features: [
+    {name: 'f1', start: 10, stop: 200, legend: 'CDS', source: 'test'},
+    {name: 'f2', start: 400, stop: 600, legend: 'CDS', source: 'test'}
+  ],
+  tracks: [
+    {name: 'Features', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'},
+    {name: 'More', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'}
+  ]
+}});
+
+// Summary of a map to compare viewers
+const summary = cgv => ({
+  features: cgv.features().map( f => [f.name, f.start, f.stop, f.legendItem.name, f.visible] ),
+  legendItems: cgv.legend.items().map( i => [i.name, i.swatchColor.rgbaString] ),
+  tracks: cgv.tracks().map( t => [t.name, t.visible] ),
+  backgroundColor: cgv.settings.backgroundColor.rgbaString
+});
+
+describe('OperationLog', () => {
+
+  let a, b, relayed;
+
+  beforeAll(() => {
+    document.body.innerHTML = '<div id="map-a"></div><div id="map-b"></div>';
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    a = new Viewer('#map-a');
+    b = new Viewer('#map-b');
+    a.io.loadJSON(json());
+    b.io.loadJSON(json());
+    // Relay operations between the viewers as JSON strings
+    relayed = 0;
+    a.on('operation', op => { relayed++; b.applyOperations(JSON.parse(JSON.stringify(op))); });
+    b.on('operation', op => { relayed++; a.applyOperations(JSON.parse(JSON.stringify(op))); });
+  });
+
+  test('gives loaded records the same ids in both viewers', () => {
+    expect(a.operationLog.idFor(a.features(2))).toBe('features:2');
+    expect(b.operationLog.recordFor('features:2')).toBe(b.features(2));
+    expect(a.operationLog.source).not.toBe(b.operationLog.source);
+  });
+
+  test('keeps two viewers in sync', () => {
+    const [feature] = a.addFeatures({name: 'f3', start: 1000, stop: 1200, legend: 'tRNA', source: 'test'});
+    expect(b.features().length).toBe(3);
+    // Edit the new feature from the other viewer
+    b.updateFeatures(b.features('f3'), {name: 'f3b', legendItem: b.legend.items('CDS')});
+    expect(feature.name).toBe('f3b');
+    expect(feature.legendItem).toBe(a.legend.items('CDS'));
+
+    a.legend.updateItems(a.legend.items(2), {swatchColor: 'green'});
+    b.moveTrack(0, 1);
+    a.removeFeatures(a.features('f1'));
+    b.settings.update({backgroundColor: 'black'});
+    a.batch( () => {
+      a.updateTracks(a.tracks(1), {visible: false});
+      a.updateFeatures({[a.features(1).cgvID]: {visible: false}, [a.features(2).cgvID]: {start: 1100}});
+    });
+
+    expect(summary(b)).toEqual(summary(a));
+    expect(summary(a).tracks).toEqual([['More', false], ['Features', true]]);
+    expect(b.features().map( f => f.name )).toEqual(['f2', 'f3b']);
+    // Applied operations are not sent back
+    expect(relayed).toBe(8);
+    expect(a.operationLog.operations.map( o => o.type )).toEqual(['add', 'update', 'remove', 'update', 'update']);
+  });
+
+  test('syncs undo and redo', () => {
+    a.updateTracks(a.tracks(1), {name: 'Renamed'});
+    a.removeTracks(a.tracks(2));
+    a.undo();
+    a.undo();
+    expect(b.tracks().map( t => t.name )).toEqual(['Features', 'More']);
+    a.redo();
+    a.redo();
+    expect(summary(b)).toEqual(summary(a));
+  });
+
+  test('creates serializable operations', () => {
+    const operations = [];
+    a.on('operation.test', op => operations.push(op));
+    a.updateFeatures(a.features(1), {legendItem: a.legend.items(2)});
+    a.legend.moveItem(0, 1);
+    expect(JSON.parse(JSON.stringify(operations))).toEqual([
+      {id: `${a.operationLog.source}:1`, source: a.operationLog.source, seq: 1, type: 'update', collection: 'features', updates: {'features:1': {legendItem: {$ref: 'legendItems:2'}}}},
+      {id: `${a.operationLog.source}:2`, source: a.operationLog.source, seq: 2, type: 'move', collection: 'legendItems', oldIndex: 0, newIndex: 1}
+    ]);
+    // Operations from the same source are ignored
+    expect(a.applyOperations(operations)).toBe(0);
+  });
+
+  test('clears the log when a map is loaded', () => {
+    a.addBookmarks({bp: 100, bbOffset: 0});
+    expect(a.operationLog.operations.length).toBe(1);
+    a.io.loadJSON(json());
+    expect(a.operationLog.operations).toEqual([]);
+  });
+
+  test('does not send changes made by sequence extraction', () => {
+    // Workers started by the sequence extractor in each viewer
+    const workers = [];
+    window.Worker = class { constructor() { workers.push(this); } postMessage() {} };
+    URL.createObjectURL = () => 'blob:worker';
+    const data = json();
+    data.cgview.sequence = {seq: 'ACGT'.repeat(2500)};
+    data.cgview.tracks.push({name: 'GC Skew', dataType: 'plot', dataMethod: 'sequence', dataKeys: 'gc-skew'});
+    a.io.loadJSON(data);
+    b.io.loadJSON(data);
+    delete window.Worker;
+    delete URL.createObjectURL;
+    expect(workers.length).toBe(2);
+    for (const worker of workers) {
+      worker.onmessage({data: {messageType: 'progress', progress: 10}});
+      worker.onmessage({data: {messageType: 'progress', progress: 20}});
+      worker.onmessage({data: {messageType: 'complete', baseContent: {positions: [1, 4000], scores: [0.2, -0.2], average: 0, min: -0.2, max: 0.2}}});
+    }
+    expect(relayed).toBe(0);
+    expect(a.operationLog.operations).toEqual([]);
+    a.updateTracks(a.tracks('GC Skew'), {loadProgress: 50});
+    expect(relayed).toBe(0);
+    // Each viewer created the same legend items, which can then be edited by the user
+    expect(summary(b).legendItems).toEqual(summary(a).legendItems);
+    const item = a.legend.items('GC Skew+');
+    expect(a.operationLog.idFor(item)).toBe('legendItems@GC Skew+');
+    a.legend.updateItems(item, {swatchColor: 'green'});
+    expect(relayed).toBe(1);
+    expect(b.legend.items('GC Skew+').swatchColor.rgbaString).toBe(item.swatchColor.rgbaString);
+  });
+
+});
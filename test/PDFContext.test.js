@@ -0,0 +1,103 @@
+import PDFContext from '../src/PDFContext';
+import Viewer from '../src/Viewer';
+
+// Check that each xref offset points to the start of its object
+function expectValidXref(pdf) {
+  const xref = Number(/startxref\n(\d+)/.exec(pdf)[1]);
+  expect(pdf.substring(xref, xref + 4)).toBe('xref');
+  const offsets = pdf.substring(xref).match(/^\d{10} 00000 n $/gm).map( line => Number(line.substring(0, 10)) );
+  offsets.forEach( (offset, i) => {
+    expect(pdf.substring(offset).startsWith(`${i + 1} 0 obj`)).toBe(true);
+  });
+}
+
+describe('PDFContext', () => {
+
+  describe('drawing', () => {
+
+    test('writes paths, rects and text in PDF coordinates', () => {
+      const ctx = new PDFContext(200, 100, {title: 'Test (map)'});
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(10, 20);
+      ctx.strokeStyle = 'rgba(255,0,0,0.5)';
+      ctx.setLineDash([2, 1]);
+      ctx.stroke();
+      ctx.fillStyle = 'blue';
+      ctx.fillRect(10, 10, 20, 30);
+      ctx.font = 'bold 10px sans-serif';
+      ctx.textAlign = 'right';
+      ctx.fillText('A(1)', 50, 50);
+      const pdf = ctx.getSerializedPdf();
+      expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+      expect(pdf).toContain('/MediaBox [0 0 200 100]');
+      expect(pdf).toContain('q 1 0 0 RG /GS1 gs 1 w 0 J 0 j [2 1] 0 d 0 100 m 10 80 l S Q');
+      expect(pdf).toContain('q 0 0 1 rg 10 60 20 30 re f Q');
+      // 'A(1)' in Helvetica-Bold is 722 + 333 + 556 + 333 = 1944 / 1000 em
+      expect(pdf).toContain('BT /F1 10 Tf 30.56 50 Td (A\\(1\\)) Tj ET');
+      expect(pdf).toContain('/BaseFont /Helvetica-Bold');
+      expect(pdf).toContain('/ExtGState /ca 0.5 /CA 0.5');
+      expect(pdf).toContain('/Title (Test \\(map\\))');
+      expectValidXref(pdf);
+    });
+
+    test('draws arcs as bezier curves', () => {
+      const ctx = new PDFContext(100, 100);
+      ctx.beginPath();
+      ctx.arc(50, 50, 10, 0, Math.PI);
+      ctx.stroke();
+      const pdf = ctx.getSerializedPdf();
+      const path = /60 50 m (.*) S Q/.exec(pdf)[1];
+      expect(path.match(/ c/g).length).toBe(2);
+      expect(path.endsWith('40 50 c')).toBe(true);
+    });
+
+    test('maps CSS fonts to standard fonts', () => {
+      expect(PDFContext.standardFont({family: 'sans-serif', weight: 'normal', style: 'normal'})).toBe('Helvetica');
+      expect(PDFContext.standardFont({family: 'serif', weight: 'bold', style: 'italic'})).toBe('Times-BoldItalic');
+      expect(PDFContext.standardFont({family: 'monospace', weight: 'normal', style: 'italic'})).toBe('Courier-Oblique');
+    });
+
+    test('converts units to points', () => {
+      expect(PDFContext.pointsPerUnit('in')).toBe(72);
+      expect(PDFContext.pointsPerUnit('px', 144)).toBe(0.5);
+      expect(() => PDFContext.pointsPerUnit('furlong')).toThrow(/Unknown units/);
+    });
+
+  });
+
+  describe('IO.getPDF', () => {
+
+    beforeAll(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+    });
+
+    test('draws the map, legend and captions on to the page', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const cgv = new Viewer('#map');
+      cgv.io.loadJSON({cgview: {
+        version: '1.7.0',
+        sequence: {length: 1000},
+        legend: {position: 'top-left', items: [{name: 'Genes', swatchColor: 'blue'}]},
+        captions: [{name: 'My Map', position: 'bottom-center'}],
+        features: [{name: 'f1', start: 10, stop: 200, legend: 'Genes', source: 'test'}],
+        tracks: [{name: 'Features', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'}]
+      }});
+      const pdf = cgv.io.getPDF({width: 8, height: 10, units: 'in', margins: 1});
+      expect(pdf).toContain('/MediaBox [0 0 576 720]');
+      expect(pdf).toContain('(Genes) Tj');
+      expect(pdf).toContain('(My Map) Tj');
+      // Map (600 x 600 px) is scaled to fit 6 x 8 in and centered vertically: 72 + (576 - 432) / 2 = 144
+      expect(pdf).toContain('72 144 432 432 re f');
+      expectValidXref(pdf);
+    });
+
+    test('throws if the margins are larger than the page', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const cgv = new Viewer('#map');
+      expect(() => cgv.io.getPDF({width: 100, height: 100, margins: 60})).toThrow(/margins/);
+    });
+
+  });
+
+});
@@ -0,0 +1,103 @@
+import zlib from 'zlib';
+import { CompressionStream as NodeCompressionStream } from 'stream/web';
+import PNGEncoder from '../src/PNGEncoder';
+import Viewer from '../src/Viewer';
+
+function readBlob(blob) {
+  return new Promise( (resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+// Return the chunks of a PNG as {type, data}
+function readChunks(bytes) {
+  const view = new DataView(bytes.buffer);
+  const chunks = [];
+  let offset = 8;
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    expect(view.getUint32(offset + 8 + length)).toBe(PNGEncoder.crc32(bytes.subarray(offset + 4, offset + 8 + length)));
+    chunks.push({ type, data });
+    offset += length + 12;
+  }
+  return chunks;
+}
+
+function pixels(bytes) {
+  const idat = readChunks(bytes).filter( c => c.type === 'IDAT' ).map( c => Buffer.from(c.data) );
+  return zlib.inflateSync(Buffer.concat(idat));
+}
+
+describe('PNGEncoder', () => {
+
+  test('calculates CRC-32', () => {
+    expect(PNGEncoder.crc32(new Uint8Array([73, 69, 78, 68]))).toBe(0xAE426082);
+  });
+
+  test('writes rows added in parts', async () => {
+    const encoder = new PNGEncoder(2, 3, {compress: false});
+    await encoder.addRows(new Uint8Array([1, 2, 3, 4, 5, 6, 7, 8]));
+    await encoder.addRows(new Uint8Array([9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23, 24]));
+    const bytes = await readBlob(await encoder.finish());
+    expect(Array.from(bytes.subarray(0, 8))).toEqual([137, 80, 78, 71, 13, 10, 26, 10]);
+    const chunks = readChunks(bytes);
+    expect(chunks[0].type).toBe('IHDR');
+    expect(Array.from(chunks[0].data)).toEqual([0, 0, 0, 2, 0, 0, 0, 3, 8, 6, 0, 0, 0]);
+    expect(chunks[chunks.length - 1].type).toBe('IEND');
+    expect(Array.from(pixels(bytes))).toEqual([0, 1, 2, 3, 4, 5, 6, 7, 8, 0, 9, 10, 11, 12, 13, 14, 15, 16, 0, 17, 18, 19, 20, 21, 22, 23, 24]);
+  });
+
+  test('compresses with CompressionStream', async () => {
+    global.CompressionStream = NodeCompressionStream;
+    try {
+      const encoder = new PNGEncoder(100, 100);
+      await encoder.addRows(new Uint8Array(100 * 100 * 4).fill(200));
+      const blob = await encoder.finish();
+      expect(blob.size).toBeLessThan(1000);
+      const data = pixels(await readBlob(blob));
+      expect(data.length).toBe(100 * 401);
+      expect(data[1]).toBe(200);
+    } finally {
+      delete global.CompressionStream;
+    }
+  });
+
+  test('checks the number of rows', async () => {
+    const encoder = new PNGEncoder(1, 1, {compress: false});
+    await expect(encoder.addRows(new Uint8Array(3))).rejects.toThrow(/complete rows/);
+    await expect(encoder.finish()).rejects.toThrow(/Expected 1 rows/);
+  });
+
+  describe('IO.getTiledImage', () => {
+
+    beforeAll(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+    });
+
+    test('draws the image in tiles with progress events', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const cgv = new Viewer('#map');
+      const progress = [];
+      let end;
+      cgv.on('image-export-progress', (e) => progress.push(e.progress));
+      cgv.on('image-export-end', (e) => { end = e; });
+      const layers = cgv.canvas._layers;
+      const blob = await cgv.io.getTiledImage(1000, 500, {tileSize: 400});
+      expect(progress).toEqual([17, 33, 50, 67, 83, 100]);
+      expect(end).toMatchObject({width: 1000, height: 500, tiles: 6, size: blob.size});
+      expect(cgv.canvas._layers).toBe(layers);
+      // Exporting does not change the map
+      expect(cgv.dataHasChanged).toBeFalsy();
+      const bytes = await readBlob(blob);
+      expect(pixels(bytes).length).toBe(500 * ((1000 * 4) + 1));
+      // Temporary layers are removed
+      expect(document.querySelectorAll('canvas').length).toBe(cgv.canvas.layerNames.length);
+    });
+
+  });
+
+});
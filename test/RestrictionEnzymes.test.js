@@ -0,0 +1,37 @@
+import RestrictionEnzymes from '../src/RestrictionEnzymes';
+import Viewer from '../src/Viewer';
+
+describe('RestrictionEnzymes', () => {
+
+  test('parses REBASE recognition sequences', () => {
+    expect(RestrictionEnzymes.parse('G^AATTC')).toEqual({ site: 'GAATTC', cut: 1, complementCut: 5 });
+    expect(RestrictionEnzymes.parse('^GATC')).toEqual({ site: 'GATC', cut: 0, complementCut: 4 });
+    expect(RestrictionEnzymes.parse('GGTCTC(1/5)')).toEqual({ site: 'GGTCTC', cut: 7, complementCut: 11 });
+    expect(RestrictionEnzymes.parse('GAATGC(1/-1)')).toEqual({ site: 'GAATGC', cut: 7, complementCut: 5 });
+  });
+
+  test('finds enzymes by name', () => {
+    expect(RestrictionEnzymes.byName('hindiii')).toEqual({ name: 'HindIII', site: 'AAGCTT', cut: 1, complementCut: 5 });
+    expect(RestrictionEnzymes.byName('Unknown')).toBeUndefined();
+    // Every definition can be parsed
+    for (const name of RestrictionEnzymes.names) {
+      expect(RestrictionEnzymes.byName(name).site).toMatch(/^[ACGTN]+$/);
+    }
+  });
+
+  test('resolves enzymes and legend items for the sequence extractor', () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    document.body.innerHTML = '<div id="map"></div>';
+    const cgv = new Viewer('#map');
+    cgv.io.loadJSON({cgview: { version: '1.7.0', sequence: {seq: 'TTGAATTCAAGGATCCAA'} }});
+    const extractor = cgv.sequence.sequenceExtractor;
+    const enzymes = extractor.restrictionEnzymes('EcoRI, bamhi, Nope, EcoRI');
+    expect(enzymes.map( e => e.name )).toEqual(['EcoRI', 'BamHI']);
+    expect(console.error).toHaveBeenCalledWith("Unknown restriction enzyme: 'Nope'");
+    const legends = extractor.createLegendItems('restriction-sites', {}, enzymes);
+    expect(Object.keys(legends)).toEqual(['EcoRI', 'BamHI']);
+    expect(legends.EcoRI.swatchColor.rgbaString).not.toBe(legends.BamHI.swatchColor.rgbaString);
+  });
+
+});
@@ -0,0 +1,102 @@
+import SVGContext from '../src/SVGContext';
+import Viewer from '../src/Viewer';
+
+describe('SVGContext', () => {
+
+  describe('drawing', () => {
+
+    test('writes paths, rects and text', () => {
+      const ctx = new SVGContext(100, 50);
+      ctx.beginPath();
+      ctx.moveTo(0, 0);
+      ctx.lineTo(10, 0);
+      ctx.strokeStyle = 'rgba(255,0,0,0.5)';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([2, 1]);
+      ctx.stroke();
+      ctx.fillStyle = 'blue';
+      ctx.fillRect(1, 2, 3, 4);
+      ctx.font = 'italic bold 12px sans-serif';
+      ctx.textAlign = 'center';
+      ctx.fillText('a < b', 5, 6);
+      const svg = ctx.getSerializedSvg();
+      expect(svg).toMatch(/^<svg xmlns="http:\/\/www.w3.org\/2000\/svg"[^>]* width="100" height="50"/);
+      expect(svg).toContain('<path d="M0 0 L10 0" fill="none" stroke="rgb(255,0,0)" stroke-opacity="0.5" stroke-width="2" stroke-dasharray="2,1"/>');
+      expect(svg).toContain('<rect x="1" y="2" width="3" height="4" fill="rgb(0,0,255)"/>');
+      expect(svg).toContain('<text x="5" y="6" font-family="sans-serif" font-size="12" font-weight="bold" font-style="italic" text-anchor="middle" fill="rgb(0,0,255)">a &lt; b</text>');
+    });
+
+    test('splits arcs into parts of at most 180 degrees', () => {
+      const ctx = new SVGContext(100, 100);
+      ctx.beginPath();
+      ctx.arc(50, 50, 10, 0, 2 * Math.PI);
+      ctx.stroke();
+      expect(ctx.getSerializedSvg()).toContain('d="M60 50 A10 10 0 0 1 40 50 A10 10 0 0 1 60 50"');
+
+      const ccw = new SVGContext(100, 100);
+      ccw.beginPath();
+      ccw.arc(50, 50, 10, 0, Math.PI / 2, true);
+      ccw.stroke();
+      // Anticlockwise from 0 to 90 degrees is 270 degrees
+      expect(ccw.getSerializedSvg()).toMatch(/d="M60 50 A10 10 0 0 0 \S+ \S+ A10 10 0 0 0 50 60"/);
+    });
+
+    test('applies save, restore, translate and scale', () => {
+      const ctx = new SVGContext(100, 100);
+      ctx.save();
+      ctx.translate(10, 20);
+      ctx.scale(2, 2);
+      ctx.fillRect(1, 1, 5, 5);
+      ctx.restore();
+      ctx.fillRect(1, 1, 5, 5);
+      const svg = ctx.getSerializedSvg();
+      expect(svg).toContain('<rect x="12" y="22" width="10" height="10"');
+      expect(svg).toContain('<rect x="1" y="1" width="5" height="5"');
+    });
+
+    test('nests groups and closes open groups', () => {
+      const ctx = new SVGContext(10, 10);
+      ctx.openGroup('track-1', {'data-name': 'Genes & "More"', 'data-skip': undefined}, {layer: true});
+      ctx.openGroup('track-1-slot-1');
+      ctx.closeGroup();
+      const svg = ctx.getSerializedSvg();
+      expect(svg).toContain('<g id="track-1" inkscape:groupmode="layer" inkscape:label="track-1" data-name="Genes &amp; &quot;More&quot;">\n<g id="track-1-slot-1">\n</g>\n</g>\n</svg>');
+    });
+
+  });
+
+  describe('IO.getSVG', () => {
+
+    beforeAll(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+    });
+
+    test('exports grouped SVG without an external context', () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      const cgv = new Viewer('#map');
+      cgv.io.loadJSON({cgview: {
+        version: '1.7.0',
+        sequence: {length: 1000},
+        legend: {position: 'top-left', items: [{name: 'Genes', swatchColor: 'blue'}]},
+        captions: [{name: 'My Map', position: 'bottom-center'}],
+        features: [{name: 'f1', start: 10, stop: 200, legend: 'Genes', source: 'test'}],
+        tracks: [{name: 'Features', dataType: 'feature', dataMethod: 'source', dataKeys: 'test', position: 'both', separateFeaturesBy: 'strand'}]
+      }});
+      const svg = cgv.io.getSVG();
+      expect(svg).toContain('<g id="background"');
+      expect(svg).toContain('<g id="ruler"');
+      expect(svg).toContain('<g id="track-1" inkscape:groupmode="layer" inkscape:label="Features" data-name="Features" data-type="feature" data-method="source" data-keys="test">');
+      expect(svg).toContain('<g id="track-1-slot-1" data-strand="direct" data-position="outside">');
+      expect(svg).toContain('<g id="track-1-slot-2" data-strand="reverse" data-position="inside">');
+      expect(svg.match(/<g id="legend"/g).length).toBe(1);
+      expect(svg).toContain('<g id="caption-1" inkscape:groupmode="layer" inkscape:label="caption-1" data-name="My Map" data-position="bottom-center">');
+      expect(svg).toContain('>Genes</text>');
+      // The center line dashes do not leak into other groups
+      expect(svg).not.toMatch(/id="track-1-slot-1"[^]*stroke-dasharray[^]*id="track-1-slot-2"/);
+      // Balanced groups
+      expect(svg.match(/<g[ >]/g).length).toBe(svg.match(/<\/g>/g).length);
+    });
+
+  });
+
+});
@@ -0,0 +1,71 @@
+import Viewer from '../src/Viewer';
+
+describe('SequenceExtractor', () => {
+
+  let cgv;
+
+  beforeAll(() => {
+    document.body.innerHTML = '<div id="map"></div>';
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    cgv = new Viewer('#map');
+    cgv.io.loadJSON({cgview: {
+      version: '1.7.0',
+      sequence: {seq: 'ACGT'.repeat(100)},
+      tracks: [{name: 'Islands', dataType: 'feature', dataMethod: 'source', dataKeys: 'genomic-islands'}]
+    }});
+  });
+
+  test('adds island features and refreshes their tracks', () => {
+    const features = cgv.sequence.sequenceExtractor.addIslands([{start: 101, stop: 200, score: 0.61234}, {start: 351, stop: 20, score: 0.5}]);
+    expect(features.map( f => [f.type, f.source, f.start, f.stop, f.score, f.legendItem.name, f.extractedFromSequence] )).toEqual([
+      ['genomic-island', 'genomic-islands', 101, 200, 0.612, 'Genomic Island', true],
+      ['genomic-island', 'genomic-islands', 351, 20, 0.5, 'Genomic Island', true]
+    ]);
+    expect(cgv.tracks('Islands').features()).toEqual(features);
+  });
+
+  test('validates the k-mer length', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const track = cgv.tracks('Islands');
+    cgv.sequence.sequenceExtractor.generatePlot(track, 'kmer-deviation', {k: 9});
+    expect(console.error).toHaveBeenCalledWith("K-mer length (k) must be an integer from 1 to 8: '9'");
+    expect(track.plot).toBeUndefined();
+  });
+
+  test('searches for sites across the origin of a single sequence', () => {
+    const messages = [];
+    window.Worker = class { postMessage(message) { messages.push(message); } };
+    URL.createObjectURL = () => 'blob:worker';
+    const track = cgv.tracks('Islands');
+    cgv.sequence.sequenceExtractor.generateFeatures(track, 'restriction-sites', {enzymes: 'EcoRI'});
+    cgv.sequence.sequenceExtractor.generateFeatures(track, 'motif', {pattern: 'GAATTC'});
+    delete window.Worker;
+    delete URL.createObjectURL;
+    expect(messages.map( m => [m.type, m.seqType, m.options.circular] )).toEqual([
+      ['restriction-sites', 'sequence', true],
+      ['motif', 'sequence', true]
+    ]);
+  });
+
+  test('uses the codons from the genetic code', () => {
+    const extractor = cgv.sequence.sequenceExtractor;
+    const options = extractor.codonOptions();
+    expect(options).toEqual({
+      geneticCode: 11,
+      startPattern: 'TTG,CTG,ATT,ATC,ATA,ATG,GTG',
+      stopPattern: 'TAA,TAG,TGA',
+      minORFLength: 100,
+      readingFrames: [1, 2, 3, -1, -2, -3],
+      partial: false,
+      ignoreNested: false
+    });
+    expect(extractor.codonOptions({geneticCode: 4, alternativeStarts: false})).toMatchObject({startPattern: 'ATG', stopPattern: 'TAA,TAG'});
+    expect(extractor.codonOptions({start: 'ATG', minORFLength: 50, readingFrames: 1})).toMatchObject({startPattern: 'ATG', minORFLength: 50, readingFrames: [1]});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    expect(extractor.codonOptions({readingFrames: [4]})).toBeUndefined();
+  });
+
+});
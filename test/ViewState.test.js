@@ -0,0 +1,106 @@
+import ViewState from '../src/ViewState';
+import Viewer from '../src/Viewer';
+
+const wait = (ms = 50) => new Promise( resolve => setTimeout(resolve, ms) );
+
+describe('ViewState', () => {
+
+  describe('hash encoding', () => {
+
+    test('round-trips a view state', () => {
+      const state = {bp: 2500, zoomFactor: 4.5, bbOffset: -12.5, format: 'linear', hiddenTracks: ['GC Skew', 'a,b&c'], hiddenLegendItems: []};
+      const hash = ViewState.toHash(state);
+      expect(hash).toBe('bp=2500&z=4.5&o=-12.5&f=l&ht=GC%20Skew,a%2Cb%26c&hl=');
+      expect(ViewState.fromHash(`#${hash}`)).toEqual(state);
+    });
+
+    test('ignores unknown keys and invalid values', () => {
+      expect(ViewState.fromHash('#bp=abc&z=2&f=x&other=1')).toEqual({zoomFactor: 2});
+      expect(ViewState.fromHash('')).toEqual({});
+      // Malformed escapes
+      expect(ViewState.fromHash('#ht=%&hl=a,%E0%A4%A&bp=%&z=2')).toEqual({zoomFactor: 2});
+    });
+
+  });
+
+  describe('Viewer', () => {
+
+    let cgv;
+
+    beforeAll(() => {
+      document.body.innerHTML = '<div id="map"></div>';
+    });
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      cgv = new Viewer('#map');
+      cgv.io.loadJSON({cgview: {
+        version: '1.7.0',
+        sequence: {length: 10000},
+        legend: {items: [{name: 'Genes'}, {name: 'Other'}]},
+        features: [{name: 'f1', start: 10, stop: 200, legend: 'Genes', source: 'test'}],
+        tracks: [
+          {name: 'Features', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'},
+          {name: 'More', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'}
+        ]
+      }});
+    });
+
+    afterEach(() => {
+      cgv.syncHash = false;
+      window.history.replaceState(null, '', '#');
+    });
+
+    test('captures and applies the view', async () => {
+      cgv.applyViewState({bp: 2500, zoomFactor: 4, bbOffset: 0, hiddenTracks: ['More'], hiddenLegendItems: ['Other']});
+      await wait();
+      expect(cgv.viewState()).toEqual({bp: 2500, zoomFactor: 4, bbOffset: 0, format: 'circular', hiddenTracks: ['More'], hiddenLegendItems: ['Other']});
+      expect(cgv.tracks(2).visible).toBe(false);
+      expect(cgv.legend.items(2).visible).toBe(false);
+
+      cgv.applyViewState('hl=&ht=');
+      await wait();
+      expect(cgv.tracks(2).visible).toBe(true);
+      expect(cgv.legend.items(2).visible).toBe(true);
+      expect(cgv.bp).toBe(2500);
+    });
+
+    test('changes the format', async () => {
+      cgv.applyViewState({format: 'linear', bp: 5000, zoomFactor: 2});
+      await wait();
+      expect(cgv.format).toBe('linear');
+      expect(cgv.bp).toBe(5000);
+      expect(cgv.zoomFactor).toBe(2);
+    });
+
+    test('keeps the view in sync with the URL hash', async () => {
+      window.history.replaceState(null, '', '#bp=3000&z=3&o=0');
+      cgv.syncHash = true;
+      await wait();
+      expect(cgv.bp).toBe(3000);
+      expect(window.location.hash).toBe('#bp=3000&z=3&o=0&f=c&ht=&hl=');
+
+      cgv.tracks(1).update({visible: false});
+      expect(window.location.hash).toContain('ht=Features');
+
+      window.location.hash = '#bp=6000';
+      window.dispatchEvent(new HashChangeEvent('hashchange'));
+      await wait();
+      expect(cgv.bp).toBe(6000);
+      expect(cgv.zoomFactor).toBe(3);
+      expect(window.location.hash).toBe('#bp=6000&z=3&o=0&f=c&ht=Features&hl=');
+
+      // Moves without zooming also update the hash
+      cgv.moveTo(7000, null, {duration: 0});
+      await wait();
+      expect(window.location.hash).toBe('#bp=7000&z=3&o=0&f=c&ht=Features&hl=');
+
+      cgv.syncHash = false;
+      cgv.zoomTo(100, 1, {duration: 0});
+      await wait();
+      expect(window.location.hash).toBe('#bp=7000&z=3&o=0&f=c&ht=Features&hl=');
+    });
+
+  });
+
+});
@@ -18,7 +18,100 @@ describe('Viewer', () => {
     expect(cgv.features().length).toBe(1);
   });
 
+  describe('batch', () => {
 
+    let cgv;
+
+    beforeEach(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      cgv = new Viewer('#map');
+      cgv.io.loadJSON({cgview: {
+        version: '1.7.0',
+        sequence: {length: 10000},
+        features: [
+          {name: 'f1', start: 10, stop: 200, source: 'test'},
+          {name: 'f2', start: 400, stop: 600, source: 'test'}
+        ],
+        tracks: [{name: 'Features', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'}]
+      }});
+    });
+
+    test('triggers one summary event per type', () => {
+      const added = jest.fn();
+      const updated = jest.fn();
+      cgv.on('features-add', added);
+      cgv.on('features-update', updated);
+      const [f1, f2] = cgv.features();
+      const result = cgv.batch( () => {
+        cgv.addFeatures({name: 'f3', start: 1000, stop: 1200, source: 'test'});
+        cgv.addFeatures([{name: 'f4', start: 2000, stop: 2200, source: 'test'}, {name: 'f5', start: 3000, stop: 3200, source: 'test'}]);
+        cgv.updateFeatures(f1, {name: 'a'});
+        cgv.updateFeatures({[f2.cgvID]: {name: 'b'}, [f1.cgvID]: {visible: false}});
+        expect(added).not.toHaveBeenCalled();
+        return 'done';
+      });
+      expect(result).toBe('done');
+      expect(added).toHaveBeenCalledTimes(1);
+      expect(added.mock.calls[0][0].map( f => f.name )).toEqual(['f3', 'f4', 'f5']);
+      expect(updated).toHaveBeenCalledTimes(1);
+      const data = updated.mock.calls[0][0];
+      expect(data.features.map( f => f.name )).toEqual(['a', 'b']);
+      expect(data.updates).toEqual({[f1.cgvID]: {name: 'a', visible: false}, [f2.cgvID]: {name: 'b'}});
+      expect(cgv.dataHasChanged).toBe(true);
+    });
+
+    test('merges updates without records and other events', () => {
+      const settings = jest.fn();
+      const moved = jest.fn();
+      cgv.on('settings-update', settings);
+      cgv.on('tracks-moved', moved);
+      cgv.addTracks({name: 'Track 2', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'});
+      cgv.batch( () => {
+        cgv.settings.update({backgroundColor: 'black'});
+        cgv.settings.update({arrowHeadLength: 0.5});
+        cgv.moveTrack(0, 1);
+        cgv.moveTrack(1, 0);
+      });
+      expect(settings.mock.calls[0][0].attributes).toEqual({backgroundColor: 'black', arrowHeadLength: 0.5});
+      expect(moved).toHaveBeenCalledTimes(1);
+      expect(moved.mock.calls[0][0]).toMatchObject({oldIndex: 1, newIndex: 0, batch: [{oldIndex: 0, newIndex: 1}, {oldIndex: 1, newIndex: 0}]});
+    });
+
+    test('defers refreshes and draws once', () => {
+      const layout = cgv.layout;
+      const adjust = jest.spyOn(layout, '_calculateMaxMapThickness');
+      const draw = jest.spyOn(layout, 'drawMapWithoutSlots');
+      let track;
+      cgv.batch( () => {
+        track = cgv.addTracks({name: 'Track 2', dataType: 'feature', dataMethod: 'source', dataKeys: 'test'})[0];
+        cgv.addFeatures({name: 'f3', start: 1000, stop: 1200, source: 'test'});
+        cgv.updateTracks(track, {dataKeys: 'other'});
+        cgv.updateTracks(track, {dataKeys: 'test'});
+        expect(track.features().length).toBe(0);
+        expect(draw).not.toHaveBeenCalled();
+      });
+      expect(track.features().length).toBe(3);
+      expect(cgv.tracks(1).features().length).toBe(2);
+      expect(adjust).toHaveBeenCalledTimes(1);
+      expect(draw).toHaveBeenCalledTimes(1);
+    });
+
+    test('supports nesting and errors', () => {
+      const added = jest.fn();
+      cgv.on('features-add', added);
+      expect(() => {
+        cgv.batch( () => {
+          cgv.batch( () => cgv.addFeatures({name: 'f3', start: 1000, stop: 1200}) );
+          expect(added).not.toHaveBeenCalled();
+          throw new Error('Failed');
+        });
+      }).toThrow('Failed');
+      expect(added).toHaveBeenCalledTimes(1);
+      cgv.addFeatures({name: 'f4', start: 2000, stop: 2200});
+      expect(added).toHaveBeenCalledTimes(2);
+    });
+
+  });
 
 });
 
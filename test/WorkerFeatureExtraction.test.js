@@ -0,0 +1,168 @@
+import WorkerFeatureExtraction from '../src/WorkerFeatureExtraction';
+import RestrictionEnzymes from '../src/RestrictionEnzymes';
+
+// Run the worker in this context and return the features it posts
+const extract = (type, seqs, options = {}) => {
+  let featureDataArray;
+  const postMessage = jest.spyOn(window, 'postMessage').mockImplementation( (message) => {
+    if (message.messageType === 'complete') {
+      featureDataArray = message.featureDataArray;
+    }
+  });
+  jest.spyOn(window, 'close').mockImplementation(() => {});
+  WorkerFeatureExtraction();
+  const seqData = [].concat(seqs).map( (seq, i) => ({ name: `contig${i + 1}`, seq }) );
+  window.onmessage({ data: {
+    type,
+    seqType: (seqData.length > 1) ? 'contigs' : 'sequence',
+    seqData,
+    seqTotalLength: seqData.reduce( (total, s) => total + s.seq.length, 0 ),
+    options
+  }});
+  postMessage.mockRestore();
+  return featureDataArray;
+};
+
+const summary = features => features.map( f => [f.start, f.stop, f.strand, f.meta.mismatches] );
+
+describe('WorkerFeatureExtraction', () => {
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  describe('motif', () => {
+
+    test('finds exact matches on both strands', () => {
+      const features = extract('motif', 'AAGATGTTGGTTCC', { pattern: 'GATG', strand: 'both' });
+      expect(summary(features)).toEqual([[3, 6, 1, 0]]);
+      expect(features[0]).toMatchObject({ type: 'motif', source: 'motif', extractedFromSequence: true });
+      // GGTT is only found on the minus strand as AACC
+      expect(summary(extract('motif', 'AAGATCTTGGTTCC', { pattern: 'aacc', strand: 'both' }))).toEqual([[9, 12, -1, 0]]);
+    });
+
+    test('reports matches of palindromic patterns once', () => {
+      // GATC and GANTC are the same as their reverse complement
+      expect(summary(extract('motif', 'AAGATCTTGGATCC', { pattern: 'GATC', strand: 'both' }))).toEqual([[3, 6, 1, 0], [10, 13, 1, 0]]);
+      const options = { pattern: 'GANTC', mismatches: 1 };
+      const both = extract('motif', 'AAGATCTTGGATCC', { ...options, strand: 'both' });
+      expect(both.length).toBeGreaterThan(0);
+      expect(summary(both)).toEqual(summary(extract('motif', 'AAGATCTTGGATCC', { ...options, strand: 1 })));
+      // Searching the minus strand only still finds them
+      expect(summary(extract('motif', 'AAGATCTT', { pattern: 'GATC', strand: -1 }))).toEqual([[3, 6, -1, 0]]);
+    });
+
+    test('uses IUPAC codes', () => {
+      // R = A/G and N = any base
+      const features = extract('motif', 'CAATTGATTGCTTA', { pattern: 'RTTN', strand: 1 });
+      expect(summary(features)).toEqual([[3, 6, 1, 0], [7, 10, 1, 0]]);
+    });
+
+    test('allows mismatches and searches one strand', () => {
+      const seq = 'GAATTCGTATTCAAAAAA';
+      expect(summary(extract('motif', seq, { pattern: 'GAATTC', mismatches: 0, strand: 1 }))).toEqual([[1, 6, 1, 0]]);
+      expect(summary(extract('motif', seq, { pattern: 'GAATTC', mismatches: 1, strand: 1 }))).toEqual([[1, 6, 1, 0], [7, 12, 1, 1]]);
+      expect(summary(extract('motif', seq, { pattern: 'TTTTTT', mismatches: 0, strand: -1 }))).toEqual([[13, 18, -1, 0]]);
+      expect(extract('motif', seq, { pattern: 'TTTTTT', mismatches: 0, strand: 1 })).toEqual([]);
+    });
+
+    test('finds matches spanning the origin of circular sequences', () => {
+      const seq = 'ATTCAAAAAAAAAAAAGA';
+      expect(summary(extract('motif', seq, { pattern: 'GAATTC', strand: 1, circular: true }))).toEqual([[17, 4, 1, 0]]);
+      expect(extract('motif', seq, { pattern: 'GAATTC', strand: 1 })).toEqual([]);
+    });
+
+    test('searches each contig', () => {
+      const features = extract('motif', ['ACGTGATC', 'GATCAAAA'], { pattern: 'GATC', strand: 1 });
+      expect(features.map( f => [f.contig, f.start] )).toEqual([['contig1', 5], ['contig2', 1]]);
+    });
+
+  });
+
+  describe('restriction-sites', () => {
+
+    const enzymes = names => names.map( name => RestrictionEnzymes.byName(name) );
+
+    test('finds palindromic sites once with the cut positions', () => {
+      const features = extract('restriction-sites', 'TTGAATTCAAGGATCCAA', { enzymes: enzymes(['EcoRI', 'BamHI']) });
+      expect(features.map( f => [f.name, f.start, f.stop, f.strand, f.meta] )).toEqual([
+        ['EcoRI', 3, 8, 1, { enzyme: 'EcoRI', cut: 3, complementCut: 7 }],
+        ['BamHI', 11, 16, 1, { enzyme: 'BamHI', cut: 11, complementCut: 15 }]
+      ]);
+      expect(features[0]).toMatchObject({ type: 'restriction-site', source: 'restriction-sites', extractedFromSequence: true });
+    });
+
+    test('finds non-palindromic sites on both strands', () => {
+      // BsaI: GGTCTC(1/5) on the plus strand and GAGACC on the minus strand
+      const seq = 'AGGTCTCAAAAAAAAAAAAGAGACCA';
+      const features = extract('restriction-sites', seq, { enzymes: enzymes(['BsaI']) });
+      expect(features.map( f => [f.start, f.stop, f.strand, f.meta.cut, f.meta.complementCut] )).toEqual([
+        [2, 7, 1, 8, 12],
+        [20, 25, -1, 14, 18]
+      ]);
+    });
+
+    test('finds sites spanning the origin of circular sequences', () => {
+      // EcoRI (G^AATTC) split between the end and the start of the sequence
+      const seq = 'ATTCAAAAAAAAAAAAGA';
+      const features = extract('restriction-sites', seq, { enzymes: enzymes(['EcoRI']), circular: true });
+      expect(features.map( f => [f.start, f.stop, f.strand, f.meta.cut, f.meta.complementCut] )).toEqual([[17, 4, 1, 17, 3]]);
+      expect(extract('restriction-sites', seq, { enzymes: enzymes(['EcoRI']) })).toEqual([]);
+      // BsaI (GGTCTC) on the minus strand as GAGACC, cut before the site
+      const minus = extract('restriction-sites', 'ACCAAAAAAAAAAAAAAAAGAG', { enzymes: enzymes(['BsaI']), circular: true });
+      expect(minus.map( f => [f.start, f.stop, f.strand, f.meta.cut, f.meta.complementCut] )).toEqual([[20, 3, -1, 14, 18]]);
+    });
+
+    test('matches ambiguous bases in the recognition sequence', () => {
+      // SfiI: GGCCNNNN^NGGCC
+      const features = extract('restriction-sites', 'AGGCCACGTAGGCCA', { enzymes: enzymes(['SfiI']) });
+      expect(features.map( f => [f.start, f.stop, f.meta.cut, f.meta.complementCut] )).toEqual([[2, 14, 9, 6]]);
+    });
+
+  });
+
+  describe('orfs', () => {
+
+    const codons = { startPattern: 'ATG,GTG,TTG', stopPattern: 'TAA,TAG,TGA', geneticCode: 11 };
+    const summary = features => features.map( f => [f.start, f.stop, f.strand, f.meta && f.meta.partial] );
+
+    test('finds the longest ORF for each stop codon in each frame', () => {
+      // Frame 1: ATG (1) ... GTG (10) ... TAA (16); minus strand: CAT (ATG) at 28 ... TTA (TAA) at 22
+      const seq = 'ATGAAAAAAGTGAAATAACCCTTATTTCATCC';
+      const features = extract('orfs', seq, { ...codons, minORFLength: 2 });
+      expect(summary(features)).toEqual([[1, 18, 1, undefined], [22, 30, -1, undefined]]);
+      expect(features[0]).toMatchObject({ type: 'ORF', source: 'orfs', codonStart: 1, geneticCode: 11, extractedFromSequence: true });
+      // Minimum length in codons (not including the stop codon)
+      expect(summary(extract('orfs', seq, { ...codons, minORFLength: 5 }))).toEqual([[1, 18, 1, undefined]]);
+      expect(extract('orfs', seq, { ...codons, minORFLength: 6 })).toEqual([]);
+      // Only ATG starts
+      expect(summary(extract('orfs', 'CCCGTGAAAAAATAA', { ...codons, minORFLength: 1 }))).toEqual([[4, 15, 1, undefined]]);
+      expect(extract('orfs', 'CCCGTGAAAAAATAA', { ...codons, startPattern: 'ATG', minORFLength: 1 })).toEqual([]);
+    });
+
+    test('searches the selected reading frames', () => {
+      const seq = 'ATGAAAAAAGTGAAATAACCCTTATTTCATCC';
+      expect(summary(extract('orfs', seq, { ...codons, minORFLength: 2, readingFrames: [-1, -2, -3] }))).toEqual([[22, 30, -1, undefined]]);
+      expect(extract('orfs', seq, { ...codons, minORFLength: 2, readingFrames: [2, 3] })).toEqual([]);
+    });
+
+    test('adds partial ORFs at the edges of the sequence', () => {
+      // No start before the first stop (TAG at 7) and no stop after the last start (ATG at 10)
+      const seq = 'AAACCCTAGATGCCCAAAGGG';
+      const options = { ...codons, minORFLength: 2, readingFrames: [1], partial: true };
+      expect(summary(extract('orfs', seq, options))).toEqual([[1, 9, 1, 'start'], [10, 21, 1, 'stop']]);
+      expect(summary(extract('orfs', 'AAACCCGGG', options))).toEqual([[1, 9, 1, 'both']]);
+      expect(extract('orfs', seq, { ...options, partial: false })).toEqual([]);
+    });
+
+    test('ignores nested ORFs', () => {
+      // A minus strand ORF (CAT...TTA) is within the plus strand ORF
+      const seq = 'ATGCCCTTACCCCCCCATCCCCCCTAA';
+      const options = { ...codons, minORFLength: 2 };
+      expect(summary(extract('orfs', seq, options))).toEqual([[1, 27, 1, undefined], [7, 18, -1, undefined]]);
+      expect(summary(extract('orfs', seq, { ...options, ignoreNested: true }))).toEqual([[1, 27, 1, undefined]]);
+    });
+
+  });
+
+});
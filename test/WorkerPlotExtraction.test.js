@@ -0,0 +1,99 @@
+import WorkerPlotExtraction from '../src/WorkerPlotExtraction';
+
+// Run the worker in this context and return the plot data it posts
+const extract = (type, seq, options = {}) => {
+  let baseContent;
+  const postMessage = jest.spyOn(window, 'postMessage').mockImplementation( (message) => {
+    if (message.messageType === 'complete') {
+      baseContent = message.baseContent;
+    }
+  });
+  WorkerPlotExtraction();
+  window.onmessage({ data: {
+    type,
+    seqType: 'sequence',
+    seqData: [{ seq }],
+    seqTotalLength: seq.length,
+    options: { window: 4, step: 4, deviation: 'average', ...options }
+  }});
+  postMessage.mockRestore();
+  return baseContent;
+};
+
+describe('WorkerPlotExtraction', () => {
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  test('calculates AT skew', () => {
+    const plot = extract('at-skew', 'AAAAAAAAAAATTTTTGGCC');
+    expect(plot.average).toBeCloseTo(6 / 16);
+    expect(plot.scores[0]).toBe(1);
+    expect(plot.max).toBe(1);
+    expect(plot.min).toBe(-1);
+  });
+
+  test('calculates cumulative GC skew', () => {
+    const plot = extract('cumulative-gc-skew', 'GGGGCCCCCCCCGGGG');
+    expect(plot.positions).toEqual([1, 3, 7, 11]);
+    expect(plot.scores).toEqual([1 / 3, 1, -1 / 3, -1]);
+    expect([plot.min, plot.max, plot.average]).toEqual([-1, 1, 0]);
+  });
+
+  test('calculates GC3 content for each reading frame', () => {
+    const seq = 'ATGATGATGATGATGATGAC';
+    expect(extract('gc3-content', seq).average).toBe(1);
+    expect(extract('gc3-content', seq, { frame: 2 }).average).toBe(0);
+    expect(extract('gc3-content', seq, { frame: 3 }).average).toBeCloseTo(1 / 6);
+    // Windows keep the frame of the sequence
+    expect(extract('gc3-content', seq, { window: 6, step: 3 }).scores.slice(1)).toEqual([1, 1, 1, 1, 1, 1]);
+  });
+
+  test('calculates CpG observed/expected', () => {
+    expect(extract('cpg-oe', 'CGCGCGCG').average).toBe(2);
+    expect(extract('cpg-oe', 'CCGGAATT').average).toBe(2);
+    expect(extract('cpg-oe', 'GGCCAATT').average).toBe(0);
+    expect(extract('cpg-oe', 'AAAATTTT').average).toBe(0);
+  });
+
+  test('calculates entropy', () => {
+    expect(extract('entropy', 'ACGTACGT').average).toBe(2);
+    expect(extract('entropy', 'AAAAAAAA').average).toBe(0);
+    expect(extract('entropy', 'AAAATTTT').average).toBe(1);
+    // Every window has an entropy above 1
+    const plot = extract('entropy', 'ACGTACGTACGT');
+    expect(plot.min).toBeGreaterThan(1);
+    expect([plot.min, plot.max]).toEqual([Math.min(...plot.scores), Math.max(...plot.scores)]);
+  });
+
+  test('calculates k-mer deviation with sliding windows', () => {
+    const seq = 'ACGGTCATTGCA'.repeat(20) + 'AAAAAAAAAATTTTTTTTTT'.repeat(3) + 'ACGGTCATTGCA'.repeat(20);
+    const options = { type: 'kmer-deviation', window: 40, k: 2 };
+    const slidingScores = extract('kmer-deviation', seq, { ...options, step: 1 }).scores;
+    const plot = extract('kmer-deviation', seq, { ...options, step: 10 });
+    // Windows that slide or do not overlap give the same scores
+    const round = scores => scores.map( score => Math.round(score * 1e10) );
+    expect(round(plot.scores)).toEqual(round(plot.scores.map( (score, i) => slidingScores[i * 10] )));
+    const separateScores = extract('kmer-deviation', seq, { ...options, step: 50 }).scores;
+    expect(round(separateScores)).toEqual(round(separateScores.map( (score, i) => slidingScores[i * 50] )));
+    // The foreign region has the largest deviation
+    const maxIndex = plot.scores.indexOf(plot.max);
+    expect(plot.positions[maxIndex]).toBeGreaterThan(240);
+    expect(plot.positions[maxIndex]).toBeLessThan(300);
+    expect(plot.average).toBeGreaterThan(0);
+    expect(plot.islands).toBeUndefined();
+  });
+
+  test('merges windows above the island threshold into islands', () => {
+    const seq = 'ACGGTCATTGCA'.repeat(20) + 'AAAAAAAAAATTTTTTTTTT'.repeat(3) + 'ACGGTCATTGCA'.repeat(20);
+    const plot = extract('kmer-deviation', seq, { window: 40, step: 10, k: 2, islandThreshold: 0.5 });
+    expect(plot.islands.length).toBe(1);
+    const island = plot.islands[0];
+    expect(island.start).toBeGreaterThan(200);
+    expect(island.stop).toBeLessThan(340);
+    expect(island.score).toBe(plot.max);
+    expect(extract('kmer-deviation', seq, { window: 40, step: 10, k: 2, islandThreshold: 1 }).islands).toEqual([]);
+  });
+
+});